@@ -1,12 +1,29 @@
 import dotenv from 'dotenv';
 import Logger from './utils/Logger.js';
+import DateKey from './utils/DateKey.js';
 import Scheduler from './services/Scheduler.js';
+import SMSOutbox from './services/SMSOutbox.js';
+import Configuration from './models/Configuration.js';
 
 /**
  * Birthday Notification System - Main Entry Point
  * 
  * This application automatically checks for associate birthdays daily
  * and sends SMS notifications when birthdays are found.
+ *
+ * Usage:
+ *   node src/index.js                      Start the scheduler
+ *   node src/index.js --run-now [--force]  Run one birthday check and exit; --force sends
+ *                                          notifications again that the ledger shows as sent
+ *   node src/index.js --run-now --dry-run  Show the messages a check would send, with their
+ *                                          recipients and size, without sending them
+ *   node src/index.js --run-now --date YYYY-MM-DD
+ *                                          Check another day instead of today; notifications
+ *                                          for an earlier day are worded as belated
+ *   node src/index.js --list-dead          List SMS outbox messages that will not be retried
+ *   node src/index.js --requeue-dead [id ...]
+ *                                          Queue dead SMS outbox messages (default: all of
+ *                                          them) to be sent again by the running scheduler
  */
 
 // Load environment variables from .env file
@@ -21,6 +38,135 @@ const logger = new Logger({
 // Global scheduler instance
 let scheduler = null;
 
+const USAGE = 'Usage: node src/index.js [--run-now [--force] [--dry-run] [--date YYYY-MM-DD] | --list-dead | --requeue-dead [id ...]]';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {{runNow: boolean, force: boolean, dryRun: boolean, date: Date|null, listDead: boolean, requeueDead: string[]|null}}
+ *   Parsed options; date is the day given with --date, and requeueDead holds the message IDs to
+ *   requeue (empty for all) when --requeue-dead is given
+ * @throws {Error} If an argument is unknown, a date is invalid, --force, --dry-run or --date is used
+ *   without --run-now, or more than one command is given
+ */
+function parseArguments(args) {
+  const options = { runNow: false, force: false, dryRun: false, date: null, listDead: false, requeueDead: null };
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--run-now') {
+      options.runNow = true;
+    } else if (arg === '--force') {
+      options.force = true;
+    } else if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--date') {
+      const value = args[++index];
+      options.date = DateKey.parse(value);
+      if (!options.date) {
+        throw new Error(`Invalid date for --date: ${value || '(missing)'}. Expected YYYY-MM-DD`);
+      }
+    } else if (arg === '--list-dead') {
+      options.listDead = true;
+    } else if (arg === '--requeue-dead') {
+      options.requeueDead = [];
+    } else if (options.requeueDead && !arg.startsWith('--')) {
+      options.requeueDead.push(arg);
+    } else {
+      throw new Error(`Unknown argument: ${arg}. ${USAGE}`);
+    }
+  }
+
+  if (options.force && !options.runNow) {
+    throw new Error('--force can only be used with --run-now');
+  }
+  if (options.dryRun && !options.runNow) {
+    throw new Error('--dry-run can only be used with --run-now');
+  }
+  if (options.date && !options.runNow) {
+    throw new Error('--date can only be used with --run-now');
+  }
+  if ([options.runNow, options.listDead, options.requeueDead !== null].filter(Boolean).length > 1) {
+    throw new Error(`--run-now, --list-dead and --requeue-dead cannot be combined. ${USAGE}`);
+  }
+
+  return options;
+}
+
+/**
+ * Open the SMS outbox configured in the environment
+ * @returns {{outbox: SMSOutbox, config: Configuration}} The outbox and the configuration
+ * @throws {Error} If no outbox is configured
+ */
+function openOutbox() {
+  const config = new Configuration().loadFromEnvironment();
+  if (!config.smsOutboxFile) {
+    throw new Error('No SMS outbox is configured (SMS_OUTBOX_FILE)');
+  }
+  const outbox = new SMSOutbox(logger, {
+    filePath: config.smsOutboxFile,
+    maxAttempts: config.smsOutboxMaxAttempts,
+    retryDelayMinutes: config.smsOutboxRetryMinutes
+  });
+  return { outbox, config };
+}
+
+/**
+ * List the dead messages in the SMS outbox and exit
+ */
+async function listDeadMessages() {
+  try {
+    const { outbox, config } = openOutbox();
+    const messages = await outbox.list('dead');
+    logger.info(`${messages.length} dead message(s) in the SMS outbox`);
+    messages.forEach(message => {
+      logger.info(`${message.id}  ${config.maskMobileNumber(message.recipient)}  ${message.attempts} attempt(s), last at ${message.updatedAt}: ${message.lastError}`);
+      logger.info(`  ${message.parts[0].split('\n')[0]}`);
+    });
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Failed to list dead messages: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Queue dead messages in the SMS outbox to be sent again, and exit
+ * The running scheduler sends them on its next outbox run
+ * @param {string[]} ids - IDs of the messages, or none for every dead message
+ */
+async function requeueDeadMessages(ids) {
+  try {
+    const { outbox } = openOutbox();
+    const messages = await outbox.requeue(ids);
+    logger.info(`Requeued ${messages.length} dead message(s)${messages.length > 0 ? `: ${messages.map(message => message.id).join(', ')}` : ''}`);
+    process.exit(0);
+  } catch (error) {
+    logger.error(`Failed to requeue dead messages: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+/**
+ * Run a single birthday check and exit
+ * @param {Object} options - Check options
+ * @param {boolean} options.force - Send notifications again even if the ledger shows them as sent
+ * @param {boolean} options.dryRun - Show the messages that would be sent without sending them
+ * @param {Date|null} options.date - Day to check, or null for today
+ */
+async function runOnce({ force, dryRun, date }) {
+  try {
+    logger.info(dryRun ? 'Running a single birthday check (dry run)...' : 'Running a single birthday check...');
+    const { schedulerStateFile } = new Configuration().loadFromEnvironment();
+    scheduler = new Scheduler({ logger: logger, stateFile: schedulerStateFile });
+    const result = await scheduler.runNow({ force, dryRun, ...date ? { date } : {} });
+    process.exit(result.errors.length > 0 ? 1 : 0);
+  } catch (error) {
+    logger.error(`Birthday check failed: ${error.message}`);
+    process.exit(1);
+  }
+}
+
 /**
  * Initialize and start the application
  */
@@ -32,14 +178,23 @@ async function startApplication() {
 
     // Get scheduled time from environment
     const scheduledTime = process.env.SCHEDULED_TIME || '09:00';
+    const { digestEnabled, digestDay, digestTime, schedulerStateFile, catchUpMaxDays } = new Configuration().loadFromEnvironment();
     
     logger.info(`Configuration loaded from environment`);
     logger.info(`Scheduled time: ${scheduledTime}`);
+    if (digestEnabled) {
+      logger.info(`Birthday digest: ${digestDay} at ${digestTime}`);
+    }
 
     // Create scheduler instance
     scheduler = new Scheduler({
       scheduledTime: scheduledTime,
-      logger: logger
+      logger: logger,
+      digestEnabled: digestEnabled,
+      digestDay: digestDay,
+      digestTime: digestTime,
+      stateFile: schedulerStateFile,
+      catchUpMaxDays: catchUpMaxDays
     });
 
     // Initialize scheduler (this will validate configuration)
@@ -131,4 +286,20 @@ process.on('SIGTERM', () => shutdown('SIGTERM'));
 process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start the application
-startApplication();
+let options;
+try {
+  options = parseArguments(process.argv.slice(2));
+} catch (error) {
+  logger.error(error.message);
+  process.exit(1);
+}
+
+if (options.runNow) {
+  runOnce(options);
+} else if (options.listDead) {
+  listDeadMessages();
+} else if (options.requeueDead) {
+  requeueDeadMessages(options.requeueDead);
+} else {
+  startApplication();
+}
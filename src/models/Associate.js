@@ -1,40 +1,130 @@
+import AnnualDate from '../utils/AnnualDate.js';
+import EventType from './EventType.js';
+
 /**
  * Associate model class
  * Represents an associate with name and date of birth information
  */
 class Associate {
+  /**
+   * Year used for dates of birth recorded without a year
+   * A leap year, so that 29 February can be represented
+   */
+  static UNKNOWN_BIRTH_YEAR = 2000;
+
   /**
    * Create an Associate instance
    * @param {string} name - The associate's name
    * @param {Date} dateOfBirth - The associate's date of birth
    * @param {number} rowNumber - The row number in the Excel file
+   * @param {Object} details - Optional roster details
+   * @param {string} details.firstName - The associate's first name
+   * @param {string} details.lastName - The associate's last name
+   * @param {string} details.employeeId - The associate's employee ID
+   * @param {string} details.department - The associate's department
+   * @param {string} details.mobile - The associate's mobile number as recorded in the roster
+   * @param {string} details.locale - The associate's preferred language as a BCP 47 locale (e.g., de-DE)
+   * @param {string} details.sheetName - The worksheet the associate was read from
+   * @param {boolean} details.birthYearKnown - False when only the day and month of birth are known
+   * @param {Date} details.dateOfJoining - The date the associate joined the organisation
+   * @param {Object<string, Date>} details.events - Dates of custom events keyed by event type id
    */
-  constructor(name, dateOfBirth, rowNumber) {
+  constructor(name, dateOfBirth, rowNumber, details = {}) {
     this.name = name;
     this.dateOfBirth = dateOfBirth;
     this.rowNumber = rowNumber;
+    this.firstName = details.firstName || null;
+    this.lastName = details.lastName || null;
+    this.employeeId = details.employeeId || null;
+    this.department = details.department || null;
+    this.mobile = details.mobile || null;
+    this.locale = details.locale || null;
+    this.sheetName = details.sheetName || null;
+    this.birthYearKnown = details.birthYearKnown !== false;
+    this.dateOfJoining = details.dateOfJoining || null;
+    this.events = details.events || {};
+  }
+
+  /**
+   * Create a date of birth for a birthday recorded without a year
+   * @param {number} month - 0-based month
+   * @param {number} day - Day of month
+   * @returns {Date} Date in the placeholder year
+   */
+  static createYearlessDate(month, day) {
+    return new Date(Associate.UNKNOWN_BIRTH_YEAR, month, day);
+  }
+
+  /**
+   * Get the associate's age on a given date
+   * A 29 February birthday counts from the day it is celebrated in non-leap years
+   * @param {Date} date - The date to compute the age on (default: today)
+   * @param {string} leapDayPolicy - Policy for 29 February birthdays in non-leap years (feb28, mar1 or skip)
+   * @returns {number|null} Age in completed years, or null if the birth year is unknown
+   */
+  getAge(date = new Date(), leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY) {
+    if (!this.birthYearKnown) {
+      return null;
+    }
+    return AnnualDate.getYearsSince(this.dateOfBirth, date, leapDayPolicy);
   }
 
   /**
    * Check if the associate's birthday is today
    * Compares month and day only, ignoring the year
+   * @param {string} leapDayPolicy - Policy for 29 February birthdays in non-leap years (feb28, mar1 or skip)
+   * @param {function(): Date} clock - Returns the current date and time (default: system local time)
    * @returns {boolean} True if birthday is today, false otherwise
    */
-  isBirthdayToday() {
-    const today = new Date();
-    return this.dateOfBirth.getMonth() === today.getMonth() &&
-           this.dateOfBirth.getDate() === today.getDate();
+  isBirthdayToday(leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY, clock = () => new Date()) {
+    return this.isBirthdayOnDate(clock(), leapDayPolicy);
   }
 
   /**
    * Check if the associate's birthday matches a specific date
    * Compares month and day only, ignoring the year
    * @param {Date} date - The date to compare against
+   * @param {string} leapDayPolicy - Policy for 29 February birthdays in non-leap years (feb28, mar1 or skip)
    * @returns {boolean} True if birthday matches the date, false otherwise
    */
-  isBirthdayOnDate(date) {
-    return this.dateOfBirth.getMonth() === date.getMonth() &&
-           this.dateOfBirth.getDate() === date.getDate();
+  isBirthdayOnDate(date, leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY) {
+    return EventType.BIRTHDAY.occursOn(this, date, leapDayPolicy);
+  }
+
+  /**
+   * Get the number of completed years of service on a given date
+   * A 29 February anniversary counts from the day it is celebrated in non-leap years
+   * @param {Date} date - The date to compute the years on (default: today)
+   * @param {string} leapDayPolicy - Policy for 29 February anniversaries in non-leap years (feb28, mar1 or skip)
+   * @returns {number|null} Completed years, or null if the date of joining is unknown
+   */
+  getYearsOfService(date = new Date(), leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY) {
+    if (!this.dateOfJoining) {
+      return null;
+    }
+    return AnnualDate.getYearsSince(this.dateOfJoining, date, leapDayPolicy);
+  }
+
+  /**
+   * Check if the associate's work anniversary matches a specific date
+   * Compares month and day only; the day of joining itself is not an anniversary
+   * @param {Date} date - The date to compare against
+   * @param {string} leapDayPolicy - Policy for 29 February anniversaries in non-leap years (feb28, mar1 or skip)
+   * @returns {boolean} True if work anniversary matches the date, false otherwise
+   */
+  isWorkAnniversaryOnDate(date, leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY) {
+    return EventType.WORK_ANNIVERSARY.occursOn(this, date, leapDayPolicy);
+  }
+
+  /**
+   * Check if an event of the given type occurs for the associate on a specific date
+   * @param {EventType} eventType - The event type
+   * @param {Date} date - The date to compare against
+   * @param {string} leapDayPolicy - Policy for 29 February dates in non-leap years (feb28, mar1 or skip)
+   * @returns {boolean} True if the event occurs on the date, false otherwise
+   */
+  hasEventOnDate(eventType, date, leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY) {
+    return eventType.occursOn(this, date, leapDayPolicy);
   }
 
   /**
@@ -42,7 +132,10 @@ class Associate {
    * @returns {string} String representation
    */
   toString() {
-    return `${this.name} (DOB: ${this.dateOfBirth.toLocaleDateString()})`;
+    const dob = this.birthYearKnown
+      ? this.dateOfBirth.toLocaleDateString()
+      : this.dateOfBirth.toLocaleDateString(undefined, { month: 'long', day: 'numeric' });
+    return `${this.name} (DOB: ${dob})`;
   }
 }
 
@@ -1,20 +1,108 @@
 import fs from 'fs';
 import path from 'path';
+import DateFormat from '../utils/DateFormat.js';
+import AnnualDate from '../utils/AnnualDate.js';
+import EventType from './EventType.js';
+import MessageTemplates from './MessageTemplates.js';
+import PhoneNumber from '../utils/PhoneNumber.js';
 
 /**
  * Configuration model class with validation methods
  * Manages system configuration from environment variables and config files
  */
 class Configuration {
+  /**
+   * Day names accepted for the digest schedule, indexed by cron weekday number
+   */
+  static WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+  /**
+   * Where birthdays on weekends and holidays are announced
+   * off: on the day itself
+   * previous: in the notification of the last working day before
+   * next: in the notification of the first working day after
+   */
+  static WORKING_DAY_ROLLOVERS = ['off', 'previous', 'next'];
+
+  /**
+   * How work anniversaries are announced
+   * combined: in the birthday SMS
+   * separate: in their own SMS
+   * off: not announced
+   */
+  static WORK_ANNIVERSARY_MODES = ['combined', 'separate', 'off'];
+
+  /**
+   * Whether associates receive a birthday wish on their own mobile number
+   * off: only the recipients are notified
+   * additional: wishes are sent as well as the birthday SMS to the recipients
+   * only: wishes replace the birthday list in the SMS to the recipients
+   */
+  static BIRTHDAY_WISH_MODES = ['off', 'additional', 'only'];
+
+  /**
+   * How a notification longer than SMS_MAX_SEGMENTS is shortened
+   * split: sent as several SMSes marked (1/2), (2/2)
+   * abbreviate: the list is cut short and ends with "+N more"
+   */
+  static SEGMENT_OVERFLOW_MODES = ['split', 'abbreviate'];
+
+  /**
+   * SMS provider adapters accepted in SMS_PROVIDER
+   */
+  static SMS_PROVIDERS = ['generic', 'twilio', 'vonage', 'messagebird', 'plivo', 'sns', 'http'];
+
   constructor() {
     this.excelFilePath = '';
     this.recipientMobileNumber = '';
+    this.recipientMobileNumbers = [];
+    this.defaultCountryCode = '';
     this.smsApiUrl = '';
     this.smsApiKey = '';
     this.smsSenderId = '';
+    this.smsProvider = 'generic';
+    this.smsHttpConfigFile = '';
+    this.smsFallbackProviders = [];
+    this.smsMaxSegments = 0;
+    this.smsSegmentOverflow = 'split';
+    this.smsRetryMaxAttempts = 3;
+    this.smsRetryBaseDelayMs = 2000;
+    this.smsRetryMaxDelayMs = 30000;
+    this.smsRetryJitter = 0;
     this.scheduledTime = '';
     this.logLevel = 'INFO';
     this.logFilePath = './logs/birthday-system.log';
+    this.columnAliases = {};
+    this.csvDelimiter = '';
+    this.csvEncoding = '';
+    this.excelSheets = [];
+    this.excelExcludeSheets = [];
+    this.dateFormats = [];
+    this.dateLocale = 'en-US';
+    this.leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY;
+    this.digestEnabled = false;
+    this.digestDay = 'monday';
+    this.digestTime = '08:00';
+    this.digestDays = 7;
+    this.workingDayRollover = 'off';
+    this.weekendDays = ['saturday', 'sunday'];
+    this.holidaysFile = '';
+    this.workAnniversaries = 'combined';
+    this.birthdayWishes = 'off';
+    this.eventTypesFile = '';
+    this.eventTypes = [];
+    this.eventTypesError = null;
+    this.messageTemplatesFile = '';
+    this.messageTemplates = new MessageTemplates();
+    this.messageTemplatesError = null;
+    this.messageLocale = 'en-GB';
+    this.recipientLocales = {};
+    this.notificationLedgerFile = '';
+    this.schedulerStateFile = '';
+    this.catchUpMaxDays = 7;
+    this.smsOutboxFile = '';
+    this.smsOutboxMaxAttempts = 6;
+    this.smsOutboxRetryMinutes = 10;
   }
 
   /**
@@ -23,20 +111,243 @@ class Configuration {
    */
   loadFromEnvironment() {
     this.excelFilePath = process.env.EXCEL_FILE_PATH || '';
-    this.recipientMobileNumber = process.env.RECIPIENT_MOBILE_NUMBER || '';
+    this.defaultCountryCode = (process.env.DEFAULT_COUNTRY_CODE || '').trim();
+    this.recipientMobileNumbers = [...new Set(
+      this.parseList(process.env.RECIPIENT_MOBILE_NUMBER).map(number => this.normaliseMobileNumber(number) || number)
+    )];
+    this.recipientMobileNumber = this.recipientMobileNumbers[0] || '';
     this.smsApiUrl = process.env.SMS_API_URL || '';
     this.smsApiKey = process.env.SMS_API_KEY || '';
     this.smsSenderId = process.env.SMS_SENDER_ID || '';
+    this.smsProvider = (process.env.SMS_PROVIDER || 'generic').trim().toLowerCase();
+    this.smsHttpConfigFile = process.env.SMS_HTTP_CONFIG || '';
+    this.loadSmsProviders(process.env.SMS_PROVIDERS);
+    this.smsMaxSegments = process.env.SMS_MAX_SEGMENTS ? Number(process.env.SMS_MAX_SEGMENTS) : 0;
+    this.smsSegmentOverflow = (process.env.SMS_SEGMENT_OVERFLOW || 'split').trim().toLowerCase();
+    this.smsRetryMaxAttempts = process.env.SMS_RETRY_MAX_ATTEMPTS ? Number(process.env.SMS_RETRY_MAX_ATTEMPTS) : 3;
+    this.smsRetryBaseDelayMs = process.env.SMS_RETRY_BASE_DELAY_MS ? Number(process.env.SMS_RETRY_BASE_DELAY_MS) : 2000;
+    this.smsRetryMaxDelayMs = process.env.SMS_RETRY_MAX_DELAY_MS ? Number(process.env.SMS_RETRY_MAX_DELAY_MS) : 30000;
+    this.smsRetryJitter = process.env.SMS_RETRY_JITTER ? Number(process.env.SMS_RETRY_JITTER) : 0;
     this.scheduledTime = process.env.SCHEDULED_TIME || '09:00';
     this.logLevel = process.env.LOG_LEVEL || 'INFO';
     this.logFilePath = process.env.LOG_FILE_PATH || './logs/birthday-system.log';
+    this.columnAliases = this.parseColumnAliases(process.env.EXCEL_COLUMN_ALIASES);
+    this.csvDelimiter = this.parseDelimiter(process.env.CSV_DELIMITER);
+    this.csvEncoding = process.env.CSV_ENCODING || '';
+    this.excelSheets = this.parseList(process.env.EXCEL_SHEETS);
+    this.excelExcludeSheets = this.parseList(process.env.EXCEL_EXCLUDE_SHEETS);
+    this.dateFormats = (process.env.DATE_FORMATS || '').split('|').map(format => format.trim()).filter(format => format !== '');
+    this.dateLocale = process.env.DATE_LOCALE || 'en-US';
+    this.leapDayPolicy = (process.env.LEAP_DAY_POLICY || AnnualDate.DEFAULT_LEAP_DAY_POLICY).trim().toLowerCase();
+    this.digestEnabled = this.parseBoolean(process.env.DIGEST_ENABLED);
+    this.digestDay = (process.env.DIGEST_DAY || 'monday').trim().toLowerCase();
+    this.digestTime = process.env.DIGEST_TIME || '08:00';
+    this.digestDays = process.env.DIGEST_DAYS ? Number(process.env.DIGEST_DAYS) : 7;
+    this.workingDayRollover = (process.env.WORKING_DAY_ROLLOVER || 'off').trim().toLowerCase();
+    this.weekendDays = process.env.WEEKEND_DAYS !== undefined
+      ? this.parseList(process.env.WEEKEND_DAYS.toLowerCase())
+      : ['saturday', 'sunday'];
+    this.holidaysFile = process.env.HOLIDAYS_FILE || '';
+    this.workAnniversaries = (process.env.WORK_ANNIVERSARIES || 'combined').trim().toLowerCase();
+    this.birthdayWishes = (process.env.BIRTHDAY_WISHES || 'off').trim().toLowerCase();
+    this.eventTypesFile = process.env.EVENT_TYPES_FILE || '';
+    this.loadEventTypes();
+    this.messageTemplatesFile = process.env.MESSAGE_TEMPLATES_FILE || '';
+    this.loadMessageTemplates();
+    this.messageLocale = (process.env.MESSAGE_LOCALE || 'en-GB').trim();
+    this.recipientLocales = this.parseRecipientLocales(process.env.RECIPIENT_LOCALES);
+    this.notificationLedgerFile = process.env.NOTIFICATION_LEDGER_FILE || '';
+    this.schedulerStateFile = process.env.SCHEDULER_STATE_FILE || '';
+    this.catchUpMaxDays = process.env.CATCH_UP_MAX_DAYS ? Number(process.env.CATCH_UP_MAX_DAYS) : 7;
+    this.smsOutboxFile = process.env.SMS_OUTBOX_FILE || '';
+    this.smsOutboxMaxAttempts = process.env.SMS_OUTBOX_MAX_ATTEMPTS ? Number(process.env.SMS_OUTBOX_MAX_ATTEMPTS) : 6;
+    this.smsOutboxRetryMinutes = process.env.SMS_OUTBOX_RETRY_MINUTES ? Number(process.env.SMS_OUTBOX_RETRY_MINUTES) : 10;
     
     return this;
   }
 
+  /**
+   * Load the ordered SMS provider list from SMS_PROVIDERS, if set
+   * The first provider becomes the primary and the rest are fallbacks. Each provider reads
+   * SMS_<NAME>_API_URL, SMS_<NAME>_API_KEY and SMS_<NAME>_SENDER_ID; the primary may use
+   * SMS_API_URL and SMS_API_KEY instead, and every provider falls back to SMS_SENDER_ID
+   * @param {string} value - Comma-separated provider names
+   */
+  loadSmsProviders(value) {
+    this.smsFallbackProviders = [];
+
+    const names = this.parseList((value || '').toLowerCase());
+    if (names.length === 0) {
+      return;
+    }
+
+    const settings = names.map(name => {
+      const prefix = `SMS_${name.toUpperCase()}_`;
+      return {
+        smsProvider: name,
+        smsApiUrl: process.env[`${prefix}API_URL`] || '',
+        smsApiKey: process.env[`${prefix}API_KEY`] || '',
+        smsSenderId: process.env[`${prefix}SENDER_ID`] || this.smsSenderId,
+        smsHttpConfigFile: this.smsHttpConfigFile
+      };
+    });
+
+    const [primary, ...fallbacks] = settings;
+    this.smsProvider = primary.smsProvider;
+    this.smsApiUrl = primary.smsApiUrl || this.smsApiUrl;
+    this.smsApiKey = primary.smsApiKey || this.smsApiKey;
+    this.smsSenderId = primary.smsSenderId;
+    this.smsFallbackProviders = fallbacks;
+  }
+
+  /**
+   * Load custom event types from the event types file, if configured
+   * Load errors are kept and reported by validate()
+   */
+  loadEventTypes() {
+    this.eventTypes = [];
+    this.eventTypesError = null;
+
+    if (!this.eventTypesFile || !this.validateFilePath(this.eventTypesFile)) {
+      return;
+    }
+
+    try {
+      this.eventTypes = EventType.loadFromFile(this.eventTypesFile);
+      this.eventTypes.forEach(eventType => {
+        eventType.recipients = eventType.recipients.map(recipient => this.normaliseMobileNumber(recipient) || recipient);
+      });
+    } catch (error) {
+      this.eventTypesError = error.message;
+    }
+  }
+
+  /**
+   * Load notification message templates from the templates file, if configured
+   * Load errors, including template syntax errors, are kept and reported by validate()
+   */
+  loadMessageTemplates() {
+    this.messageTemplates = new MessageTemplates();
+    this.messageTemplatesError = null;
+
+    if (!this.messageTemplatesFile || !this.validateFilePath(this.messageTemplatesFile)) {
+      return;
+    }
+
+    try {
+      this.messageTemplates = MessageTemplates.loadFromFile(this.messageTemplatesFile, this.defaultCountryCode);
+    } catch (error) {
+      this.messageTemplatesError = error.message;
+    }
+  }
+
+  /**
+   * Parse the languages of recipients
+   * Format: number=locale pairs separated by commas (e.g., +447700900123=en-GB,+4915112345678=de-DE)
+   * @param {string} value - The raw recipient locale configuration
+   * @returns {Object<string, string>} Locales keyed by mobile number
+   */
+  parseRecipientLocales(value) {
+    const locales = {};
+    this.parseList(value).forEach(entry => {
+      const separator = entry.lastIndexOf('=');
+      const number = separator === -1 ? entry : entry.substring(0, separator).trim();
+      locales[this.normaliseMobileNumber(number) || number.replace(/[\s-]/g, '')] = separator === -1 ? '' : entry.substring(separator + 1).trim();
+    });
+    return locales;
+  }
+
+  /**
+   * Parse header aliases for Excel columns
+   * Format: field=Alias One|Alias Two;field2=Alias (e.g., dateOfBirth=DOB|Birthday;name=Employee)
+   * @param {string} value - The raw alias configuration
+   * @returns {Object<string, string[]>} Aliases keyed by column field
+   */
+  parseColumnAliases(value) {
+    const aliases = {};
+    if (!value || typeof value !== 'string') {
+      return aliases;
+    }
+
+    value.split(';').forEach(entry => {
+      const separatorIndex = entry.indexOf('=');
+      if (separatorIndex === -1) {
+        return;
+      }
+
+      const field = entry.substring(0, separatorIndex).trim();
+      const names = entry.substring(separatorIndex + 1)
+        .split('|')
+        .map(name => name.trim())
+        .filter(name => name !== '');
+
+      if (field && names.length > 0) {
+        aliases[field] = names;
+      }
+    });
+
+    return aliases;
+  }
+
+  /**
+   * Parse a comma-separated list setting
+   * @param {string} value - The raw list setting
+   * @returns {string[]} Trimmed, non-empty list entries
+   */
+  parseList(value) {
+    if (!value || typeof value !== 'string') {
+      return [];
+    }
+    return value.split(',').map(item => item.trim()).filter(item => item !== '');
+  }
+
+  /**
+   * Parse an on/off setting
+   * @param {string} value - The raw setting (true/false, yes/no, on/off or 1/0)
+   * @returns {boolean} True if the setting is switched on, false otherwise
+   */
+  parseBoolean(value) {
+    if (!value || typeof value !== 'string') {
+      return false;
+    }
+    return ['true', 'yes', 'on', '1'].includes(value.trim().toLowerCase());
+  }
+
+  /**
+   * Parse the CSV delimiter setting
+   * Accepts the delimiter character itself or the names "tab", "comma", "semicolon" and "pipe"
+   * @param {string} value - The raw delimiter setting
+   * @returns {string} The delimiter character, or empty string for auto-detection
+   */
+  parseDelimiter(value) {
+    if (!value) {
+      return '';
+    }
+
+    const named = {
+      tab: '\t',
+      comma: ',',
+      semicolon: ';',
+      pipe: '|'
+    };
+
+    return named[value.trim().toLowerCase()] || value;
+  }
+
+  /**
+   * Normalise a mobile number to E.164
+   * National numbers (e.g., 09702661630) need DEFAULT_COUNTRY_CODE
+   * @param {string} mobileNumber - The mobile number as written
+   * @returns {string|null} The number in E.164 format (e.g., +919702661630), or null if invalid
+   */
+  normaliseMobileNumber(mobileNumber) {
+    return PhoneNumber.normalise(mobileNumber, this.defaultCountryCode);
+  }
+
   /**
    * Validate mobile number format
-   * Supports international format with + prefix and 10-15 digits
+   * Accepts international numbers (+ or 00 followed by the country code) and, with
+   * DEFAULT_COUNTRY_CODE, national numbers; lengths are checked per country where known
    * @param {string} mobileNumber - The mobile number to validate
    * @returns {boolean} True if valid, false otherwise
    */
@@ -45,14 +356,7 @@ class Configuration {
       return false;
     }
 
-    // Remove spaces and dashes for validation
-    const cleaned = mobileNumber.replace(/[\s-]/g, '');
-    
-    // Check for international format: +[country code][number]
-    // Should start with + and have 10-15 digits total
-    const mobileRegex = /^\+\d{10,15}$/;
-    
-    return mobileRegex.test(cleaned);
+    return this.normaliseMobileNumber(mobileNumber) !== null;
   }
 
   /**
@@ -102,10 +406,60 @@ class Configuration {
       errors.push(`Excel file not found at path: ${this.excelFilePath}`);
     }
 
+    if (this.csvDelimiter && this.csvDelimiter.length !== 1) {
+      errors.push('CSV delimiter must be a single character or one of: tab, comma, semicolon, pipe (CSV_DELIMITER)');
+    }
+
+    [...this.excelSheets, ...this.excelExcludeSheets]
+      .filter(selector => selector.length > 2 && selector.startsWith('/') && selector.endsWith('/'))
+      .forEach(selector => {
+        try {
+          new RegExp(selector.slice(1, -1));
+        } catch (error) {
+          errors.push(`Worksheet pattern is not a valid regular expression: ${selector} (EXCEL_SHEETS/EXCEL_EXCLUDE_SHEETS)`);
+        }
+      });
+
+    if (!DateFormat.isSupportedLocale(this.dateLocale)) {
+      errors.push(`Date locale is invalid or not supported: ${this.dateLocale} (DATE_LOCALE)`);
+    } else {
+      this.dateFormats.forEach(format => {
+        try {
+          new DateFormat(format, this.dateLocale);
+        } catch (error) {
+          errors.push(`${error.message} (DATE_FORMATS)`);
+        }
+      });
+    }
+
+    if (!AnnualDate.LEAP_DAY_POLICIES.includes(this.leapDayPolicy)) {
+      errors.push(`Leap day policy is invalid: ${this.leapDayPolicy}. Expected one of: ${AnnualDate.LEAP_DAY_POLICIES.join(', ')} (LEAP_DAY_POLICY)`);
+    }
+
+    if (this.csvEncoding) {
+      try {
+        new TextDecoder(this.csvEncoding);
+      } catch (error) {
+        errors.push(`CSV encoding is not supported: ${this.csvEncoding} (CSV_ENCODING)`);
+      }
+    }
+
+    if (this.defaultCountryCode && !PhoneNumber.normaliseCountryCode(this.defaultCountryCode)) {
+      errors.push(`Default country code is invalid: ${this.defaultCountryCode}. Expected a country calling code (e.g., 91 or +91) (DEFAULT_COUNTRY_CODE)`);
+    }
+
     if (!this.recipientMobileNumber) {
       errors.push('Recipient mobile number is required (RECIPIENT_MOBILE_NUMBER)');
-    } else if (!this.validateMobileNumber(this.recipientMobileNumber)) {
-      errors.push('Recipient mobile number format is invalid. Expected format: +[country code][number] (e.g., +1234567890)');
+    } else if (this.recipientMobileNumbers.length <= 1) {
+      if (!this.validateMobileNumber(this.recipientMobileNumber)) {
+        errors.push('Recipient mobile number format is invalid. Expected format: +[country code][number] (e.g., +1234567890)');
+      }
+    } else {
+      this.recipientMobileNumbers
+        .filter(number => !this.validateMobileNumber(number))
+        .forEach(number => {
+          errors.push(`Recipient mobile number format is invalid: ${number}. Expected format: +[country code][number] (e.g., +1234567890)`);
+        });
     }
 
     if (!this.smsApiUrl) {
@@ -120,10 +474,164 @@ class Configuration {
       errors.push('SMS sender ID is required (SMS_SENDER_ID)');
     }
 
+    if (!Configuration.SMS_PROVIDERS.includes(this.smsProvider)) {
+      errors.push(`SMS provider is invalid: ${this.smsProvider}. Expected one of: ${Configuration.SMS_PROVIDERS.join(', ')} (SMS_PROVIDER)`);
+    }
+
+    const providerNames = [this.smsProvider, ...this.smsFallbackProviders.map(fallback => fallback.smsProvider)];
+    const duplicateProviders = providerNames.filter((name, index) => providerNames.indexOf(name) !== index);
+    if (duplicateProviders.length > 0) {
+      errors.push(`SMS providers must not repeat: ${[...new Set(duplicateProviders)].join(', ')} (SMS_PROVIDERS)`);
+    }
+
+    this.smsFallbackProviders.forEach(fallback => {
+      const prefix = `SMS_${fallback.smsProvider.toUpperCase()}_`;
+      if (!Configuration.SMS_PROVIDERS.includes(fallback.smsProvider)) {
+        errors.push(`SMS provider is invalid: ${fallback.smsProvider}. Expected one of: ${Configuration.SMS_PROVIDERS.join(', ')} (SMS_PROVIDERS)`);
+        return;
+      }
+      if (!fallback.smsApiUrl) {
+        errors.push(`SMS API URL is required for fallback provider ${fallback.smsProvider} (${prefix}API_URL)`);
+      }
+      if (!fallback.smsApiKey) {
+        errors.push(`SMS API key is required for fallback provider ${fallback.smsProvider} (${prefix}API_KEY)`);
+      }
+      if (!fallback.smsSenderId) {
+        errors.push(`SMS sender ID is required for fallback provider ${fallback.smsProvider} (${prefix}SENDER_ID or SMS_SENDER_ID)`);
+      }
+    });
+
+    if (providerNames.includes('http')) {
+      if (!this.smsHttpConfigFile) {
+        errors.push('SMS gateway definition file is required when SMS_PROVIDER is http (SMS_HTTP_CONFIG)');
+      } else if (!this.validateFilePath(this.smsHttpConfigFile)) {
+        errors.push(`SMS gateway definition file not found at path: ${this.smsHttpConfigFile} (SMS_HTTP_CONFIG)`);
+      }
+    }
+
+    if (!Number.isInteger(this.smsMaxSegments) || this.smsMaxSegments < 0) {
+      errors.push('SMS maximum segments must be a whole number, or 0 for no limit (SMS_MAX_SEGMENTS)');
+    }
+
+    if (!Configuration.SEGMENT_OVERFLOW_MODES.includes(this.smsSegmentOverflow)) {
+      errors.push(`SMS segment overflow setting is invalid: ${this.smsSegmentOverflow}. Expected one of: ${Configuration.SEGMENT_OVERFLOW_MODES.join(', ')} (SMS_SEGMENT_OVERFLOW)`);
+    }
+
+    if (!Number.isInteger(this.smsRetryMaxAttempts) || this.smsRetryMaxAttempts < 1 || this.smsRetryMaxAttempts > 10) {
+      errors.push('SMS retry attempts must be a whole number from 1 to 10 (SMS_RETRY_MAX_ATTEMPTS)');
+    }
+
+    if (!Number.isInteger(this.smsRetryBaseDelayMs) || this.smsRetryBaseDelayMs < 0) {
+      errors.push('SMS retry base delay must be a whole number of milliseconds (SMS_RETRY_BASE_DELAY_MS)');
+    }
+
+    if (!Number.isInteger(this.smsRetryMaxDelayMs) || this.smsRetryMaxDelayMs < 0) {
+      errors.push('SMS retry maximum delay must be a whole number of milliseconds (SMS_RETRY_MAX_DELAY_MS)');
+    } else if (Number.isInteger(this.smsRetryBaseDelayMs) && this.smsRetryMaxDelayMs < this.smsRetryBaseDelayMs) {
+      errors.push('SMS retry maximum delay must not be less than the base delay (SMS_RETRY_MAX_DELAY_MS)');
+    }
+
+    if (!Number.isFinite(this.smsRetryJitter) || this.smsRetryJitter < 0 || this.smsRetryJitter > 1) {
+      errors.push('SMS retry jitter must be a number from 0 to 1 (SMS_RETRY_JITTER)');
+    }
+
     if (!this.validateScheduledTime(this.scheduledTime)) {
       errors.push('Scheduled time format is invalid. Expected format: HH:MM (e.g., 09:00)');
     }
 
+    if (!Configuration.WORKING_DAY_ROLLOVERS.includes(this.workingDayRollover)) {
+      errors.push(`Working day rollover is invalid: ${this.workingDayRollover}. Expected one of: ${Configuration.WORKING_DAY_ROLLOVERS.join(', ')} (WORKING_DAY_ROLLOVER)`);
+    }
+
+    const invalidWeekendDays = this.weekendDays.filter(day => !Configuration.WEEKDAYS.includes(day));
+    if (invalidWeekendDays.length > 0) {
+      errors.push(`Weekend days are invalid: ${invalidWeekendDays.join(', ')}. Expected days of the week (e.g., saturday) (WEEKEND_DAYS)`);
+    }
+
+    if (this.holidaysFile) {
+      const ext = path.extname(this.holidaysFile).toLowerCase();
+      if (!this.validateFilePath(this.holidaysFile)) {
+        errors.push(`Holidays file not found at path: ${this.holidaysFile} (HOLIDAYS_FILE)`);
+      } else if (ext !== '.ics' && ext !== '.csv') {
+        errors.push(`Holidays file must be an .ics or .csv file: ${this.holidaysFile} (HOLIDAYS_FILE)`);
+      }
+    }
+
+    if (!Configuration.WORK_ANNIVERSARY_MODES.includes(this.workAnniversaries)) {
+      errors.push(`Work anniversaries setting is invalid: ${this.workAnniversaries}. Expected one of: ${Configuration.WORK_ANNIVERSARY_MODES.join(', ')} (WORK_ANNIVERSARIES)`);
+    }
+
+    if (!Configuration.BIRTHDAY_WISH_MODES.includes(this.birthdayWishes)) {
+      errors.push(`Birthday wishes setting is invalid: ${this.birthdayWishes}. Expected one of: ${Configuration.BIRTHDAY_WISH_MODES.join(', ')} (BIRTHDAY_WISHES)`);
+    }
+
+    if (this.eventTypesFile) {
+      if (!this.validateFilePath(this.eventTypesFile)) {
+        errors.push(`Event types file not found at path: ${this.eventTypesFile} (EVENT_TYPES_FILE)`);
+      } else if (this.eventTypesError) {
+        errors.push(`${this.eventTypesError} (EVENT_TYPES_FILE)`);
+      }
+    }
+
+    this.eventTypes.forEach(eventType => {
+      eventType.recipients
+        .filter(recipient => !this.validateMobileNumber(recipient))
+        .forEach(recipient => {
+          errors.push(`Event type "${eventType.id}" recipient format is invalid: ${recipient}. Expected format: +[country code][number] (EVENT_TYPES_FILE)`);
+        });
+    });
+
+    if (this.messageTemplatesFile) {
+      if (!this.validateFilePath(this.messageTemplatesFile)) {
+        errors.push(`Message templates file not found at path: ${this.messageTemplatesFile} (MESSAGE_TEMPLATES_FILE)`);
+      } else if (this.messageTemplatesError) {
+        errors.push(`${this.messageTemplatesError} (MESSAGE_TEMPLATES_FILE)`);
+      }
+    }
+
+    if (!DateFormat.isSupportedLocale(this.messageLocale)) {
+      errors.push(`Message locale is invalid or not supported: ${this.messageLocale} (MESSAGE_LOCALE)`);
+    }
+
+    Object.entries(this.recipientLocales).forEach(([number, locale]) => {
+      if (!this.validateMobileNumber(number)) {
+        errors.push(`Recipient locale mobile number format is invalid: ${number}. Expected format: +[country code][number] (RECIPIENT_LOCALES)`);
+      } else if (!DateFormat.isSupportedLocale(locale)) {
+        errors.push(`Recipient locale is invalid or not supported for ${number}: ${locale || '(missing)'}. Expected number=locale (RECIPIENT_LOCALES)`);
+      }
+    });
+
+    const unknownEventTypeIds = this.messageTemplates.getEventTypeIds()
+      .filter(id => !this.eventTypes.some(eventType => eventType.id === id));
+    if (unknownEventTypeIds.length > 0) {
+      errors.push(`Message templates refer to unknown event type(s): ${unknownEventTypeIds.join(', ')} (MESSAGE_TEMPLATES_FILE)`);
+    }
+
+    if (this.digestEnabled) {
+      if (!Configuration.WEEKDAYS.includes(this.digestDay)) {
+        errors.push(`Digest day is invalid: ${this.digestDay}. Expected a day of the week (e.g., monday) (DIGEST_DAY)`);
+      }
+      if (!this.validateScheduledTime(this.digestTime)) {
+        errors.push('Digest time format is invalid. Expected format: HH:MM (e.g., 08:00) (DIGEST_TIME)');
+      }
+      if (!Number.isInteger(this.digestDays) || this.digestDays < 1 || this.digestDays > 366) {
+        errors.push('Digest days must be a whole number from 1 to 366 (DIGEST_DAYS)');
+      }
+    }
+
+    if (!Number.isInteger(this.catchUpMaxDays) || this.catchUpMaxDays < 0 || this.catchUpMaxDays > 366) {
+      errors.push('Catch-up maximum days must be a whole number from 0 to 366, or 0 for no catch-up (CATCH_UP_MAX_DAYS)');
+    }
+
+    if (this.smsOutboxFile) {
+      if (!Number.isInteger(this.smsOutboxMaxAttempts) || this.smsOutboxMaxAttempts < 1 || this.smsOutboxMaxAttempts > 20) {
+        errors.push('SMS outbox maximum attempts must be a whole number from 1 to 20 (SMS_OUTBOX_MAX_ATTEMPTS)');
+      }
+      if (!Number.isInteger(this.smsOutboxRetryMinutes) || this.smsOutboxRetryMinutes < 1) {
+        errors.push('SMS outbox retry delay must be a whole number of minutes, at least 1 (SMS_OUTBOX_RETRY_MINUTES)');
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors: errors
@@ -139,12 +647,62 @@ class Configuration {
     return {
       excelFilePath: this.excelFilePath,
       recipientMobileNumber: this.maskMobileNumber(this.recipientMobileNumber),
+      recipientMobileNumbers: this.recipientMobileNumbers.map(number => this.maskMobileNumber(number)),
+      defaultCountryCode: this.defaultCountryCode,
       smsApiUrl: this.smsApiUrl,
       smsApiKey: this.maskApiKey(this.smsApiKey),
       smsSenderId: this.smsSenderId,
+      smsProvider: this.smsProvider,
+      smsHttpConfigFile: this.smsHttpConfigFile,
+      smsFallbackProviders: this.smsFallbackProviders.map(fallback => ({
+        smsProvider: fallback.smsProvider,
+        smsApiUrl: fallback.smsApiUrl,
+        smsApiKey: this.maskApiKey(fallback.smsApiKey),
+        smsSenderId: fallback.smsSenderId
+      })),
+      smsMaxSegments: this.smsMaxSegments,
+      smsSegmentOverflow: this.smsSegmentOverflow,
+      smsRetryMaxAttempts: this.smsRetryMaxAttempts,
+      smsRetryBaseDelayMs: this.smsRetryBaseDelayMs,
+      smsRetryMaxDelayMs: this.smsRetryMaxDelayMs,
+      smsRetryJitter: this.smsRetryJitter,
       scheduledTime: this.scheduledTime,
       logLevel: this.logLevel,
-      logFilePath: this.logFilePath
+      logFilePath: this.logFilePath,
+      columnAliases: this.columnAliases,
+      csvDelimiter: this.csvDelimiter,
+      csvEncoding: this.csvEncoding,
+      excelSheets: this.excelSheets,
+      excelExcludeSheets: this.excelExcludeSheets,
+      dateFormats: this.dateFormats,
+      dateLocale: this.dateLocale,
+      leapDayPolicy: this.leapDayPolicy,
+      digestEnabled: this.digestEnabled,
+      digestDay: this.digestDay,
+      digestTime: this.digestTime,
+      digestDays: this.digestDays,
+      workingDayRollover: this.workingDayRollover,
+      weekendDays: this.weekendDays,
+      holidaysFile: this.holidaysFile,
+      workAnniversaries: this.workAnniversaries,
+      birthdayWishes: this.birthdayWishes,
+      eventTypesFile: this.eventTypesFile,
+      eventTypes: this.eventTypes.map(eventType => ({
+        id: eventType.id,
+        recurrence: eventType.recurrence,
+        recipients: eventType.recipients.map(recipient => this.maskMobileNumber(recipient))
+      })),
+      messageTemplatesFile: this.messageTemplatesFile,
+      messageLocale: this.messageLocale,
+      recipientLocales: Object.fromEntries(
+        Object.entries(this.recipientLocales).map(([number, locale]) => [this.maskMobileNumber(number), locale])
+      ),
+      notificationLedgerFile: this.notificationLedgerFile,
+      schedulerStateFile: this.schedulerStateFile,
+      catchUpMaxDays: this.catchUpMaxDays,
+      smsOutboxFile: this.smsOutboxFile,
+      smsOutboxMaxAttempts: this.smsOutboxMaxAttempts,
+      smsOutboxRetryMinutes: this.smsOutboxRetryMinutes
     };
   }
 
@@ -0,0 +1,249 @@
+import fs from 'fs';
+import path from 'path';
+import AnnualDate from '../utils/AnnualDate.js';
+import MessageTemplate from '../utils/MessageTemplate.js';
+import MessageTemplates from './MessageTemplates.js';
+
+/**
+ * EventType model class
+ * Describes a dated event tracked for associates, such as a birthday, a wedding
+ * anniversary or a certification renewal, and how it is announced
+ */
+class EventType {
+  /**
+   * Supported recurrences
+   * yearly: repeats on the same month and day every year
+   * once: happens on the exact date only
+   */
+  static RECURRENCES = ['yearly', 'once'];
+
+  /**
+   * Placeholders available in event line templates
+   */
+  static TEMPLATE_PLACEHOLDERS = ['name', 'years', 'when', 'date', 'label'];
+
+  /**
+   * Create an EventType instance
+   * @param {Object} definition - Event type definition
+   * @param {string} definition.id - Unique identifier, also used as the roster column field
+   * @param {string} definition.label - Heading used in notifications
+   * @param {string} definition.field - Associate property holding the date; custom events are stored in associate.events
+   * @param {string[]} definition.headers - Roster column headers holding the date
+   * @param {string} definition.recurrence - yearly or once
+   * @param {string} definition.template - Line template, e.g. "{{name}} – {{years}} years {{when}}"
+   * @param {string[]} definition.recipients - Mobile numbers to notify; the default recipient when empty
+   * @param {boolean} definition.skipFirstOccurrence - True if the original date itself is not announced (yearly only)
+   */
+  constructor(definition) {
+    this.id = definition.id;
+    this.label = definition.label || definition.id;
+    this.field = definition.field || null;
+    this.headers = definition.headers || [];
+    this.recurrence = definition.recurrence || 'yearly';
+    this.template = new MessageTemplate(definition.template ||
+      (this.recurrence === 'yearly' ? '{{name}} – {{years}} years {{when}}' : '{{name}} ({{when}})'), `${this.id} line`);
+    this.recipients = definition.recipients || [];
+    this.skipFirstOccurrence = definition.skipFirstOccurrence === true;
+  }
+
+  /**
+   * Built-in birthday event, read from the Date of Birth column
+   */
+  static BIRTHDAY = new EventType({
+    id: 'birthday',
+    label: 'Birthdays',
+    field: 'dateOfBirth',
+    recurrence: 'yearly',
+    template: '{{name}}'
+  });
+
+  /**
+   * Built-in work anniversary event, read from the Date of Joining column
+   */
+  static WORK_ANNIVERSARY = new EventType({
+    id: 'workAnniversary',
+    label: 'Work anniversaries',
+    field: 'dateOfJoining',
+    recurrence: 'yearly',
+    skipFirstOccurrence: true
+  });
+
+  /**
+   * Built-in event types
+   */
+  static BUILT_IN = [EventType.BIRTHDAY, EventType.WORK_ANNIVERSARY];
+
+  /**
+   * Get the date of this event for an associate
+   * @param {Associate} associate - The associate
+   * @returns {Date|null} The event date, or null if the associate has none
+   */
+  getDate(associate) {
+    if (!associate) {
+      return null;
+    }
+    const date = this.field ? associate[this.field] : (associate.events || {})[this.id];
+    return date instanceof Date ? date : null;
+  }
+
+  /**
+   * Check whether the event occurs for an associate on a date
+   * @param {Associate} associate - The associate
+   * @param {Date} date - The date to check
+   * @param {string} leapDayPolicy - Policy for 29 February dates in non-leap years (feb28, mar1 or skip)
+   * @returns {boolean} True if the event occurs on the date, false otherwise
+   */
+  occursOn(associate, date, leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY) {
+    const eventDate = this.getDate(associate);
+    if (!eventDate) {
+      return false;
+    }
+
+    if (this.recurrence === 'once') {
+      return eventDate.getFullYear() === date.getFullYear() &&
+        eventDate.getMonth() === date.getMonth() &&
+        eventDate.getDate() === date.getDate();
+    }
+
+    if (this.skipFirstOccurrence && date.getFullYear() <= eventDate.getFullYear()) {
+      return false;
+    }
+
+    return AnnualDate.isObservedOn(eventDate, date, leapDayPolicy);
+  }
+
+  /**
+   * Get the number of years since the original event date
+   * @param {Associate} associate - The associate
+   * @param {Date} date - The date the event occurs on
+   * @returns {number|null} Years since the original date, or null for one-off events
+   */
+  getYears(associate, date) {
+    const eventDate = this.getDate(associate);
+    if (!eventDate || this.recurrence !== 'yearly') {
+      return null;
+    }
+    return date.getFullYear() - eventDate.getFullYear();
+  }
+
+  /**
+   * Render the message line for an occurrence of this event
+   * @param {EventOccurrence} occurrence - The occurrence (associate, date, years, rolledOver)
+   * @param {function(Date): string} formatDay - Formats a date as a short day label
+   * @param {string} when - Phrase saying when the occurrence happens, in the message's language
+   *   (default: the built-in when template)
+   * @returns {string} Rendered line
+   */
+  formatLine(occurrence, formatDay, when = null) {
+    return this.template.render({
+      name: occurrence.associate.name,
+      years: occurrence.years ?? null,
+      when: when ?? MessageTemplates.DEFAULT_TEMPLATES.when.render({
+        today: !occurrence.rolledOver,
+        date: formatDay(occurrence.date)
+      }),
+      date: formatDay(occurrence.date),
+      label: this.label
+    });
+  }
+
+  /**
+   * Create a custom event type from a configuration definition
+   * @param {Object} definition - Raw definition from the event types file
+   * @returns {EventType} The event type
+   * @throws {Error} If the definition is invalid
+   */
+  static fromDefinition(definition) {
+    const errors = [];
+    const id = definition && typeof definition.id === 'string' ? definition.id.trim() : '';
+
+    if (!id || !/^[A-Za-z][A-Za-z0-9_]*$/.test(id)) {
+      errors.push('id is required and may contain only letters, digits and underscores');
+    } else if (EventType.BUILT_IN.some(type => type.id === id)) {
+      errors.push(`id "${id}" is reserved for a built-in event type`);
+    }
+
+    const headers = definition && definition.headers;
+    if (!Array.isArray(headers) || headers.length === 0 || !headers.every(header => typeof header === 'string' && header.trim() !== '')) {
+      errors.push('headers must be a non-empty list of column headers');
+    }
+
+    const recurrence = (definition && definition.recurrence) || 'yearly';
+    if (!EventType.RECURRENCES.includes(recurrence)) {
+      errors.push(`recurrence must be one of: ${EventType.RECURRENCES.join(', ')}`);
+    }
+
+    if (definition && definition.template !== undefined) {
+      if (typeof definition.template !== 'string' || definition.template.trim() === '') {
+        errors.push('template must be a non-empty string');
+      } else {
+        const singleBraced = [...definition.template.matchAll(/(?<!\{)\{(\w+)\}(?!\})/g)].map(match => match[1]);
+        if (singleBraced.length > 0) {
+          errors.push(`template placeholders are written in double braces: ${singleBraced.map(key => `{{${key}}}`).join(', ')}`);
+        }
+        try {
+          const unknown = new MessageTemplate(definition.template, `${id} line`).getVariables()
+            .filter(key => !EventType.TEMPLATE_PLACEHOLDERS.includes(key));
+          if (unknown.length > 0) {
+            errors.push(`template uses unknown placeholder(s): ${unknown.join(', ')}. Available: ${EventType.TEMPLATE_PLACEHOLDERS.join(', ')}`);
+          }
+        } catch (error) {
+          errors.push(error.message);
+        }
+      }
+    }
+
+    const recipients = definition && definition.recipients;
+    if (recipients !== undefined && (!Array.isArray(recipients) || !recipients.every(recipient => typeof recipient === 'string'))) {
+      errors.push('recipients must be a list of mobile numbers');
+    }
+
+    if (errors.length > 0) {
+      throw new Error(`Invalid event type "${id || '(missing id)'}":\n` + errors.map(err => `  - ${err}`).join('\n'));
+    }
+
+    return new EventType({
+      id,
+      label: definition.label,
+      headers: headers.map(header => header.trim()),
+      recurrence,
+      template: definition.template,
+      recipients: recipients || []
+    });
+  }
+
+  /**
+   * Load custom event types from a JSON file
+   * The file holds a list of definitions, or an object with an "eventTypes" list
+   * @param {string} filePath - Path to the JSON file
+   * @returns {EventType[]} The event types
+   * @throws {Error} If the file cannot be read or any definition is invalid
+   */
+  static loadFromFile(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    let content;
+
+    try {
+      content = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read event types file ${resolvedPath}: ${error.message}`);
+    }
+
+    const definitions = Array.isArray(content) ? content : content && content.eventTypes;
+    if (!Array.isArray(definitions)) {
+      throw new Error(`Event types file ${resolvedPath} must contain a list of event types`);
+    }
+
+    const eventTypes = definitions.map(definition => EventType.fromDefinition(definition));
+
+    const ids = eventTypes.map(type => type.id);
+    const duplicates = ids.filter((id, index) => ids.indexOf(id) !== index);
+    if (duplicates.length > 0) {
+      throw new Error(`Duplicate event type id(s) in ${resolvedPath}: ${[...new Set(duplicates)].join(', ')}`);
+    }
+
+    return eventTypes;
+  }
+}
+
+export default EventType;
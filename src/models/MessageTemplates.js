@@ -0,0 +1,337 @@
+import fs from 'fs';
+import path from 'path';
+import MessageTemplate from '../utils/MessageTemplate.js';
+import PhoneNumber from '../utils/PhoneNumber.js';
+
+/**
+ * MessageTemplates model class
+ * Holds the templates used to word each kind of notification, with overrides per
+ * custom event type, per language and per recipient
+ */
+class MessageTemplates {
+  /**
+   * Kinds of notification that can be templated
+   * birthday: the birthday SMS to the recipients
+   * anniversary: work anniversaries sent without birthdays
+   * digest: the upcoming birthdays digest
+   * wish: the birthday wish sent to an associate's own mobile number
+   * event: custom event notifications
+   * when: the phrase saying when an anniversary or event happens (today, or on a named day)
+   */
+  static KINDS = ['birthday', 'anniversary', 'digest', 'wish', 'event', 'when'];
+
+  /**
+   * Values available for each associate
+   */
+  static ASSOCIATE_VALUES = ['name', 'firstName', 'lastName', 'age', 'department', 'employeeId'];
+
+  /**
+   * Values available in each kind of template, including the values of the items in its lists
+   */
+  static VALUES = {
+    birthday: ['associates', 'rolledOver', 'anniversaries', 'count', 'date', 'belated', 'years', 'when', ...MessageTemplates.ASSOCIATE_VALUES],
+    anniversary: ['anniversaries', 'count', 'date', 'belated', 'years', 'when', ...MessageTemplates.ASSOCIATE_VALUES],
+    digest: ['upcoming', 'associates', 'days', 'count', 'date', ...MessageTemplates.ASSOCIATE_VALUES],
+    wish: ['date', 'belated', ...MessageTemplates.ASSOCIATE_VALUES],
+    event: ['occurrences', 'label', 'count', 'date', 'belated', 'years', 'when', 'line', ...MessageTemplates.ASSOCIATE_VALUES],
+    when: ['today', 'date']
+  };
+
+  /**
+   * Built-in templates, matching the standard notification wording
+   * Notifications sent late by a catch-up check (belated) name the day instead of saying today
+   */
+  static DEFAULTS = {
+    birthday: [
+      '{{#if belated}}Belated {{/if}}Birthday Alert! {{#if associates}}{{#if belated}}Birthdays on {{date}}:{{else}}Today\'s birthdays:{{/if}}',
+      '{{#each associates}}',
+      '- {{name}}',
+      '{{/each}}',
+      '{{/if}}',
+      '{{#if rolledOver}}',
+      'Weekend and holiday birthdays:',
+      '{{#each rolledOver}}',
+      '- {{date}}: {{#each associates}}{{name}}{{#unless @last}}, {{/unless}}{{/each}}',
+      '{{/each}}',
+      '{{/if}}',
+      '{{#if anniversaries}}',
+      'Work anniversaries:',
+      '{{#each anniversaries}}',
+      '- {{name}} – {{years}} {{#if years == 1}}year{{else}}years{{/if}} {{when}}',
+      '{{/each}}',
+      '{{/if}}'
+    ].join('\n'),
+    anniversary: [
+      '{{#if belated}}Belated {{/if}}Work Anniversary Alert!',
+      '{{#each anniversaries}}',
+      '- {{name}} – {{years}} {{#if years == 1}}year{{else}}years{{/if}} {{when}}',
+      '{{/each}}'
+    ].join('\n'),
+    digest: [
+      'Upcoming birthdays (next {{days}} days):',
+      '{{#each upcoming}}',
+      '{{date}}:',
+      '{{#each associates}}',
+      '- {{name}}',
+      '{{/each}}',
+      '{{/each}}'
+    ].join('\n'),
+    wish: '{{#if belated}}Belated happy birthday{{else}}Happy Birthday{{/if}}, {{#if firstName}}{{firstName}}{{else}}{{name}}{{/if}}! ' +
+      '{{#if belated}}Sorry we missed your day, we hope it was a wonderful one.{{else}}Wishing you a wonderful year ahead.{{/if}}',
+    event: [
+      '{{label}}{{#if belated}} (belated){{/if}}:',
+      '{{#each occurrences}}',
+      '- {{line}}',
+      '{{/each}}'
+    ].join('\n'),
+    when: '{{#if today}}today{{else}}on {{date}}{{/if}}'
+  };
+
+  /**
+   * Compiled built-in templates
+   */
+  static DEFAULT_TEMPLATES = Object.fromEntries(
+    Object.entries(MessageTemplates.DEFAULTS).map(([kind, source]) => [kind, new MessageTemplate(source, kind)])
+  );
+
+  /**
+   * Create a MessageTemplates instance
+   * @param {Object} options - Compiled templates
+   * @param {Object<string, MessageTemplate>} options.templates - Templates by kind
+   * @param {Object<string, MessageTemplate>} options.events - Templates by custom event type id
+   * @param {Object<string, {templates: Object, events: Object}>} options.locales - Translations by lower-case locale
+   * @param {Object<string, {templates: Object, events: Object}>} options.recipients - Overrides by mobile number
+   * @param {string} options.defaultCountryCode - Country code of recipients written as national numbers
+   */
+  constructor(options = {}) {
+    this.templates = options.templates || {};
+    this.events = options.events || {};
+    this.locales = options.locales || {};
+    this.recipients = options.recipients || {};
+    this.defaultCountryCode = options.defaultCountryCode || '';
+  }
+
+  /**
+   * Select the template for a notification and the locale to format its dates in
+   * A recipient's own templates win, then the translation for the requested locale or its
+   * language (de-DE, then de), then the translation for the default locale, then the shared
+   * templates and finally the built-in wording. Within each, an event type's template wins
+   * over the general event template
+   * @param {string} kind - Kind of notification (see KINDS)
+   * @param {Object} options - Selection options
+   * @param {string} options.recipient - Mobile number the message is for
+   * @param {string} options.eventTypeId - Custom event type id (event kind only)
+   * @param {string} options.locale - Locale the message should be written in
+   * @param {string} options.defaultLocale - Locale used when there is no translation for the requested one
+   * @returns {{template: MessageTemplate, locale: string}} The template, and the requested locale
+   *   if it was matched or the default locale otherwise
+   */
+  select(kind, options = {}) {
+    const eventTypeId = kind === 'event' ? options.eventTypeId : null;
+    const pick = section => (section ? (eventTypeId && section.events[eventTypeId]) || section.templates[kind] : null);
+    const requested = options.locale || options.defaultLocale;
+
+    const overridden = pick(options.recipient ? this.recipients[MessageTemplates.normaliseRecipient(options.recipient, this.defaultCountryCode)] : null);
+    if (overridden) {
+      return { template: overridden, locale: requested };
+    }
+
+    for (const locale of [options.locale, options.defaultLocale]) {
+      const translated = MessageTemplates.getLocaleFallbacks(locale)
+        .map(candidate => pick(this.locales[candidate]))
+        .find(Boolean);
+      if (translated) {
+        return { template: translated, locale };
+      }
+    }
+
+    return {
+      template: pick(this) || MessageTemplates.DEFAULT_TEMPLATES[kind],
+      locale: options.defaultLocale
+    };
+  }
+
+  /**
+   * Get the template for a notification
+   * @param {string} kind - Kind of notification (see KINDS)
+   * @param {Object} options - Selection options (see select)
+   * @returns {MessageTemplate} The template
+   */
+  get(kind, options = {}) {
+    return this.select(kind, options).template;
+  }
+
+  /**
+   * Get the custom event type ids that have their own templates
+   * @returns {string[]} Event type ids
+   */
+  getEventTypeIds() {
+    const ids = new Set(Object.keys(this.events));
+    [...Object.values(this.locales), ...Object.values(this.recipients)].forEach(section => {
+      Object.keys(section.events).forEach(id => ids.add(id));
+    });
+    return [...ids];
+  }
+
+  /**
+   * Get the translation keys to try for a locale, most specific first
+   * @param {string} locale - BCP 47 locale (e.g., de-DE)
+   * @returns {string[]} Lower-case locales (e.g., de-de, de)
+   */
+  static getLocaleFallbacks(locale) {
+    if (!locale) {
+      return [];
+    }
+    const parts = locale.toLowerCase().split('-');
+    return parts.map((part, index) => parts.slice(0, parts.length - index).join('-'));
+  }
+
+  /**
+   * Normalise a mobile number for matching recipient overrides
+   * @param {string} recipient - Mobile number
+   * @param {string} defaultCountryCode - Country code for national numbers (e.g., 91)
+   * @returns {string} Mobile number in E.164 format, or without spaces or dashes if it is not
+   *   a valid number
+   */
+  static normaliseRecipient(recipient, defaultCountryCode = '') {
+    return PhoneNumber.normalise(recipient, defaultCountryCode) || String(recipient).replace(/[\s-]/g, '');
+  }
+
+  /**
+   * Create message templates from a configuration definition
+   * Each template is given as text, or as {"file": "path"} relative to baseDir
+   * @param {Object} definition - Templates by kind, with optional "events", "locales" and "recipients" sections
+   * @param {string} baseDir - Directory template files are resolved against
+   * @param {string} defaultCountryCode - Country code of recipients written as national numbers
+   * @returns {MessageTemplates} The message templates
+   * @throws {Error} If any template is missing, unreadable or invalid
+   */
+  static fromDefinition(definition, baseDir = process.cwd(), defaultCountryCode = '') {
+    const errors = [];
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+    const compile = (value, kind, name) => {
+      let source = value;
+      if (isObject(value) && typeof value.file === 'string') {
+        const filePath = path.resolve(baseDir, value.file);
+        try {
+          source = fs.readFileSync(filePath, 'utf8');
+        } catch (error) {
+          errors.push(`${name}: cannot read template file ${filePath}: ${error.message}`);
+          return null;
+        }
+      }
+
+      if (typeof source !== 'string' || source.trim() === '') {
+        errors.push(`${name}: template must be non-empty text or {"file": "path"}`);
+        return null;
+      }
+
+      try {
+        const template = new MessageTemplate(source, name);
+        const unknown = template.getVariables().filter(variable => !MessageTemplates.VALUES[kind].includes(variable));
+        if (unknown.length > 0) {
+          errors.push(`${name}: unknown placeholder(s): ${unknown.join(', ')}. Available: ${MessageTemplates.VALUES[kind].join(', ')}`);
+        }
+        return template;
+      } catch (error) {
+        errors.push(error.message);
+        return null;
+      }
+    };
+
+    const compileSection = (section, prefix) => {
+      const templates = {};
+      const events = {};
+
+      Object.entries(section).forEach(([key, value]) => {
+        if (key === 'events') {
+          if (!isObject(value)) {
+            errors.push(`${prefix}events must map event type ids to templates`);
+            return;
+          }
+          Object.entries(value).forEach(([id, eventTemplate]) => {
+            events[id] = compile(eventTemplate, 'event', `${prefix}events.${id}`);
+          });
+        } else if (MessageTemplates.KINDS.includes(key)) {
+          templates[key] = compile(value, key, `${prefix}${key}`);
+        } else if (!(['recipients', 'locales'].includes(key) && prefix === '')) {
+          errors.push(`${prefix}${key}: unknown template. Expected one of: ${MessageTemplates.KINDS.join(', ')}, events`);
+        }
+      });
+
+      return { templates, events };
+    };
+
+    if (!isObject(definition)) {
+      throw new Error('Invalid message templates: expected an object of templates by kind');
+    }
+
+    const shared = compileSection(definition, '');
+    const locales = {};
+    if (definition.locales !== undefined) {
+      if (!isObject(definition.locales)) {
+        errors.push('locales must map locales to templates');
+      } else {
+        Object.entries(definition.locales).forEach(([locale, section]) => {
+          let canonical = null;
+          try {
+            canonical = Intl.getCanonicalLocales(locale)[0];
+          } catch (error) {
+            errors.push(`locales.${locale}: invalid locale. Expected a language tag such as de or de-DE`);
+            return;
+          }
+          if (!isObject(section)) {
+            errors.push(`locales.${locale} must be an object of templates by kind`);
+            return;
+          }
+          locales[canonical.toLowerCase()] = compileSection(section, `locales.${locale}.`);
+        });
+      }
+    }
+
+    const recipients = {};
+    if (definition.recipients !== undefined) {
+      if (!isObject(definition.recipients)) {
+        errors.push('recipients must map mobile numbers to templates');
+      } else {
+        Object.entries(definition.recipients).forEach(([recipient, section]) => {
+          if (!isObject(section)) {
+            errors.push(`recipients.${recipient} must be an object of templates by kind`);
+            return;
+          }
+          recipients[MessageTemplates.normaliseRecipient(recipient, defaultCountryCode)] = compileSection(section, `recipients.${recipient}.`);
+        });
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new Error('Invalid message templates:\n' + errors.map(err => `  - ${err}`).join('\n'));
+    }
+
+    return new MessageTemplates({ templates: shared.templates, events: shared.events, locales, recipients, defaultCountryCode });
+  }
+
+  /**
+   * Load message templates from a JSON file
+   * Template files named in it are resolved relative to the JSON file
+   * @param {string} filePath - Path to the JSON file
+   * @param {string} defaultCountryCode - Country code of recipients written as national numbers
+   * @returns {MessageTemplates} The message templates
+   * @throws {Error} If the file cannot be read or any template is invalid
+   */
+  static loadFromFile(filePath, defaultCountryCode = '') {
+    const resolvedPath = path.resolve(filePath);
+    let content;
+
+    try {
+      content = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read message templates file ${resolvedPath}: ${error.message}`);
+    }
+
+    return MessageTemplates.fromDefinition(content, path.dirname(resolvedPath), defaultCountryCode);
+  }
+}
+
+export default MessageTemplates;
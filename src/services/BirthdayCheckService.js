@@ -2,6 +2,10 @@ import Configuration from '../models/Configuration.js';
 import ExcelParser from './ExcelParser.js';
 import DateMatcher from './DateMatcher.js';
 import SMSService from './SMSService.js';
+import WorkingDayCalendar from './WorkingDayCalendar.js';
+import NotificationLedger from './NotificationLedger.js';
+import SMSOutbox from './SMSOutbox.js';
+import EventType from '../models/EventType.js';
 
 /**
  * Birthday Check Service orchestrator
@@ -11,13 +15,20 @@ class BirthdayCheckService {
   /**
    * Create a Birthday Check Service instance
    * @param {Object} logger - Optional logger instance for logging operations
+   * @param {Object} options - Service options
+   * @param {function(): Date} options.clock - Returns the current date and time, deciding which day
+   *   a check is for (default: system local time)
    */
-  constructor(logger = null) {
+  constructor(logger = null, options = {}) {
     this.logger = logger;
+    this.clock = options.clock || (() => new Date());
     this.config = null;
     this.excelParser = null;
     this.dateMatcher = null;
     this.smsService = null;
+    this.workingDayCalendar = null;
+    this.ledger = null;
+    this.outbox = null;
   }
 
   /**
@@ -56,14 +67,61 @@ class BirthdayCheckService {
       this.log('INFO', 'Configuration loaded and validated successfully');
 
       // Initialize components
-      this.excelParser = new ExcelParser(this.logger);
-      this.dateMatcher = new DateMatcher();
+      this.excelParser = new ExcelParser(this.logger, {
+        columnAliases: this.config.columnAliases,
+        csvDelimiter: this.config.csvDelimiter,
+        csvEncoding: this.config.csvEncoding,
+        sheets: this.config.excelSheets,
+        excludeSheets: this.config.excelExcludeSheets,
+        dateFormats: this.config.dateFormats,
+        dateLocale: this.config.dateLocale,
+        eventTypes: this.config.eventTypes
+      });
+      this.dateMatcher = new DateMatcher({ leapDayPolicy: this.config.leapDayPolicy, clock: this.clock });
+      this.outbox = null;
+      if (this.config.smsOutboxFile) {
+        this.outbox = new SMSOutbox(this.logger, {
+          filePath: this.config.smsOutboxFile,
+          maxAttempts: this.config.smsOutboxMaxAttempts,
+          retryDelayMinutes: this.config.smsOutboxRetryMinutes
+        });
+        const waiting = (await this.outbox.list()).filter(message => message.state !== 'sent');
+        this.log('INFO', `SMS outbox at ${this.outbox.filePath} has ${waiting.length} message(s) waiting`);
+      }
       this.smsService = new SMSService({
         smsApiUrl: this.config.smsApiUrl,
         smsApiKey: this.config.smsApiKey,
         smsSenderId: this.config.smsSenderId,
-        recipientMobileNumber: this.config.recipientMobileNumber
+        smsProvider: this.config.smsProvider,
+        smsHttpConfigFile: this.config.smsHttpConfigFile,
+        smsFallbackProviders: this.config.smsFallbackProviders,
+        smsMaxSegments: this.config.smsMaxSegments,
+        smsSegmentOverflow: this.config.smsSegmentOverflow,
+        smsRetryMaxAttempts: this.config.smsRetryMaxAttempts,
+        smsRetryBaseDelayMs: this.config.smsRetryBaseDelayMs,
+        smsRetryMaxDelayMs: this.config.smsRetryMaxDelayMs,
+        smsRetryJitter: this.config.smsRetryJitter,
+        recipientMobileNumber: this.config.recipientMobileNumber,
+        recipientMobileNumbers: this.config.recipientMobileNumbers,
+        messageTemplates: this.config.messageTemplates,
+        messageLocale: this.config.messageLocale,
+        defaultCountryCode: this.config.defaultCountryCode,
+        recipientLocales: this.config.recipientLocales,
+        outbox: this.outbox,
+        clock: this.clock,
+        leapDayPolicy: this.config.leapDayPolicy
       });
+      this.workingDayCalendar = new WorkingDayCalendar(this.logger, {
+        weekendDays: this.config.weekendDays
+      });
+      if (this.config.holidaysFile) {
+        await this.workingDayCalendar.loadHolidays(this.config.holidaysFile);
+      }
+      this.ledger = null;
+      if (this.config.notificationLedgerFile) {
+        this.ledger = new NotificationLedger(this.logger, { filePath: this.config.notificationLedgerFile });
+        await this.ledger.load();
+      }
 
       this.log('INFO', 'All components initialized successfully');
     } catch (error) {
@@ -74,22 +132,86 @@ class BirthdayCheckService {
 
   /**
    * Perform the daily birthday check
-   * Orchestrates all components to check for birthdays and send notifications
+   * Orchestrates all components to check for birthdays and send notifications. With a
+   * notification ledger, recipients are not sent what they have already been sent
+   * @param {Object} options - Check options
+   * @param {boolean} options.force - Send notifications again even if the ledger shows them as sent
+   * @param {Date} options.date - Day to check, with notifications dated that day (default: today by the clock)
+   * @param {boolean} options.belated - Word notifications as belated, for a check of a day that was missed
+   * @param {boolean} options.dryRun - Render every message with its recipients and size, and log and
+   *   return them in preview, without sending them or recording them in the ledger
    * @returns {Promise<CheckResult>} Result of the birthday check operation
    */
-  async performDailyCheck() {
+  async performDailyCheck(options = {}) {
+    const force = options.force === true;
+    const dryRun = options.dryRun === true;
+    const today = options.date || this.clock();
+    const dayLabel = options.date ? today.toDateString() : 'today';
+    // Messages are dated explicitly unless this is a plain check of today
+    const dated = Boolean(options.date) || options.belated === true || dryRun;
+    const messageOptions = {
+      ...(dated ? { date: today } : {}),
+      ...(options.belated === true ? { belated: true } : {}),
+      ...(dryRun ? { dryRun: true } : {})
+    };
+    const preview = [];
     const errors = [];
     let associates = [];
+    let birthdayOccurrences = [];
     let birthdaysFound = [];
+    let rolledOverBirthdays = [];
+    let anniversariesFound = [];
+    let eventsFound = [];
     let notificationSent = false;
+    let deliveryStatus = 'not-sent';
+    let deliveries = [];
+    let anniversaryNotificationSent = false;
+    let birthdayWishes = [];
+    // Every path returns the same shape, with what the check got to
+    const checkResult = () => ({
+      totalAssociatesChecked: associates.length,
+      birthdaysFound: birthdaysFound,
+      rolledOverBirthdays: rolledOverBirthdays,
+      anniversariesFound: anniversariesFound,
+      eventsFound: eventsFound,
+      notificationSent: notificationSent,
+      deliveryStatus: deliveryStatus,
+      deliveries: deliveries,
+      anniversaryNotificationSent: anniversaryNotificationSent,
+      birthdayWishes: birthdayWishes,
+      preview: preview,
+      errors: errors
+    });
 
     try {
       this.log('INFO', '=== Starting Daily Birthday Check ===');
+      if (force) {
+        this.log('WARN', 'Forced check: notifications already sent will be sent again');
+      }
+      if (dryRun) {
+        this.log('INFO', 'Dry run: messages are shown, not sent');
+      }
+      if (messageOptions.belated) {
+        this.log('INFO', `Catch-up check for missed day ${dayLabel}: notifications are sent as belated`);
+      }
 
       // Step 1: Ensure service is initialized
       if (!this.config) {
         await this.initialize();
       }
+      // Pick up notifications a manual run in another process has sent since the last check
+      if (this.ledger) {
+        await this.ledger.reload();
+      }
+
+      // Birthdays on non-working days are announced on a working day instead
+      const rollover = this.config.workingDayRollover;
+      if (rollover !== 'off' && !this.workingDayCalendar.isWorkingDay(today)) {
+        const day = options.date ? dayLabel : 'Today';
+        this.log('INFO', `${day} is not a working day; its birthdays are announced on the ${rollover} working day`);
+
+        return checkResult();
+      }
 
       // Step 2: Parse Excel file to load associate data
       this.log('INFO', `Loading associate data from: ${this.config.excelFilePath}`);
@@ -100,64 +222,97 @@ class BirthdayCheckService {
         const errorMsg = `Failed to parse Excel file: ${error.message}`;
         this.log('ERROR', errorMsg);
         errors.push(errorMsg);
-        
-        return {
-          totalAssociatesChecked: 0,
-          birthdaysFound: [],
-          notificationSent: false,
-          errors: errors
-        };
+
+        return checkResult();
       }
 
       // Step 3: Find associates with birthdays today
-      this.log('INFO', 'Checking for birthdays today...');
+      this.log('INFO', `Checking for birthdays ${options.date ? `on ${dayLabel}` : 'today'}...`);
       try {
-        birthdaysFound = this.dateMatcher.findBirthdaysToday(associates);
-        
+        // Birthdays are the built-in birthday event type, found like every other event
+        const rolledOverDates = this.workingDayCalendar.getRolledOverDates(today, rollover);
+        birthdayOccurrences = this.findEventOccurrences(associates, EventType.BIRTHDAY, today, rolledOverDates);
+        birthdaysFound = birthdayOccurrences.filter(occurrence => !occurrence.rolledOver).map(occurrence => occurrence.associate);
+        rolledOverBirthdays = this.groupByDate(birthdayOccurrences.filter(occurrence => occurrence.rolledOver));
+
         if (birthdaysFound.length > 0) {
-          this.log('INFO', `Found ${birthdaysFound.length} birthday(s) today:`);
+          this.log('INFO', `Found ${birthdaysFound.length} birthday(s) ${options.date ? `on ${dayLabel}` : 'today'}:`);
           birthdaysFound.forEach(associate => {
             this.log('INFO', `  - ${associate.name}`);
           });
         } else {
-          this.log('INFO', 'No birthdays found today');
+          this.log('INFO', `No birthdays found ${options.date ? `on ${dayLabel}` : 'today'}`);
+        }
+
+        rolledOverBirthdays.forEach(day => {
+          this.log('INFO', `Including birthday(s) from non-working day ${day.date.toDateString()}: ${day.associates.map(associate => associate.name).join(', ')}`);
+        });
+
+        if (this.config.workAnniversaries !== 'off') {
+          anniversariesFound = this.findEventOccurrences(associates, EventType.WORK_ANNIVERSARY, today, rolledOverDates);
+          if (anniversariesFound.length > 0) {
+            this.log('INFO', `Found ${anniversariesFound.length} work anniversary(ies):`);
+            anniversariesFound.forEach(anniversary => {
+              this.log('INFO', `  - ${anniversary.associate.name}: ${anniversary.years} year(s) on ${anniversary.date.toDateString()}`);
+            });
+          }
         }
+
+        this.config.eventTypes.forEach(eventType => {
+          const occurrences = this.findEventOccurrences(associates, eventType, today, rolledOverDates);
+          if (occurrences.length > 0) {
+            eventsFound.push({ eventType, occurrences, notificationSent: false });
+            this.log('INFO', `Found ${occurrences.length} ${eventType.label} event(s):`);
+            occurrences.forEach(occurrence => {
+              this.log('INFO', `  - ${occurrence.associate.name} on ${occurrence.date.toDateString()}`);
+            });
+          }
+        });
       } catch (error) {
         const errorMsg = `Failed to match birthdays: ${error.message}`;
         this.log('ERROR', errorMsg);
         errors.push(errorMsg);
-        
-        return {
-          totalAssociatesChecked: associates.length,
-          birthdaysFound: [],
-          notificationSent: false,
-          errors: errors
-        };
+        birthdaysFound = [];
+        rolledOverBirthdays = [];
+        anniversariesFound = [];
+        eventsFound = [];
+
+        return checkResult();
       }
 
       // Step 4: Send SMS notification if birthdays found
-      if (birthdaysFound.length > 0) {
+      const combinedAnniversaries = this.config.workAnniversaries === 'combined' ? anniversariesFound : [];
+      const wishesOnly = this.config.birthdayWishes === 'only';
+      const listedBirthdays = wishesOnly ? [] : birthdayOccurrences;
+      if (listedBirthdays.length > 0 || combinedAnniversaries.length > 0) {
         this.log('INFO', 'Sending birthday notification SMS...');
         try {
-          const smsResult = await this.smsService.sendBirthdayNotification(birthdaysFound);
-          
-          if (smsResult.success) {
-            notificationSent = true;
-            const maskedNumber = this.config.maskMobileNumber(this.config.recipientMobileNumber);
-            this.log('INFO', `SMS notification sent successfully to ${maskedNumber} at ${smsResult.timestamp.toISOString()}`);
-            if (smsResult.messageId) {
-              this.log('INFO', `Message ID: ${smsResult.messageId}`);
-            }
-            if (smsResult.attempts && smsResult.attempts > 1) {
-              this.log('INFO', `Delivery succeeded after ${smsResult.attempts} attempt(s)`);
+          const entries = [
+            ...this.getLedgerEntries(listedBirthdays, EventType.BIRTHDAY.id),
+            ...this.getLedgerEntries(combinedAnniversaries, EventType.WORK_ANNIVERSARY.id)
+          ];
+          const smsResult = await this.sendUnnotified('SMS notification', this.smsService.recipients, entries,
+            { force, message: messageOptions }, errors,
+            (isPending, ...sendOptions) => {
+              const pending = listedBirthdays.filter(isPending);
+              return this.smsService.sendBirthdayNotification(
+                pending.filter(occurrence => !occurrence.rolledOver).map(occurrence => occurrence.associate),
+                this.groupByDate(pending.filter(occurrence => occurrence.rolledOver)),
+                combinedAnniversaries.filter(isPending),
+                ...sendOptions
+              );
+            });
+
+          if (smsResult) {
+            deliveries = this.getDeliveries(smsResult);
+            deliveryStatus = this.reportDelivery('SMS notification', smsResult, errors, preview);
+
+            if (this.wasSent(deliveryStatus)) {
+              notificationSent = true;
+              anniversaryNotificationSent = combinedAnniversaries.length > 0;
             }
           } else {
-            const errorMsg = `SMS notification failed: ${smsResult.error}`;
-            this.log('ERROR', errorMsg);
-            errors.push(errorMsg);
-            if (smsResult.attempts) {
-              this.log('ERROR', `Failed after ${smsResult.attempts} attempt(s)`);
-            }
+            deliveryStatus = 'already-sent';
           }
         } catch (error) {
           const errorMsg = `Failed to send SMS notification: ${error.message}`;
@@ -166,32 +321,614 @@ class BirthdayCheckService {
         }
       }
 
+      // Wish each birthday person on their own mobile number when configured
+      if (this.config.birthdayWishes !== 'off') {
+        if (birthdayOccurrences.length > 0) {
+          this.log('INFO', 'Sending birthday wishes...');
+          birthdayWishes = await this.sendBirthdayWishes(birthdayOccurrences, errors, { force, message: messageOptions, preview });
+        }
+      }
+
+      // Send work anniversaries in their own SMS when configured
+      if (this.config.workAnniversaries === 'separate' && anniversariesFound.length > 0) {
+        this.log('INFO', 'Sending work anniversary SMS...');
+        try {
+          const entries = this.getLedgerEntries(anniversariesFound, EventType.WORK_ANNIVERSARY.id);
+          const smsResult = await this.sendUnnotified('Work anniversary SMS', this.smsService.recipients, entries,
+            { force, message: messageOptions }, errors,
+            (isPending, ...sendOptions) => this.smsService.sendAnniversaryNotification(anniversariesFound.filter(isPending), ...sendOptions));
+          if (smsResult) {
+            const status = this.reportDelivery('Work anniversary SMS', smsResult, errors, preview);
+            anniversaryNotificationSent = this.wasSent(status);
+          }
+        } catch (error) {
+          const errorMsg = `Failed to send work anniversary SMS: ${error.message}`;
+          this.log('ERROR', errorMsg);
+          errors.push(errorMsg);
+        }
+      }
+
+      // Send each custom event type to its own recipients
+      for (const event of eventsFound) {
+        this.log('INFO', `Sending ${event.eventType.label} SMS...`);
+        try {
+          const label = `${event.eventType.label} SMS`;
+          const entries = this.getLedgerEntries(event.occurrences, event.eventType.id);
+          const smsResult = await this.sendUnnotified(label, this.smsService.getEventRecipients(event.eventType), entries,
+            { force, message: messageOptions }, errors,
+            (isPending, ...sendOptions) => this.smsService.sendEventNotification(event.eventType, event.occurrences.filter(isPending), ...sendOptions));
+          if (smsResult) {
+            event.deliveryStatus = this.reportDelivery(label, smsResult, errors, preview);
+            event.notificationSent = this.wasSent(event.deliveryStatus);
+          } else {
+            event.deliveryStatus = 'already-sent';
+          }
+        } catch (error) {
+          const errorMsg = `Failed to send ${event.eventType.label} SMS: ${error.message}`;
+          this.log('ERROR', errorMsg);
+          errors.push(errorMsg);
+        }
+      }
+
       // Step 5: Log summary
       this.log('INFO', '=== Daily Birthday Check Complete ===');
       this.log('INFO', `Total associates checked: ${associates.length}`);
       this.log('INFO', `Birthdays found: ${birthdaysFound.length}`);
-      this.log('INFO', `Notification sent: ${notificationSent ? 'Yes' : 'No'}`);
+      if (rolledOverBirthdays.length > 0) {
+        this.log('INFO', `Non-working day birthdays included: ${rolledOverBirthdays.reduce((count, day) => count + day.associates.length, 0)}`);
+      }
+      if (anniversariesFound.length > 0) {
+        this.log('INFO', `Work anniversaries found: ${anniversariesFound.length}`);
+      }
+      eventsFound.forEach(event => {
+        this.log('INFO', `${event.eventType.label} found: ${event.occurrences.length}`);
+      });
+      this.log('INFO', `Notification sent: ${this.describeDelivery(deliveryStatus, deliveries)}`);
+      if (birthdayWishes.length > 0) {
+        this.log('INFO', `Birthday wishes sent: ${birthdayWishes.filter(wish => wish.status === 'sent').length} of ${birthdayWishes.length}`);
+      }
       if (errors.length > 0) {
         this.log('WARN', `Errors encountered: ${errors.length}`);
       }
 
+      return checkResult();
+
+    } catch (error) {
+      // Catch any unexpected errors
+      const errorMsg = `Unexpected error during birthday check: ${error.message}`;
+      this.log('ERROR', errorMsg);
+      errors.push(errorMsg);
+
+      return checkResult();
+    }
+  }
+
+  /**
+   * Send a birthday wish to each associate's own mobile number
+   * Associates without a valid mobile number, and associates already wished according to the
+   * notification ledger or with a wish waiting in the SMS outbox, are reported and skipped
+   * @param {Array<{associate: Associate, date: Date}>} celebrants - Associates celebrating a birthday,
+   *   with the date of their birthday
+   * @param {string[]} errors - Error list failed deliveries are added to
+   * @param {Object} options - Send options
+   * @param {boolean} options.force - Send wishes again even if the ledger shows them as sent
+   * @param {Object} options.message - Message options for SMSService (date, belated, dryRun)
+   * @param {Object[]} options.preview - Preview list wishes rendered in a dry run are added to
+   * @returns {Promise<Array<{associate: Associate, status: string, error: string}>>} Outcome for each
+   *   associate; status is sent, queued (for another attempt from the SMS outbox), dry-run, failed
+   *   or skipped
+   */
+  async sendBirthdayWishes(celebrants, errors, options = {}) {
+    const message = options.message || {};
+    const queued = this.ledger && !options.force ? await this.getQueuedNotifications() : new Set();
+    const wishes = [];
+
+    for (const { associate, date } of celebrants) {
+      if (!associate.mobile) {
+        this.log('WARN', `No mobile number for "${associate.name}", birthday wish not sent`);
+        wishes.push({ associate, status: 'skipped', error: 'No mobile number' });
+        continue;
+      }
+
+      const mobileNumber = this.config.normaliseMobileNumber(associate.mobile);
+      if (!mobileNumber) {
+        this.log('WARN', `Invalid mobile number "${this.config.maskMobileNumber(associate.mobile)}" for "${associate.name}", birthday wish not sent`);
+        wishes.push({ associate, status: 'skipped', error: 'Invalid mobile number' });
+        continue;
+      }
+
+      const entry = { date, event: NotificationLedger.BIRTHDAY_WISH, associate };
+      if (this.ledger && !options.force && this.ledger.has(entry, mobileNumber)) {
+        this.log('INFO', `Birthday wish to ${associate.name} already sent, not sent again (use --force to re-send)`);
+        wishes.push({ associate, status: 'skipped', error: 'Already sent' });
+        continue;
+      }
+      if (queued.has(this.ledger?.key(entry, mobileNumber))) {
+        this.log('INFO', `Birthday wish to ${associate.name} is queued in the SMS outbox, not sent again`);
+        wishes.push({ associate, status: 'skipped', error: 'Already queued' });
+        continue;
+      }
+
+      try {
+        const sendOptions = this.getOutboxMessageOptions(message, [entry]);
+        const smsResult = await this.smsService.sendBirthdayWish(associate, mobileNumber, ...this.getSendArguments(sendOptions));
+        const status = this.reportDelivery(`Birthday wish to ${associate.name}`, smsResult, errors, options.preview);
+        wishes.push({ associate, status: status === 'delivered' ? 'sent' : status, error: smsResult.error });
+        if (this.ledger && status === 'delivered') {
+          this.ledger.record([entry], mobileNumber, this.clock());
+          await this.saveLedger(errors);
+        }
+      } catch (error) {
+        const errorMsg = `Failed to send birthday wish to ${associate.name}: ${error.message}`;
+        this.log('ERROR', errorMsg);
+        errors.push(errorMsg);
+        wishes.push({ associate, status: 'failed', error: error.message });
+      }
+    }
+
+    return wishes;
+  }
+
+  /**
+   * Get the per-recipient results of an SMS delivery attempt
+   * @param {SMSResult} smsResult - Result of the SMS delivery attempt
+   * @returns {Object[]} One result per recipient
+   */
+  getDeliveries(smsResult) {
+    return smsResult.results || [{ recipient: this.config.recipientMobileNumber, ...smsResult }];
+  }
+
+  /**
+   * Log the outcome of an SMS for each recipient and collect the failures
+   * Recipients are named in failure messages only when the SMS went to more than one
+   * Deliveries queued in the SMS outbox for another attempt are warned about, not collected
+   * @param {string} label - What was sent (e.g., "Digest SMS")
+   * @param {SMSResult} smsResult - Result of the SMS delivery attempt
+   * @param {string[]} errors - Error list the failures are added to
+   * @param {Object[]} preview - Preview list messages rendered in a dry run are added to, each with
+   *   its label, recipient, texts, parts, segments and encoding
+   * @returns {string} Delivery status (delivered, partial, queued when nothing was delivered
+   *   but nothing has failed for good, dry-run, or failed)
+   */
+  reportDelivery(label, smsResult, errors, preview = []) {
+    this.logProviderFailover(smsResult);
+
+    const deliveries = this.getDeliveries(smsResult);
+    if (deliveries.length > 0 && deliveries.every(delivery => delivery.dryRun)) {
+      deliveries.forEach(delivery => {
+        const split = delivery.parts > 1 ? ` in ${delivery.parts} SMS` : '';
+        this.log('INFO', `[Dry run] ${label} to ${this.config.maskMobileNumber(delivery.recipient)}: ${delivery.segments} segment(s), ${delivery.encoding}${split}`);
+        delivery.texts.forEach(text => this.log('INFO', text));
+        preview.push({
+          label,
+          recipient: delivery.recipient,
+          texts: delivery.texts,
+          parts: delivery.parts,
+          segments: delivery.segments,
+          encoding: delivery.encoding
+        });
+      });
+      return 'dry-run';
+    }
+
+    deliveries.forEach(delivery => {
+      const maskedNumber = this.config.maskMobileNumber(delivery.recipient);
+      if (delivery.success) {
+        this.log('INFO', `${label} sent successfully to ${maskedNumber} at ${smsResult.timestamp.toISOString()}`);
+        if (delivery.messageId) {
+          this.log('INFO', `Message ID: ${delivery.messageId}`);
+        }
+        if (delivery.segments) {
+          const split = delivery.parts > 1 ? ` in ${delivery.parts} SMS` : '';
+          this.log('INFO', `Message size: ${delivery.segments} segment(s), ${delivery.encoding}${split}`);
+        }
+        if (delivery.attempts && delivery.attempts > 1) {
+          this.log('INFO', `Delivery succeeded after ${delivery.attempts} attempt(s)`);
+        }
+      } else if (delivery.queued) {
+        const recipient = deliveries.length > 1 ? ` to ${maskedNumber}` : '';
+        this.log('WARN', `${label} not delivered yet${recipient}: ${delivery.error}; queued in the SMS outbox, next attempt at ${delivery.nextAttemptAt.toISOString()}`);
+      } else {
+        const errorMsg = deliveries.length > 1
+          ? `${label} failed for ${maskedNumber}: ${delivery.error}`
+          : `${label} failed: ${delivery.error}`;
+        this.log('ERROR', errorMsg);
+        errors.push(errorMsg);
+        if (delivery.attempts) {
+          const reason = delivery.retriable === false ? ' (the error is not retriable)' : '';
+          this.log('ERROR', `Failed after ${delivery.attempts} attempt(s)${reason}`);
+        }
+      }
+    });
+
+    const delivered = deliveries.filter(delivery => delivery.success).length;
+    if (delivered === 0 && deliveries.every(delivery => delivery.queued)) {
+      return 'queued';
+    }
+    const status = SMSService.getDeliveryStatus(delivered, deliveries.length);
+    if (status === 'partial') {
+      this.log('WARN', `${label} delivered to ${delivered} of ${deliveries.length} recipients`);
+    }
+    return status;
+  }
+
+  /**
+   * Check whether a delivery status means the notification went out, or will from the SMS outbox
+   * @param {string} deliveryStatus - Delivery status (see reportDelivery)
+   * @returns {boolean} True if delivered, partly delivered or queued
+   */
+  wasSent(deliveryStatus) {
+    return ['delivered', 'partial', 'queued'].includes(deliveryStatus);
+  }
+
+  /**
+   * Build notification ledger entries for events
+   * @param {Array<{date: Date, associate: Associate}>} items - Birthdays, anniversaries or event occurrences
+   * @param {string} event - Event type id
+   * @returns {Array<{date: Date, event: string, associate: Associate, item: Object}>} Ledger entries,
+   *   each with the item it was built from
+   */
+  getLedgerEntries(items, event) {
+    return items.map(item => ({ date: item.date, event, associate: item.associate, item }));
+  }
+
+  /**
+   * Get the notifications waiting in the SMS outbox for another attempt
+   * They are only recorded in the notification ledger once delivered, so new sends leave them out
+   * @returns {Promise<Set<string>>} Notification ledger keys, with their recipients, of outbox
+   *   messages that are neither sent nor dead
+   */
+  async getQueuedNotifications() {
+    const queued = new Set();
+    if (this.outbox) {
+      (await this.outbox.list())
+        .filter(message => ['pending', 'sending', 'failed'].includes(message.state))
+        .forEach(message => (message.notifications || [])
+          .forEach(notification => queued.add(this.ledger.key(notification, message.recipient))));
+    }
+    return queued;
+  }
+
+  /**
+   * Add the notification ledger keys of what a message notifies of to its SMSService options,
+   * so the SMS outbox can record them in the ledger when it delivers the message later
+   * @param {Object} options - SMSService options (recipients, date, belated, dryRun)
+   * @param {Array<{date: Date, event: string, associate: Associate}>} entries - Ledger entries for
+   *   the message's items
+   * @returns {Object} The options, with notifications when there is an outbox and a ledger
+   */
+  getOutboxMessageOptions(options, entries) {
+    if (!this.outbox || !this.ledger || options.dryRun) {
+      return options;
+    }
+    return { ...options, notifications: entries.map(entry => this.ledger.notificationKey(entry)) };
+  }
+
+  /**
+   * Send a notification, leaving out what the notification ledger shows each recipient was
+   * already sent, and what is waiting in the SMS outbox for another attempt. Recipients with the
+   * same outstanding items share one send, and recipients with none are skipped. Deliveries are
+   * recorded in the ledger; sends queued in the outbox are recorded when the outbox delivers them
+   * Without a ledger the notification is sent to every recipient in full. A dry run records nothing
+   * @param {string} label - Notification name for the log (e.g., SMS notification)
+   * @param {string[]} recipients - Mobile numbers the notification is for
+   * @param {Array<{date: Date, event: string, associate: Associate, item: Object}>} entries - Ledger
+   *   entries for the notification's items (see getLedgerEntries)
+   * @param {Object} options - Send options
+   * @param {boolean} options.force - Send to every recipient in full even if the ledger shows items as sent
+   * @param {Object} options.message - Message options for SMSService (date, belated, dryRun)
+   * @param {string[]} errors - Error list ledger write failures are added to
+   * @param {function(function(Object): boolean, ...Object): Promise<SMSResult>} send - Sends the
+   *   items passing the filter, with the SMSService options (recipients, date, belated, dryRun) if there are any
+   * @returns {Promise<SMSResult|null>} Combined result, or null if every recipient was already notified
+   */
+  async sendUnnotified(label, recipients, entries, options, errors, send) {
+    const message = options.message || {};
+    if (!this.ledger) {
+      return await send(() => true, ...this.getSendArguments(message));
+    }
+
+    const queued = options.force ? new Set() : await this.getQueuedNotifications();
+    const groups = new Map();
+    recipients.forEach(recipient => {
+      const unsent = options.force ? entries : entries.filter(entry => !this.ledger.has(entry, recipient));
+      if (unsent.length === 0) {
+        this.log('INFO', `${label} already sent to ${this.config.maskMobileNumber(recipient)}, not sent again (use --force to re-send)`);
+        return;
+      }
+      const pending = unsent.filter(entry => !queued.has(this.ledger.key(entry, recipient)));
+      if (pending.length === 0) {
+        this.log('INFO', `${label} to ${this.config.maskMobileNumber(recipient)} is queued in the SMS outbox, not sent again`);
+        return;
+      }
+      const id = pending.map(entry => entries.indexOf(entry)).join(',');
+      if (!groups.has(id)) {
+        groups.set(id, { recipients: [], entries: pending });
+      }
+      groups.get(id).recipients.push(recipient);
+    });
+
+    if (groups.size === 0) {
+      return null;
+    }
+
+    const timestamp = this.clock();
+    const results = [];
+    for (const group of groups.values()) {
+      const items = new Set(group.entries.map(entry => entry.item));
+      const isPending = item => items.has(item);
+      const groupMessage = this.getOutboxMessageOptions(message, group.entries);
+      const smsResult = group.recipients.length === recipients.length
+        ? await send(isPending, ...this.getSendArguments(groupMessage))
+        : await send(isPending, ...this.getSendArguments({ ...groupMessage, recipients: group.recipients }));
+
+      this.getDeliveries(smsResult)
+        .filter(delivery => delivery.success && !delivery.dryRun)
+        .forEach(delivery => this.ledger.record(group.entries, delivery.recipient, timestamp));
+      results.push(smsResult);
+    }
+    if (!message.dryRun) {
+      await this.saveLedger(errors);
+    }
+
+    return results.length === 1
+      ? results[0]
+      : SMSService.combineResults(results.flatMap(result => this.getDeliveries(result)), timestamp);
+  }
+
+  /**
+   * Get the trailing options argument of an SMSService send call
+   * The argument is left out when there are no options, leaving SMSService its defaults
+   * @param {Object} options - SMSService options (recipients, date, belated, dryRun)
+   * @returns {Object[]} The options, or no arguments if there are none
+   */
+  getSendArguments(options) {
+    return Object.keys(options).length > 0 ? [options] : [];
+  }
+
+  /**
+   * Write the notification ledger, reporting failures without stopping the check
+   * @param {string[]} errors - Error list a write failure is added to
+   * @returns {Promise<void>}
+   */
+  async saveLedger(errors) {
+    try {
+      await this.ledger.save(this.clock());
+    } catch (error) {
+      this.log('ERROR', error.message);
+      errors.push(error.message);
+    }
+  }
+
+  /**
+   * Describe a delivery status for the run summary
+   * @param {string} deliveryStatus - Delivery status (not-sent, already-sent, delivered, partial, queued,
+   *   dry-run or failed)
+   * @param {Object[]} deliveries - Per-recipient results
+   * @returns {string} Summary text (e.g., "Partial (1 of 2 recipients)")
+   */
+  describeDelivery(deliveryStatus, deliveries) {
+    if (deliveryStatus === 'delivered') {
+      return 'Yes';
+    }
+    if (deliveryStatus === 'partial') {
+      const delivered = deliveries.filter(delivery => delivery.success).length;
+      return `Partial (${delivered} of ${deliveries.length} recipients)`;
+    }
+    if (deliveryStatus === 'already-sent') {
+      return 'No (already sent)';
+    }
+    if (deliveryStatus === 'queued') {
+      return 'Not yet (queued for another attempt)';
+    }
+    if (deliveryStatus === 'dry-run') {
+      return 'No (dry run)';
+    }
+    return 'No';
+  }
+
+  /**
+   * Send the SMS outbox messages that are due, and log the outcome of each
+   * What delivered messages notify of is recorded in the notification ledger. Messages that have
+   * used their attempts are dead and stay in the outbox until requeued; the next check sends
+   * what they notify of again
+   * @param {Object} options - Drain options
+   * @param {boolean} options.recover - First return messages that were being sent when the
+   *   application stopped to the queue (only safe when nothing else is sending)
+   * @returns {Promise<Object[]>} Result for each message sent (see SMSService.drainOutbox)
+   */
+  async drainOutbox(options = {}) {
+    if (!this.outbox) {
+      return [];
+    }
+
+    if (options.recover) {
+      await this.outbox.recover(this.clock());
+    }
+
+    const results = await this.smsService.drainOutbox(this.clock());
+    results.forEach(result => {
+      const maskedNumber = this.config.maskMobileNumber(result.recipient);
+      if (result.success) {
+        this.log('INFO', `Queued SMS ${result.outboxId} sent to ${maskedNumber}`);
+      } else if (result.queued) {
+        this.log('WARN', `Queued SMS ${result.outboxId} to ${maskedNumber} failed: ${result.error}; next attempt at ${result.nextAttemptAt.toISOString()}`);
+      } else {
+        this.log('ERROR', `Queued SMS ${result.outboxId} to ${maskedNumber} failed and will not be retried: ${result.error} (requeue it with --requeue-dead ${result.outboxId})`);
+      }
+    });
+
+    const delivered = results.filter(result => result.success && result.notifications.length > 0);
+    if (this.ledger && delivered.length > 0) {
+      delivered.forEach(result => this.ledger.record(result.notifications, result.recipient, this.clock()));
+      await this.saveLedger([]);
+    }
+    return results;
+  }
+
+  /**
+   * Log providers that failed before an SMS was delivered through a fallback provider,
+   * or every provider that failed when more than one was tried
+   * @param {SMSResult} smsResult - Result of the SMS delivery attempt
+   */
+  logProviderFailover(smsResult) {
+    (smsResult.results || [smsResult]).forEach(result => {
+      const failures = result.failedProviders || [];
+      if (failures.length === 0 || (!result.success && failures.length === 1)) {
+        return;
+      }
+
+      failures.forEach(failure => {
+        this.log('WARN', `SMS provider ${failure.provider} failed: ${failure.error}`);
+      });
+      if (result.success) {
+        this.log('WARN', `SMS delivered via fallback provider ${result.provider}`);
+      }
+    });
+  }
+
+  /**
+   * Find occurrences of an event type announced on a day
+   * Includes occurrences on the non-working days rolled over into the day
+   * @param {Associate[]} associates - Array of associates to check
+   * @param {EventType} eventType - The event type to look for
+   * @param {Date} date - The day the notification is sent on
+   * @param {Date[]} rolledOverDates - Non-working days announced on the same day
+   * @returns {Array<EventOccurrence>} Occurrences with the associate, date, years since the original date and whether it was rolled over
+   */
+  findEventOccurrences(associates, eventType, date, rolledOverDates = []) {
+    const occurrences = [];
+
+    [date, ...rolledOverDates].forEach(day => {
+      this.dateMatcher.findEventsOnDate(associates, eventType, day).forEach(associate => {
+        occurrences.push({
+          associate,
+          date: day,
+          years: eventType.getYears(associate, day),
+          rolledOver: day !== date
+        });
+      });
+    });
+
+    return occurrences.sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Group event occurrences by the day they fall on
+   * @param {Array<EventOccurrence>} occurrences - Occurrences in date order
+   * @returns {Array<{date: Date, associates: Associate[]}>} Days in date order, each with its
+   *   associates sorted by name
+   */
+  groupByDate(occurrences) {
+    const days = [];
+
+    occurrences.forEach(occurrence => {
+      const day = days.find(candidate => candidate.date.getTime() === occurrence.date.getTime());
+      if (day) {
+        day.associates.push(occurrence.associate);
+      } else {
+        days.push({ date: occurrence.date, associates: [occurrence.associate] });
+      }
+    });
+    days.forEach(day => day.associates.sort((a, b) => a.name.localeCompare(b.name)));
+
+    return days;
+  }
+
+  /**
+   * Perform the upcoming birthdays digest check
+   * Sends one SMS listing every birthday in the configured number of days, grouped by day
+   * @param {Date} startDate - First day covered by the digest (default: today by the clock)
+   * @returns {Promise<DigestResult>} Result of the digest operation
+   */
+  async performDigestCheck(startDate = this.clock()) {
+    const errors = [];
+    let associates = [];
+    let upcomingBirthdays = [];
+    let notificationSent = false;
+    let deliveryStatus = 'not-sent';
+    let deliveries = [];
+
+    try {
+      this.log('INFO', '=== Starting Birthday Digest ===');
+
+      if (!this.config) {
+        await this.initialize();
+      }
+
+      const days = this.config.digestDays;
+
+      // Load associate data
+      this.log('INFO', `Loading associate data from: ${this.config.excelFilePath}`);
+      try {
+        associates = await this.excelParser.parseFile(this.config.excelFilePath);
+        this.log('INFO', `Successfully loaded ${associates.length} associates`);
+      } catch (error) {
+        const errorMsg = `Failed to parse Excel file: ${error.message}`;
+        this.log('ERROR', errorMsg);
+        errors.push(errorMsg);
+
+        return {
+          totalAssociatesChecked: 0,
+          upcomingBirthdays: [],
+          notificationSent: false,
+          errors: errors
+        };
+      }
+
+      // Find birthdays in the digest range
+      this.log('INFO', `Checking for birthdays in the next ${days} days...`);
+      upcomingBirthdays = this.dateMatcher.findBirthdaysInRange(associates, startDate, days);
+      const birthdayCount = upcomingBirthdays.reduce((count, day) => count + day.associates.length, 0);
+
+      if (birthdayCount > 0) {
+        this.log('INFO', `Found ${birthdayCount} upcoming birthday(s) on ${upcomingBirthdays.length} day(s)`);
+        upcomingBirthdays.forEach(day => {
+          this.log('INFO', `  - ${day.date.toDateString()}: ${day.associates.map(associate => associate.name).join(', ')}`);
+        });
+      } else {
+        this.log('INFO', `No birthdays found in the next ${days} days`);
+      }
+
+      // Send the digest if any birthdays are coming up
+      if (birthdayCount > 0) {
+        this.log('INFO', 'Sending birthday digest SMS...');
+        try {
+          const smsResult = await this.smsService.sendDigestNotification(upcomingBirthdays, days);
+          deliveries = this.getDeliveries(smsResult);
+          deliveryStatus = this.reportDelivery('Digest SMS', smsResult, errors);
+          notificationSent = deliveryStatus !== 'failed';
+        } catch (error) {
+          const errorMsg = `Failed to send digest SMS: ${error.message}`;
+          this.log('ERROR', errorMsg);
+          errors.push(errorMsg);
+        }
+      }
+
+      this.log('INFO', '=== Birthday Digest Complete ===');
+      this.log('INFO', `Upcoming birthdays: ${birthdayCount}`);
+      this.log('INFO', `Notification sent: ${this.describeDelivery(deliveryStatus, deliveries)}`);
+
       return {
         totalAssociatesChecked: associates.length,
-        birthdaysFound: birthdaysFound,
+        upcomingBirthdays: upcomingBirthdays,
         notificationSent: notificationSent,
+        deliveryStatus: deliveryStatus,
+        deliveries: deliveries,
         errors: errors
       };
 
     } catch (error) {
-      // Catch any unexpected errors
-      const errorMsg = `Unexpected error during birthday check: ${error.message}`;
+      const errorMsg = `Unexpected error during birthday digest: ${error.message}`;
       this.log('ERROR', errorMsg);
       errors.push(errorMsg);
 
       return {
         totalAssociatesChecked: associates.length,
-        birthdaysFound: birthdaysFound,
+        upcomingBirthdays: upcomingBirthdays,
         notificationSent: notificationSent,
+        deliveryStatus: deliveryStatus,
+        deliveries: deliveries,
         errors: errors
       };
     }
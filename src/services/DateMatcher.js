@@ -1,12 +1,26 @@
+import AnnualDate from '../utils/AnnualDate.js';
+import EventType from '../models/EventType.js';
+
 /**
  * DateMatcher service class
  * Identifies associates with birthdays matching a specific date
  */
 class DateMatcher {
+  /**
+   * Create a DateMatcher instance
+   * @param {Object} options - Matcher options
+   * @param {string} options.leapDayPolicy - Policy for 29 February birthdays in non-leap years (feb28, mar1 or skip)
+   * @param {function(): Date} options.clock - Returns the current date and time (default: system local time)
+   */
+  constructor(options = {}) {
+    this.leapDayPolicy = options.leapDayPolicy || AnnualDate.DEFAULT_LEAP_DAY_POLICY;
+    this.clock = options.clock || (() => new Date());
+  }
+
   /**
    * Find all associates whose birthday is today
    * Compares month and day only, ignoring the year
-   * Uses system local time for current date
+   * Uses the clock for the current date
    * @param {Associate[]} associates - Array of associates to check
    * @returns {Associate[]} Array of associates with birthdays today
    */
@@ -15,18 +29,42 @@ class DateMatcher {
       return [];
     }
 
-    const today = new Date();
+    const today = this.clock();
     return this.findBirthdaysOnDate(associates, today);
   }
 
   /**
    * Find all associates whose birthday matches a specific date
    * Compares month and day only, ignoring the year
+   * 29 February birthdays in non-leap years follow the leap day policy
    * @param {Associate[]} associates - Array of associates to check
    * @param {Date} date - The date to compare against
    * @returns {Associate[]} Array of associates with birthdays on the specified date
    */
   findBirthdaysOnDate(associates, date) {
+    return this.findEventsOnDate(associates, EventType.BIRTHDAY, date);
+  }
+
+  /**
+   * Find all associates whose work anniversary matches a specific date
+   * Compares month and day of joining only; at least one full year must have passed
+   * @param {Associate[]} associates - Array of associates to check
+   * @param {Date} date - The date to compare against
+   * @returns {Associate[]} Array of associates with work anniversaries on the specified date
+   */
+  findWorkAnniversariesOnDate(associates, date) {
+    return this.findEventsOnDate(associates, EventType.WORK_ANNIVERSARY, date);
+  }
+
+  /**
+   * Find all associates with an event of the given type on a specific date
+   * Yearly events match on month and day, one-off events on the exact date
+   * @param {Associate[]} associates - Array of associates to check
+   * @param {EventType} eventType - The event type to match
+   * @param {Date} date - The date to compare against
+   * @returns {Associate[]} Array of associates with the event on the specified date
+   */
+  findEventsOnDate(associates, eventType, date) {
     if (!associates || !Array.isArray(associates)) {
       return [];
     }
@@ -35,17 +73,47 @@ class DateMatcher {
       return [];
     }
 
-    const targetMonth = date.getMonth();
-    const targetDay = date.getDate();
+    return associates.filter(associate => eventType.occursOn(associate, date, this.leapDayPolicy));
+  }
 
-    return associates.filter(associate => {
-      if (!associate || !associate.dateOfBirth || !(associate.dateOfBirth instanceof Date)) {
-        return false;
+  /**
+   * Find all associates with birthdays in a range of days
+   * The range starts on the start date and covers the given number of days,
+   * continuing into the next year when it crosses the year end
+   * @param {Associate[]} associates - Array of associates to check
+   * @param {Date} startDate - The first day of the range
+   * @param {number} days - Number of days in the range, including the start date
+   * @returns {Array<{date: Date, associates: Associate[]}>} Days that have birthdays, in date order,
+   *   each with its associates sorted by name
+   */
+  findBirthdaysInRange(associates, startDate, days) {
+    if (!associates || !Array.isArray(associates)) {
+      return [];
+    }
+
+    if (!startDate || !(startDate instanceof Date) || isNaN(startDate.getTime())) {
+      return [];
+    }
+
+    if (!Number.isInteger(days) || days < 1) {
+      return [];
+    }
+
+    const upcoming = [];
+
+    for (let offset = 0; offset < days; offset++) {
+      const date = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate() + offset);
+      const birthdays = this.findBirthdaysOnDate(associates, date);
+
+      if (birthdays.length > 0) {
+        upcoming.push({
+          date,
+          associates: [...birthdays].sort((a, b) => a.name.localeCompare(b.name))
+        });
       }
+    }
 
-      return associate.dateOfBirth.getMonth() === targetMonth &&
-             associate.dateOfBirth.getDate() === targetDay;
-    });
+    return upcoming;
   }
 }
 
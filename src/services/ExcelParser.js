@@ -1,15 +1,86 @@
 import xlsx from 'xlsx';
 import Associate from '../models/Associate.js';
+import SpreadsheetSource from './sources/SpreadsheetSource.js';
+import DelimitedTextSource from './sources/DelimitedTextSource.js';
+import DateFormat from '../utils/DateFormat.js';
 import path from 'path';
 import fs from 'fs';
 
 /**
  * Excel Parser Service
- * Reads and extracts associate data from Excel files
+ * Reads and extracts associate data from Excel, OpenDocument and delimited text files
  */
 class ExcelParser {
-  constructor(logger = null) {
+  /**
+   * Default header aliases for each recognised column
+   * Header matching ignores case, spacing and punctuation
+   */
+  static DEFAULT_COLUMN_ALIASES = {
+    name: ['Name', 'Full Name', 'Associate Name', 'Employee Name'],
+    firstName: ['First Name', 'Given Name'],
+    lastName: ['Last Name', 'Surname', 'Family Name'],
+    dateOfBirth: ['Date of Birth', 'DOB', 'Birthday', 'Birth Date'],
+    employeeId: ['Employee ID', 'Emp ID', 'Associate ID'],
+    department: ['Department', 'Dept'],
+    mobile: ['Mobile', 'Mobile Number', 'Phone', 'Phone Number'],
+    locale: ['Locale', 'Language', 'Preferred Language'],
+    dateOfJoining: ['Date of Joining', 'DOJ', 'Joining Date', 'Date Joined', 'Hire Date']
+  };
+
+  /**
+   * Number of leading rows searched for the header row
+   */
+  static HEADER_SCAN_LIMIT = 10;
+
+  /**
+   * Numeric date patterns tried when no date formats are configured
+   * Patterns without an order are read day-first or month-first based on the locale
+   */
+  static NUMERIC_DATE_PATTERNS = [
+    { regex: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, order: 'YMD' },    // YYYY-MM-DD
+    { regex: /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/, order: null },  // MM/DD/YYYY or DD/MM/YYYY
+    { regex: /^(\d{1,2})-(\d{1,2})-(\d{4})$/, order: null },    // MM-DD-YYYY or DD-MM-YYYY
+    { regex: /^(\d{1,2})\.(\d{1,2})\.(\d{4})$/, order: null },  // DD.MM.YYYY or MM.DD.YYYY
+    { regex: /^(\d{1,2})[/.-](\d{1,2})$/, order: null }           // MM-DD or DD-MM without year
+  ];
+
+  /**
+   * Month-name formats without a year tried when no date formats are configured
+   */
+  static YEARLESS_DATE_FORMATS = ['D MMM', 'D MMMM', 'D-MMM', 'D-MMMM', 'MMM D', 'MMMM D'];
+
+  /**
+   * Create an Excel Parser instance
+   * @param {Object} logger - Optional logger instance for logging operations
+   * @param {Object} options - Parser options
+   * @param {Object<string, string[]>} options.columnAliases - Additional header aliases per column field
+   * @param {string} options.csvDelimiter - Delimiter for CSV files; detected when not set
+   * @param {string} options.csvEncoding - Encoding for CSV/TSV files; detected when not set
+   * @param {string[]} options.sheets - Worksheet names or patterns to read, in the order given; only the
+   *   first worksheet when empty. Not used for CSV and TSV files, which have no worksheets
+   * @param {string[]} options.excludeSheets - Worksheet names or patterns to skip
+   * @param {string[]} options.dateFormats - Date formats (e.g., DD/MM/YYYY) applied strictly, in order
+   * @param {string} options.dateLocale - Locale deciding day/month order and month names (default: en-US)
+   * @param {EventType[]} options.eventTypes - Custom event types whose date columns are read
+   */
+  constructor(logger = null, options = {}) {
     this.logger = logger;
+    this.eventTypes = options.eventTypes || [];
+    this.columnAliases = this.mergeColumnAliases(options.columnAliases || {}, this.eventTypes);
+    this.sheets = options.sheets || [];
+    this.excludeSheets = options.excludeSheets || [];
+    this.dateLocale = options.dateLocale || 'en-US';
+    this.dateOrder = DateFormat.getDateOrder(this.dateLocale);
+    this.dateFormats = (options.dateFormats || []).map(format => new DateFormat(format, this.dateLocale));
+    this.yearlessFormats = ExcelParser.YEARLESS_DATE_FORMATS.map(format => new DateFormat(format, this.dateLocale));
+    this.lastReport = { ambiguousDates: [] };
+    this.sources = [
+      new SpreadsheetSource(),
+      new DelimitedTextSource({
+        delimiter: options.csvDelimiter,
+        encoding: options.csvEncoding
+      })
+    ];
   }
 
   /**
@@ -24,8 +95,290 @@ class ExcelParser {
   }
 
   /**
-   * Parse an Excel file and extract associate data
-   * @param {string} filePath - Path to the Excel file
+   * Register an additional associate source
+   * Sources registered later take precedence for the extensions they support
+   * @param {Object} source - Source with supports(ext), read(filePath) and formatName, and
+   *   hasWorksheets set to false if its files hold a single table without worksheets
+   */
+  registerSource(source) {
+    this.sources.unshift(source);
+  }
+
+  /**
+   * Find the source able to read a file extension
+   * @param {string} ext - Lower-case file extension including the dot
+   * @returns {Object|null} Matching source or null if unsupported
+   */
+  getSourceForExtension(ext) {
+    return this.sources.find(source => source.supports(ext)) || null;
+  }
+
+  /**
+   * List the file extensions supported by the registered sources
+   * @returns {string[]} Supported extensions
+   */
+  getSupportedExtensions() {
+    const extensions = [];
+    this.sources.forEach(source => {
+      (source.constructor.EXTENSIONS || []).forEach(ext => {
+        if (!extensions.includes(ext)) {
+          extensions.push(ext);
+        }
+      });
+    });
+    return extensions;
+  }
+
+  /**
+   * Check whether a worksheet name matches a sheet selector
+   * Selectors are exact names (case-insensitive), glob patterns using * and ?,
+   * or regular expressions wrapped in slashes (e.g., /^Office /)
+   * @param {string} sheetName - The worksheet name
+   * @param {string} selector - The sheet selector
+   * @returns {boolean} True if the worksheet matches, false otherwise
+   */
+  matchesSheetSelector(sheetName, selector) {
+    if (selector.length > 2 && selector.startsWith('/') && selector.endsWith('/')) {
+      return new RegExp(selector.slice(1, -1), 'i').test(sheetName);
+    }
+
+    if (this.isSheetPattern(selector)) {
+      const escaped = selector.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      const pattern = escaped.replace(/\*/g, '.*').replace(/\?/g, '.');
+      return new RegExp(`^${pattern}$`, 'i').test(sheetName);
+    }
+
+    return sheetName.trim().toLowerCase() === selector.trim().toLowerCase();
+  }
+
+  /**
+   * Check whether a sheet selector is a pattern rather than an exact name
+   * @param {string} selector - The sheet selector
+   * @returns {boolean} True for glob and regular expression selectors
+   */
+  isSheetPattern(selector) {
+    return /[*?]/.test(selector) ||
+      (selector.length > 2 && selector.startsWith('/') && selector.endsWith('/'));
+  }
+
+  /**
+   * Choose the worksheets to read based on the configured selectors
+   * Worksheets are read in the order of the selectors; those matched by one pattern in workbook order
+   * @param {Array<{name: string, rows: Array<Array>}>} sheets - All worksheets in workbook order
+   * @returns {Array<{name: string, rows: Array<Array>}>} Selected worksheets, each once
+   * @throws {Error} If a named worksheet does not exist or no worksheet is selected
+   */
+  selectSheets(sheets) {
+    const available = sheets.map(sheet => sheet.name);
+    let selected;
+
+    if (this.sheets.length === 0) {
+      selected = sheets.slice(0, 1);
+    } else {
+      const missing = this.sheets.filter(selector =>
+        !this.isSheetPattern(selector) && !available.some(name => this.matchesSheetSelector(name, selector))
+      );
+      if (missing.length > 0) {
+        throw new Error(`Worksheet not found: ${missing.join(', ')}. Available worksheets: ${available.join(', ')}`);
+      }
+
+      selected = [];
+      this.sheets.forEach(selector => {
+        sheets
+          .filter(sheet => !selected.includes(sheet) && this.matchesSheetSelector(sheet.name, selector))
+          .forEach(sheet => selected.push(sheet));
+      });
+    }
+
+    selected = selected.filter(sheet =>
+      !this.excludeSheets.some(selector => this.matchesSheetSelector(sheet.name, selector))
+    );
+
+    if (selected.length === 0) {
+      throw new Error(`No worksheets selected. Available worksheets: ${available.join(', ')}`);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Merge configured header aliases into the defaults
+   * Custom event types add a column field named after the event type id
+   * @param {Object<string, string[]>} extraAliases - Aliases keyed by column field
+   * @param {EventType[]} eventTypes - Custom event types with their column headers
+   * @returns {Object<string, string[]>} Combined aliases keyed by column field
+   */
+  mergeColumnAliases(extraAliases, eventTypes = []) {
+    const merged = {};
+
+    Object.entries(ExcelParser.DEFAULT_COLUMN_ALIASES).forEach(([field, aliases]) => {
+      merged[field] = [...aliases];
+    });
+
+    eventTypes.forEach(eventType => {
+      if (merged[eventType.id]) {
+        this.log('WARN', `Ignoring event type "${eventType.id}": its id is already used by a built-in column`);
+        return;
+      }
+      merged[eventType.id] = [...eventType.headers];
+    });
+
+    Object.entries(extraAliases).forEach(([field, aliases]) => {
+      if (!merged[field]) {
+        this.log('WARN', `Ignoring aliases for unknown column "${field}"`);
+        return;
+      }
+      // Configured aliases take precedence over the defaults
+      merged[field] = [...aliases, ...merged[field].filter(alias => !aliases.includes(alias))];
+    });
+
+    return merged;
+  }
+
+  /**
+   * Normalize a header cell for alias comparison
+   * @param {*} value - The header cell value
+   * @returns {string} Lower-case header with spaces and punctuation removed
+   */
+  normalizeHeader(value) {
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return String(value).toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * Find the column field a header cell refers to
+   * @param {*} value - The header cell value
+   * @returns {string|null} Column field name or null if not recognised
+   */
+  matchHeader(value) {
+    const normalized = this.normalizeHeader(value);
+    if (!normalized) {
+      return null;
+    }
+
+    for (const [field, aliases] of Object.entries(this.columnAliases)) {
+      if (aliases.some(alias => this.normalizeHeader(alias) === normalized)) {
+        return field;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Locate the header row within the first rows of a worksheet
+   * A row is treated as the header when at least two of its cells match known column aliases
+   * @param {Array<Array>} data - Worksheet rows
+   * @returns {number} Zero-based index of the header row, or -1 if none was found
+   */
+  findHeaderRow(data) {
+    const limit = Math.min(data.length, ExcelParser.HEADER_SCAN_LIMIT);
+
+    for (let i = 0; i < limit; i++) {
+      const row = data[i];
+      if (!row) {
+        continue;
+      }
+
+      const matches = row.filter(cell => this.matchHeader(cell) !== null);
+      if (matches.length >= 2) {
+        return i;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Build the column map for a worksheet from its header row
+   * Falls back to column A = Name and column B = Date of Birth when no header row is present
+   * @param {Array<Array>} data - Worksheet rows
+   * @param {string} sheetName - Name of the worksheet, used in messages
+   * @returns {{headerRowIndex: number, columns: Object<string, number>}} Header position and column indexes by field
+   * @throws {Error} If the header row lacks a required column
+   */
+  resolveColumns(data, sheetName = null) {
+    const headerRowIndex = this.findHeaderRow(data);
+    const sheetLabel = sheetName ? ` of worksheet "${sheetName}"` : '';
+
+    if (headerRowIndex === -1) {
+      if (data.length > 0) {
+        this.log('WARN', `No header row detected${sheetLabel}, assuming column A = Name and column B = Date of Birth`);
+      }
+      return { headerRowIndex, columns: { name: 0, dateOfBirth: 1 } };
+    }
+
+    const headerRow = data[headerRowIndex];
+    const columns = {};
+
+    for (let i = 0; i < headerRow.length; i++) {
+      const field = this.matchHeader(headerRow[i]);
+      // The first matching column wins when a header appears twice
+      if (field && columns[field] === undefined) {
+        columns[field] = i;
+      }
+    }
+
+    const missing = [];
+    if (columns.dateOfBirth === undefined) {
+      missing.push('dateOfBirth');
+    }
+    if (columns.name === undefined && columns.firstName === undefined) {
+      missing.push('name');
+    }
+
+    if (missing.length > 0) {
+      const details = missing
+        .map(field => `  - ${this.columnAliases[field][0]} (accepted headers: ${this.columnAliases[field].join(', ')})`)
+        .join('\n');
+      const found = headerRow.filter(cell => cell !== undefined && cell !== null && String(cell).trim() !== '');
+      throw new Error(
+        `Missing required column(s) in header row ${headerRowIndex + 1}${sheetLabel}:\n${details}\n` +
+        `  Headers found: ${found.length > 0 ? found.join(', ') : '(none)'}`
+      );
+    }
+
+    const mapped = Object.entries(columns)
+      .map(([field, index]) => `${field}=${xlsx.utils.encode_col(index)}`)
+      .join(', ');
+    this.log('INFO', `Header row ${headerRowIndex + 1}${sheetLabel} mapped columns: ${mapped}`);
+
+    return { headerRowIndex, columns };
+  }
+
+  /**
+   * Describe a row position for log and error messages
+   * @param {string|null} sheetName - Name of the worksheet, if known
+   * @param {number} rowNumber - 1-based row number
+   * @returns {string} Location such as 'Sheet "Pune" row 5' or 'Row 5'
+   */
+  formatLocation(sheetName, rowNumber) {
+    return sheetName ? `Sheet "${sheetName}" row ${rowNumber}` : `Row ${rowNumber}`;
+  }
+
+  /**
+   * Read a trimmed text value from a row cell
+   * @param {Array} row - The worksheet row
+   * @param {number|undefined} index - Column index, or undefined when the column is not mapped
+   * @returns {string|null} Trimmed cell text or null if empty or unmapped
+   */
+  getCellText(row, index) {
+    if (index === undefined) {
+      return null;
+    }
+    const value = row[index];
+    if (value === undefined || value === null) {
+      return null;
+    }
+    const text = String(value).trim();
+    return text === '' ? null : text;
+  }
+
+  /**
+   * Parse an associate file and extract associate data
+   * @param {string} filePath - Path to the Excel, ODS, CSV or TSV file
    * @returns {Promise<Associate[]>} Array of Associate objects
    * @throws {Error} If file is invalid or unreadable
    */
@@ -40,67 +393,36 @@ class ExcelParser {
 
       // Check file extension
       const ext = path.extname(resolvedPath).toLowerCase();
-      if (ext !== '.xlsx' && ext !== '.xls') {
-        throw new Error(`Invalid file format: ${ext}. Expected .xlsx or .xls`);
+      const source = this.getSourceForExtension(ext);
+      if (!source) {
+        throw new Error(`Invalid file format: ${ext}. Expected one of: ${this.getSupportedExtensions().join(', ')}`);
       }
 
-      this.log('INFO', `Reading Excel file: ${filePath}`);
+      this.log('INFO', `Reading ${source.formatName} file: ${filePath}`);
 
-      // Read the Excel file
-      const workbook = xlsx.readFile(resolvedPath);
-      
-      // Get the first worksheet
-      const firstSheetName = workbook.SheetNames[0];
-      if (!firstSheetName) {
+      // Read the worksheets from the source
+      const sheets = await source.read(resolvedPath);
+      if (sheets.length === 0) {
         throw new Error('Excel file contains no worksheets');
       }
 
-      const worksheet = workbook.Sheets[firstSheetName];
-      this.log('INFO', `Processing worksheet: ${firstSheetName}`);
+      this.lastReport = { ambiguousDates: [] };
 
-      // Convert worksheet to JSON
-      const data = xlsx.utils.sheet_to_json(worksheet, { header: 1, raw: false });
-      
       const associates = [];
-      let validRows = 0;
-      let skippedRows = 0;
-
-      // Parse each row (skip header row if present)
-      for (let i = 0; i < data.length; i++) {
-        const row = data[i];
-        const rowNumber = i + 1; // Excel rows are 1-indexed
-
-        // Skip empty rows
-        if (!row || row.length === 0 || (row.length === 1 && !row[0])) {
-          continue;
-        }
-
-        // Extract name and date of birth
-        const name = row[0];
-        const dobValue = row[1];
-
-        // Validate name
-        if (!name || typeof name !== 'string' || name.trim() === '') {
-          this.log('WARN', `Row ${rowNumber}: Missing or invalid name, skipping row`);
-          skippedRows++;
-          continue;
-        }
-
-        // Validate and parse date of birth
-        const dateOfBirth = this.parseDate(dobValue);
-        if (!dateOfBirth) {
-          this.log('WARN', `Row ${rowNumber}: Invalid or missing date of birth for "${name}", skipping row`);
-          skippedRows++;
-          continue;
+      if (source.hasWorksheets === false) {
+        // A delimited file is a single table, so rows are located by row number alone
+        if (this.sheets.length > 0 || this.excludeSheets.length > 0) {
+          this.log('INFO', `Worksheet selection does not apply to ${source.formatName} files; reading the whole file`);
         }
-
-        // Create Associate object
-        const associate = new Associate(name.trim(), dateOfBirth, rowNumber);
-        associates.push(associate);
-        validRows++;
+        sheets.forEach(sheet => associates.push(...this.parseRows(sheet.rows)));
+      } else {
+        this.selectSheets(sheets).forEach(sheet => {
+          this.log('INFO', `Processing worksheet: ${sheet.name}`);
+          associates.push(...this.parseRows(sheet.rows, sheet.name));
+        });
       }
 
-      this.log('INFO', `Parsing complete: ${validRows} valid associates, ${skippedRows} rows skipped`);
+      this.logAmbiguousDates();
 
       return associates;
 
@@ -108,13 +430,139 @@ class ExcelParser {
       // Re-throw with more context if it's not already our error
       if (error.message.includes('Excel file not found') || 
           error.message.includes('Invalid file format') ||
-          error.message.includes('no worksheets')) {
+          error.message.includes('no worksheets') ||
+          error.message.includes('Worksheet not found') ||
+          error.message.includes('No worksheets selected') ||
+          error.message.includes('Missing required column')) {
         throw error;
       }
       throw new Error(`Failed to parse Excel file: ${error.message}`);
     }
   }
 
+  /**
+   * Convert worksheet rows into associates
+   * Rows with a missing name or date of birth are skipped with a warning
+   * @param {Array<Array>} data - Worksheet rows
+   * @param {string} sheetName - Name of the worksheet the rows belong to
+   * @returns {Associate[]} Array of Associate objects
+   * @throws {Error} If the header row lacks a required column
+   */
+  parseRows(data, sheetName = null) {
+    // Map columns from the header row
+    const { headerRowIndex, columns } = this.resolveColumns(data, sheetName);
+
+    const associates = [];
+    let validRows = 0;
+    let skippedRows = 0;
+
+    // Parse each row after the header row
+    for (let i = headerRowIndex + 1; i < data.length; i++) {
+      const row = data[i];
+      const rowNumber = i + 1; // Excel rows are 1-indexed
+      const location = this.formatLocation(sheetName, rowNumber);
+
+      // Skip empty rows
+      if (!row || row.every(cell => cell === undefined || cell === null || String(cell).trim() === '')) {
+        continue;
+      }
+
+      // Extract name, falling back to First Name + Last Name
+      const firstName = this.getCellText(row, columns.firstName);
+      const lastName = this.getCellText(row, columns.lastName);
+      const name = this.getCellText(row, columns.name) ||
+        [firstName, lastName].filter(Boolean).join(' ');
+      const dobValue = row[columns.dateOfBirth];
+
+      // Validate name
+      if (!name) {
+        this.log('WARN', `${location}: Missing or invalid name, skipping row`);
+        skippedRows++;
+        continue;
+      }
+
+      // Validate and parse date of birth
+      const parsedDate = this.parseDateDetails(dobValue);
+      const dateOfBirth = parsedDate ? parsedDate.date : null;
+      if (!dateOfBirth) {
+        this.log('WARN', `${location}: Invalid or missing date of birth for "${name}", skipping row`);
+        skippedRows++;
+        continue;
+      }
+
+      // Parse optional date of joining; an invalid value only drops the work anniversary
+      let dateOfJoining = null;
+      const dojText = this.getCellText(row, columns.dateOfJoining);
+      if (dojText) {
+        const parsedJoining = this.parseDateDetails(row[columns.dateOfJoining]);
+        if (parsedJoining && parsedJoining.yearKnown) {
+          dateOfJoining = parsedJoining.date;
+        } else {
+          this.log('WARN', `${location}: Invalid date of joining "${dojText}" for "${name}", ignoring work anniversary`);
+        }
+      }
+
+      // Parse optional locale; an invalid value falls back to the default language
+      let locale = null;
+      const localeText = this.getCellText(row, columns.locale);
+      if (localeText) {
+        try {
+          locale = Intl.getCanonicalLocales(localeText.replace(/_/g, '-'))[0];
+        } catch (error) {
+          this.log('WARN', `${location}: Invalid locale "${localeText}" for "${name}", using the default language`);
+        }
+      }
+
+      // Parse custom event dates; an invalid value only drops that event
+      const events = {};
+      this.eventTypes.forEach(eventType => {
+        const eventText = this.getCellText(row, columns[eventType.id]);
+        if (!eventText) {
+          return;
+        }
+        const parsedEvent = this.parseDateDetails(row[columns[eventType.id]]);
+        if (parsedEvent && parsedEvent.yearKnown) {
+          events[eventType.id] = parsedEvent.date;
+        } else {
+          this.log('WARN', `${location}: Invalid ${eventType.label} date "${eventText}" for "${name}", ignoring event`);
+        }
+      });
+
+      // Create Associate object
+      const associate = new Associate(name, dateOfBirth, rowNumber, {
+        firstName,
+        lastName,
+        employeeId: this.getCellText(row, columns.employeeId),
+        department: this.getCellText(row, columns.department),
+        mobile: this.getCellText(row, columns.mobile),
+        locale,
+        sheetName,
+        birthYearKnown: parsedDate.yearKnown,
+        dateOfJoining,
+        events
+      });
+      associates.push(associate);
+
+      if (parsedDate.ambiguous) {
+        this.lastReport.ambiguousDates.push({
+          sheetName,
+          rowNumber,
+          name,
+          value: String(dobValue).trim(),
+          date: dateOfBirth,
+          yearKnown: parsedDate.yearKnown,
+          alternative: parsedDate.alternative
+        });
+      }
+      validRows++;
+    }
+
+    const sheetLabel = sheetName ? ` for worksheet "${sheetName}"` : '';
+    this.log('INFO', `Parsing complete${sheetLabel}: ${validRows} valid associates, ${skippedRows} rows skipped`);
+
+    return associates;
+  }
+
   /**
    * Parse a date value from various formats
    * Supports: Date objects, Excel serial numbers, and common date strings
@@ -122,89 +570,148 @@ class ExcelParser {
    * @returns {Date|null} Parsed Date object or null if invalid
    */
   parseDate(value) {
+    const parsed = this.parseDateDetails(value);
+    return parsed ? parsed.date : null;
+  }
+
+  /**
+   * Parse a date value and report whether its day and month order was ambiguous
+   * When date formats are configured, strings must match one of them exactly.
+   * Otherwise numeric strings are read in the configured locale's day/month order.
+   * Values without a year (e.g., "14 Mar", "03-14") are placed in Associate.UNKNOWN_BIRTH_YEAR.
+   * @param {*} value - The value to parse as a date
+   * @returns {{date: Date, yearKnown: boolean, ambiguous: boolean, alternative: Date|null}|null} Parse result or null if invalid
+   */
+  parseDateDetails(value) {
     if (!value) {
       return null;
     }
 
     // If already a Date object
     if (value instanceof Date) {
-      return isNaN(value.getTime()) ? null : value;
+      return isNaN(value.getTime()) ? null : { date: value, yearKnown: true, ambiguous: false, alternative: null };
     }
 
     // If it's a number (Excel serial date)
     if (typeof value === 'number') {
       const date = this.excelSerialToDate(value);
-      return isNaN(date.getTime()) ? null : date;
+      return isNaN(date.getTime()) ? null : { date, yearKnown: true, ambiguous: false, alternative: null };
     }
 
-    // If it's a string, try to parse it
-    if (typeof value === 'string') {
-      const trimmed = value.trim();
-      
-      // Try standard date parsing
-      const parsed = new Date(trimmed);
-      if (!isNaN(parsed.getTime())) {
-        return parsed;
-      }
-
-      // Try common date formats: MM/DD/YYYY, DD/MM/YYYY, YYYY-MM-DD
-      const datePatterns = [
-        /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/,  // MM/DD/YYYY or DD/MM/YYYY
-        /^(\d{4})-(\d{1,2})-(\d{1,2})$/,    // YYYY-MM-DD
-        /^(\d{1,2})-(\d{1,2})-(\d{4})$/     // MM-DD-YYYY or DD-MM-YYYY
-      ];
-
-      for (const pattern of datePatterns) {
-        const match = trimmed.match(pattern);
-        if (match) {
-          const date = this.parseMatchedDate(match, pattern);
-          if (date && !isNaN(date.getTime())) {
-            return date;
-          }
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const trimmed = value.trim();
+
+    // Configured formats are applied strictly, in order
+    if (this.dateFormats.length > 0) {
+      for (const format of this.dateFormats) {
+        const parts = format.parse(trimmed);
+        if (parts) {
+          return this.partsToResult(parts, format.isAmbiguous(parts));
         }
       }
+      return null;
+    }
+
+    // Try common numeric date formats in the locale's order
+    for (const { regex, order } of ExcelParser.NUMERIC_DATE_PATTERNS) {
+      const match = trimmed.match(regex);
+      if (match) {
+        return this.parseMatchedDate(match, order);
+      }
+    }
+
+    // Try month names without a year before the lenient standard parser,
+    // which would otherwise assign an arbitrary year
+    for (const format of this.yearlessFormats) {
+      const parts = format.parse(trimmed);
+      if (parts) {
+        return this.partsToResult(parts, false);
+      }
+    }
+
+    // Fall back to standard date parsing
+    const parsed = new Date(trimmed);
+    if (!isNaN(parsed.getTime())) {
+      return { date: parsed, yearKnown: true, ambiguous: false, alternative: null };
     }
 
     return null;
   }
 
   /**
-   * Parse a date from regex match groups
-   * @param {Array} match - Regex match array
-   * @param {RegExp} pattern - The pattern that was matched
-   * @returns {Date|null} Parsed date or null
+   * Convert parsed date parts into a parse result
+   * @param {{year: number|null, month: number, day: number}} parts - Parsed parts (month is 0-based)
+   * @param {boolean} ambiguous - Whether day and month could be swapped
+   * @returns {{date: Date, yearKnown: boolean, ambiguous: boolean, alternative: Date|null}} Parse result
    */
-  parseMatchedDate(match, pattern) {
-    try {
-      const patternStr = pattern.toString();
-      
-      if (patternStr.includes('YYYY') && patternStr.startsWith('/^(\\d{4})')) {
-        // YYYY-MM-DD format
-        const year = parseInt(match[1]);
-        const month = parseInt(match[2]) - 1; // JS months are 0-indexed
-        const day = parseInt(match[3]);
-        return new Date(year, month, day);
-      } else {
-        // MM/DD/YYYY or DD/MM/YYYY format
-        // Try MM/DD/YYYY first (US format)
-        const first = parseInt(match[1]);
-        const second = parseInt(match[2]);
-        const year = parseInt(match[3]);
-        
-        // If first number is > 12, it must be DD/MM/YYYY
-        if (first > 12) {
-          return new Date(year, second - 1, first);
-        }
-        // If second number is > 12, it must be MM/DD/YYYY
-        if (second > 12) {
-          return new Date(year, first - 1, second);
-        }
-        // Ambiguous - default to MM/DD/YYYY (US format)
-        return new Date(year, first - 1, second);
-      }
-    } catch (error) {
-      return null;
+  partsToResult(parts, ambiguous) {
+    const yearKnown = parts.year !== null;
+    const year = yearKnown ? parts.year : Associate.UNKNOWN_BIRTH_YEAR;
+
+    return {
+      date: new Date(year, parts.month, parts.day),
+      yearKnown,
+      ambiguous,
+      alternative: ambiguous ? new Date(year, parts.day - 1, parts.month + 1) : null
+    };
+  }
+
+  /**
+   * Parse a date from numeric regex match groups
+   * Day-first or month-first order is decided by values greater than 12,
+   * otherwise by the configured locale, in which case the result is ambiguous
+   * @param {Array} match - Regex match array; the year group is absent for month-day values
+   * @param {string|null} order - 'YMD' for year-first patterns, null for day/month patterns
+   * @returns {{date: Date, yearKnown: boolean, ambiguous: boolean, alternative: Date|null}|null} Parse result or null if invalid
+   */
+  parseMatchedDate(match, order) {
+    if (order === 'YMD') {
+      const year = parseInt(match[1], 10);
+      const month = parseInt(match[2], 10) - 1; // JS months are 0-indexed
+      const day = parseInt(match[3], 10);
+      return DateFormat.isValidDay(year, month, day)
+        ? this.partsToResult({ year, month, day }, false)
+        : null;
     }
+
+    const first = parseInt(match[1], 10);
+    const second = parseInt(match[2], 10);
+    const year = match[3] ? parseInt(match[3], 10) : null;
+
+    const dayFirst = DateFormat.isValidDay(year, second - 1, first) ? { year, month: second - 1, day: first } : null;
+    const monthFirst = DateFormat.isValidDay(year, first - 1, second) ? { year, month: first - 1, day: second } : null;
+
+    // If only one reading is valid (e.g., a value greater than 12), it is not ambiguous
+    if (!dayFirst || !monthFirst || first === second) {
+      const parts = dayFirst || monthFirst;
+      return parts ? this.partsToResult(parts, false) : null;
+    }
+
+    // Both readings are valid - use the locale's order
+    return this.partsToResult(this.dateOrder === 'DMY' ? dayFirst : monthFirst, true);
+  }
+
+  /**
+   * Log a warning listing every date of birth whose day and month order was ambiguous
+   */
+  logAmbiguousDates() {
+    const ambiguous = this.lastReport.ambiguousDates;
+    if (ambiguous.length === 0) {
+      return;
+    }
+
+    // ISO 8601 dates, or --MM-DD when the year is unknown
+    const formatDate = (date, yearKnown) => `${yearKnown ? date.getFullYear() : '-'}-` +
+      `${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    const lines = ambiguous.map(entry =>
+      `  - ${this.formatLocation(entry.sheetName, entry.rowNumber)}: "${entry.name}" ${entry.value} read as ` +
+      `${formatDate(entry.date, entry.yearKnown)} (could also be ${formatDate(entry.alternative, entry.yearKnown)})`
+    );
+
+    this.log('WARN', `${ambiguous.length} ambiguous date(s) of birth under locale ${this.dateLocale}:\n${lines.join('\n')}`);
   }
 
   /**
@@ -0,0 +1,196 @@
+import fs from 'fs';
+import path from 'path';
+import DateKey from '../utils/DateKey.js';
+import JsonFile from '../utils/JsonFile.js';
+
+/**
+ * Notification Ledger service
+ * Remembers which notifications each recipient has been sent, in a local JSON file, so a
+ * restart or a manual run does not send the same birthday SMS twice. Other processes sharing the
+ * file, such as a manual run beside the scheduler, are picked up by reload() and by save(), which
+ * merges the file into what it writes
+ */
+class NotificationLedger {
+  /**
+   * Version of the ledger file format
+   */
+  static VERSION = 1;
+
+  /**
+   * Days entries are kept for, counted from the date of the event
+   */
+  static RETENTION_DAYS = 400;
+
+  /**
+   * Event recorded for birthday wishes sent to associates; other notifications are recorded
+   * under their event type id (birthday, workAnniversary or a custom event type)
+   */
+  static BIRTHDAY_WISH = 'birthdayWish';
+
+  /**
+   * Create a Notification Ledger instance
+   * @param {Object} logger - Optional logger instance for logging operations
+   * @param {Object} options - Ledger options
+   * @param {string} options.filePath - Path of the ledger file
+   */
+  constructor(logger = null, options = {}) {
+    this.logger = logger;
+    this.filePath = path.resolve(options.filePath);
+    this.entries = new Map();
+  }
+
+  /**
+   * Log a message if logger is available
+   * @param {string} level - Log level (INFO, WARN, ERROR)
+   * @param {string} message - Message to log
+   */
+  log(level, message) {
+    if (this.logger) {
+      this.logger.log(level, message);
+    }
+  }
+
+  /**
+   * Build the key of a notification, whoever it is sent to
+   * Associates are identified by employee ID when they have one, otherwise by name
+   * @param {{date: Date, event: string, associate: Associate}} entry - The notification: date of the
+   *   event, event type id and associate
+   * @returns {string} Key in date|event|associate form
+   */
+  notificationKey(entry) {
+    const associate = entry.associate.employeeId
+      ? `id:${entry.associate.employeeId}`
+      : `name:${entry.associate.name.trim().toLowerCase()}`;
+    return [DateKey.format(entry.date), entry.event, associate].join('|');
+  }
+
+  /**
+   * Build the key of a notification to a recipient
+   * @param {{date: Date, event: string, associate: Associate}|string} entry - The notification: date
+   *   of the event, event type id and associate, or its notificationKey
+   * @param {string} recipient - Mobile number it was sent to
+   * @returns {string} Key in date|event|associate|recipient form
+   */
+  key(entry, recipient) {
+    const notification = typeof entry === 'string' ? entry : this.notificationKey(entry);
+    return `${notification}|${recipient}`;
+  }
+
+  /**
+   * Load the ledger file; a missing file is an empty ledger
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be read or is not a ledger
+   */
+  async load() {
+    const entries = await this.read();
+    this.entries = entries || new Map();
+
+    if (!entries) {
+      this.log('INFO', `Notification ledger not found, starting a new one at ${this.filePath}`);
+      return;
+    }
+    this.log('INFO', `Loaded ${this.entries.size} notification(s) from the ledger`);
+  }
+
+  /**
+   * Add the notifications other processes have recorded in the ledger file since it was loaded
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be read or is not a ledger
+   */
+  async reload() {
+    this.merge(await this.read());
+  }
+
+  /**
+   * Read the entries in the ledger file
+   * @returns {Promise<Map<string, string>|null>} Sent times by key, or null if there is no file
+   * @throws {Error} If the file cannot be read or is not a ledger
+   */
+  async read() {
+    if (!fs.existsSync(this.filePath)) {
+      return null;
+    }
+
+    let content;
+    try {
+      content = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read notification ledger ${this.filePath}: ${error.message}`);
+    }
+
+    if (!content || typeof content.entries !== 'object' || content.entries === null) {
+      throw new Error(`Failed to read notification ledger ${this.filePath}: expected an object with "entries"`);
+    }
+
+    return new Map(Object.entries(content.entries));
+  }
+
+  /**
+   * Add entries that are not in the ledger yet
+   * @param {Map<string, string>|null} entries - Sent times by key
+   */
+  merge(entries) {
+    if (entries) {
+      entries.forEach((sentAt, key) => {
+        if (!this.entries.has(key)) {
+          this.entries.set(key, sentAt);
+        }
+      });
+    }
+  }
+
+  /**
+   * Check whether a recipient has been sent a notification
+   * @param {{date: Date, event: string, associate: Associate}} entry - The notification: date of the
+   *   event, event type id and associate
+   * @param {string} recipient - Mobile number
+   * @returns {boolean} True if it was sent
+   */
+  has(entry, recipient) {
+    return this.entries.has(this.key(entry, recipient));
+  }
+
+  /**
+   * Record notifications sent to a recipient; call save() to keep them
+   * @param {Array<{date: Date, event: string, associate: Associate}|string>} entries - The
+   *   notifications, or their notificationKeys
+   * @param {string} recipient - Mobile number they were sent to
+   * @param {Date} sentAt - When they were sent (default: now)
+   */
+  record(entries, recipient, sentAt = new Date()) {
+    entries.forEach(entry => this.entries.set(this.key(entry, recipient), sentAt.toISOString()));
+  }
+
+  /**
+   * Write the ledger file, leaving out entries older than RETENTION_DAYS
+   * Entries other processes have written to the file since it was loaded are kept; the file is
+   * locked while it is read and written, and replaced in one step
+   * @param {Date} now - Current date, for the retention period (default: now)
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be written
+   */
+  async save(now = new Date()) {
+    const cutoff = new Date(now.getFullYear(), now.getMonth(), now.getDate() - NotificationLedger.RETENTION_DAYS);
+    const cutoffKey = DateKey.format(cutoff);
+
+    await JsonFile.withLock(this.filePath, async () => {
+      this.merge(await this.read());
+      [...this.entries.keys()]
+        .filter(key => key.substring(0, 10) < cutoffKey)
+        .forEach(key => this.entries.delete(key));
+
+      const content = {
+        version: NotificationLedger.VERSION,
+        entries: Object.fromEntries(this.entries)
+      };
+
+      try {
+        await JsonFile.write(this.filePath, content);
+      } catch (error) {
+        throw new Error(`Failed to write notification ledger ${this.filePath}: ${error.message}`);
+      }
+    });
+  }
+}
+
+export default NotificationLedger;
@@ -0,0 +1,289 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import JsonFile from '../utils/JsonFile.js';
+
+/**
+ * SMS Outbox service
+ * Durable queue of outgoing SMS in a local JSON file. Messages are written to it before they
+ * are sent, and messages that could not be delivered are retried later, hours apart if need
+ * be, even across restarts. Every change reads and writes the file in turn, one at a time in
+ * this process and under a lock file across processes, so a command listing or requeueing
+ * messages works alongside the running application
+ */
+class SMSOutbox {
+  /**
+   * Version of the outbox file format
+   */
+  static VERSION = 1;
+
+  /**
+   * Message states
+   * pending: waiting to be sent (new, requeued or interrupted while sending)
+   * sending: being sent now
+   * sent: delivered
+   * failed: not delivered yet, retried at nextAttemptAt
+   * dead: given up on after the last attempt, or after an error retrying cannot fix
+   */
+  static STATES = ['pending', 'sending', 'sent', 'failed', 'dead'];
+
+  /**
+   * Delivery policy used when none is configured: 6 attempts, waiting 10 minutes after the
+   * first and doubling each time, so the last attempt is made about 5 hours after the first
+   */
+  static DEFAULT_POLICY = {
+    maxAttempts: 6,
+    retryDelayMinutes: 10
+  };
+
+  /**
+   * Days sent messages are kept for
+   */
+  static SENT_RETENTION_DAYS = 7;
+
+  /**
+   * Create an SMS Outbox instance
+   * @param {Object} logger - Optional logger instance for logging operations
+   * @param {Object} options - Outbox options
+   * @param {string} options.filePath - Path of the outbox file
+   * @param {number} options.maxAttempts - Delivery attempts before a message is dead (default: 6)
+   * @param {number} options.retryDelayMinutes - Wait after the first failed attempt, doubled
+   *   after each further one (default: 10)
+   */
+  constructor(logger = null, options = {}) {
+    this.logger = logger;
+    this.filePath = path.resolve(options.filePath);
+    this.maxAttempts = options.maxAttempts ?? SMSOutbox.DEFAULT_POLICY.maxAttempts;
+    this.retryDelayMinutes = options.retryDelayMinutes ?? SMSOutbox.DEFAULT_POLICY.retryDelayMinutes;
+    this.changes = Promise.resolve();
+  }
+
+  /**
+   * Log a message if logger is available
+   * @param {string} level - Log level (INFO, WARN, ERROR)
+   * @param {string} message - Message to log
+   */
+  log(level, message) {
+    if (this.logger) {
+      this.logger.log(level, message);
+    }
+  }
+
+  /**
+   * Read the messages in the outbox file; a missing file is an empty outbox
+   * @returns {Promise<Object[]>} The messages, oldest first
+   * @throws {Error} If the file cannot be read or is not an outbox
+   */
+  async read() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    let content;
+    try {
+      content = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read SMS outbox ${this.filePath}: ${error.message}`);
+    }
+
+    if (!content || !Array.isArray(content.messages)) {
+      throw new Error(`Failed to read SMS outbox ${this.filePath}: expected an object with "messages"`);
+    }
+    return content.messages;
+  }
+
+  /**
+   * Write the outbox file, leaving out messages sent more than SENT_RETENTION_DAYS ago
+   * The file is replaced in one step, so an interrupted write cannot corrupt it
+   * @param {Object[]} messages - The messages
+   * @param {Date} now - Current date and time, for the retention period
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be written
+   */
+  async write(messages, now) {
+    const cutoff = now.getTime() - SMSOutbox.SENT_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const content = {
+      version: SMSOutbox.VERSION,
+      messages: messages.filter(message => message.state !== 'sent' || new Date(message.updatedAt).getTime() >= cutoff)
+    };
+
+    try {
+      await JsonFile.write(this.filePath, content);
+    } catch (error) {
+      throw new Error(`Failed to write SMS outbox ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Read, change and write the outbox
+   * Changes wait for the ones made before them in this process, and hold the file's lock so
+   * they do not overlap changes made by another process
+   * @param {function(Object[]): *} change - Changes the messages in place and returns a result
+   * @param {Date} now - Current date and time
+   * @returns {Promise<*>} The result of change
+   */
+  async update(change, now) {
+    const run = () => JsonFile.withLock(this.filePath, async () => {
+      const messages = await this.read();
+      const result = change(messages);
+      await this.write(messages, now);
+      return result;
+    });
+    const result = this.changes.then(run, run);
+    this.changes = result.catch(() => {});
+    return await result;
+  }
+
+  /**
+   * Write a new message to the outbox, claimed for sending straight away
+   * @param {string} recipient - Mobile number to send to
+   * @param {string[]} parts - The message parts, sent in order
+   * @param {Date} now - Current date and time (default: now)
+   * @param {string[]} notifications - Notification ledger keys of what the message notifies the
+   *   recipient of, recorded in the ledger once it is delivered (see NotificationLedger.notificationKey)
+   * @returns {Promise<Object>} The message
+   */
+  async add(recipient, parts, now = new Date(), notifications = []) {
+    return await this.update(messages => {
+      let id;
+      do {
+        id = crypto.randomBytes(4).toString('hex');
+      } while (messages.some(message => message.id === id));
+
+      const message = {
+        id,
+        recipient,
+        parts: [...parts],
+        notifications: [...notifications],
+        partsSent: 0,
+        state: 'sending',
+        attempts: 0,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+        nextAttemptAt: null,
+        lastError: null,
+        messageId: null
+      };
+      messages.push(message);
+      return { ...message };
+    }, now);
+  }
+
+  /**
+   * Claim the messages that are due to be sent: pending messages, and failed messages whose
+   * next attempt is due
+   * @param {Date} now - Current date and time (default: now)
+   * @returns {Promise<Object[]>} The messages, now in the sending state, oldest first
+   */
+  async claimDue(now = new Date()) {
+    return await this.update(messages => messages
+      .filter(message => message.state === 'pending' ||
+        (message.state === 'failed' && new Date(message.nextAttemptAt).getTime() <= now.getTime()))
+      .map(message => {
+        message.state = 'sending';
+        message.updatedAt = now.toISOString();
+        return { ...message };
+      }), now);
+  }
+
+  /**
+   * Record the outcome of sending a message
+   * A failed message is retried after the retry delay, doubled for each earlier attempt,
+   * unless it has used its attempts or the error is not retriable, when it is dead
+   * @param {string} id - Message ID
+   * @param {SMSResult} result - Result of sending the parts that were left, with partsSent
+   * @param {Date} now - Current date and time (default: now)
+   * @returns {Promise<Object>} The message
+   * @throws {Error} If there is no such message
+   */
+  async complete(id, result, now = new Date()) {
+    return await this.update(messages => {
+      const message = messages.find(candidate => candidate.id === id);
+      if (!message) {
+        throw new Error(`No message with ID ${id} in the SMS outbox`);
+      }
+
+      message.attempts++;
+      message.partsSent += result.partsSent || 0;
+      message.updatedAt = now.toISOString();
+      if (result.success) {
+        message.state = 'sent';
+        message.messageId = message.messageId || result.messageId || null;
+        message.nextAttemptAt = null;
+        message.lastError = null;
+      } else {
+        message.lastError = result.error;
+        if (result.retriable === false || message.attempts >= this.maxAttempts) {
+          message.state = 'dead';
+          message.nextAttemptAt = null;
+        } else {
+          const delayMs = this.retryDelayMinutes * Math.pow(2, message.attempts - 1) * 60 * 1000;
+          message.state = 'failed';
+          message.nextAttemptAt = new Date(now.getTime() + delayMs).toISOString();
+        }
+      }
+      return { ...message };
+    }, now);
+  }
+
+  /**
+   * Return messages that were being sent when the application stopped to the pending state
+   * They may have been delivered, so a recipient can receive one of them twice
+   * @param {Date} now - Current date and time (default: now)
+   * @returns {Promise<number>} Number of messages returned to pending
+   */
+  async recover(now = new Date()) {
+    const count = await this.update(messages => {
+      const interrupted = messages.filter(message => message.state === 'sending');
+      interrupted.forEach(message => {
+        message.state = 'pending';
+        message.updatedAt = now.toISOString();
+      });
+      return interrupted.length;
+    }, now);
+
+    if (count > 0) {
+      this.log('WARN', `${count} SMS outbox message(s) were being sent when the application stopped; they will be sent again`);
+    }
+    return count;
+  }
+
+  /**
+   * List the messages in the outbox
+   * @param {string} state - Only list messages in this state (default: all)
+   * @returns {Promise<Object[]>} The messages, oldest first
+   */
+  async list(state = null) {
+    const messages = await this.read();
+    return state ? messages.filter(message => message.state === state) : messages;
+  }
+
+  /**
+   * Return dead messages to the pending state, with their attempts reset
+   * @param {string[]} ids - IDs of the messages (default: every dead message)
+   * @param {Date} now - Current date and time (default: now)
+   * @returns {Promise<Object[]>} The requeued messages
+   * @throws {Error} If an ID is not that of a dead message
+   */
+  async requeue(ids = [], now = new Date()) {
+    return await this.update(messages => {
+      const dead = messages.filter(message => message.state === 'dead');
+      const unknown = ids.filter(id => !dead.some(message => message.id === id));
+      if (unknown.length > 0) {
+        throw new Error(`No dead message with ID ${unknown.join(', ')} in the SMS outbox`);
+      }
+
+      return dead
+        .filter(message => ids.length === 0 || ids.includes(message.id))
+        .map(message => {
+          message.state = 'pending';
+          message.attempts = 0;
+          message.nextAttemptAt = null;
+          message.updatedAt = now.toISOString();
+          return { ...message };
+        });
+    }, now);
+  }
+}
+
+export default SMSOutbox;
@@ -1,10 +1,53 @@
-import axios from 'axios';
+import GenericProvider from './providers/GenericProvider.js';
+import TwilioProvider from './providers/TwilioProvider.js';
+import VonageProvider from './providers/VonageProvider.js';
+import MessageBirdProvider from './providers/MessageBirdProvider.js';
+import PlivoProvider from './providers/PlivoProvider.js';
+import SnsProvider from './providers/SnsProvider.js';
+import HttpTemplateProvider from './providers/HttpTemplateProvider.js';
+import MessageTemplates from '../models/MessageTemplates.js';
+import SMSEncoding from '../utils/SMSEncoding.js';
+import AnnualDate from '../utils/AnnualDate.js';
 
 /**
  * SMS Service class with API integration
  * Handles sending SMS notifications via external gateway
  */
 class SMSService {
+  /**
+   * Provider adapters by SMS_PROVIDER name
+   */
+  static PROVIDERS = {
+    [GenericProvider.NAME]: GenericProvider,
+    [TwilioProvider.NAME]: TwilioProvider,
+    [VonageProvider.NAME]: VonageProvider,
+    [MessageBirdProvider.NAME]: MessageBirdProvider,
+    [PlivoProvider.NAME]: PlivoProvider,
+    [SnsProvider.NAME]: SnsProvider,
+    [HttpTemplateProvider.NAME]: HttpTemplateProvider
+  };
+
+  /**
+   * Error message prefixes for failures that retrying will not fix, used when the error
+   * carries no HTTP status; these stop retrying and fail over to the next provider at once
+   */
+  static NON_RETRIABLE_ERRORS = ['Authentication failed', 'Invalid request'];
+
+  /**
+   * HTTP statuses worth retrying, besides server errors (5xx): timeouts, too early and rate limits
+   */
+  static RETRIABLE_STATUSES = [408, 425, 429];
+
+  /**
+   * Retry policy used when none is configured: 3 attempts per provider, waiting 2 then 4 seconds
+   */
+  static DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    baseDelayMs: 2000,
+    maxDelayMs: 30000,
+    jitter: 0
+  };
+
   /**
    * Create an SMS Service instance
    * @param {Object} config - Configuration object containing SMS API details
@@ -12,6 +55,32 @@ class SMSService {
    * @param {string} config.smsApiKey - The API key for authentication
    * @param {string} config.smsSenderId - The sender ID for SMS messages
    * @param {string} config.recipientMobileNumber - The recipient mobile number
+   * @param {string[]} config.recipientMobileNumbers - Recipients that each receive the notifications
+   *   (default: recipientMobileNumber only)
+   * @param {string} config.smsProvider - The SMS provider adapter (default: generic)
+   * @param {string} config.smsHttpConfigFile - Gateway definition file for the http provider
+   * @param {Array<Object>} config.smsFallbackProviders - Providers tried in order when the primary fails,
+   *   each with its own smsProvider, smsApiUrl, smsApiKey, smsSenderId and smsHttpConfigFile
+   * @param {MessageTemplates} config.messageTemplates - Templates for the notification text (default: built-in wording)
+   * @param {string} config.messageLocale - Default language and date format of notifications (default: en-GB)
+   * @param {Object<string, string>} config.recipientLocales - Languages of recipients, keyed by mobile number
+   * @param {number} config.smsMaxSegments - Most segments one SMS may use; 0 for no limit (default: 0)
+   * @param {string} config.smsSegmentOverflow - How longer messages are shortened: split into
+   *   several SMSes or abbreviate the list (default: split)
+   * @param {number} config.smsRetryMaxAttempts - Attempts per provider (default: 3)
+   * @param {number} config.smsRetryBaseDelayMs - Wait before the first retry, doubled for each
+   *   further retry (default: 2000)
+   * @param {number} config.smsRetryMaxDelayMs - Longest wait between attempts, including
+   *   waits asked for with Retry-After (default: 30000)
+   * @param {number} config.smsRetryJitter - Fraction of each wait, from 0 to 1, that may be
+   *   randomly cut to spread out retries (default: 0)
+   * @param {SMSOutbox} config.outbox - Durable outbox messages are written to before they are sent,
+   *   and retried from when they fail (default: none, messages are sent directly)
+   * @param {function(): Date} config.clock - Returns the current date and time, for the dates in
+   *   messages and the timestamps of sends (default: system local time)
+   * @param {string} config.leapDayPolicy - Policy for 29 February birthdays in non-leap years, for
+   *   ages in messages (default: skip)
+   * @param {string} config.defaultCountryCode - Country code of recipients written as national numbers
    */
   constructor(config) {
     if (!config) {
@@ -21,7 +90,37 @@ class SMSService {
     this.apiUrl = config.smsApiUrl;
     this.apiKey = config.smsApiKey;
     this.senderId = config.smsSenderId;
-    this.recipientNumber = config.recipientMobileNumber;
+    this.recipients = config.recipientMobileNumbers && config.recipientMobileNumbers.length > 0
+      ? [...config.recipientMobileNumbers]
+      : [config.recipientMobileNumber].filter(Boolean);
+    this.recipientNumber = this.recipients[0];
+    this.templates = config.messageTemplates || new MessageTemplates();
+    this.defaultLocale = config.messageLocale || 'en-GB';
+    this.recipientLocales = config.recipientLocales || {};
+    this.defaultCountryCode = config.defaultCountryCode || '';
+    this.maxSegments = config.smsMaxSegments || 0;
+    this.segmentOverflow = config.smsSegmentOverflow || 'split';
+    this.retryPolicy = {
+      maxAttempts: config.smsRetryMaxAttempts ?? SMSService.DEFAULT_RETRY_POLICY.maxAttempts,
+      baseDelayMs: config.smsRetryBaseDelayMs ?? SMSService.DEFAULT_RETRY_POLICY.baseDelayMs,
+      maxDelayMs: config.smsRetryMaxDelayMs ?? SMSService.DEFAULT_RETRY_POLICY.maxDelayMs,
+      jitter: config.smsRetryJitter ?? SMSService.DEFAULT_RETRY_POLICY.jitter
+    };
+    this.providers = [config, ...(config.smsFallbackProviders || [])].map(providerConfig => {
+      const name = providerConfig.smsProvider || GenericProvider.NAME;
+      const Provider = SMSService.PROVIDERS[name];
+      return {
+        name,
+        config: providerConfig,
+        provider: Provider ? new Provider(providerConfig) : null
+      };
+    });
+    this.providerName = this.providers[0].name;
+    this.provider = this.providers[0].provider;
+    this.outbox = config.outbox || null;
+    this.draining = false;
+    this.clock = config.clock || (() => new Date());
+    this.leapDayPolicy = config.leapDayPolicy || AnnualDate.DEFAULT_LEAP_DAY_POLICY;
     
     // Validate required configuration
     this.validateConfiguration();
@@ -34,19 +133,30 @@ class SMSService {
   validateConfiguration() {
     const errors = [];
 
-    if (!this.apiUrl) {
-      errors.push('SMS API URL is required');
-    }
+    this.providers.forEach((entry, index) => {
+      const prefix = index === 0 ? '' : `Fallback provider ${entry.name}: `;
+      const { smsApiUrl, smsApiKey, smsSenderId } = entry.config;
 
-    if (!this.apiKey) {
-      errors.push('SMS API key is required');
-    }
+      if (!smsApiUrl) {
+        errors.push(`${prefix}SMS API URL is required`);
+      }
 
-    if (!this.senderId) {
-      errors.push('SMS sender ID is required');
-    }
+      if (!smsApiKey) {
+        errors.push(`${prefix}SMS API key is required`);
+      }
+
+      if (!smsSenderId) {
+        errors.push(`${prefix}SMS sender ID is required`);
+      }
+
+      if (!entry.provider) {
+        errors.push(`${prefix}Unsupported SMS provider: ${entry.name}. Expected one of: ${Object.keys(SMSService.PROVIDERS).join(', ')}`);
+      } else if (smsApiUrl && smsApiKey) {
+        errors.push(...entry.provider.getConfigurationErrors().map(error => `${prefix}${error}`));
+      }
+    });
 
-    if (!this.recipientNumber) {
+    if (this.recipients.length === 0) {
       errors.push('Recipient mobile number is required');
     }
 
@@ -58,33 +168,215 @@ class SMSService {
 
   /**
    * Format birthday notification message with associate names
+   * Birthdays from weekends and holidays announced today are listed with their actual date,
+   * and work anniversaries are appended when sent in the same SMS
    * @param {Array<Associate>} associates - Array of associates with birthdays
+   * @param {Array<{date: Date, associates: Array<Associate>}>} rolledOver - Non-working days with birthdays, in date order
+   * @param {Array<WorkAnniversary>} anniversaries - Work anniversaries to include
+   * @param {string} recipient - Mobile number the message is for, to select its template and language
+   * @param {Object} options - Message options
+   * @param {Date} options.date - Day the birthdays are on (default: today)
+   * @param {boolean} options.belated - Whether the message is sent after that day, by a catch-up check
+   * @returns {string} Formatted SMS message
+   */
+  formatMessage(associates, rolledOver = [], anniversaries = [], recipient = null, options = {}) {
+    const hasToday = associates && associates.length > 0;
+    const hasRolledOver = rolledOver && rolledOver.length > 0;
+    const hasAnniversaries = anniversaries && anniversaries.length > 0;
+
+    if (!hasToday && !hasRolledOver) {
+      return hasAnniversaries ? this.formatAnniversaryMessage(anniversaries, recipient, options) : '';
+    }
+
+    const today = options.date || this.clock();
+    const belated = options.belated === true;
+    const { template, locale } = this.selectTemplate('birthday', { recipient });
+    return template.render({
+      associates: hasToday ? associates.map(associate => this.describeAssociate(associate, today)) : [],
+      count: hasToday ? associates.length : 0,
+      date: this.formatDayLabel(today, locale),
+      belated,
+      rolledOver: hasRolledOver ? rolledOver.map(day => ({
+        date: this.formatDayLabel(day.date, locale),
+        count: day.associates.length,
+        associates: day.associates.map(associate => this.describeAssociate(associate, day.date))
+      })) : [],
+      anniversaries: hasAnniversaries ? anniversaries.map(anniversary => this.describeAnniversary(anniversary, locale, belated, recipient)) : []
+    });
+  }
+
+  /**
+   * Select the template for a message and the locale to write it in
+   * @param {string} kind - Kind of notification (see MessageTemplates.KINDS)
+   * @param {Object} options - Selection options
+   * @param {string} options.recipient - Mobile number the message is for
+   * @param {string} options.eventTypeId - Custom event type id
+   * @param {string} options.locale - Preferred locale (default: the recipient's locale)
+   * @returns {{template: MessageTemplate, locale: string}} The template and the locale for its dates;
+   *   the default locale when there is no translation for the preferred one
+   */
+  selectTemplate(kind, options = {}) {
+    return this.templates.select(kind, {
+      recipient: options.recipient,
+      eventTypeId: options.eventTypeId,
+      locale: options.locale || this.getRecipientLocale(options.recipient),
+      defaultLocale: this.defaultLocale
+    });
+  }
+
+  /**
+   * Get the configured language of a recipient
+   * @param {string} recipient - Mobile number
+   * @returns {string|null} BCP 47 locale, or null if not configured
+   */
+  getRecipientLocale(recipient) {
+    if (!recipient) {
+      return null;
+    }
+    return this.recipientLocales[MessageTemplates.normaliseRecipient(recipient, this.defaultCountryCode)] || null;
+  }
+
+  /**
+   * Get the template values for an associate
+   * @param {Associate} associate - The associate
+   * @param {Date} date - The day the message is about, used for the age
+   * @returns {Object} Values: name, firstName, lastName, age, department, employeeId
+   */
+  describeAssociate(associate, date) {
+    return {
+      name: associate.name,
+      firstName: associate.firstName || '',
+      lastName: associate.lastName || '',
+      age: typeof associate.getAge === 'function' ? associate.getAge(date, this.leapDayPolicy) : null,
+      department: associate.department || '',
+      employeeId: associate.employeeId || ''
+    };
+  }
+
+  /**
+   * Get the template values for a work anniversary
+   * @param {WorkAnniversary} anniversary - The work anniversary
+   * @param {string} locale - Locale for the dates
+   * @param {boolean} belated - Whether the message is sent after the anniversary, by a catch-up check
+   * @param {string} recipient - Mobile number the message is for, to select the when template
+   * @returns {Object} Associate values plus years, when (e.g., today) and date
+   */
+  describeAnniversary(anniversary, locale = this.defaultLocale, belated = false, recipient = null) {
+    return {
+      ...this.describeAssociate(anniversary.associate, anniversary.date),
+      years: anniversary.years,
+      when: this.formatWhen(anniversary.date, !anniversary.rolledOver && !belated, recipient, locale),
+      date: this.formatDayLabel(anniversary.date, locale)
+    };
+  }
+
+  /**
+   * Format the phrase saying when an anniversary or event happens, from the when template
+   * @param {Date} date - The day it happens on
+   * @param {boolean} today - Whether it is announced on that day, rather than rolled over or belated
+   * @param {string} recipient - Mobile number the message is for, to select its template
+   * @param {string} locale - Locale of the message the phrase is part of
+   * @returns {string} The phrase (e.g., today, or on Mon 14 Oct)
+   */
+  formatWhen(date, today, recipient = null, locale = this.defaultLocale) {
+    const selected = this.selectTemplate('when', { recipient, locale });
+    return selected.template.render({ today, date: this.formatDayLabel(date, selected.locale) });
+  }
+
+  /**
+   * Format work anniversary notification message
+   * @param {Array<WorkAnniversary>} anniversaries - Work anniversaries to announce
+   * @param {string} recipient - Mobile number the message is for, to select its template and language
+   * @param {Object} options - Message options (see formatMessage)
    * @returns {string} Formatted SMS message
    */
-  formatMessage(associates) {
-    if (!associates || associates.length === 0) {
+  formatAnniversaryMessage(anniversaries, recipient = null, options = {}) {
+    if (!anniversaries || anniversaries.length === 0) {
       return '';
     }
 
-    let message = 'Birthday Alert! Today\'s birthdays:\n';
-    
-    associates.forEach(associate => {
-      message += `- ${associate.name}\n`;
+    const belated = options.belated === true;
+    const { template, locale } = this.selectTemplate('anniversary', { recipient });
+    return template.render({
+      anniversaries: anniversaries.map(anniversary => this.describeAnniversary(anniversary, locale, belated, recipient)),
+      count: anniversaries.length,
+      date: this.formatDayLabel(options.date || this.clock(), locale),
+      belated
+    });
+  }
+
+  /**
+   * Format the birthday wish sent to an associate's own mobile number
+   * Written in the associate's language when known, otherwise in the recipient's
+   * @param {Associate} associate - The associate celebrating a birthday
+   * @param {string} recipient - Mobile number the message is for, to select its template and language
+   * @param {Object} options - Message options (see formatMessage)
+   * @returns {string} Formatted SMS message
+   */
+  formatBirthdayWish(associate, recipient = null, options = {}) {
+    const today = options.date || this.clock();
+    const { template, locale } = this.selectTemplate('wish', { recipient, locale: associate.locale });
+    return template.render({
+      ...this.describeAssociate(associate, today),
+      date: this.formatDayLabel(today, locale),
+      belated: options.belated === true
     });
+  }
+
+  /**
+   * Format a day label for digests and rolled-over birthdays (e.g., Mon 14 Oct)
+   * @param {Date} date - The day to format
+   * @param {string} locale - Locale for the weekday and month names (default: the message locale)
+   * @returns {string} Formatted day label
+   */
+  formatDayLabel(date, locale = this.defaultLocale) {
+    return date.toLocaleDateString(locale, { weekday: 'short', day: 'numeric', month: 'short' });
+  }
+
+  /**
+   * Format upcoming birthdays digest message, grouped by day
+   * @param {Array<{date: Date, associates: Array<Associate>}>} upcoming - Days with birthdays, in date order
+   * @param {number} days - Number of days covered by the digest
+   * @param {string} recipient - Mobile number the message is for, to select its template and language
+   * @returns {string} Formatted SMS message
+   */
+  formatDigestMessage(upcoming, days, recipient = null) {
+    if (!upcoming || upcoming.length === 0) {
+      return '';
+    }
 
-    return message.trim();
+    const { template, locale } = this.selectTemplate('digest', { recipient });
+    return template.render({
+      upcoming: upcoming.map(day => ({
+        date: this.formatDayLabel(day.date, locale),
+        count: day.associates.length,
+        associates: day.associates.map(associate => this.describeAssociate(associate, day.date))
+      })),
+      days,
+      count: upcoming.reduce((count, day) => count + day.associates.length, 0),
+      date: this.formatDayLabel(this.clock(), locale)
+    });
   }
 
   /**
    * Send birthday notification SMS
    * @param {Array<Associate>} associates - Array of associates with birthdays
+   * @param {Array<{date: Date, associates: Array<Associate>}>} rolledOver - Non-working days with birthdays, in date order
+   * @param {Array<WorkAnniversary>} anniversaries - Work anniversaries to include in the same SMS
+   * @param {Object} options - Notification options
+   * @param {string[]} options.recipients - Mobile numbers to send to (default: configured recipients)
+   * @param {Date} options.date - Day the birthdays are on (default: today)
+   * @param {boolean} options.belated - Whether the notification is sent after that day, by a catch-up check
+   * @param {boolean} options.dryRun - Render the notification without sending it (see sendToRecipients)
    * @returns {Promise<SMSResult>} Result of SMS delivery attempt
    */
-  async sendBirthdayNotification(associates) {
-    const timestamp = new Date();
+  async sendBirthdayNotification(associates, rolledOver = [], anniversaries = [], options = {}) {
+    const timestamp = this.clock();
 
     // Don't send if no associates
-    if (!associates || associates.length === 0) {
+    if ((!associates || associates.length === 0) &&
+        (!rolledOver || rolledOver.length === 0) &&
+        (!anniversaries || anniversaries.length === 0)) {
       return {
         success: false,
         error: 'No associates provided for notification',
@@ -92,109 +384,494 @@ class SMSService {
       };
     }
 
-    // Format the message
-    const message = this.formatMessage(associates);
+    // Format the message for each recipient and send with retry logic
+    return await this.sendToRecipients(
+      recipient => this.formatMessage(associates, rolledOver, anniversaries, recipient, options),
+      timestamp,
+      options.recipients,
+      options
+    );
+  }
+
+  /**
+   * Send a birthday wish to an associate's own mobile number
+   * @param {Associate} associate - The associate celebrating a birthday
+   * @param {string} mobileNumber - The associate's mobile number
+   * @param {Object} options - Message options (see formatMessage), and dryRun to render the wish
+   *   without sending it
+   * @returns {Promise<SMSResult>} Result of SMS delivery attempt
+   */
+  async sendBirthdayWish(associate, mobileNumber, options = {}) {
+    const timestamp = this.clock();
+    const message = this.formatBirthdayWish(associate, mobileNumber, options);
 
-    // Send with retry logic
-    return await this.sendWithRetry(message, timestamp);
+    return await this.sendToRecipients(message, timestamp, [mobileNumber], options);
   }
 
   /**
-   * Send SMS with retry logic and exponential backoff
-   * @param {string} message - The message to send
-   * @param {Date} timestamp - The timestamp of the initial attempt
-   * @param {number} attempt - Current attempt number (1-based)
+   * Send work anniversary notification SMS
+   * @param {Array<WorkAnniversary>} anniversaries - Work anniversaries to announce
+   * @param {Object} options - Notification options (see sendBirthdayNotification)
    * @returns {Promise<SMSResult>} Result of SMS delivery attempt
    */
-  async sendWithRetry(message, timestamp, attempt = 1) {
-    const maxAttempts = 3;
+  async sendAnniversaryNotification(anniversaries, options = {}) {
+    const timestamp = this.clock();
 
-    try {
-      const result = await this.sendSMS(message);
-      
+    if (!anniversaries || anniversaries.length === 0) {
       return {
-        success: true,
-        messageId: result.messageId,
-        timestamp,
-        attempts: attempt
+        success: false,
+        error: 'No work anniversaries provided for notification',
+        timestamp
       };
-    } catch (error) {
-      // If we've exhausted all attempts, return failure
-      if (attempt >= maxAttempts) {
+    }
+
+    return await this.sendToRecipients(
+      recipient => this.formatAnniversaryMessage(anniversaries, recipient, options),
+      timestamp,
+      options.recipients,
+      options
+    );
+  }
+
+  /**
+   * Format custom event notification message
+   * @param {EventType} eventType - The event type
+   * @param {Array<EventOccurrence>} occurrences - Occurrences to announce
+   * @param {string} recipient - Mobile number the message is for, to select its template and language
+   * @param {Object} options - Message options (see formatMessage)
+   * @returns {string} Formatted SMS message
+   */
+  formatEventMessage(eventType, occurrences, recipient = null, options = {}) {
+    if (!occurrences || occurrences.length === 0) {
+      return '';
+    }
+
+    const belated = options.belated === true;
+    const { template, locale } = this.selectTemplate('event', { recipient, eventTypeId: eventType.id });
+    const formatDay = date => this.formatDayLabel(date, locale);
+    return template.render({
+      label: eventType.label,
+      count: occurrences.length,
+      date: formatDay(options.date || this.clock()),
+      belated,
+      occurrences: occurrences.map(occurrence => {
+        const when = this.formatWhen(occurrence.date, !occurrence.rolledOver && !belated, recipient, locale);
         return {
-          success: false,
-          error: error.message,
-          timestamp,
-          attempts: attempt
+          ...this.describeAssociate(occurrence.associate, occurrence.date),
+          years: occurrence.years,
+          when,
+          date: formatDay(occurrence.date),
+          line: eventType.formatLine(occurrence, formatDay, when)
         };
+      })
+    });
+  }
+
+  /**
+   * Send custom event notification SMS to the event type's recipients
+   * Uses the configured recipients when the event type has none
+   * @param {EventType} eventType - The event type
+   * @param {Array<EventOccurrence>} occurrences - Occurrences to announce
+   * @param {Object} options - Notification options (see sendBirthdayNotification); recipients
+   *   default to getEventRecipients
+   * @returns {Promise<SMSResult>} Combined result with a result per recipient
+   */
+  async sendEventNotification(eventType, occurrences, options = {}) {
+    const timestamp = this.clock();
+
+    if (!occurrences || occurrences.length === 0) {
+      return {
+        success: false,
+        error: `No ${eventType.label} provided for notification`,
+        timestamp
+      };
+    }
+
+    return await this.sendToRecipients(
+      recipient => this.formatEventMessage(eventType, occurrences, recipient, options),
+      timestamp,
+      options.recipients || this.getEventRecipients(eventType),
+      options
+    );
+  }
+
+  /**
+   * Get the recipients of a custom event type's notifications
+   * @param {EventType} eventType - The event type
+   * @returns {string[]} The event type's recipients, or the configured recipients when it has none
+   */
+  getEventRecipients(eventType) {
+    return eventType.recipients.length > 0 ? eventType.recipients : this.recipients;
+  }
+
+  /**
+   * Send upcoming birthdays digest SMS
+   * @param {Array<{date: Date, associates: Array<Associate>}>} upcoming - Days with birthdays, in date order
+   * @param {number} days - Number of days covered by the digest
+   * @returns {Promise<SMSResult>} Result of SMS delivery attempt
+   */
+  async sendDigestNotification(upcoming, days) {
+    const timestamp = this.clock();
+
+    if (!upcoming || upcoming.length === 0) {
+      return {
+        success: false,
+        error: 'No upcoming birthdays provided for digest',
+        timestamp
+      };
+    }
+
+    return await this.sendToRecipients(recipient => this.formatDigestMessage(upcoming, days, recipient), timestamp);
+  }
+
+  /**
+   * Send a message to each recipient independently
+   * @param {string|function(string): string} message - The message to send, or a function
+   *   formatting it for a recipient
+   * @param {Date} timestamp - The timestamp of the initial attempt
+   * @param {string[]} recipients - Mobile numbers to send to (default: configured recipients)
+   * @param {Object} options - Send options
+   * @param {boolean} options.dryRun - Render and measure the message for each recipient without
+   *   sending it or writing it to the outbox
+   * @param {string[]} options.notifications - Notification ledger keys of what the message notifies
+   *   of, kept with outbox messages so they are recorded in the ledger once delivered
+   * @returns {Promise<SMSResult>} Combined result; success only if every recipient was reached.
+   *   deliveryStatus is delivered, partial or failed, retriable tells whether any failure may
+   *   succeed later, and results holds each recipient's success, messageId, attempts, error,
+   *   retriable, provider, parts, segments and encoding, with an outbox outboxId, queued
+   *   and nextAttemptAt, and in a dry run dryRun and the texts of the parts
+   */
+  async sendToRecipients(message, timestamp, recipients = this.recipients, options = {}) {
+    const results = [];
+
+    for (const recipient of recipients) {
+      const text = typeof message === 'function' ? message(recipient) : message;
+      const parts = this.splitMessage(text);
+      let result;
+      if (options.dryRun) {
+        result = { success: true, dryRun: true, timestamp, attempts: 0, partsSent: 0, texts: parts, ...this.measureParts(parts) };
+      } else if (this.outbox) {
+        result = await this.sendThroughOutbox(parts, timestamp, recipient, options.notifications);
+      } else {
+        result = await this.sendParts(parts, timestamp, recipient);
       }
+      results.push({ recipient, ...result });
+    }
+
+    return SMSService.combineResults(results, timestamp);
+  }
 
-      // Calculate exponential backoff delay: 2^attempt seconds
-      const delayMs = Math.pow(2, attempt) * 1000;
-      
-      // Wait before retrying
-      await this.delay(delayMs);
+  /**
+   * Combine the results of sending to several recipients
+   * @param {SMSResult[]} results - Result for each recipient, with its recipient
+   * @param {Date} timestamp - The timestamp of the initial attempt
+   * @returns {SMSResult} Combined result (see sendToRecipients)
+   */
+  static combineResults(results, timestamp) {
+    const delivered = results.filter(result => result.success);
+    const failed = results.filter(result => !result.success);
+
+    return {
+      success: failed.length === 0,
+      deliveryStatus: SMSService.getDeliveryStatus(delivered.length, results.length),
+      messageId: delivered.length > 0 ? delivered[0].messageId : undefined,
+      error: failed.length > 0 ? [...new Set(failed.map(result => result.error))].join('; ') : undefined,
+      retriable: failed.length > 0 ? failed.some(result => result.retriable) : undefined,
+      timestamp,
+      attempts: results.reduce((total, result) => total + (result.attempts || 0), 0),
+      results
+    };
+  }
+
+  /**
+   * Send the parts of a message in order, stopping at the first part that fails
+   * @param {string[]} parts - The message parts
+   * @param {Date} timestamp - The timestamp of the initial attempt
+   * @param {string} recipient - Mobile number to send to
+   * @returns {Promise<SMSResult>} Result for the whole message; messageId is that of the first part,
+   *   attempts are summed, partsSent counts the parts delivered, and parts, segments and encoding
+   *   describe what was sent
+   */
+  async sendParts(parts, timestamp, recipient) {
+    const results = [];
 
-      // Retry with incremented attempt counter
-      return await this.sendWithRetry(message, timestamp, attempt + 1);
+    for (const part of parts) {
+      const result = await this.sendWithRetry(part, timestamp, recipient);
+      results.push(result);
+      if (!result.success) {
+        break;
+      }
     }
+
+    const last = results[results.length - 1];
+
+    return {
+      ...last,
+      messageId: last.success ? results[0].messageId : undefined,
+      attempts: results.reduce((total, result) => total + result.attempts, 0),
+      partsSent: results.filter(result => result.success).length,
+      ...this.measureParts(parts)
+    };
   }
 
   /**
-   * Send SMS via API
-   * @param {string} message - The message to send
-   * @returns {Promise<Object>} API response with messageId
-   * @throws {Error} If API call fails
+   * Measure the parts of a message
+   * @param {string[]} parts - The message parts
+   * @returns {{parts: number, segments: number, encoding: string}} Number of parts, segments they
+   *   use in total, and encoding (UCS-2 if any part needs it, otherwise GSM-7)
+   */
+  measureParts(parts) {
+    const measures = parts.map(part => SMSEncoding.measure(part));
+
+    return {
+      parts: parts.length,
+      segments: measures.reduce((total, measure) => total + measure.segments, 0),
+      encoding: measures.some(measure => measure.encoding === 'UCS-2') ? 'UCS-2' : 'GSM-7'
+    };
+  }
+
+  /**
+   * Write a message to the outbox, then send it
+   * @param {string[]} parts - The message parts
+   * @param {Date} timestamp - The timestamp of the initial attempt
+   * @param {string} recipient - Mobile number to send to
+   * @param {string[]} notifications - Notification ledger keys of what the message notifies of
+   * @returns {Promise<SMSResult>} Result of the first attempt (see deliverOutboxMessage)
+   */
+  async sendThroughOutbox(parts, timestamp, recipient, notifications = []) {
+    const message = await this.outbox.add(recipient, parts, timestamp, notifications);
+    return await this.deliverOutboxMessage(message, timestamp);
+  }
+
+  /**
+   * Send the parts of an outbox message that are left, and record the outcome in the outbox
+   * @param {Object} message - Outbox message, claimed for sending
+   * @param {Date} timestamp - The timestamp of the attempt
+   * @returns {Promise<SMSResult>} Result of the attempt (see sendParts), with outboxId, the
+   *   message's outboxState, queued when it will be retried, and nextAttemptAt
+   */
+  async deliverOutboxMessage(message, timestamp) {
+    const result = await this.sendParts(message.parts.slice(message.partsSent), timestamp, message.recipient);
+    const updated = await this.outbox.complete(message.id, result, timestamp);
+
+    return {
+      ...result,
+      messageId: updated.messageId || undefined,
+      outboxId: updated.id,
+      outboxState: updated.state,
+      queued: updated.state === 'failed',
+      nextAttemptAt: updated.nextAttemptAt ? new Date(updated.nextAttemptAt) : undefined
+    };
+  }
+
+  /**
+   * Send the outbox messages that are due: new and requeued messages, and failed messages
+   * whose next attempt is due. Does nothing while a previous drain is still running
+   * @param {Date} now - Current date and time (default: now by the clock)
+   * @returns {Promise<SMSResult[]>} Result for each message sent, with its recipient and the
+   *   notification ledger keys of what it notifies of (see deliverOutboxMessage)
    */
-  async sendSMS(message) {
+  async drainOutbox(now = this.clock()) {
+    if (!this.outbox || this.draining) {
+      return [];
+    }
+
+    this.draining = true;
     try {
-      const response = await axios.post(
-        this.apiUrl,
-        {
-          to: this.recipientNumber,
-          from: this.senderId,
-          message: message
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-          },
-          timeout: 10000 // 10 second timeout
-        }
-      );
+      const results = [];
+      for (const message of await this.outbox.claimDue(now)) {
+        results.push({
+          recipient: message.recipient,
+          notifications: message.notifications || [],
+          ...await this.deliverOutboxMessage(message, now)
+        });
+      }
+      return results;
+    } finally {
+      this.draining = false;
+    }
+  }
 
-      // Check if response indicates success
-      if (response.status >= 200 && response.status < 300) {
-        return {
-          messageId: response.data.messageId || response.data.id || 'unknown',
-          status: response.data.status || 'sent'
-        };
-      } else {
-        throw new Error(`SMS API returned status ${response.status}`);
+  /**
+   * Fit a message within the maximum number of segments
+   * The first line is kept as the heading and the remaining lines are either split across
+   * several messages marked (1/3), (2/3) and so on, or cut short with a "+4 more" line.
+   * A single line longer than the limit is sent as it is
+   * @param {string} message - The message
+   * @returns {string[]} Messages to send, in order
+   */
+  splitMessage(message) {
+    if (!this.maxSegments || SMSEncoding.measure(message).segments <= this.maxSegments) {
+      return [message];
+    }
+
+    const [heading, ...lines] = message.split('\n');
+    const fits = text => SMSEncoding.measure(text).segments <= this.maxSegments;
+
+    if (this.segmentOverflow === 'abbreviate') {
+      for (let kept = lines.length - 1; kept > 0; kept--) {
+        const abbreviated = [heading, ...lines.slice(0, kept), this.formatMoreLine(lines.slice(kept))].join('\n');
+        if (fits(abbreviated)) {
+          return [abbreviated];
+        }
       }
-    } catch (error) {
-      // Handle different types of errors
-      if (error.response) {
-        // API responded with error status
-        const status = error.response.status;
-        const message = error.response.data?.message || error.response.data?.error || 'Unknown error';
-        
-        if (status === 401 || status === 403) {
-          throw new Error(`Authentication failed: ${message}`);
-        } else if (status === 400) {
-          throw new Error(`Invalid request: ${message}`);
+      return [[heading, this.formatMoreLine(lines)].join('\n')];
+    }
+
+    // Leave room for the widest marker, widening it if the parts outnumber it
+    let markerWidth = 1;
+    let groups;
+    do {
+      const marker = `(${'0'.repeat(markerWidth)}/${'0'.repeat(markerWidth)}) `;
+      groups = [[]];
+      lines.forEach(line => {
+        const group = groups[groups.length - 1];
+        if (group.length > 0 && !fits([marker + heading, ...group, line].join('\n'))) {
+          groups.push([line]);
         } else {
-          throw new Error(`API error (${status}): ${message}`);
+          group.push(line);
+        }
+      });
+    } while (String(groups.length).length > markerWidth++);
+
+    return groups.map((group, index) => [`(${index + 1}/${groups.length}) ${heading}`, ...group].join('\n'));
+  }
+
+  /**
+   * Format the line that replaces the entries left out of an abbreviated message
+   * Headings (lines ending with a colon) and blank lines are not counted
+   * @param {string[]} omitted - Lines left out
+   * @returns {string} Line such as "+4 more"
+   */
+  formatMoreLine(omitted) {
+    const count = omitted.filter(line => line.trim() !== '' && !line.trim().endsWith(':')).length;
+    return `+${count} more`;
+  }
+
+  /**
+   * Describe how many recipients a notification reached
+   * @param {number} delivered - Number of recipients reached
+   * @param {number} total - Number of recipients
+   * @returns {string} delivered (all), partial (some) or failed (none)
+   */
+  static getDeliveryStatus(delivered, total) {
+    if (delivered === total) {
+      return 'delivered';
+    }
+    return delivered > 0 ? 'partial' : 'failed';
+  }
+
+  /**
+   * Send SMS with retry logic, exponential backoff and provider failover
+   * Each provider is tried up to the retry policy's maximum attempts before the next one is
+   * tried; errors that retrying cannot fix (see isRetriableError) move on at once
+   * @param {string} message - The message to send
+   * @param {Date} timestamp - The timestamp of the initial attempt
+   * @param {string} recipient - Mobile number to send to (default: configured recipient)
+   * @returns {Promise<SMSResult>} Result of SMS delivery attempt, with the provider used
+   *   and any providers that failed before it; on failure, retriable tells whether the
+   *   last error may succeed on a later run
+   */
+  async sendWithRetry(message, timestamp, recipient = this.recipientNumber) {
+    const { maxAttempts } = this.retryPolicy;
+    const failedProviders = [];
+    let attempts = 0;
+    let lastError = null;
+    let retriable = false;
+
+    for (const entry of this.providers) {
+      for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+        attempts++;
+
+        try {
+          const result = await this.sendSMS(message, recipient, entry.provider);
+
+          return {
+            success: true,
+            messageId: result.messageId,
+            timestamp,
+            attempts,
+            provider: entry.name,
+            ...(failedProviders.length > 0 && { failedProviders })
+          };
+        } catch (error) {
+          lastError = error;
+          retriable = this.isRetriableError(error);
+
+          // Give up on this provider once its attempts are used or retrying cannot help
+          if (attempt >= maxAttempts || !retriable) {
+            break;
+          }
+
+          await this.delay(this.getRetryDelay(attempt, error));
         }
-      } else if (error.request) {
-        // Request was made but no response received (network error)
-        throw new Error('Network error: Unable to reach SMS API');
-      } else {
-        // Something else went wrong
-        throw new Error(`SMS sending failed: ${error.message}`);
       }
+
+      failedProviders.push({ provider: entry.name, error: lastError.message });
+    }
+
+    return {
+      success: false,
+      error: lastError.message,
+      retriable,
+      timestamp,
+      attempts,
+      provider: failedProviders[failedProviders.length - 1].provider,
+      failedProviders
+    };
+  }
+
+  /**
+   * Check whether retrying a failed send may succeed
+   * Timeouts, rate limits (429), server errors (5xx) and network errors are retriable;
+   * other client errors such as 400, 401 and 403 are not. A provider marks errors it knows the
+   * answer for, such as a gateway rejecting a message in a 200 response, with retriable
+   * @param {Error} error - Error raised by a send attempt, with the HTTP status if there was a response
+   * @returns {boolean} True if the send should be retried
+   */
+  isRetriableError(error) {
+    if (typeof error.retriable === 'boolean') {
+      return error.retriable;
+    }
+    const statusMatch = error.message.match(/^API error \((\d{3})\)/);
+    const status = error.status || (statusMatch && Number(statusMatch[1]));
+
+    if (status) {
+      return status >= 500 || SMSService.RETRIABLE_STATUSES.includes(status);
+    }
+    return !SMSService.NON_RETRIABLE_ERRORS.some(prefix => error.message.startsWith(prefix));
+  }
+
+  /**
+   * Get the wait before retrying a failed attempt
+   * A Retry-After from the gateway is honoured; otherwise the wait doubles with each attempt
+   * from the base delay, less a random share of up to the jitter. Either way the wait is
+   * capped at the maximum delay
+   * @param {number} attempt - Number of the attempt that failed, from 1
+   * @param {Error} error - Error raised by the attempt, with retryAfterMs if the gateway sent Retry-After
+   * @returns {number} Milliseconds to wait
+   */
+  getRetryDelay(attempt, error) {
+    const { baseDelayMs, maxDelayMs, jitter } = this.retryPolicy;
+
+    if (error.retryAfterMs !== undefined) {
+      return Math.min(error.retryAfterMs, maxDelayMs);
     }
+
+    const backoff = Math.min(baseDelayMs * Math.pow(2, attempt - 1), maxDelayMs);
+    return Math.round(backoff - backoff * jitter * Math.random());
+  }
+
+  /**
+   * Send SMS via a provider
+   * @param {string} message - The message to send
+   * @param {string} recipient - Mobile number to send to (default: configured recipient)
+   * @param {SMSProvider} provider - Provider to send through (default: primary provider)
+   * @returns {Promise<Object>} Provider response with messageId and status
+   * @throws {Error} If API call fails
+   */
+  async sendSMS(message, recipient = this.recipientNumber, provider = this.provider) {
+    return await provider.send(message, recipient);
   }
 
   /**
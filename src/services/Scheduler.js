@@ -1,22 +1,47 @@
 import cron from 'node-cron';
 import BirthdayCheckService from './BirthdayCheckService.js';
+import SchedulerState from './SchedulerState.js';
+import Configuration from '../models/Configuration.js';
+import DateKey from '../utils/DateKey.js';
 
 /**
  * Scheduler service for automated daily birthday checks
  * Uses node-cron to trigger birthday checks at configured time
  */
 class Scheduler {
+  /**
+   * Cron expression for sending the SMS outbox messages that are due: every 5 minutes
+   */
+  static OUTBOX_CRON_EXPRESSION = '*/5 * * * *';
+
   /**
    * Create a Scheduler instance
    * @param {Object} options - Scheduler configuration options
    * @param {string} options.scheduledTime - Time to run daily check in HH:MM format (24-hour)
    * @param {Object} options.logger - Logger instance for logging operations
+   * @param {boolean} options.digestEnabled - Whether to send the weekly upcoming birthdays digest
+   * @param {string} options.digestDay - Day of the week to send the digest (e.g., monday)
+   * @param {string} options.digestTime - Time to send the digest in HH:MM format (24-hour)
+   * @param {string} options.stateFile - File recording the last successful check, for catching up missed days
+   * @param {number} options.catchUpMaxDays - Most missed days caught up on start, or 0 for no catch-up
+   * @param {function(): Date} options.clock - Returns the current date and time, deciding which day
+   *   checks are for (default: system local time)
    */
   constructor(options = {}) {
     this.scheduledTime = options.scheduledTime || '09:00';
     this.logger = options.logger || null;
+    this.digestEnabled = options.digestEnabled || false;
+    this.digestDay = (options.digestDay || 'monday').toLowerCase();
+    this.digestTime = options.digestTime || '08:00';
+    this.stateFile = options.stateFile || '';
+    this.catchUpMaxDays = options.catchUpMaxDays ?? 7;
+    this.clock = options.clock || (() => new Date());
+    this.failedCatchUpDay = null;
+    this.state = null;
     this.birthdayCheckService = null;
     this.cronJob = null;
+    this.digestCronJob = null;
+    this.outboxCronJob = null;
     this.isRunning = false;
   }
 
@@ -53,6 +78,19 @@ class Scheduler {
     return `${minutes} ${hours} * * *`;
   }
 
+  /**
+   * Convert a day of the week and HH:MM time to a weekly cron expression
+   * @param {string} day - Day of the week (e.g., monday)
+   * @param {string} time - Time in HH:MM format
+   * @returns {string} Cron expression for weekly execution on the specified day and time
+   */
+  weeklyCronExpression(day, time) {
+    const [hours, minutes] = time.split(':');
+    const weekday = Configuration.WEEKDAYS.indexOf(day.toLowerCase());
+    // Run weekly on the specified day: "MM HH * * D"
+    return `${minutes} ${hours} * * ${weekday}`;
+  }
+
   /**
    * Initialize the scheduler
    * Creates Birthday Check Service instance and validates configuration
@@ -70,12 +108,29 @@ class Scheduler {
 
       this.log('INFO', `Scheduled time validated: ${this.scheduledTime}`);
 
+      if (this.digestEnabled) {
+        if (!this.validateTimeFormat(this.digestTime)) {
+          throw new Error(`Invalid digest time format: ${this.digestTime}. Expected HH:MM format (24-hour).`);
+        }
+        if (!Configuration.WEEKDAYS.includes(this.digestDay)) {
+          throw new Error(`Invalid digest day: ${this.digestDay}. Expected a day of the week (e.g., monday).`);
+        }
+
+        this.log('INFO', `Digest schedule validated: ${this.digestDay} at ${this.digestTime}`);
+      }
+
       // Create Birthday Check Service instance
-      this.birthdayCheckService = new BirthdayCheckService(this.logger);
+      this.birthdayCheckService = new BirthdayCheckService(this.logger, { clock: this.clock });
       
       // Initialize the service (loads and validates configuration)
       await this.birthdayCheckService.initialize();
 
+      this.state = null;
+      if (this.stateFile) {
+        this.state = new SchedulerState(this.logger, { filePath: this.stateFile });
+        await this.state.load();
+      }
+
       this.log('INFO', 'Scheduler initialized successfully');
     } catch (error) {
       this.log('ERROR', `Scheduler initialization failed: ${error.message}`);
@@ -85,12 +140,20 @@ class Scheduler {
 
   /**
    * Execute the birthday check task
-   * Wrapper method that handles errors during scheduled execution
+   * Wrapper method that handles errors during scheduled execution. After a catch-up check that
+   * failed, the catch-up is run again instead, from the failed day up to today
    * @returns {Promise<void>}
    */
   async executeTask() {
     try {
-      this.log('INFO', `Scheduled task triggered at ${new Date().toISOString()}`);
+      const now = this.clock();
+      this.log('INFO', `Scheduled task triggered at ${now.toISOString()}`);
+
+      if (this.failedCatchUpDay) {
+        this.log('INFO', `Retrying the missed birthday checks from ${this.failedCatchUpDay.toDateString()} before today's`);
+        await this.catchUp(now);
+        return;
+      }
       
       // Perform the daily birthday check
       const result = await this.birthdayCheckService.performDailyCheck();
@@ -100,6 +163,7 @@ class Scheduler {
         this.log('WARN', `Scheduled task completed with ${result.errors.length} error(s)`);
       } else {
         this.log('INFO', 'Scheduled task completed successfully');
+        await this.recordSuccessfulRun(now);
       }
     } catch (error) {
       // Catch any unexpected errors during task execution
@@ -108,9 +172,46 @@ class Scheduler {
     }
   }
 
+  /**
+   * Execute the birthday digest task
+   * Wrapper method that handles errors during scheduled execution
+   * @returns {Promise<void>}
+   */
+  async executeDigestTask() {
+    try {
+      this.log('INFO', `Scheduled digest triggered at ${this.clock().toISOString()}`);
+
+      const result = await this.birthdayCheckService.performDigestCheck();
+
+      if (result.errors.length > 0) {
+        this.log('WARN', `Scheduled digest completed with ${result.errors.length} error(s)`);
+      } else {
+        this.log('INFO', 'Scheduled digest completed successfully');
+      }
+    } catch (error) {
+      this.log('ERROR', `Scheduled digest execution failed: ${error.message}`);
+      this.log('ERROR', `Stack trace: ${error.stack}`);
+    }
+  }
+
+  /**
+   * Execute the SMS outbox task
+   * Wrapper method that handles errors during scheduled execution
+   * @returns {Promise<void>}
+   */
+  async executeOutboxTask() {
+    try {
+      await this.birthdayCheckService.drainOutbox();
+    } catch (error) {
+      this.log('ERROR', `SMS outbox task failed: ${error.message}`);
+    }
+  }
+
   /**
    * Start the scheduler
-   * Begins the cron job for daily birthday checks
+   * Begins the cron job for daily birthday checks, and with an SMS outbox the job retrying
+   * queued messages. Messages left in the outbox by the last run are sent before missed
+   * days are caught up
    * @returns {Promise<void>}
    * @throws {Error} If scheduler is not initialized or fails to start
    */
@@ -141,9 +242,39 @@ class Scheduler {
         timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
       });
 
+      // Create and start weekly digest job
+      if (this.digestEnabled) {
+        const digestExpression = this.weeklyCronExpression(this.digestDay, this.digestTime);
+
+        this.log('INFO', `Starting digest schedule with cron expression: ${digestExpression}`);
+        this.log('INFO', `Birthday digests will be sent every ${this.digestDay} at ${this.digestTime}`);
+
+        this.digestCronJob = cron.schedule(digestExpression, async () => {
+          await this.executeDigestTask();
+        }, {
+          scheduled: true,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+      }
+
+      // Create and start the job retrying queued SMS
+      if (this.birthdayCheckService.outbox) {
+        this.outboxCronJob = cron.schedule(Scheduler.OUTBOX_CRON_EXPRESSION, async () => {
+          await this.executeOutboxTask();
+        }, {
+          scheduled: true,
+          timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+        });
+      }
+
       this.isRunning = true;
       this.log('INFO', 'Scheduler started successfully');
       this.log('INFO', `Timezone: ${Intl.DateTimeFormat().resolvedOptions().timeZone}`);
+
+      if (this.birthdayCheckService.outbox) {
+        await this.birthdayCheckService.drainOutbox({ recover: true });
+      }
+      await this.catchUp();
     } catch (error) {
       this.log('ERROR', `Failed to start scheduler: ${error.message}`);
       throw error;
@@ -166,6 +297,16 @@ class Scheduler {
         this.cronJob = null;
       }
 
+      if (this.digestCronJob) {
+        this.digestCronJob.stop();
+        this.digestCronJob = null;
+      }
+
+      if (this.outboxCronJob) {
+        this.outboxCronJob.stop();
+        this.outboxCronJob = null;
+      }
+
       this.isRunning = false;
       this.log('INFO', 'Scheduler stopped successfully');
     } catch (error) {
@@ -184,18 +325,39 @@ class Scheduler {
 
   /**
    * Run the birthday check immediately (manual trigger)
-   * Useful for testing or manual execution
+   * Useful for testing or manual execution, and for re-running the check of another day.
+   * A check of an earlier day is worded as belated, like a catch-up check, unless belated is
+   * set to false. Only a real check of today is recorded as a successful check; dry runs and
+   * checks of other days are not
+   * @param {Object} options - Check options
+   * @param {boolean} options.force - Send notifications again even if the ledger shows them as sent
+   * @param {boolean} options.dryRun - Show the messages that would be sent without sending them
+   * @param {Date} options.date - Day to check (default: today)
+   * @param {boolean} options.belated - Word notifications as belated (default: for earlier days)
    * @returns {Promise<Object>} Result of the birthday check
    */
-  async runNow() {
+  async runNow(options = {}) {
     try {
       // Ensure scheduler is initialized
       if (!this.birthdayCheckService) {
         await this.initialize();
       }
 
-      this.log('INFO', 'Manual birthday check triggered');
-      const result = await this.birthdayCheckService.performDailyCheck();
+      const now = this.clock();
+      const todayKey = DateKey.format(now);
+      const dateKey = options.date ? DateKey.format(options.date) : todayKey;
+      const checkOptions = dateKey < todayKey && options.belated === undefined
+        ? { ...options, belated: true }
+        : options;
+
+      this.log('INFO', options.dryRun ? 'Manual birthday check triggered (dry run)' : 'Manual birthday check triggered');
+      if (dateKey !== todayKey) {
+        this.log('INFO', `Checking ${options.date.toDateString()} instead of today`);
+      }
+      const result = await this.birthdayCheckService.performDailyCheck(checkOptions);
+      if (result.errors.length === 0 && !options.dryRun && dateKey === todayKey) {
+        await this.recordSuccessfulRun(now);
+      }
       
       return result;
     } catch (error) {
@@ -203,6 +365,148 @@ class Scheduler {
       throw error;
     }
   }
+
+  /**
+   * Get the days whose scheduled check was missed since the last successful check
+   * Today counts as missed from its scheduled minute on
+   * @param {Date} now - Current date and time (default: now by the clock)
+   * @returns {Date[]} Missed days at midnight, oldest first; empty if no check was recorded
+   */
+  getMissedDays(now = this.clock()) {
+    const lastRun = this.state ? this.state.lastSuccessfulRun : null;
+    if (!lastRun) {
+      return [];
+    }
+
+    const [hours, minutes] = this.scheduledTime.split(':').map(Number);
+    const scheduledTimePassed = now.getHours() * 60 + now.getMinutes() >= hours * 60 + minutes;
+    const lastDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (scheduledTimePassed ? 0 : 1));
+
+    const days = [];
+    for (let day = new Date(lastRun.getFullYear(), lastRun.getMonth(), lastRun.getDate() + 1);
+      day <= lastDay;
+      day = new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1)) {
+      days.push(day);
+    }
+    return days;
+  }
+
+  /**
+   * Run the checks missed while the application was down
+   * Earlier days are checked with belated wording, up to the catchUpMaxDays most recent of them;
+   * a missed check for today is run as a normal check. The catch-up stops at the first day whose
+   * check fails, so no later day is recorded past it, and is run again at the next scheduled check
+   * @param {Date} now - Current date and time (default: now by the clock)
+   * @returns {Promise<Array<{date: Date, result: CheckResult}>>} Result of each catch-up check
+   */
+  async catchUp(now = this.clock()) {
+    const results = [];
+    if (!this.state || this.catchUpMaxDays === 0) {
+      return results;
+    }
+    if (!this.state.lastSuccessfulRun) {
+      this.log('INFO', 'No successful birthday check recorded yet, nothing to catch up');
+      return results;
+    }
+
+    const missedDays = this.getMissedDays(now);
+    const todayKey = DateKey.format(now);
+    const missedToday = missedDays.length > 0 && DateKey.format(missedDays[missedDays.length - 1]) === todayKey
+      ? missedDays.pop()
+      : null;
+
+    const skipped = missedDays.length - this.catchUpMaxDays;
+    if (skipped > 0) {
+      this.log('WARN', `Missed ${missedDays.length} day(s) since ${this.state.lastSuccessfulRun.toDateString()}; ` +
+        `only the last ${this.catchUpMaxDays} are caught up (CATCH_UP_MAX_DAYS)`);
+      missedDays.splice(0, skipped);
+    }
+
+    this.failedCatchUpDay = null;
+    let date = null;
+    try {
+      for (date of missedDays) {
+        this.log('INFO', `Catching up the missed birthday check for ${date.toDateString()}`);
+        const result = await this.birthdayCheckService.performDailyCheck({ date, belated: true });
+        results.push({ date, result });
+        if (!await this.reportCatchUp(date, result)) {
+          return results;
+        }
+      }
+
+      if (missedToday) {
+        date = missedToday;
+        this.log('INFO', `Today's birthday check at ${this.scheduledTime} was missed, running it now`);
+        const result = await this.birthdayCheckService.performDailyCheck();
+        results.push({ date, result });
+        await this.reportCatchUp(date, result);
+      }
+    } catch (error) {
+      this.log('ERROR', `Catch-up of missed birthday checks failed: ${error.message}`);
+      this.failedCatchUpDay = date;
+    }
+
+    return results;
+  }
+
+  /**
+   * Log the outcome of a catch-up check and record it when successful
+   * A failed day is kept in failedCatchUpDay until a catch-up check of it succeeds
+   * @param {Date} date - Day that was checked
+   * @param {CheckResult} result - Result of the check
+   * @returns {Promise<boolean>} True if the check succeeded
+   */
+  async reportCatchUp(date, result) {
+    if (result.errors.length > 0) {
+      this.log('WARN', `Catch-up check for ${date.toDateString()} completed with ${result.errors.length} error(s)`);
+      this.log('WARN', 'Later days are not caught up until it succeeds; it is tried again at the next scheduled check');
+      this.failedCatchUpDay = date;
+      return false;
+    }
+    await this.recordSuccessfulRun(date);
+    return true;
+  }
+
+  /**
+   * Record a successful check in the scheduler state, if one is kept
+   * Days after a failed catch-up check are not recorded, so the failed day is caught up again
+   * A failure to write the state is logged; the check itself has already succeeded
+   * @param {Date} date - Day the check was for
+   * @returns {Promise<void>}
+   */
+  async recordSuccessfulRun(date) {
+    if (!this.state) {
+      return;
+    }
+    if (this.failedCatchUpDay && DateKey.format(date) > DateKey.format(this.failedCatchUpDay)) {
+      return;
+    }
+    try {
+      await this.state.recordSuccessfulRun(date);
+    } catch (error) {
+      this.log('ERROR', error.message);
+    }
+  }
+
+  /**
+   * Send the upcoming birthdays digest immediately (manual trigger)
+   * @returns {Promise<Object>} Result of the digest check
+   */
+  async runDigestNow() {
+    try {
+      if (!this.birthdayCheckService) {
+        await this.initialize();
+      }
+
+      this.log('INFO', 'Manual birthday digest triggered');
+      const result = await this.birthdayCheckService.performDigestCheck();
+
+      return result;
+    } catch (error) {
+      this.log('ERROR', `Manual birthday digest failed: ${error.message}`);
+      throw error;
+    }
+  }
 }
 
 export default Scheduler;
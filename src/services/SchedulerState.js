@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import DateKey from '../utils/DateKey.js';
+import JsonFile from '../utils/JsonFile.js';
+
+/**
+ * Scheduler State service
+ * Remembers the day of the last successful birthday check, in a local JSON file, so days
+ * missed while the application was down can be caught up when it starts again
+ */
+class SchedulerState {
+  /**
+   * Version of the state file format
+   */
+  static VERSION = 1;
+
+  /**
+   * Create a Scheduler State instance
+   * @param {Object} logger - Optional logger instance for logging operations
+   * @param {Object} options - State options
+   * @param {string} options.filePath - Path of the state file
+   */
+  constructor(logger = null, options = {}) {
+    this.logger = logger;
+    this.filePath = path.resolve(options.filePath);
+    this.lastSuccessfulRun = null;
+  }
+
+  /**
+   * Log a message if logger is available
+   * @param {string} level - Log level (INFO, WARN, ERROR)
+   * @param {string} message - Message to log
+   */
+  log(level, message) {
+    if (this.logger) {
+      this.logger.log(level, message);
+    }
+  }
+
+  /**
+   * Load the state file; a missing file means no check has been recorded yet
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be read or is not a scheduler state
+   */
+  async load() {
+    this.lastSuccessfulRun = null;
+
+    if (!fs.existsSync(this.filePath)) {
+      this.log('INFO', `Scheduler state not found, starting a new one at ${this.filePath}`);
+      return;
+    }
+
+    let content;
+    try {
+      content = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read scheduler state ${this.filePath}: ${error.message}`);
+    }
+
+    const lastSuccessfulRun = content ? DateKey.parse(content.lastSuccessfulRun) : null;
+    if (!lastSuccessfulRun) {
+      throw new Error(`Failed to read scheduler state ${this.filePath}: expected "lastSuccessfulRun" as YYYY-MM-DD`);
+    }
+
+    this.lastSuccessfulRun = lastSuccessfulRun;
+    this.log('INFO', `Last successful birthday check: ${lastSuccessfulRun.toDateString()}`);
+  }
+
+  /**
+   * Record a successful check and write the state file
+   * The recorded day never moves backwards, so catching up an older day keeps a later one
+   * The file is replaced in one step, so an interrupted write cannot corrupt it
+   * @param {Date} date - Day the check was for
+   * @returns {Promise<void>}
+   * @throws {Error} If the file cannot be written
+   */
+  async recordSuccessfulRun(date) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    if (this.lastSuccessfulRun && this.lastSuccessfulRun >= day) {
+      return;
+    }
+    this.lastSuccessfulRun = day;
+
+    const content = {
+      version: SchedulerState.VERSION,
+      lastSuccessfulRun: DateKey.format(day)
+    };
+
+    try {
+      await JsonFile.write(this.filePath, content);
+    } catch (error) {
+      throw new Error(`Failed to write scheduler state ${this.filePath}: ${error.message}`);
+    }
+  }
+}
+
+export default SchedulerState;
@@ -0,0 +1,261 @@
+import fs from 'fs';
+import path from 'path';
+import DelimitedTextSource from './sources/DelimitedTextSource.js';
+import Configuration from '../models/Configuration.js';
+import DateKey from '../utils/DateKey.js';
+
+/**
+ * Working Day Calendar service
+ * Decides which days are working days from the weekend days and a list of public holidays,
+ * and which non-working days are announced on a given working day
+ */
+class WorkingDayCalendar {
+  /**
+   * Longest run of non-working days that is searched for a working day
+   */
+  static MAX_NON_WORKING_RUN = 31;
+
+  /**
+   * Create a Working Day Calendar instance
+   * @param {Object} logger - Optional logger instance for logging operations
+   * @param {Object} options - Calendar options
+   * @param {string[]} options.weekendDays - Non-working days of the week (default: saturday, sunday)
+   */
+  constructor(logger = null, options = {}) {
+    this.logger = logger;
+    const weekendDays = options.weekendDays || ['saturday', 'sunday'];
+    this.weekendDays = weekendDays.map(day => Configuration.WEEKDAYS.indexOf(day.toLowerCase()));
+    this.holidays = new Map();
+    this.yearlyHolidays = new Map();
+  }
+
+  /**
+   * Log a message if logger is available
+   * @param {string} level - Log level (INFO, WARN, ERROR)
+   * @param {string} message - Message to log
+   */
+  log(level, message) {
+    if (this.logger) {
+      this.logger.log(level, message);
+    }
+  }
+
+  /**
+   * Build the lookup key for a date that repeats every year
+   * @param {Date} date - The date
+   * @returns {string} Key in MM-DD form
+   */
+  yearlyKey(date) {
+    return DateKey.format(date).substring(5);
+  }
+
+  /**
+   * Add a holiday to the calendar
+   * @param {Date} date - The holiday date
+   * @param {string} name - The holiday name
+   * @param {boolean} yearly - True if the holiday falls on the same date every year
+   */
+  addHoliday(date, name = 'Holiday', yearly = false) {
+    if (yearly) {
+      this.yearlyHolidays.set(this.yearlyKey(date), name);
+    } else {
+      this.holidays.set(DateKey.format(date), name);
+    }
+  }
+
+  /**
+   * Get the name of the holiday on a date
+   * @param {Date} date - The date to check
+   * @returns {string|null} Holiday name, or null if the date is not a holiday
+   */
+  getHoliday(date) {
+    return this.holidays.get(DateKey.format(date)) ||
+      this.yearlyHolidays.get(this.yearlyKey(date)) ||
+      null;
+  }
+
+  /**
+   * Check whether a date is a working day
+   * @param {Date} date - The date to check
+   * @returns {boolean} True if the date is neither a weekend day nor a holiday
+   */
+  isWorkingDay(date) {
+    return !this.weekendDays.includes(date.getDay()) && this.getHoliday(date) === null;
+  }
+
+  /**
+   * Get the non-working days whose birthdays are announced on a working day
+   * With "previous", these are the non-working days straight after the date;
+   * with "next", the non-working days straight before it
+   * @param {Date} date - The working day the notification is sent on
+   * @param {string} rollover - Rollover mode (off, previous or next)
+   * @returns {Date[]} Non-working days in date order, empty if none or rollover is off
+   */
+  getRolledOverDates(date, rollover) {
+    if (rollover !== 'previous' && rollover !== 'next') {
+      return [];
+    }
+
+    const step = rollover === 'previous' ? 1 : -1;
+    const dates = [];
+
+    for (let offset = 1; offset <= WorkingDayCalendar.MAX_NON_WORKING_RUN; offset++) {
+      const candidate = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset * step);
+      if (this.isWorkingDay(candidate)) {
+        break;
+      }
+      dates.push(candidate);
+    }
+
+    return step === 1 ? dates : dates.reverse();
+  }
+
+  /**
+   * Load holidays from an ICS or CSV file
+   * @param {string} filePath - Path to the holidays file
+   * @returns {Promise<number>} Number of holidays loaded
+   * @throws {Error} If the file does not exist or has an unsupported extension
+   */
+  async loadHolidays(filePath) {
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Holidays file not found: ${resolvedPath}`);
+    }
+
+    const ext = path.extname(resolvedPath).toLowerCase();
+    let count;
+
+    if (ext === '.ics') {
+      const text = await fs.promises.readFile(resolvedPath, 'utf8');
+      count = this.parseIcs(text);
+    } else if (ext === '.csv') {
+      const [sheet] = await new DelimitedTextSource().read(resolvedPath);
+      count = this.parseCsvRows(sheet.rows);
+    } else {
+      throw new Error(`Invalid holidays file format: ${ext}. Expected .ics or .csv`);
+    }
+
+    this.log('INFO', `Loaded ${count} holiday(s) from ${resolvedPath}`);
+    return count;
+  }
+
+  /**
+   * Parse holiday rows read from a CSV file
+   * Each row holds a date in YYYY-MM-DD form and an optional name; a header row is skipped.
+   * A date written as MM-DD repeats every year
+   * @param {Array<Array<string>>} rows - Parsed CSV rows
+   * @returns {number} Number of holidays added
+   */
+  parseCsvRows(rows) {
+    let count = 0;
+
+    rows.forEach((row, index) => {
+      const value = (row[0] || '').trim();
+      const name = (row[1] || '').trim() || 'Holiday';
+
+      const full = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      const yearly = value.match(/^(\d{2})-(\d{2})$/);
+
+      if (full) {
+        this.addHoliday(new Date(Number(full[1]), Number(full[2]) - 1, Number(full[3])), name);
+        count++;
+      } else if (yearly) {
+        this.addHoliday(new Date(2000, Number(yearly[1]) - 1, Number(yearly[2])), name, true);
+        count++;
+      } else if (value !== '' && index > 0) {
+        this.log('WARN', `Holidays file row ${index + 1}: Invalid date "${value}", skipping row`);
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * Parse holidays from iCalendar (ICS) text
+   * Reads the DTSTART, DTEND and SUMMARY of each VEVENT; multi-day events cover
+   * every day up to DTEND, and events with a yearly RRULE repeat every year
+   * @param {string} text - ICS file contents
+   * @returns {number} Number of holiday days added
+   */
+  parseIcs(text) {
+    // Unfold continuation lines, which start with a space or tab
+    const lines = text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+    let event = null;
+    let count = 0;
+
+    lines.forEach(line => {
+      if (line === 'BEGIN:VEVENT') {
+        event = {};
+        return;
+      }
+
+      if (line === 'END:VEVENT') {
+        if (event && event.start) {
+          count += this.addIcsEvent(event);
+        }
+        event = null;
+        return;
+      }
+
+      if (!event) {
+        return;
+      }
+
+      const separatorIndex = line.indexOf(':');
+      if (separatorIndex === -1) {
+        return;
+      }
+
+      const property = line.substring(0, separatorIndex).split(';')[0].toUpperCase();
+      const value = line.substring(separatorIndex + 1).trim();
+
+      if (property === 'DTSTART') {
+        event.start = this.parseIcsDate(value);
+      } else if (property === 'DTEND') {
+        event.end = this.parseIcsDate(value);
+      } else if (property === 'SUMMARY') {
+        event.name = value.replace(/\\([,;\\])/g, '$1');
+      } else if (property === 'RRULE') {
+        event.yearly = /(^|;)FREQ=YEARLY(;|$)/i.test(value);
+      }
+    });
+
+    return count;
+  }
+
+  /**
+   * Add the days covered by an ICS event
+   * @param {{start: Date, end: Date, name: string, yearly: boolean}} event - Parsed event
+   * @returns {number} Number of holiday days added
+   */
+  addIcsEvent(event) {
+    const name = event.name || 'Holiday';
+    // DTEND is exclusive; events without it last one day
+    const days = event.end && event.end > event.start
+      ? Math.round((event.end - event.start) / 86400000)
+      : 1;
+
+    for (let offset = 0; offset < days; offset++) {
+      const date = new Date(event.start.getFullYear(), event.start.getMonth(), event.start.getDate() + offset);
+      this.addHoliday(date, name, event.yearly === true);
+    }
+
+    return days;
+  }
+
+  /**
+   * Parse an ICS date or date-time value
+   * Only the calendar date is used
+   * @param {string} value - Value such as 20241225 or 20241225T000000Z
+   * @returns {Date|null} Date at local midnight, or null if invalid
+   */
+  parseIcsDate(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+    if (!match) {
+      return null;
+    }
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  }
+}
+
+export default WorkingDayCalendar;
@@ -0,0 +1,32 @@
+import SMSProvider from './SMSProvider.js';
+
+/**
+ * Generic HTTP SMS provider
+ * Posts {to, from, message} as JSON with the API key as a Bearer token
+ */
+class GenericProvider extends SMSProvider {
+  static NAME = 'generic';
+
+  /**
+   * Build the HTTP request for a message
+   * @param {string} message - The message to send
+   * @param {string} recipient - Mobile number to send to
+   * @returns {Object} Request options
+   */
+  buildRequest(message, recipient) {
+    return {
+      url: this.apiUrl,
+      data: {
+        to: recipient,
+        from: this.senderId,
+        message: message
+      },
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${this.apiKey}`
+      }
+    };
+  }
+}
+
+export default GenericProvider;
@@ -0,0 +1,396 @@
+import fs from 'fs';
+import path from 'path';
+import SMSProvider from './SMSProvider.js';
+
+/**
+ * Declarative HTTP SMS provider
+ * Builds requests from a gateway definition file instead of code: method, URL, headers
+ * and a JSON, form or XML body with placeholders, plus rules for reading the message ID
+ * and status from the response and for deciding whether a 2xx response is a success
+ */
+class HttpTemplateProvider extends SMSProvider {
+  static NAME = 'http';
+
+  /**
+   * HTTP methods accepted in gateway definitions
+   */
+  static METHODS = ['GET', 'POST', 'PUT', 'PATCH'];
+
+  /**
+   * Body encodings accepted in gateway definitions
+   */
+  static BODY_TYPES = ['json', 'form', 'xml', 'none'];
+
+  /**
+   * Placeholders available in the URL, headers and body
+   * to: recipient number, toDigits: recipient without the leading +, from: sender ID,
+   * message: message text, apiKey: SMS_API_KEY, apiUrl: SMS_API_URL
+   */
+  static PLACEHOLDERS = ['to', 'toDigits', 'from', 'message', 'apiKey', 'apiUrl'];
+
+  /**
+   * Default Content-Type for each body encoding
+   */
+  static CONTENT_TYPES = {
+    json: 'application/json',
+    form: 'application/x-www-form-urlencoded',
+    xml: 'application/xml'
+  };
+
+  /**
+   * Create an HTTP Template Provider instance
+   * @param {Object} config - Configuration object containing SMS API details
+   * @param {Object} config.smsHttpConfig - Gateway definition; read from smsHttpConfigFile when not given
+   * @param {string} config.smsHttpConfigFile - Path to the gateway definition JSON file
+   */
+  constructor(config) {
+    super(config);
+    this.definition = null;
+    this.definitionErrors = [];
+
+    try {
+      this.definition = config.smsHttpConfig
+        ? HttpTemplateProvider.fromDefinition(config.smsHttpConfig)
+        : HttpTemplateProvider.loadFromFile(config.smsHttpConfigFile);
+    } catch (error) {
+      this.definitionErrors.push(error.message);
+    }
+  }
+
+  /**
+   * Get provider-specific configuration problems
+   * @returns {string[]} Error messages
+   */
+  getConfigurationErrors() {
+    return this.definitionErrors;
+  }
+
+  /**
+   * Build the HTTP request for a message from the gateway definition
+   * @param {string} message - The message to send
+   * @param {string} recipient - Mobile number to send to
+   * @returns {Object} Request options
+   */
+  buildRequest(message, recipient) {
+    const definition = this.definition;
+    const values = {
+      to: recipient,
+      toDigits: recipient.replace(/^\+/, ''),
+      from: this.senderId,
+      message,
+      apiKey: this.apiKey,
+      apiUrl: this.apiUrl
+    };
+
+    const headers = {};
+    Object.entries(definition.headers).forEach(([name, template]) => {
+      headers[name] = HttpTemplateProvider.render(template, values);
+    });
+
+    const contentType = HttpTemplateProvider.CONTENT_TYPES[definition.bodyType];
+    if (contentType && !Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+      headers['Content-Type'] = contentType;
+    }
+
+    return {
+      method: definition.method.toLowerCase(),
+      // SMS_API_URL is inserted as is; other values are URL-encoded
+      url: HttpTemplateProvider.render(definition.url, values, (value, key) =>
+        key === 'apiUrl' ? value : encodeURIComponent(value)
+      ),
+      headers,
+      data: this.buildBody(values),
+      // Parsed by parseResponse so JSON and text gateways are handled alike
+      responseType: 'text',
+      transformResponse: [data => data]
+    };
+  }
+
+  /**
+   * Render the request body from the gateway definition
+   * @param {Object} values - Placeholder values
+   * @returns {Object|string|undefined} Body to send, undefined for bodyType none
+   */
+  buildBody(values) {
+    const { bodyType, body } = this.definition;
+
+    if (bodyType === 'json') {
+      return HttpTemplateProvider.renderDeep(body, values);
+    } else if (bodyType === 'form') {
+      return SMSProvider.formEncode(HttpTemplateProvider.renderDeep(body, values));
+    } else if (bodyType === 'xml') {
+      return HttpTemplateProvider.render(body, values, HttpTemplateProvider.escapeXml);
+    }
+    return undefined;
+  }
+
+  /**
+   * Parse a 2xx response using the definition's extraction and success rules
+   * @param {string} data - Raw response body
+   * @returns {{messageId: string, status: string}} Parsed result
+   * @throws {Error} If the response matches a failure rule or misses the success rule; the
+   *   gateway has refused the message, so the error is not retriable
+   */
+  parseResponse(data) {
+    const text = data === undefined || data === null ? '' : String(data);
+    const parsed = HttpTemplateProvider.parseBody(text);
+    const rules = this.definition.response;
+
+    const rejected = (rules.failure && HttpTemplateProvider.matchesRule(rules.failure, parsed, text)) ||
+      (rules.success && !HttpTemplateProvider.matchesRule(rules.success, parsed, text));
+
+    if (rejected) {
+      const error = new Error(`Message rejected: ${this.getErrorMessage(text)}`);
+      error.retriable = false;
+      throw error;
+    }
+
+    const messageId = rules.messageId ? HttpTemplateProvider.extract(rules.messageId, parsed, text) : undefined;
+    const status = rules.status ? HttpTemplateProvider.extract(rules.status, parsed, text) : undefined;
+
+    return {
+      messageId: messageId === undefined || messageId === null ? 'unknown' : String(messageId),
+      status: status === undefined || status === null ? 'sent' : String(status)
+    };
+  }
+
+  /**
+   * Extract the error description from a response body
+   * @param {string} data - Raw response body
+   * @returns {string} Error description
+   */
+  getErrorMessage(data) {
+    const text = data === undefined || data === null ? '' : String(data);
+    const parsed = HttpTemplateProvider.parseBody(text);
+    const errorRule = this.definition && this.definition.response.error;
+    const extracted = errorRule ? HttpTemplateProvider.extract(errorRule, parsed, text) : undefined;
+
+    if (extracted !== undefined && extracted !== null && extracted !== '') {
+      return String(extracted);
+    }
+    return typeof parsed === 'object' && parsed !== null ? super.getErrorMessage(parsed) : 'Unknown error';
+  }
+
+  /**
+   * Parse a response body as JSON, falling back to the raw text
+   * @param {string} text - Raw response body
+   * @returns {*} Parsed JSON value or the text itself
+   */
+  static parseBody(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+  /**
+   * Read a value from a response
+   * "$.a.b[0]" reads a JSON path; "regex:..." returns the first capture group from the raw text
+   * @param {string} expression - JSONPath-style path or regex expression
+   * @param {*} parsed - Parsed response body
+   * @param {string} text - Raw response body
+   * @returns {*} Extracted value, undefined if not found
+   */
+  static extract(expression, parsed, text) {
+    if (expression.startsWith('regex:')) {
+      const match = text.match(new RegExp(expression.substring('regex:'.length)));
+      return match ? (match[1] !== undefined ? match[1] : match[0]) : undefined;
+    }
+    return HttpTemplateProvider.getPath(parsed, expression);
+  }
+
+  /**
+   * Read a value from parsed JSON by a JSONPath-style path such as $.data[0].id
+   * @param {*} value - Parsed JSON value
+   * @param {string} jsonPath - Path starting with $
+   * @returns {*} Value at the path, undefined if missing
+   */
+  static getPath(value, jsonPath) {
+    const tokens = [...jsonPath.replace(/^\$/, '').matchAll(/\.([^.[\]]+)|\[(\d+)\]|\['([^']+)'\]/g)]
+      .map(match => match[1] ?? (match[2] !== undefined ? Number(match[2]) : match[3]));
+
+    return tokens.reduce((current, token) => (
+      current !== null && typeof current === 'object' ? current[token] : undefined
+    ), value);
+  }
+
+  /**
+   * Check whether a response matches a success or failure rule
+   * The rule compares the value at "path" (or the raw text without one) to "equals"
+   * (a value or list of values) or tests it against the "matches" regular expression
+   * @param {{path: string, equals: *, matches: string}} rule - Rule from the definition
+   * @param {*} parsed - Parsed response body
+   * @param {string} text - Raw response body
+   * @returns {boolean} True if the response matches the rule
+   */
+  static matchesRule(rule, parsed, text) {
+    const value = rule.path ? HttpTemplateProvider.extract(rule.path, parsed, text) : text;
+
+    if (rule.equals !== undefined) {
+      const expected = Array.isArray(rule.equals) ? rule.equals : [rule.equals];
+      return value !== undefined && expected.some(item => String(item) === String(value));
+    }
+    return value !== undefined && new RegExp(rule.matches).test(String(value));
+  }
+
+  /**
+   * Replace {placeholder} markers in a template string
+   * @param {string} template - Template text
+   * @param {Object} values - Placeholder values
+   * @param {function(string, string): string} encode - Encodes each inserted value
+   * @returns {string} Rendered text
+   */
+  static render(template, values, encode = value => value) {
+    return template.replace(/\{(\w+)\}/g, (match, key) =>
+      Object.prototype.hasOwnProperty.call(values, key) ? encode(String(values[key] ?? ''), key) : match
+    );
+  }
+
+  /**
+   * Render every string inside a JSON body template
+   * @param {*} template - Object, array or string template
+   * @param {Object} values - Placeholder values
+   * @returns {*} Rendered copy
+   */
+  static renderDeep(template, values) {
+    if (typeof template === 'string') {
+      return HttpTemplateProvider.render(template, values);
+    } else if (Array.isArray(template)) {
+      return template.map(item => HttpTemplateProvider.renderDeep(item, values));
+    } else if (template !== null && typeof template === 'object') {
+      const rendered = {};
+      Object.entries(template).forEach(([key, item]) => {
+        rendered[key] = HttpTemplateProvider.renderDeep(item, values);
+      });
+      return rendered;
+    }
+    return template;
+  }
+
+  /**
+   * Escape text for an XML body
+   * @param {string} value - Text to escape
+   * @returns {string} Escaped text
+   */
+  static escapeXml(value) {
+    return value
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Validate a gateway definition and fill in defaults
+   * @param {Object} definition - Raw definition
+   * @returns {Object} Normalized definition
+   * @throws {Error} If the definition is invalid
+   */
+  static fromDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+      throw new Error('Invalid SMS gateway definition:\n  - definition must be a JSON object');
+    }
+
+    const method = (definition.method || 'POST').toUpperCase();
+    if (!HttpTemplateProvider.METHODS.includes(method)) {
+      errors.push(`method must be one of: ${HttpTemplateProvider.METHODS.join(', ')}`);
+    }
+
+    const url = definition.url === undefined ? '{apiUrl}' : definition.url;
+    if (typeof url !== 'string' || url.trim() === '') {
+      errors.push('url must be a non-empty string');
+    }
+
+    const headers = definition.headers || {};
+    if (typeof headers !== 'object' || Array.isArray(headers) ||
+        !Object.values(headers).every(value => typeof value === 'string')) {
+      errors.push('headers must be an object of header names and string values');
+    }
+
+    const bodyType = definition.bodyType || (definition.body === undefined ? 'none' : 'json');
+    const body = definition.body;
+    if (!HttpTemplateProvider.BODY_TYPES.includes(bodyType)) {
+      errors.push(`bodyType must be one of: ${HttpTemplateProvider.BODY_TYPES.join(', ')}`);
+    } else if (bodyType === 'form' && (typeof body !== 'object' || body === null || Array.isArray(body))) {
+      errors.push('body must be an object of field names and values for bodyType form');
+    } else if (bodyType === 'xml' && typeof body !== 'string') {
+      errors.push('body must be a string for bodyType xml');
+    } else if (bodyType === 'json' && (typeof body !== 'object' || body === null)) {
+      errors.push('body must be an object or array for bodyType json');
+    } else if (bodyType !== 'none' && method === 'GET') {
+      errors.push('GET requests cannot have a body; use placeholders in the url instead');
+    }
+
+    const templates = [url, JSON.stringify(headers), typeof body === 'string' ? body : JSON.stringify(body || '')];
+    const unknown = [...new Set(templates
+      .filter(template => typeof template === 'string')
+      .flatMap(template => [...template.matchAll(/\{(\w+)\}/g)].map(match => match[1]))
+      .filter(key => !HttpTemplateProvider.PLACEHOLDERS.includes(key)))];
+    if (unknown.length > 0) {
+      errors.push(`unknown placeholder(s): ${unknown.join(', ')}. Available: ${HttpTemplateProvider.PLACEHOLDERS.join(', ')}`);
+    }
+
+    const response = definition.response || {};
+    ['messageId', 'status', 'error'].forEach(key => {
+      const expression = response[key];
+      if (expression !== undefined && !HttpTemplateProvider.isExpression(expression)) {
+        errors.push(`response.${key} must be a JSON path starting with $ or a regex: expression`);
+      }
+    });
+    ['success', 'failure'].forEach(key => {
+      const rule = response[key];
+      if (rule === undefined) {
+        return;
+      }
+      if (typeof rule !== 'object' || rule === null || (rule.equals === undefined && typeof rule.matches !== 'string')) {
+        errors.push(`response.${key} must have "equals" or "matches"`);
+      } else if (rule.path !== undefined && !HttpTemplateProvider.isExpression(rule.path)) {
+        errors.push(`response.${key}.path must be a JSON path starting with $ or a regex: expression`);
+      }
+    });
+
+    if (errors.length > 0) {
+      throw new Error('Invalid SMS gateway definition:\n' + errors.map(err => `  - ${err}`).join('\n'));
+    }
+
+    return { method, url, headers, bodyType, body, response };
+  }
+
+  /**
+   * Check whether a value is a response extraction expression
+   * @param {*} expression - Value to check
+   * @returns {boolean} True for JSON paths and regex: expressions
+   */
+  static isExpression(expression) {
+    return typeof expression === 'string' && (expression.startsWith('$') || expression.startsWith('regex:'));
+  }
+
+  /**
+   * Load a gateway definition from a JSON file
+   * @param {string} filePath - Path to the JSON file
+   * @returns {Object} Normalized definition
+   * @throws {Error} If the file is missing, unreadable or invalid
+   */
+  static loadFromFile(filePath) {
+    if (!filePath) {
+      throw new Error('SMS gateway definition file is required for the http provider (SMS_HTTP_CONFIG)');
+    }
+
+    const resolvedPath = path.resolve(filePath);
+    let definition;
+
+    try {
+      definition = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read SMS gateway definition file ${resolvedPath}: ${error.message}`);
+    }
+
+    return HttpTemplateProvider.fromDefinition(definition);
+  }
+}
+
+export default HttpTemplateProvider;
@@ -0,0 +1,57 @@
+import SMSProvider from './SMSProvider.js';
+
+/**
+ * MessageBird SMS provider
+ * Posts the message as JSON with the API key in an "AccessKey" Authorization header
+ */
+class MessageBirdProvider extends SMSProvider {
+  static NAME = 'messagebird';
+
+  /**
+   * Build the HTTP request for a message
+   * @param {string} message - The message to send
+   * @param {string} recipient - Mobile number to send to
+   * @returns {Object} Request options
+   */
+  buildRequest(message, recipient) {
+    return {
+      url: this.apiUrl,
+      data: {
+        originator: this.senderId,
+        recipients: [recipient.replace(/^\+/, '')],
+        body: message
+      },
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `AccessKey ${this.apiKey}`
+      }
+    };
+  }
+
+  /**
+   * Parse a MessageBird message object
+   * @param {Object} data - Response body
+   * @returns {{messageId: string, status: string}} Parsed result
+   */
+  parseResponse(data) {
+    const items = data?.recipients?.items || [];
+    return {
+      messageId: data?.id || 'unknown',
+      status: items.length > 0 && items[0].status ? items[0].status : 'sent'
+    };
+  }
+
+  /**
+   * Extract the error description from an error response body
+   * @param {Object} data - Response body with an errors list
+   * @returns {string} Error description
+   */
+  getErrorMessage(data) {
+    if (Array.isArray(data?.errors) && data.errors.length > 0) {
+      return data.errors.map(error => error.description).join('; ');
+    }
+    return super.getErrorMessage(data);
+  }
+}
+
+export default MessageBirdProvider;
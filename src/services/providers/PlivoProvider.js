@@ -0,0 +1,66 @@
+import SMSProvider from './SMSProvider.js';
+
+/**
+ * Plivo SMS provider
+ * Posts the message as JSON with HTTP Basic auth (Auth ID and Auth Token).
+ * The Auth ID is taken from SMS_API_KEY given as AUTH_ID:AUTH_TOKEN,
+ * or from the /Account/{authId}/ segment of SMS_API_URL
+ */
+class PlivoProvider extends SMSProvider {
+  static NAME = 'plivo';
+
+  constructor(config) {
+    super(config);
+    const [authId, authToken] = SMSProvider.splitCredentials(this.apiKey);
+    const urlMatch = (this.apiUrl || '').match(/\/Account\/([^/]+)\//);
+    this.authId = authId || (urlMatch ? urlMatch[1] : '');
+    this.authToken = authToken;
+  }
+
+  /**
+   * Get provider-specific configuration problems
+   * @returns {string[]} Error messages
+   */
+  getConfigurationErrors() {
+    if (!this.authId) {
+      return ['Plivo Auth ID is required in SMS_API_URL (/Account/{authId}/) or SMS_API_KEY (AUTH_ID:AUTH_TOKEN)'];
+    }
+    return [];
+  }
+
+  /**
+   * Build the HTTP request for a message
+   * @param {string} message - The message to send
+   * @param {string} recipient - Mobile number to send to
+   * @returns {Object} Request options
+   */
+  buildRequest(message, recipient) {
+    return {
+      url: this.apiUrl,
+      data: {
+        src: this.senderId,
+        dst: recipient,
+        text: message
+      },
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': SMSProvider.basicAuth(this.authId, this.authToken)
+      }
+    };
+  }
+
+  /**
+   * Parse a Plivo send response
+   * @param {Object} data - Response body
+   * @returns {{messageId: string, status: string}} Parsed result
+   */
+  parseResponse(data) {
+    const uuids = Array.isArray(data?.message_uuid) ? data.message_uuid : [];
+    return {
+      messageId: uuids[0] || 'unknown',
+      status: 'queued'
+    };
+  }
+}
+
+export default PlivoProvider;
@@ -0,0 +1,192 @@
+import axios from 'axios';
+
+/**
+ * SMS Provider base class
+ * Each adapter builds the HTTP request for its gateway (auth scheme, payload encoding)
+ * and parses the gateway response into a message ID and status
+ */
+class SMSProvider {
+  /**
+   * Provider name used in SMS_PROVIDER
+   */
+  static NAME = '';
+
+  /**
+   * Request timeout in milliseconds
+   */
+  static TIMEOUT_MS = 10000;
+
+  /**
+   * Create an SMS Provider instance
+   * @param {Object} config - Configuration object containing SMS API details
+   * @param {string} config.smsApiUrl - The SMS API endpoint URL
+   * @param {string} config.smsApiKey - The API key or credentials for authentication
+   * @param {string} config.smsSenderId - The sender ID for SMS messages
+   */
+  constructor(config) {
+    this.apiUrl = config.smsApiUrl;
+    this.apiKey = config.smsApiKey;
+    this.senderId = config.smsSenderId;
+  }
+
+  /**
+   * Get provider-specific configuration problems
+   * @returns {string[]} Error messages, empty if the configuration is usable
+   */
+  getConfigurationErrors() {
+    return [];
+  }
+
+  /**
+   * Build the HTTP request for a message
+   * @param {string} message - The message to send
+   * @param {string} recipient - Mobile number to send to
+   * @returns {{url: string, headers: Object, data: (Object|string), params: Object}} Request options
+   */
+  buildRequest(message, recipient) {
+    throw new Error(`${this.constructor.name} must implement buildRequest()`);
+  }
+
+  /**
+   * Parse a successful HTTP response
+   * @param {*} data - Response body
+   * @returns {{messageId: string, status: string}} Parsed result
+   * @throws {Error} If the gateway reports that the message was rejected
+   */
+  parseResponse(data) {
+    return {
+      messageId: data?.messageId || data?.id || 'unknown',
+      status: data?.status || 'sent'
+    };
+  }
+
+  /**
+   * Extract the error description from an error response body
+   * @param {*} data - Response body
+   * @returns {string} Error description
+   */
+  getErrorMessage(data) {
+    return data?.message || data?.error || 'Unknown error';
+  }
+
+  /**
+   * Send a message through the gateway
+   * @param {string} message - The message to send
+   * @param {string} recipient - Mobile number to send to
+   * @returns {Promise<{messageId: string, status: string}>} Parsed gateway result
+   * @throws {Error} If the request fails or the gateway rejects the message
+   */
+  async send(message, recipient) {
+    let response;
+
+    try {
+      response = await axios.request({
+        method: 'post',
+        timeout: SMSProvider.TIMEOUT_MS,
+        ...this.buildRequest(message, recipient)
+      });
+    } catch (error) {
+      throw this.toError(error);
+    }
+
+    return this.parseResponse(response.data);
+  }
+
+  /**
+   * Convert a request failure into a descriptive error
+   * Errors for gateway responses carry the HTTP status, and for 429 and 503 responses the
+   * wait the gateway asked for in Retry-After (retryAfterMs)
+   * @param {Error} error - Error raised by the HTTP client
+   * @returns {Error} Error with a message describing the failure
+   */
+  toError(error) {
+    if (error.response) {
+      // API responded with error status
+      const status = error.response.status;
+      const message = this.getErrorMessage(error.response.data);
+      let result;
+
+      if (status === 401 || status === 403) {
+        result = new Error(`Authentication failed: ${message}`);
+      } else if (status === 400) {
+        result = new Error(`Invalid request: ${message}`);
+      } else {
+        result = new Error(`API error (${status}): ${message}`);
+      }
+
+      result.status = status;
+      if (status === 429 || status === 503) {
+        const retryAfterMs = SMSProvider.parseRetryAfter(error.response.headers?.['retry-after']);
+        if (retryAfterMs !== null) {
+          result.retryAfterMs = retryAfterMs;
+        }
+      }
+      return result;
+    } else if (error.request) {
+      // Request was made but no response received (network error)
+      return new Error('Network error: Unable to reach SMS API');
+    }
+    return new Error(`SMS sending failed: ${error.message}`);
+  }
+
+  /**
+   * Parse a Retry-After header, given in seconds or as an HTTP date
+   * @param {string} value - Header value
+   * @param {number} now - Current time in milliseconds, for HTTP dates
+   * @returns {number|null} Milliseconds to wait, or null if the header is missing or invalid
+   */
+  static parseRetryAfter(value, now = Date.now()) {
+    if (value === undefined || value === null || String(value).trim() === '') {
+      return null;
+    }
+
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) {
+      return Number(text) * 1000;
+    }
+
+    const date = Date.parse(text);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+  }
+
+  /**
+   * Split credentials given as "id:secret"
+   * @param {string} value - Credentials string
+   * @returns {[string, string]} Identifier and secret; the identifier is empty if there is no colon
+   */
+  static splitCredentials(value) {
+    const index = (value || '').indexOf(':');
+    if (index === -1) {
+      return ['', value || ''];
+    }
+    return [value.substring(0, index), value.substring(index + 1)];
+  }
+
+  /**
+   * Build an HTTP Basic Authorization header value
+   * @param {string} username - User name or account ID
+   * @param {string} password - Password or auth token
+   * @returns {string} Header value
+   */
+  static basicAuth(username, password) {
+    return `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+  }
+
+  /**
+   * Encode fields as an application/x-www-form-urlencoded body
+   * Fields with undefined values are left out
+   * @param {Object} fields - Field names and values
+   * @returns {string} Encoded body
+   */
+  static formEncode(fields) {
+    const params = new URLSearchParams();
+    Object.entries(fields).forEach(([key, value]) => {
+      if (value !== undefined) {
+        params.append(key, String(value));
+      }
+    });
+    return params.toString();
+  }
+}
+
+export default SMSProvider;
@@ -0,0 +1,169 @@
+import crypto from 'crypto';
+import SMSProvider from './SMSProvider.js';
+
+/**
+ * Amazon SNS SMS provider
+ * Calls the SNS Publish action with a form-encoded body, signed with AWS Signature
+ * Version 4 (HMAC-SHA256) using SMS_API_KEY given as ACCESS_KEY_ID:SECRET_ACCESS_KEY.
+ * The region is taken from the SMS_API_URL host (e.g., sns.eu-west-1.amazonaws.com)
+ */
+class SnsProvider extends SMSProvider {
+  static NAME = 'sns';
+
+  /**
+   * Region used when SMS_API_URL does not name one
+   */
+  static DEFAULT_REGION = 'us-east-1';
+
+  /**
+   * SNS API version sent with each request
+   */
+  static API_VERSION = '2010-03-31';
+
+  constructor(config) {
+    super(config);
+    [this.accessKeyId, this.secretAccessKey] = SMSProvider.splitCredentials(this.apiKey);
+    const hostMatch = (this.apiUrl || '').match(/^https?:\/\/sns\.([a-z0-9-]+)\.amazonaws\.com/i);
+    this.region = hostMatch ? hostMatch[1].toLowerCase() : SnsProvider.DEFAULT_REGION;
+  }
+
+  /**
+   * Get provider-specific configuration problems
+   * @returns {string[]} Error messages
+   */
+  getConfigurationErrors() {
+    if (!this.accessKeyId || !this.secretAccessKey) {
+      return ['AWS SNS credentials must be given as SMS_API_KEY=ACCESS_KEY_ID:SECRET_ACCESS_KEY'];
+    }
+    return [];
+  }
+
+  /**
+   * Build the signed HTTP request for a message
+   * @param {string} message - The message to send
+   * @param {string} recipient - Mobile number to send to
+   * @returns {Object} Request options
+   */
+  buildRequest(message, recipient) {
+    const body = SMSProvider.formEncode({
+      'Action': 'Publish',
+      'Version': SnsProvider.API_VERSION,
+      'PhoneNumber': recipient,
+      'Message': message,
+      'MessageAttributes.entry.1.Name': 'AWS.SNS.SMS.SenderID',
+      'MessageAttributes.entry.1.Value.DataType': 'String',
+      'MessageAttributes.entry.1.Value.StringValue': this.senderId
+    });
+    const headers = {
+      'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8',
+      'X-Amz-Date': SnsProvider.formatAmzDate(new Date())
+    };
+
+    headers['Authorization'] = SnsProvider.signV4({
+      method: 'POST',
+      url: this.apiUrl,
+      headers,
+      body,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey,
+      region: this.region,
+      service: 'sns'
+    });
+
+    return {
+      url: this.apiUrl,
+      data: body,
+      headers,
+      // SNS answers in XML
+      responseType: 'text'
+    };
+  }
+
+  /**
+   * Parse an SNS PublishResponse
+   * @param {string} data - XML response body
+   * @returns {{messageId: string, status: string}} Parsed result
+   */
+  parseResponse(data) {
+    const match = String(data || '').match(/<MessageId>([^<]+)<\/MessageId>/);
+    return {
+      messageId: match ? match[1] : 'unknown',
+      status: 'sent'
+    };
+  }
+
+  /**
+   * Extract the error description from an SNS ErrorResponse
+   * @param {string} data - XML response body
+   * @returns {string} Error description
+   */
+  getErrorMessage(data) {
+    const match = String(data || '').match(/<Message>([^<]+)<\/Message>/);
+    return match ? match[1] : 'Unknown error';
+  }
+
+  /**
+   * Format a date as an AWS timestamp (e.g., 20241014T090000Z)
+   * @param {Date} date - The date
+   * @returns {string} Timestamp in ISO 8601 basic format
+   */
+  static formatAmzDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Compute an AWS Signature Version 4 Authorization header
+   * The request headers must include X-Amz-Date; Host is taken from the URL
+   * @param {Object} request - Request to sign
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Full request URL
+   * @param {Object} request.headers - Headers to sign
+   * @param {string} request.body - Request body
+   * @param {string} request.accessKeyId - AWS access key ID
+   * @param {string} request.secretAccessKey - AWS secret access key
+   * @param {string} request.region - AWS region
+   * @param {string} request.service - AWS service name
+   * @returns {string} Authorization header value
+   */
+  static signV4({ method, url, headers, body, accessKeyId, secretAccessKey, region, service }) {
+    const hash = value => crypto.createHash('sha256').update(value, 'utf8').digest('hex');
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value, 'utf8').digest();
+    const encode = value => encodeURIComponent(value)
+      .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+    const parsedUrl = new URL(url);
+    const canonicalHeaders = { host: parsedUrl.host };
+    Object.entries(headers).forEach(([name, value]) => {
+      canonicalHeaders[name.toLowerCase()] = String(value).trim().replace(/\s+/g, ' ');
+    });
+    const headerNames = Object.keys(canonicalHeaders).sort();
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalQuery = [...parsedUrl.searchParams.entries()]
+      .map(([key, value]) => [encode(key), encode(value)])
+      .sort(([a, aValue], [b, bValue]) => (a === b ? (aValue < bValue ? -1 : 1) : (a < b ? -1 : 1)))
+      .map(([key, value]) => `${key}=${value}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method.toUpperCase(),
+      parsedUrl.pathname || '/',
+      canonicalQuery,
+      headerNames.map(name => `${name}:${canonicalHeaders[name]}\n`).join(''),
+      signedHeaders,
+      hash(body || '')
+    ].join('\n');
+
+    const amzDate = canonicalHeaders['x-amz-date'];
+    const scope = `${amzDate.substring(0, 8)}/${region}/${service}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, hash(canonicalRequest)].join('\n');
+
+    const dateKey = hmac(`AWS4${secretAccessKey}`, amzDate.substring(0, 8));
+    const signingKey = hmac(hmac(hmac(dateKey, region), service), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex');
+
+    return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  }
+}
+
+export default SnsProvider;
@@ -0,0 +1,65 @@
+import SMSProvider from './SMSProvider.js';
+
+/**
+ * Twilio SMS provider
+ * Posts a form-encoded message with HTTP Basic auth (Account SID and Auth Token).
+ * The Account SID is taken from SMS_API_KEY given as ACCOUNT_SID:AUTH_TOKEN,
+ * or from the /Accounts/{sid}/ segment of SMS_API_URL
+ */
+class TwilioProvider extends SMSProvider {
+  static NAME = 'twilio';
+
+  constructor(config) {
+    super(config);
+    const [accountSid, authToken] = SMSProvider.splitCredentials(this.apiKey);
+    const urlMatch = (this.apiUrl || '').match(/\/Accounts\/([^/]+)\//);
+    this.accountSid = accountSid || (urlMatch ? urlMatch[1] : '');
+    this.authToken = authToken;
+  }
+
+  /**
+   * Get provider-specific configuration problems
+   * @returns {string[]} Error messages
+   */
+  getConfigurationErrors() {
+    if (!this.accountSid) {
+      return ['Twilio Account SID is required in SMS_API_URL (/Accounts/{sid}/) or SMS_API_KEY (ACCOUNT_SID:AUTH_TOKEN)'];
+    }
+    return [];
+  }
+
+  /**
+   * Build the HTTP request for a message
+   * @param {string} message - The message to send
+   * @param {string} recipient - Mobile number to send to
+   * @returns {Object} Request options
+   */
+  buildRequest(message, recipient) {
+    return {
+      url: this.apiUrl,
+      data: SMSProvider.formEncode({
+        To: recipient,
+        From: this.senderId,
+        Body: message
+      }),
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Authorization': SMSProvider.basicAuth(this.accountSid, this.authToken)
+      }
+    };
+  }
+
+  /**
+   * Parse a Twilio message resource
+   * @param {Object} data - Response body
+   * @returns {{messageId: string, status: string}} Parsed result
+   */
+  parseResponse(data) {
+    return {
+      messageId: data?.sid || 'unknown',
+      status: data?.status || 'queued'
+    };
+  }
+}
+
+export default TwilioProvider;
@@ -0,0 +1,105 @@
+import SMSProvider from './SMSProvider.js';
+
+/**
+ * Vonage (Nexmo) SMS provider
+ * Sends the API key and secret (SMS_API_KEY as API_KEY:API_SECRET) as query parameters
+ * and the message as a form-encoded body. Vonage answers 200 even when a message is
+ * rejected, so each message status in the response is checked
+ */
+class VonageProvider extends SMSProvider {
+  static NAME = 'vonage';
+
+  /**
+   * Message status code Vonage uses for invalid credentials
+   */
+  static INVALID_CREDENTIALS_STATUS = '4';
+
+  /**
+   * Message status codes worth retrying: throttled (1) and internal error (5)
+   * Other rejections, such as invalid parameters or a barred number, fail again every time
+   */
+  static RETRIABLE_STATUSES = ['1', '5'];
+
+  constructor(config) {
+    super(config);
+    [this.key, this.secret] = SMSProvider.splitCredentials(this.apiKey);
+  }
+
+  /**
+   * Get provider-specific configuration problems
+   * @returns {string[]} Error messages
+   */
+  getConfigurationErrors() {
+    if (!this.key || !this.secret) {
+      return ['Vonage credentials must be given as SMS_API_KEY=API_KEY:API_SECRET'];
+    }
+    return [];
+  }
+
+  /**
+   * Build the HTTP request for a message
+   * Numbers are sent without the leading +, and messages outside ASCII as unicode
+   * @param {string} message - The message to send
+   * @param {string} recipient - Mobile number to send to
+   * @returns {Object} Request options
+   */
+  buildRequest(message, recipient) {
+    return {
+      url: this.apiUrl,
+      params: {
+        api_key: this.key,
+        api_secret: this.secret
+      },
+      data: SMSProvider.formEncode({
+        to: recipient.replace(/^\+/, ''),
+        from: this.senderId,
+        text: message,
+        type: /[^\x00-\x7F]/.test(message) ? 'unicode' : undefined
+      }),
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded'
+      }
+    };
+  }
+
+  /**
+   * Parse a Vonage send response
+   * @param {Object} data - Response body
+   * @returns {{messageId: string, status: string}} Parsed result
+   * @throws {Error} If any message part was rejected, retriable only for the RETRIABLE_STATUSES
+   */
+  parseResponse(data) {
+    const messages = Array.isArray(data?.messages) ? data.messages : [];
+    const rejected = messages.find(part => String(part.status) !== '0');
+
+    if (messages.length === 0) {
+      throw new Error('Invalid response: Vonage returned no message status');
+    }
+
+    if (rejected) {
+      const description = rejected['error-text'] || 'Unknown error';
+      if (String(rejected.status) === VonageProvider.INVALID_CREDENTIALS_STATUS) {
+        throw new Error(`Authentication failed: ${description}`);
+      }
+      const error = new Error(`Message rejected (status ${rejected.status}): ${description}`);
+      error.retriable = VonageProvider.RETRIABLE_STATUSES.includes(String(rejected.status));
+      throw error;
+    }
+
+    return {
+      messageId: messages[0]['message-id'] || 'unknown',
+      status: 'sent'
+    };
+  }
+
+  /**
+   * Extract the error description from an error response body
+   * @param {Object} data - Response body
+   * @returns {string} Error description
+   */
+  getErrorMessage(data) {
+    return data?.['error-text'] || data?.title || super.getErrorMessage(data);
+  }
+}
+
+export default VonageProvider;
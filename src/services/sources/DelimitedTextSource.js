@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Delimited Text Source
+ * Reads rows from CSV and TSV files with delimiter and encoding detection
+ */
+class DelimitedTextSource {
+  /**
+   * File extensions handled by this source
+   */
+  static EXTENSIONS = ['.csv', '.tsv'];
+
+  /**
+   * Delimiters considered during detection, in order of preference
+   */
+  static CANDIDATE_DELIMITERS = [',', ';', '\t', '|'];
+
+  /**
+   * Number of leading lines sampled for delimiter detection
+   */
+  static SAMPLE_LINES = 10;
+
+  /**
+   * Create a Delimited Text Source instance
+   * @param {Object} options - Source options
+   * @param {string} options.delimiter - Field delimiter; detected from the file when not set
+   * @param {string} options.encoding - Text encoding (e.g., utf-8, windows-1252); detected when not set
+   */
+  constructor(options = {}) {
+    this.formatName = 'delimited text';
+    this.hasWorksheets = false;
+    this.delimiter = options.delimiter || null;
+    this.encoding = options.encoding || null;
+  }
+
+  /**
+   * Check whether this source can read a file extension
+   * @param {string} ext - Lower-case file extension including the dot
+   * @returns {boolean} True if supported, false otherwise
+   */
+  supports(ext) {
+    return DelimitedTextSource.EXTENSIONS.includes(ext);
+  }
+
+  /**
+   * Read the rows of a delimited text file
+   * The file is returned as a single sheet named after the file; it has no worksheets to select
+   * @param {string} filePath - Resolved path to the file
+   * @returns {Promise<Array<{name: string, rows: Array<Array<string>>}>>} Single-sheet list
+   */
+  async read(filePath) {
+    const buffer = await fs.promises.readFile(filePath);
+    const text = this.decode(buffer);
+
+    const ext = path.extname(filePath).toLowerCase();
+    const delimiter = this.delimiter || (ext === '.tsv' ? '\t' : this.detectDelimiter(text));
+
+    return [{
+      name: path.basename(filePath, ext),
+      rows: this.parse(text, delimiter)
+    }];
+  }
+
+  /**
+   * Decode a file buffer using the configured or detected encoding
+   * @param {Buffer} buffer - Raw file contents
+   * @returns {string} Decoded text without byte order mark
+   * @throws {Error} If the configured encoding is not supported
+   */
+  decode(buffer) {
+    const encoding = this.encoding || this.detectEncoding(buffer);
+
+    try {
+      return new TextDecoder(encoding).decode(buffer);
+    } catch (error) {
+      throw new Error(`Unsupported text encoding: ${encoding}`);
+    }
+  }
+
+  /**
+   * Detect the text encoding of a file buffer
+   * Uses the byte order mark when present, otherwise checks for UTF-16 and valid UTF-8,
+   * falling back to Windows-1252 which is common for spreadsheet exports
+   * @param {Buffer} buffer - Raw file contents
+   * @returns {string} Encoding label understood by TextDecoder
+   */
+  detectEncoding(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+      return 'utf-8';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+      return 'utf-16le';
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+      return 'utf-16be';
+    }
+
+    // UTF-16 without a byte order mark has a zero byte in most ASCII character pairs
+    const sample = buffer.subarray(0, 512);
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < sample.length; i++) {
+      if (sample[i] === 0) {
+        if (i % 2 === 0) {
+          evenZeros++;
+        } else {
+          oddZeros++;
+        }
+      }
+    }
+    const pairs = Math.floor(sample.length / 2);
+    if (pairs > 0 && oddZeros > pairs * 0.3 && evenZeros === 0) {
+      return 'utf-16le';
+    }
+    if (pairs > 0 && evenZeros > pairs * 0.3 && oddZeros === 0) {
+      return 'utf-16be';
+    }
+
+    try {
+      new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+      return 'utf-8';
+    } catch (error) {
+      return 'windows-1252';
+    }
+  }
+
+  /**
+   * Detect the field delimiter from the first lines of the text
+   * Prefers the candidate that appears the same number of times on every sampled line
+   * @param {string} text - Decoded file contents
+   * @returns {string} The detected delimiter, or a comma if none is found
+   */
+  detectDelimiter(text) {
+    const lines = text.split(/\r\n|\n|\r/)
+      .filter(line => line.trim() !== '')
+      .slice(0, DelimitedTextSource.SAMPLE_LINES);
+
+    let best = ',';
+    let bestScore = 0;
+
+    DelimitedTextSource.CANDIDATE_DELIMITERS.forEach(delimiter => {
+      const counts = lines.map(line => this.countOutsideQuotes(line, delimiter));
+      const min = Math.min(...counts);
+      const consistent = counts.every(count => count === counts[0]);
+
+      // Consistent column counts outweigh raw frequency
+      const score = counts.length === 0 ? 0 : (consistent && min > 0 ? 1000 + min : min);
+      if (score > bestScore) {
+        best = delimiter;
+        bestScore = score;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Count delimiter occurrences that are not inside a quoted field
+   * @param {string} line - A single line of text
+   * @param {string} delimiter - The delimiter to count
+   * @returns {number} Number of unquoted occurrences
+   */
+  countOutsideQuotes(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+
+    for (const char of line) {
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === delimiter && !inQuotes) {
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Parse delimited text into rows of fields
+   * Follows RFC 4180 quoting: fields may be wrapped in double quotes, contain
+   * delimiters and line breaks, and escape quotes by doubling them
+   * @param {string} text - Decoded file contents
+   * @param {string} delimiter - Field delimiter
+   * @returns {Array<Array<string>>} Parsed rows
+   */
+  parse(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"') {
+          if (text[i + 1] === '"') {
+            field += '"';
+            i++;
+          } else {
+            inQuotes = false;
+          }
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    // Last line without a trailing line break
+    if (field !== '' || row.length > 0) {
+      row.push(field);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+}
+
+export default DelimitedTextSource;
@@ -0,0 +1,81 @@
+import xlsx from 'xlsx';
+
+/**
+ * Spreadsheet Source
+ * Reads worksheet rows from Excel and OpenDocument spreadsheet files
+ */
+class SpreadsheetSource {
+  /**
+   * File extensions handled by this source
+   */
+  static EXTENSIONS = ['.xlsx', '.xls', '.ods'];
+
+  constructor() {
+    this.formatName = 'spreadsheet';
+    this.hasWorksheets = true;
+  }
+
+  /**
+   * Check whether this source can read a file extension
+   * @param {string} ext - Lower-case file extension including the dot
+   * @returns {boolean} True if supported, false otherwise
+   */
+  supports(ext) {
+    return SpreadsheetSource.EXTENSIONS.includes(ext);
+  }
+
+  /**
+   * Read every worksheet in a spreadsheet file
+   * @param {string} filePath - Resolved path to the file
+   * @returns {Promise<Array<{name: string, rows: Array<Array>}>>} Worksheets in workbook order
+   */
+  async read(filePath) {
+    // cellNF keeps number formats so date cells can be told apart from plain numbers
+    const workbook = xlsx.readFile(filePath, { cellNF: true });
+
+    return workbook.SheetNames.map(name => ({
+      name,
+      rows: this.toRows(workbook.Sheets[name])
+    }));
+  }
+
+  /**
+   * Convert a worksheet to rows of cell values
+   * Date-formatted cells become Date objects at local midnight, and whole numbers in the General
+   * format keep all their digits (General shows 919876543210 as 9.19877E+11, which would spoil
+   * mobile numbers typed as numbers); all other cells keep their displayed text so string dates
+   * are parsed as written
+   * @param {Object} worksheet - SheetJS worksheet
+   * @returns {Array<Array>} Worksheet rows
+   */
+  toRows(worksheet) {
+    const rows = xlsx.utils.sheet_to_json(worksheet, { header: 1, raw: false });
+    if (!worksheet['!ref']) {
+      return rows;
+    }
+
+    const range = xlsx.utils.decode_range(worksheet['!ref']);
+    for (let r = range.s.r; r <= range.e.r; r++) {
+      for (let c = range.s.c; c <= range.e.c; c++) {
+        const cell = worksheet[xlsx.utils.encode_cell({ r, c })];
+        const row = rows[r - range.s.r];
+        if (!cell || cell.t !== 'n' || !row) {
+          continue;
+        }
+
+        if (cell.z && xlsx.SSF.is_date(cell.z)) {
+          const parts = xlsx.SSF.parse_date_code(cell.v);
+          if (parts) {
+            row[c - range.s.c] = new Date(parts.y, parts.m - 1, parts.d);
+          }
+        } else if (Number.isInteger(cell.v) && (!cell.z || cell.z === 'General')) {
+          row[c - range.s.c] = String(cell.v);
+        }
+      }
+    }
+
+    return rows;
+  }
+}
+
+export default SpreadsheetSource;
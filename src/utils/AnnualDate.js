@@ -0,0 +1,87 @@
+/**
+ * Annual date utility
+ * Works out when a yearly date such as a birthday is observed in a given year,
+ * applying a policy for dates on 29 February in non-leap years
+ */
+class AnnualDate {
+  /**
+   * Policies for 29 February in non-leap years
+   * feb28: observe on 28 February
+   * mar1: observe on 1 March
+   * skip: not observed
+   */
+  static LEAP_DAY_POLICIES = ['feb28', 'mar1', 'skip'];
+
+  /**
+   * Default policy for 29 February in non-leap years
+   */
+  static DEFAULT_LEAP_DAY_POLICY = 'skip';
+
+  /**
+   * Check whether a year is a leap year
+   * @param {number} year - Four-digit year
+   * @returns {boolean} True if leap year, false otherwise
+   */
+  static isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+  }
+
+  /**
+   * Get the date on which a yearly date is observed in a given year
+   * @param {Date} originalDate - The original date (only month and day are used)
+   * @param {number} year - The year to observe the date in
+   * @param {string} leapDayPolicy - Policy for 29 February in non-leap years
+   * @returns {Date|null} Observed date at local midnight, or null if not observed that year
+   */
+  static getObservedDate(originalDate, year, leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY) {
+    const month = originalDate.getMonth();
+    const day = originalDate.getDate();
+
+    if (month === 1 && day === 29 && !AnnualDate.isLeapYear(year)) {
+      switch (leapDayPolicy) {
+        case 'feb28':
+          return new Date(year, 1, 28);
+        case 'mar1':
+          return new Date(year, 2, 1);
+        default:
+          return null;
+      }
+    }
+
+    return new Date(year, month, day);
+  }
+
+  /**
+   * Count the years completed since an original date, such as an age
+   * A year is completed on the day the date is observed, so a 29 February birthday is a year
+   * older on 28 February or 1 March in non-leap years by the policy, and on 1 March when skipped
+   * @param {Date} originalDate - The original date
+   * @param {Date} date - The date to count up to
+   * @param {string} leapDayPolicy - Policy for 29 February in non-leap years
+   * @returns {number} Completed years
+   */
+  static getYearsSince(originalDate, date, leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY) {
+    const year = date.getFullYear();
+    const observed = AnnualDate.getObservedDate(originalDate, year, leapDayPolicy) || new Date(year, 2, 1);
+    const day = new Date(year, date.getMonth(), date.getDate());
+
+    return year - originalDate.getFullYear() - (day < observed ? 1 : 0);
+  }
+
+  /**
+   * Check whether a yearly date is observed on a target date
+   * @param {Date} originalDate - The original date (only month and day are used)
+   * @param {Date} targetDate - The date to compare against
+   * @param {string} leapDayPolicy - Policy for 29 February in non-leap years
+   * @returns {boolean} True if observed on the target date, false otherwise
+   */
+  static isObservedOn(originalDate, targetDate, leapDayPolicy = AnnualDate.DEFAULT_LEAP_DAY_POLICY) {
+    const observed = AnnualDate.getObservedDate(originalDate, targetDate.getFullYear(), leapDayPolicy);
+
+    return observed !== null &&
+      observed.getMonth() === targetDate.getMonth() &&
+      observed.getDate() === targetDate.getDate();
+  }
+}
+
+export default AnnualDate;
@@ -0,0 +1,234 @@
+/**
+ * Date format utility for strict, locale-aware date parsing
+ * Compiles patterns such as DD/MM/YYYY, DD-MMM-YYYY or D MMMM into matchers
+ */
+class DateFormat {
+  /**
+   * Supported format tokens, longest first so that MMMM wins over MM
+   */
+  static TOKEN_PATTERN = /YYYY|YY|MMMM|MMM|MM|M|DD|D/g;
+
+  /**
+   * Create a DateFormat instance
+   * @param {string} pattern - Format pattern (e.g., DD/MM/YYYY)
+   * @param {string} locale - BCP 47 locale used for month names (English names are always accepted)
+   * @throws {Error} If the pattern lacks a day or month token
+   */
+  constructor(pattern, locale = 'en-US') {
+    this.pattern = pattern;
+    this.locale = locale;
+    this.tokens = [];
+
+    let source = '';
+    let lastIndex = 0;
+    let match;
+
+    DateFormat.TOKEN_PATTERN.lastIndex = 0;
+    while ((match = DateFormat.TOKEN_PATTERN.exec(pattern)) !== null) {
+      source += this.escapeLiteral(pattern.substring(lastIndex, match.index));
+      source += this.tokenToRegex(match[0]);
+      this.tokens.push(match[0]);
+      lastIndex = match.index + match[0].length;
+    }
+    source += this.escapeLiteral(pattern.substring(lastIndex));
+
+    if (!this.tokens.some(token => token.startsWith('D'))) {
+      throw new Error(`Date format "${pattern}" has no day token (D or DD)`);
+    }
+    if (!this.tokens.some(token => token.startsWith('M'))) {
+      throw new Error(`Date format "${pattern}" has no month token (M, MM, MMM or MMMM)`);
+    }
+
+    this.regex = new RegExp(`^${source}$`, 'i');
+    this.hasYear = this.tokens.some(token => token.startsWith('Y'));
+    this.isNumericMonth = this.tokens.includes('M') || this.tokens.includes('MM');
+    this.monthNames = DateFormat.getMonthNames(locale);
+  }
+
+  /**
+   * Escape literal pattern text for use in a regular expression
+   * Any run of whitespace matches one or more whitespace characters
+   * @param {string} text - Literal text between tokens
+   * @returns {string} Regular expression source
+   */
+  escapeLiteral(text) {
+    return text
+      .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+      .replace(/\s+/g, '\\s+');
+  }
+
+  /**
+   * Convert a format token to a capturing regular expression group
+   * @param {string} token - The format token
+   * @returns {string} Regular expression source
+   */
+  tokenToRegex(token) {
+    switch (token) {
+      case 'YYYY':
+        return '(\\d{4})';
+      case 'YY':
+      case 'MM':
+      case 'DD':
+        return '(\\d{2})';
+      case 'M':
+      case 'D':
+        return '(\\d{1,2})';
+      default:
+        // MMM and MMMM: a run of letters, optionally followed by a period
+        return '([^\\d\\s.,/-]+)\\.?';
+    }
+  }
+
+  /**
+   * Parse a string strictly according to this format
+   * @param {string} text - The text to parse
+   * @returns {{year: number|null, month: number, day: number}|null} Parsed parts (month is 0-based) or null if invalid
+   */
+  parse(text) {
+    if (typeof text !== 'string') {
+      return null;
+    }
+
+    const match = text.trim().match(this.regex);
+    if (!match) {
+      return null;
+    }
+
+    let year = null;
+    let month = null;
+    let day = null;
+
+    for (let i = 0; i < this.tokens.length; i++) {
+      const token = this.tokens[i];
+      const value = match[i + 1];
+
+      if (token === 'YYYY') {
+        year = parseInt(value, 10);
+      } else if (token === 'YY') {
+        year = DateFormat.expandTwoDigitYear(parseInt(value, 10));
+      } else if (token === 'MMMM' || token === 'MMM') {
+        const names = token === 'MMMM' ? this.monthNames.long : this.monthNames.short;
+        month = names.get(DateFormat.normalizeMonthName(value));
+        if (month === undefined) {
+          return null;
+        }
+      } else if (token.startsWith('M')) {
+        month = parseInt(value, 10) - 1;
+      } else {
+        day = parseInt(value, 10);
+      }
+    }
+
+    if (!DateFormat.isValidDay(year, month, day)) {
+      return null;
+    }
+
+    return { year, month, day };
+  }
+
+  /**
+   * Check whether a day/month combination could also be read with day and month swapped
+   * @param {{month: number, day: number}} parts - Parsed date parts (month is 0-based)
+   * @returns {boolean} True if the swapped reading is a different valid date
+   */
+  isAmbiguous(parts) {
+    return this.isNumericMonth &&
+      parts.day <= 12 &&
+      parts.day !== parts.month + 1;
+  }
+
+  /**
+   * Expand a two-digit year, assuming dates of birth are in the past
+   * @param {number} twoDigitYear - Year from 0 to 99
+   * @returns {number} Four-digit year
+   */
+  static expandTwoDigitYear(twoDigitYear) {
+    const currentYear = new Date().getFullYear();
+    const century = Math.floor(currentYear / 100) * 100;
+    const year = century + twoDigitYear;
+    return year > currentYear ? year - 100 : year;
+  }
+
+  /**
+   * Check whether a day exists in a month
+   * Without a year, 29 February is accepted
+   * @param {number|null} year - Four-digit year or null if unknown
+   * @param {number} month - 0-based month
+   * @param {number} day - Day of month
+   * @returns {boolean} True if the date exists
+   */
+  static isValidDay(year, month, day) {
+    if (month === null || day === null || month < 0 || month > 11 || day < 1) {
+      return false;
+    }
+    // Year 2000 is a leap year, so 29 February is allowed when the year is unknown
+    const daysInMonth = new Date(year === null ? 2000 : year, month + 1, 0).getDate();
+    return day <= daysInMonth;
+  }
+
+  /**
+   * Normalize a month name for lookup
+   * @param {string} name - Month name as written
+   * @returns {string} Lower-case name without trailing period
+   */
+  static normalizeMonthName(name) {
+    return name.toLowerCase().replace(/\.$/, '');
+  }
+
+  /**
+   * Build month name lookups for a locale, always including English names
+   * @param {string} locale - BCP 47 locale
+   * @returns {{long: Map<string, number>, short: Map<string, number>}} Month index by normalized name
+   */
+  static getMonthNames(locale) {
+    const long = new Map();
+    const short = new Map();
+    const locales = locale && locale !== 'en-US' ? ['en-US', locale] : ['en-US'];
+
+    locales.forEach(loc => {
+      const longFormat = new Intl.DateTimeFormat(loc, { month: 'long' });
+      const shortFormat = new Intl.DateTimeFormat(loc, { month: 'short' });
+
+      for (let month = 0; month < 12; month++) {
+        const date = new Date(2000, month, 1);
+        long.set(DateFormat.normalizeMonthName(longFormat.format(date)), month);
+        short.set(DateFormat.normalizeMonthName(shortFormat.format(date)), month);
+      }
+    });
+
+    // Common English abbreviation not produced by Intl
+    short.set('sept', 8);
+
+    return { long, short };
+  }
+
+  /**
+   * Determine the conventional numeric date order for a locale
+   * @param {string} locale - BCP 47 locale (e.g., en-IN, en-US, de-DE)
+   * @returns {string} 'DMY', 'MDY' or 'YMD'
+   */
+  static getDateOrder(locale) {
+    const parts = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' })
+      .formatToParts(new Date(2000, 11, 31))
+      .filter(part => ['year', 'month', 'day'].includes(part.type))
+      .map(part => part.type[0].toUpperCase())
+      .join('');
+
+    return ['DMY', 'MDY', 'YMD'].includes(parts) ? parts : 'MDY';
+  }
+
+  /**
+   * Check whether a locale tag is valid and supported
+   * @param {string} locale - BCP 47 locale
+   * @returns {boolean} True if supported, false otherwise
+   */
+  static isSupportedLocale(locale) {
+    try {
+      return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+export default DateFormat;
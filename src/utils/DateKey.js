@@ -0,0 +1,33 @@
+/**
+ * Date key utility
+ * Converts calendar dates to and from YYYY-MM-DD keys in local time, as used by the state
+ * files and lookups that are keyed by day
+ */
+class DateKey {
+  /**
+   * Build the key of a calendar date
+   * @param {Date} date - The date
+   * @returns {string} Key in YYYY-MM-DD form
+   */
+  static format(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Parse the key of a calendar date
+   * @param {string} key - Key in YYYY-MM-DD form
+   * @returns {Date|null} The date at midnight local time, or null if the key is not a valid date
+   */
+  static parse(key) {
+    const match = typeof key === 'string' ? key.match(/^(\d{4})-(\d{2})-(\d{2})$/) : null;
+    if (!match) {
+      return null;
+    }
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return DateKey.format(date) === key ? date : null;
+  }
+}
+
+export default DateKey;
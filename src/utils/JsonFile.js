@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+/**
+ * JSON file utility for the local state files (notification ledger, scheduler state, SMS outbox)
+ * Files are replaced in one step, so an interrupted write cannot corrupt them, and a lock file
+ * lets processes sharing a file, such as the scheduler and a manual run, change it in turn
+ */
+class JsonFile {
+  /**
+   * Longest wait for a lock before giving up, in milliseconds
+   */
+  static LOCK_TIMEOUT_MS = 10000;
+
+  /**
+   * Age after which a lock is taken to be left behind by a process that stopped, in milliseconds
+   */
+  static STALE_LOCK_MS = 30000;
+
+  /**
+   * Wait between attempts to take a lock, in milliseconds
+   */
+  static LOCK_RETRY_MS = 25;
+
+  /**
+   * Write a value to a JSON file through a temporary file renamed over it
+   * The temporary file name is unique, so concurrent writers never share one
+   * @param {string} filePath - Path of the file
+   * @param {*} content - Value to write
+   * @returns {Promise<void>}
+   */
+  static async write(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    try {
+      await fs.promises.writeFile(tempPath, JSON.stringify(content, null, 2) + '\n', 'utf8');
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+
+  /**
+   * Run a task while holding the lock of a file
+   * The lock is a file created next to it; a lock older than STALE_LOCK_MS is removed
+   * @param {string} filePath - Path of the file
+   * @param {function(): Promise<*>} task - The task
+   * @returns {Promise<*>} The result of the task
+   * @throws {Error} If the lock cannot be taken within LOCK_TIMEOUT_MS
+   */
+  static async withLock(filePath, task) {
+    const lockPath = `${filePath}.lock`;
+    const deadline = Date.now() + JsonFile.LOCK_TIMEOUT_MS;
+    let handle = null;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    while (!handle) {
+      try {
+        handle = await fs.promises.open(lockPath, 'wx');
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+        if (await JsonFile.isStaleLock(lockPath)) {
+          await fs.promises.rm(lockPath, { force: true });
+        } else if (Date.now() >= deadline) {
+          throw new Error(`Timed out waiting for lock ${lockPath}`);
+        } else {
+          await new Promise(resolve => setTimeout(resolve, JsonFile.LOCK_RETRY_MS));
+        }
+      }
+    }
+
+    try {
+      return await task();
+    } finally {
+      await handle.close();
+      await fs.promises.rm(lockPath, { force: true });
+    }
+  }
+
+  /**
+   * Check whether a lock was left behind by a process that stopped
+   * @param {string} lockPath - Path of the lock file
+   * @returns {Promise<boolean>} True if the lock is older than STALE_LOCK_MS
+   */
+  static async isStaleLock(lockPath) {
+    try {
+      const stats = await fs.promises.stat(lockPath);
+      return Date.now() - stats.mtimeMs > JsonFile.STALE_LOCK_MS;
+    } catch (error) {
+      // Released in the meantime
+      return false;
+    }
+  }
+}
+
+export default JsonFile;
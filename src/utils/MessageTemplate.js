@@ -0,0 +1,282 @@
+/**
+ * Message template engine for notification text
+ * Supports {{placeholders}}, {{#if}} and {{#unless}} conditionals with an optional {{else}},
+ * and {{#each}} loops. A block tag alone on its line is removed together with the line
+ * break, so templates can be written one tag per line
+ */
+class MessageTemplate {
+  /**
+   * Matches a tag; group 1 is the block marker (# or /) and group 2 the tag content
+   */
+  static TAG_PATTERN = /\{\{\s*([#/]?)\s*([^{}]*?)\s*\}\}/g;
+
+  /**
+   * Supported block helpers
+   */
+  static BLOCKS = ['if', 'unless', 'each'];
+
+  /**
+   * A value path, such as name, associate.name or @last
+   */
+  static PATH_PATTERN = /^@?[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)*$/;
+
+  /**
+   * A condition: a value path, optionally compared with a number or quoted string
+   */
+  static CONDITION_PATTERN = /^(@?[A-Za-z_][\w.]*)(?:\s*(==|!=|>=|<=|>|<)\s*(-?\d+(?:\.\d+)?|"[^"]*"|'[^']*'))?$/;
+
+  /**
+   * Compile a template
+   * @param {string} source - Template text
+   * @param {string} name - Template name used in error messages
+   * @throws {Error} If the template has a syntax error
+   */
+  constructor(source, name = 'template') {
+    this.source = source;
+    this.name = name;
+    this.nodes = this.parse(source);
+  }
+
+  /**
+   * Create a syntax error for a position in the template
+   * @param {number} index - Character index of the problem
+   * @param {string} message - Description of the problem
+   * @returns {Error} The error
+   */
+  syntaxError(index, message) {
+    const line = this.source.substring(0, index).split('\n').length;
+    return new Error(`Template "${this.name}" has a syntax error at line ${line}: ${message}`);
+  }
+
+  /**
+   * Parse template text into a tree of text, value and block nodes
+   * @param {string} source - Template text
+   * @returns {Object[]} Top-level nodes
+   * @throws {Error} If the template has a syntax error
+   */
+  parse(source) {
+    const root = { children: [] };
+    const stack = [root];
+    let cursor = 0;
+    let match;
+
+    const current = () => {
+      const top = stack[stack.length - 1];
+      return top.elseChildren || top.children;
+    };
+    const addText = (end) => {
+      const text = source.substring(cursor, end);
+      const unclosed = text.indexOf('{{');
+      if (unclosed !== -1) {
+        throw this.syntaxError(cursor + unclosed, 'tag is not closed with }}');
+      }
+      if (text) {
+        current().push({ type: 'text', value: text });
+      }
+    };
+
+    MessageTemplate.TAG_PATTERN.lastIndex = 0;
+    while ((match = MessageTemplate.TAG_PATTERN.exec(source)) !== null) {
+      const [tag, marker, content] = match;
+      const start = match.index;
+      const end = start + tag.length;
+      const isBlockTag = marker !== '' || content === 'else';
+
+      // A block tag alone on its line takes the whole line with it
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+      const standalone = isBlockTag &&
+        source.substring(lineStart, start).trim() === '' &&
+        source.substring(end, lineEnd).trim() === '';
+
+      addText(standalone ? lineStart : start);
+      cursor = standalone ? lineEnd : end;
+
+      if (marker === '#') {
+        const [block, ...rest] = content.split(/\s+/);
+        const argument = rest.join(' ');
+        if (!MessageTemplate.BLOCKS.includes(block)) {
+          throw this.syntaxError(start, `unknown block {{#${block}}}. Expected one of: ${MessageTemplate.BLOCKS.join(', ')}`);
+        }
+        const node = { type: block, children: [], elseChildren: null, index: start };
+        if (block === 'each') {
+          if (!MessageTemplate.PATH_PATTERN.test(argument)) {
+            throw this.syntaxError(start, `{{#each}} needs a list to loop over, e.g. {{#each associates}}`);
+          }
+          node.path = argument;
+        } else {
+          node.condition = this.parseCondition(argument, start, block);
+        }
+        current().push(node);
+        stack.push(node);
+      } else if (marker === '/') {
+        const top = stack[stack.length - 1];
+        if (top === root) {
+          throw this.syntaxError(start, `{{/${content}}} has no matching opening tag`);
+        }
+        if (top.type !== content) {
+          throw this.syntaxError(start, `{{/${content}}} does not close {{#${top.type}}} opened at line ${this.source.substring(0, top.index).split('\n').length}`);
+        }
+        stack.pop();
+      } else if (content === 'else') {
+        const top = stack[stack.length - 1];
+        if (top === root) {
+          throw this.syntaxError(start, '{{else}} is outside of a block');
+        }
+        if (top.elseChildren) {
+          throw this.syntaxError(start, `{{#${top.type}}} has more than one {{else}}`);
+        }
+        top.elseChildren = [];
+      } else {
+        if (!MessageTemplate.PATH_PATTERN.test(content)) {
+          throw this.syntaxError(start, `invalid placeholder {{${content}}}`);
+        }
+        current().push({ type: 'value', path: content });
+      }
+    }
+
+    addText(source.length);
+
+    if (stack.length > 1) {
+      const top = stack[stack.length - 1];
+      throw this.syntaxError(top.index, `{{#${top.type}}} is not closed`);
+    }
+
+    return root.children;
+  }
+
+  /**
+   * Parse the condition of an {{#if}} or {{#unless}} block
+   * @param {string} text - Condition text (e.g., count == 1)
+   * @param {number} index - Character index of the tag
+   * @param {string} block - Block name
+   * @returns {{path: string, operator: string, operand: (number|string)}} Parsed condition
+   * @throws {Error} If the condition is invalid
+   */
+  parseCondition(text, index, block) {
+    const match = text.match(MessageTemplate.CONDITION_PATTERN);
+    if (!match) {
+      throw this.syntaxError(index, `invalid condition in {{#${block} ${text}}}. Expected a value, optionally compared with a number or quoted string (e.g., count == 1)`);
+    }
+
+    const [, path, operator = null, literal] = match;
+    let operand = null;
+    if (literal !== undefined) {
+      operand = /^["']/.test(literal) ? literal.slice(1, -1) : Number(literal);
+    }
+    return { path, operator, operand };
+  }
+
+  /**
+   * Get the names of the values the template uses, without loop variables such as @last
+   * @returns {string[]} Unique value names (the first segment of each path)
+   */
+  getVariables() {
+    const names = new Set();
+    const visit = nodes => nodes.forEach(node => {
+      const path = node.path || (node.condition && node.condition.path);
+      if (path && !path.startsWith('@')) {
+        names.add(path.split('.')[0]);
+      }
+      if (node.children) {
+        visit(node.children);
+      }
+      if (node.elseChildren) {
+        visit(node.elseChildren);
+      }
+    });
+    visit(this.nodes);
+    return [...names];
+  }
+
+  /**
+   * Render the template
+   * Leading and trailing whitespace is removed from the result
+   * @param {Object} context - Values for the placeholders
+   * @returns {string} Rendered text
+   */
+  render(context) {
+    return this.renderNodes(this.nodes, [context]).trim();
+  }
+
+  /**
+   * Render a list of nodes
+   * @param {Object[]} nodes - Nodes to render
+   * @param {Object[]} scopes - Value scopes, innermost last
+   * @returns {string} Rendered text
+   */
+  renderNodes(nodes, scopes) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'value': {
+          const value = this.lookup(node.path, scopes);
+          return value === null || value === undefined ? '' : String(value);
+        }
+        case 'each': {
+          const items = this.lookup(node.path, scopes);
+          if (!Array.isArray(items) || items.length === 0) {
+            return node.elseChildren ? this.renderNodes(node.elseChildren, scopes) : '';
+          }
+          return items.map((item, index) => this.renderNodes(node.children, [
+            ...scopes,
+            { '@index': index, '@first': index === 0, '@last': index === items.length - 1 },
+            item
+          ])).join('');
+        }
+        default: {
+          const passed = this.evaluate(node.condition, scopes);
+          const branch = (node.type === 'if' ? passed : !passed) ? node.children : node.elseChildren;
+          return branch ? this.renderNodes(branch, scopes) : '';
+        }
+      }
+    }).join('');
+  }
+
+  /**
+   * Look up a value path, searching from the innermost scope outwards
+   * @param {string} path - Value path (e.g., associate.name)
+   * @param {Object[]} scopes - Value scopes, innermost last
+   * @returns {*} The value, or undefined if not found
+   */
+  lookup(path, scopes) {
+    const [first, ...rest] = path.split('.');
+    const scope = [...scopes].reverse().find(candidate =>
+      candidate !== null && typeof candidate === 'object' && first in candidate
+    );
+    if (!scope) {
+      return undefined;
+    }
+    return rest.reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), scope[first]);
+  }
+
+  /**
+   * Evaluate an {{#if}} or {{#unless}} condition
+   * Without a comparison, empty lists, empty text, zero, null and false are false
+   * @param {Object} condition - Parsed condition
+   * @param {Object[]} scopes - Value scopes, innermost last
+   * @returns {boolean} True if the condition holds
+   */
+  evaluate(condition, scopes) {
+    const value = this.lookup(condition.path, scopes);
+
+    if (!condition.operator) {
+      return Array.isArray(value) ? value.length > 0 : Boolean(value);
+    }
+
+    const left = typeof condition.operand === 'number' ? Number(value) : String(value ?? '');
+    const right = condition.operand;
+    switch (condition.operator) {
+      case '==': return left === right;
+      case '!=': return left !== right;
+      case '>': return left > right;
+      case '<': return left < right;
+      case '>=': return left >= right;
+      default: return left <= right;
+    }
+  }
+}
+
+export default MessageTemplate;
@@ -0,0 +1,133 @@
+/**
+ * Phone number utility
+ * Normalises mobile numbers as written in configuration or rosters (e.g., 097026 61630,
+ * +91 97026 61630, +44 (0)7700 900123) to E.164 (e.g., +919702661630)
+ */
+class PhoneNumber {
+  /**
+   * Numbering rules by country calling code: the lengths of the national number after the
+   * country code, and the trunk prefix dialled before national numbers inside the country.
+   * Numbers for other countries are checked against the general E.164 length only
+   */
+  static COUNTRY_RULES = {
+    '27': { lengths: [9], trunkPrefix: '0' },
+    '31': { lengths: [9], trunkPrefix: '0' },
+    '33': { lengths: [9], trunkPrefix: '0' },
+    '34': { lengths: [9], trunkPrefix: '' },
+    '39': { lengths: [9, 10], trunkPrefix: '' },
+    '44': { lengths: [10], trunkPrefix: '0' },
+    '49': { lengths: [10, 11], trunkPrefix: '0' },
+    '61': { lengths: [9], trunkPrefix: '0' },
+    '64': { lengths: [8, 9, 10], trunkPrefix: '0' },
+    '65': { lengths: [8], trunkPrefix: '' },
+    '81': { lengths: [10], trunkPrefix: '0' },
+    '86': { lengths: [11], trunkPrefix: '0' },
+    '91': { lengths: [10], trunkPrefix: '0' },
+    '92': { lengths: [10], trunkPrefix: '0' },
+    '94': { lengths: [9], trunkPrefix: '0' },
+    '353': { lengths: [9], trunkPrefix: '0' },
+    '880': { lengths: [10], trunkPrefix: '0' },
+    '971': { lengths: [9], trunkPrefix: '0' }
+  };
+
+  /**
+   * Fewest digits in a number without country rules, including the country code
+   */
+  static MIN_DIGITS = 10;
+
+  /**
+   * Most digits in any number, including the country code
+   */
+  static MAX_DIGITS = 15;
+
+  /**
+   * Formatting characters removed before a number is checked
+   */
+  static FORMATTING_PATTERN = /[\s\-.()/]/g;
+
+  /**
+   * Normalise a country calling code
+   * @param {string} countryCode - Country calling code, with or without + (e.g., 91 or +91)
+   * @returns {string|null} Digits of the country code, or null if invalid
+   */
+  static normaliseCountryCode(countryCode) {
+    const match = String(countryCode ?? '').trim().match(/^\+?([1-9]\d{0,2})$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Normalise a mobile number to E.164
+   * International numbers start with + or 00. Other numbers are national numbers of the
+   * default country: its trunk prefix is removed and its country code added. A national
+   * number that already starts with the default country code, as spreadsheets often store
+   * them, is accepted when it is the right length
+   * @param {string|number} mobileNumber - The mobile number as written
+   * @param {string} defaultCountryCode - Country code for national numbers (e.g., 91)
+   * @returns {string|null} The number in E.164 format, or null if it is not a valid number
+   */
+  static normalise(mobileNumber, defaultCountryCode = '') {
+    if (mobileNumber === null || mobileNumber === undefined) {
+      return null;
+    }
+
+    let text = String(mobileNumber).trim();
+    const international = /^(\+|00)/.test(text);
+    if (international) {
+      // +44 (0)7700 900123: the trunk prefix is not dialled from abroad
+      text = text.replace(/\(0\)/g, '');
+    }
+
+    const cleaned = text.replace(PhoneNumber.FORMATTING_PATTERN, '');
+    if (!/^\+?\d+$/.test(cleaned)) {
+      return null;
+    }
+
+    if (international) {
+      const digits = cleaned.replace(/^(\+|00)/, '');
+      return PhoneNumber.isValidInternational(digits) ? `+${digits}` : null;
+    }
+
+    const countryCode = PhoneNumber.normaliseCountryCode(defaultCountryCode);
+    if (!countryCode) {
+      return null;
+    }
+
+    const rules = PhoneNumber.COUNTRY_RULES[countryCode];
+    const trunkPrefix = rules ? rules.trunkPrefix : '0';
+    const national = trunkPrefix && cleaned.startsWith(trunkPrefix)
+      ? cleaned.substring(trunkPrefix.length)
+      : cleaned;
+
+    if (PhoneNumber.isValidInternational(countryCode + national)) {
+      return `+${countryCode}${national}`;
+    }
+    if (cleaned.startsWith(countryCode) && PhoneNumber.isValidInternational(cleaned)) {
+      return `+${cleaned}`;
+    }
+    return null;
+  }
+
+  /**
+   * Check the digits of an international number against the rules of its country
+   * @param {string} digits - Country code and national number, without +
+   * @returns {boolean} True if valid, false otherwise
+   */
+  static isValidInternational(digits) {
+    if (!/^[1-9]\d*$/.test(digits)) {
+      return false;
+    }
+
+    const countryCode = [1, 2, 3]
+      .map(length => digits.substring(0, length))
+      .find(code => PhoneNumber.COUNTRY_RULES[code]);
+
+    if (countryCode) {
+      const national = digits.substring(countryCode.length);
+      return PhoneNumber.COUNTRY_RULES[countryCode].lengths.includes(national.length) && !national.startsWith('0');
+    }
+
+    return digits.length >= PhoneNumber.MIN_DIGITS && digits.length <= PhoneNumber.MAX_DIGITS;
+  }
+}
+
+export default PhoneNumber;
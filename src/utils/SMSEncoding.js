@@ -0,0 +1,61 @@
+/**
+ * SMS encoding utility
+ * Works out whether a message can be sent in the GSM 03.38 7-bit alphabet or needs UCS-2,
+ * and how many segments it is billed as
+ */
+class SMSEncoding {
+  /**
+   * GSM 03.38 basic character set
+   */
+  static GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+    '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+
+  /**
+   * GSM 03.38 extension characters, each sent as an escape plus the character
+   */
+  static GSM_EXTENDED = '^{}\\[~]|€\f';
+
+  /**
+   * Characters per segment for each encoding: a single SMS, and each part of a
+   * concatenated SMS (which carries a header)
+   */
+  static LIMITS = {
+    'GSM-7': { single: 160, multipart: 153 },
+    'UCS-2': { single: 70, multipart: 67 }
+  };
+
+  /**
+   * Get the encoding needed for a message
+   * @param {string} text - The message
+   * @returns {string} GSM-7 or UCS-2
+   */
+  static getEncoding(text) {
+    for (const char of text) {
+      if (!SMSEncoding.GSM_BASIC.includes(char) && !SMSEncoding.GSM_EXTENDED.includes(char)) {
+        return 'UCS-2';
+      }
+    }
+    return 'GSM-7';
+  }
+
+  /**
+   * Measure a message
+   * GSM-7 extension characters count twice; in UCS-2, characters outside the Basic
+   * Multilingual Plane (such as emoji) count twice
+   * @param {string} text - The message
+   * @returns {{encoding: string, length: number, segments: number}} Encoding, length in
+   *   encoded characters and number of segments
+   */
+  static measure(text) {
+    const encoding = SMSEncoding.getEncoding(text);
+    const length = encoding === 'UCS-2'
+      ? text.length
+      : [...text].reduce((total, char) => total + (SMSEncoding.GSM_EXTENDED.includes(char) ? 2 : 1), 0);
+    const limits = SMSEncoding.LIMITS[encoding];
+    const segments = length <= limits.single ? 1 : Math.ceil(length / limits.multipart);
+
+    return { encoding, length, segments };
+  }
+}
+
+export default SMSEncoding;
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import AnnualDate from '../src/utils/AnnualDate.js';
+
+describe('AnnualDate', () => {
+  describe('isLeapYear', () => {
+    it('should follow the Gregorian leap year rules', () => {
+      expect(AnnualDate.isLeapYear(2024)).toBe(true);
+      expect(AnnualDate.isLeapYear(2023)).toBe(false);
+      expect(AnnualDate.isLeapYear(2000)).toBe(true);
+      expect(AnnualDate.isLeapYear(1900)).toBe(false);
+    });
+  });
+
+  describe('getObservedDate', () => {
+    const leapDay = new Date(1996, 1, 29);
+
+    it('should return the same month and day in the requested year', () => {
+      const observed = AnnualDate.getObservedDate(new Date(1990, 6, 10), 2025);
+
+      expect(observed.getFullYear()).toBe(2025);
+      expect(observed.getMonth()).toBe(6);
+      expect(observed.getDate()).toBe(10);
+    });
+
+    it('should keep 29 February in leap years', () => {
+      const observed = AnnualDate.getObservedDate(leapDay, 2024, 'feb28');
+
+      expect(observed.getMonth()).toBe(1);
+      expect(observed.getDate()).toBe(29);
+    });
+
+    it('should move 29 February according to the policy in non-leap years', () => {
+      const feb28 = AnnualDate.getObservedDate(leapDay, 2025, 'feb28');
+      const mar1 = AnnualDate.getObservedDate(leapDay, 2025, 'mar1');
+
+      expect([feb28.getMonth(), feb28.getDate()]).toEqual([1, 28]);
+      expect([mar1.getMonth(), mar1.getDate()]).toEqual([2, 1]);
+      expect(AnnualDate.getObservedDate(leapDay, 2025, 'skip')).toBeNull();
+    });
+  });
+
+  describe('isObservedOn', () => {
+    it('should compare the observed date with the target date', () => {
+      expect(AnnualDate.isObservedOn(new Date(1996, 1, 29), new Date(2025, 1, 28), 'feb28')).toBe(true);
+      expect(AnnualDate.isObservedOn(new Date(1996, 1, 29), new Date(2025, 1, 28), 'skip')).toBe(false);
+      expect(AnnualDate.isObservedOn(new Date(1990, 1, 28), new Date(2025, 1, 28), 'mar1')).toBe(true);
+    });
+  });
+
+  describe('getYearsSince', () => {
+    it('should complete a year on the original day and month', () => {
+      expect(AnnualDate.getYearsSince(new Date(1990, 5, 15), new Date(2024, 5, 14, 23, 0))).toBe(33);
+      expect(AnnualDate.getYearsSince(new Date(1990, 5, 15), new Date(2024, 5, 15))).toBe(34);
+    });
+
+    it('should complete a year on the day 29 February is observed in non-leap years', () => {
+      const leapDay = new Date(1996, 1, 29);
+
+      expect(AnnualDate.getYearsSince(leapDay, new Date(2025, 1, 28), 'feb28')).toBe(29);
+      expect(AnnualDate.getYearsSince(leapDay, new Date(2025, 1, 28), 'mar1')).toBe(28);
+      expect(AnnualDate.getYearsSince(leapDay, new Date(2025, 2, 1), 'mar1')).toBe(29);
+      expect(AnnualDate.getYearsSince(leapDay, new Date(2025, 1, 28), 'skip')).toBe(28);
+      expect(AnnualDate.getYearsSince(leapDay, new Date(2025, 2, 1), 'skip')).toBe(29);
+      expect(AnnualDate.getYearsSince(leapDay, new Date(2024, 1, 29), 'feb28')).toBe(28);
+    });
+  });
+});
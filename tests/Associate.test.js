@@ -0,0 +1,117 @@
+import { describe, it, expect } from 'vitest';
+import Associate from '../src/models/Associate.js';
+
+describe('Associate', () => {
+  describe('getAge', () => {
+    it('should compute age in completed years', () => {
+      const associate = new Associate('John Doe', new Date(1990, 5, 15), 2);
+
+      expect(associate.getAge(new Date(2024, 5, 14))).toBe(33);
+      expect(associate.getAge(new Date(2024, 5, 15))).toBe(34);
+      expect(associate.getAge(new Date(2024, 11, 31))).toBe(34);
+    });
+
+    it('should count a 29 February birthday from the day it is celebrated', () => {
+      const associate = new Associate('Leap Day', new Date(1996, 1, 29), 2);
+
+      expect(associate.getAge(new Date(2025, 1, 28), 'feb28')).toBe(29);
+      expect(associate.getAge(new Date(2025, 1, 28), 'mar1')).toBe(28);
+      expect(associate.getAge(new Date(2025, 2, 1), 'mar1')).toBe(29);
+    });
+
+    it('should return null when the birth year is unknown', () => {
+      const associate = new Associate('Jane Smith', Associate.createYearlessDate(2, 14), 3, { birthYearKnown: false });
+
+      expect(associate.birthYearKnown).toBe(false);
+      expect(associate.getAge(new Date(2024, 2, 14))).toBeNull();
+    });
+  });
+
+  describe('birthday matching without a birth year', () => {
+    it('should match on month and day only', () => {
+      const associate = new Associate('Jane Smith', Associate.createYearlessDate(2, 14), 3, { birthYearKnown: false });
+
+      expect(associate.isBirthdayOnDate(new Date(2025, 2, 14))).toBe(true);
+      expect(associate.isBirthdayOnDate(new Date(2025, 2, 15))).toBe(false);
+    });
+  });
+
+  describe('birthday matching on 29 February', () => {
+    it('should apply the leap day policy in non-leap years', () => {
+      const associate = new Associate('Leap Year Baby', new Date(2000, 1, 29), 2);
+
+      expect(associate.isBirthdayOnDate(new Date(2023, 1, 28))).toBe(false);
+      expect(associate.isBirthdayOnDate(new Date(2023, 1, 28), 'feb28')).toBe(true);
+      expect(associate.isBirthdayOnDate(new Date(2023, 2, 1), 'feb28')).toBe(false);
+      expect(associate.isBirthdayOnDate(new Date(2023, 2, 1), 'mar1')).toBe(true);
+      expect(associate.isBirthdayOnDate(new Date(2023, 1, 28), 'skip')).toBe(false);
+      expect(associate.isBirthdayOnDate(new Date(2023, 2, 1), 'skip')).toBe(false);
+    });
+
+    it('should match on 29 February in leap years regardless of policy', () => {
+      const associate = new Associate('Leap Year Baby', new Date(2000, 1, 29), 2);
+
+      ['feb28', 'mar1', 'skip'].forEach(policy => {
+        expect(associate.isBirthdayOnDate(new Date(2024, 1, 29), policy)).toBe(true);
+        expect(associate.isBirthdayOnDate(new Date(2024, 1, 28), policy)).toBe(false);
+        expect(associate.isBirthdayOnDate(new Date(2024, 2, 1), policy)).toBe(false);
+      });
+    });
+  });
+
+  describe('isBirthdayToday', () => {
+    it('should use the given clock for today', () => {
+      const associate = new Associate('Ravi Kumar', new Date(1985, 9, 14), 2);
+
+      expect(associate.isBirthdayToday('feb28', () => new Date(2024, 9, 14, 9, 0))).toBe(true);
+      expect(associate.isBirthdayToday('feb28', () => new Date(2024, 9, 15, 9, 0))).toBe(false);
+    });
+
+    it('should apply the leap day policy on the clock\'s day', () => {
+      const associate = new Associate('Leap Year Baby', new Date(2000, 1, 29), 2);
+
+      expect(associate.isBirthdayToday('mar1', () => new Date(2023, 2, 1))).toBe(true);
+    });
+  });
+
+  describe('work anniversaries', () => {
+    it('should compute completed years of service', () => {
+      const associate = new Associate('Ravi Kumar', new Date(1985, 10, 3), 2, { dateOfJoining: new Date(2019, 9, 14) });
+
+      expect(associate.getYearsOfService(new Date(2024, 9, 13))).toBe(4);
+      expect(associate.getYearsOfService(new Date(2024, 9, 14))).toBe(5);
+    });
+
+    it('should count a 29 February joining date from the day it is celebrated', () => {
+      const associate = new Associate('Ravi Kumar', new Date(1985, 10, 3), 2, { dateOfJoining: new Date(2020, 1, 29) });
+
+      expect(associate.getYearsOfService(new Date(2025, 1, 28), 'feb28')).toBe(5);
+      expect(associate.getYearsOfService(new Date(2025, 1, 28), 'skip')).toBe(4);
+    });
+
+    it('should return null years of service without a date of joining', () => {
+      const associate = new Associate('Anita Rao', new Date(1992, 6, 21), 3);
+
+      expect(associate.dateOfJoining).toBeNull();
+      expect(associate.getYearsOfService(new Date(2024, 9, 14))).toBeNull();
+      expect(associate.isWorkAnniversaryOnDate(new Date(2024, 9, 14))).toBe(false);
+    });
+
+    it('should match anniversaries after the joining year only', () => {
+      const associate = new Associate('Ravi Kumar', new Date(1985, 10, 3), 2, { dateOfJoining: new Date(2019, 9, 14) });
+
+      expect(associate.isWorkAnniversaryOnDate(new Date(2024, 9, 14))).toBe(true);
+      expect(associate.isWorkAnniversaryOnDate(new Date(2024, 9, 15))).toBe(false);
+      expect(associate.isWorkAnniversaryOnDate(new Date(2019, 9, 14))).toBe(false);
+    });
+  });
+
+  describe('toString', () => {
+    it('should omit the placeholder year when the birth year is unknown', () => {
+      const associate = new Associate('Jane Smith', Associate.createYearlessDate(2, 14), 3, { birthYearKnown: false });
+
+      expect(associate.toString()).not.toContain(String(Associate.UNKNOWN_BIRTH_YEAR));
+      expect(associate.toString()).toContain('Jane Smith');
+    });
+  });
+});
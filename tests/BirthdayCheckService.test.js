@@ -1,6 +1,8 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import BirthdayCheckService from '../src/services/BirthdayCheckService.js';
 import Associate from '../src/models/Associate.js';
+import EventType from '../src/models/EventType.js';
+import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -89,8 +91,8 @@ describe('BirthdayCheckService', () => {
     it('should not send SMS when no birthdays found', async () => {
       // Mock the date matcher to return no birthdays
       await service.initialize();
-      const originalFindBirthdaysToday = service.dateMatcher.findBirthdaysToday;
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => []);
+      const originalFindEventsOnDate = service.dateMatcher.findEventsOnDate;
+      service.dateMatcher.findEventsOnDate = vi.fn(() => []);
 
       const result = await service.performDailyCheck();
 
@@ -98,7 +100,50 @@ describe('BirthdayCheckService', () => {
       expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'No birthdays found today');
 
       // Restore original method
-      service.dateMatcher.findBirthdaysToday = originalFindBirthdaysToday;
+      service.dateMatcher.findEventsOnDate = originalFindEventsOnDate;
+    });
+
+    it('should return the full result when the Excel file cannot be parsed', async () => {
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => {
+        throw new Error('File not found');
+      });
+
+      const result = await service.performDailyCheck();
+
+      expect(result).toEqual({
+        totalAssociatesChecked: 0,
+        birthdaysFound: [],
+        rolledOverBirthdays: [],
+        anniversariesFound: [],
+        eventsFound: [],
+        notificationSent: false,
+        deliveryStatus: 'not-sent',
+        deliveries: [],
+        anniversaryNotificationSent: false,
+        birthdayWishes: [],
+        preview: [],
+        errors: ['Failed to parse Excel file: File not found']
+      });
+    });
+
+    it('should return the full result when birthdays cannot be matched', async () => {
+      await service.initialize();
+      service.dateMatcher.findEventsOnDate = vi.fn(() => {
+        throw new Error('Bad date');
+      });
+
+      const result = await service.performDailyCheck();
+
+      expect(result.errors).toEqual(['Failed to match birthdays: Bad date']);
+      expect(result.totalAssociatesChecked).toBeGreaterThan(0);
+      expect(result).toEqual(expect.objectContaining({
+        birthdaysFound: [],
+        deliveryStatus: 'not-sent',
+        deliveries: [],
+        birthdayWishes: [],
+        preview: []
+      }));
     });
 
     it('should log birthday names when birthdays are found', async () => {
@@ -109,7 +154,7 @@ describe('BirthdayCheckService', () => {
         new Associate('John Doe', new Date(1990, 0, 1), 1),
         new Associate('Jane Smith', new Date(1985, 0, 1), 2)
       ];
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => mockBirthdays);
+      service.dateMatcher.findEventsOnDate = vi.fn((associates, eventType) => (eventType === EventType.BIRTHDAY ? mockBirthdays : []));
 
       // Mock SMS service to avoid actual HTTP calls
       service.smsService.sendBirthdayNotification = vi.fn(async () => ({
@@ -131,7 +176,7 @@ describe('BirthdayCheckService', () => {
 
       // Mock birthdays found
       const mockBirthdays = [new Associate('John Doe', new Date(1990, 0, 1), 1)];
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => mockBirthdays);
+      service.dateMatcher.findEventsOnDate = vi.fn((associates, eventType) => (eventType === EventType.BIRTHDAY ? mockBirthdays : []));
 
       // Mock SMS service to fail
       service.smsService.sendBirthdayNotification = vi.fn(async () => ({
@@ -157,6 +202,1071 @@ describe('BirthdayCheckService', () => {
     });
   });
 
+  describe('weekend and holiday rollover', () => {
+    const roster = () => [
+      new Associate('Friday Person', new Date(1990, 9, 11), 1),
+      new Associate('Priya', new Date(1991, 9, 12), 2),
+      new Associate('Sunday Person', new Date(1992, 9, 13), 3),
+      new Associate('Monday Person', new Date(1993, 9, 14), 4)
+    ];
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      delete process.env.WORKING_DAY_ROLLOVER;
+    });
+
+    it('should include the weekend in the Monday notification with the next rollover', async () => {
+      process.env.WORKING_DAY_ROLLOVER = 'next';
+      vi.setSystemTime(new Date(2024, 9, 14, 9, 0));
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => roster());
+      service.smsService.sendBirthdayNotification = vi.fn(async () => ({
+        success: true,
+        messageId: 'test-123',
+        timestamp: new Date(),
+        attempts: 1
+      }));
+
+      const result = await service.performDailyCheck();
+
+      expect(result.birthdaysFound.map(a => a.name)).toEqual(['Monday Person']);
+      expect(result.rolledOverBirthdays.map(day => day.date)).toEqual([new Date(2024, 9, 12), new Date(2024, 9, 13)]);
+      expect(service.smsService.sendBirthdayNotification)
+        .toHaveBeenCalledWith(result.birthdaysFound, result.rolledOverBirthdays, []);
+      expect(result.notificationSent).toBe(true);
+    });
+
+    it('should include the weekend in the Friday notification with the previous rollover', async () => {
+      process.env.WORKING_DAY_ROLLOVER = 'previous';
+      vi.setSystemTime(new Date(2024, 9, 11, 9, 0));
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => roster());
+      service.smsService.sendBirthdayNotification = vi.fn(async () => ({
+        success: true,
+        timestamp: new Date(),
+        attempts: 1
+      }));
+
+      const result = await service.performDailyCheck();
+
+      expect(result.birthdaysFound.map(a => a.name)).toEqual(['Friday Person']);
+      expect(result.rolledOverBirthdays.flatMap(day => day.associates.map(a => a.name)))
+        .toEqual(['Priya', 'Sunday Person']);
+    });
+
+    it('should not send a notification on a non-working day', async () => {
+      process.env.WORKING_DAY_ROLLOVER = 'next';
+      vi.setSystemTime(new Date(2024, 9, 12, 9, 0));
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => roster());
+      service.smsService.sendBirthdayNotification = vi.fn();
+
+      const result = await service.performDailyCheck();
+
+      expect(result.notificationSent).toBe(false);
+      expect(service.smsService.sendBirthdayNotification).not.toHaveBeenCalled();
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Today is not a working day; its birthdays are announced on the next working day');
+      expect(result).toEqual(expect.objectContaining({
+        deliveryStatus: 'not-sent',
+        deliveries: [],
+        birthdayWishes: [],
+        preview: []
+      }));
+    });
+
+    it('should announce weekend birthdays on the day itself when rollover is off', async () => {
+      vi.setSystemTime(new Date(2024, 9, 12, 9, 0));
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => roster());
+      service.smsService.sendBirthdayNotification = vi.fn(async () => ({
+        success: true,
+        timestamp: new Date(),
+        attempts: 1
+      }));
+
+      const result = await service.performDailyCheck();
+
+      expect(result.birthdaysFound.map(a => a.name)).toEqual(['Priya']);
+      expect(result.rolledOverBirthdays).toEqual([]);
+    });
+  });
+
+  describe('work anniversaries', () => {
+    const roster = () => [
+      new Associate('John Doe', new Date(1990, 9, 14), 1),
+      new Associate('Ravi Kumar', new Date(1985, 10, 3), 2, { dateOfJoining: new Date(2019, 9, 14) })
+    ];
+    const sent = async () => ({ success: true, messageId: 'test-123', timestamp: new Date(), attempts: 1 });
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(2024, 9, 14, 9, 0));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      delete process.env.WORK_ANNIVERSARIES;
+    });
+
+    it('should include work anniversaries in the birthday SMS by default', async () => {
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => roster());
+      service.smsService.sendBirthdayNotification = vi.fn(sent);
+      service.smsService.sendAnniversaryNotification = vi.fn(sent);
+
+      const result = await service.performDailyCheck();
+
+      expect(result.anniversariesFound).toHaveLength(1);
+      expect(result.anniversariesFound[0].associate.name).toBe('Ravi Kumar');
+      expect(result.anniversariesFound[0].years).toBe(5);
+      expect(service.smsService.sendBirthdayNotification)
+        .toHaveBeenCalledWith(result.birthdaysFound, [], result.anniversariesFound);
+      expect(service.smsService.sendAnniversaryNotification).not.toHaveBeenCalled();
+      expect(result.anniversaryNotificationSent).toBe(true);
+    });
+
+    it('should send work anniversaries in a separate SMS when configured', async () => {
+      process.env.WORK_ANNIVERSARIES = 'separate';
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => roster());
+      service.smsService.sendBirthdayNotification = vi.fn(sent);
+      service.smsService.sendAnniversaryNotification = vi.fn(sent);
+
+      const result = await service.performDailyCheck();
+
+      expect(service.smsService.sendBirthdayNotification).toHaveBeenCalledWith(result.birthdaysFound, [], []);
+      expect(service.smsService.sendAnniversaryNotification).toHaveBeenCalledWith(result.anniversariesFound);
+      expect(result.notificationSent).toBe(true);
+      expect(result.anniversaryNotificationSent).toBe(true);
+    });
+
+    it('should send an SMS for work anniversaries alone', async () => {
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => [roster()[1]]);
+      service.smsService.sendBirthdayNotification = vi.fn(sent);
+
+      const result = await service.performDailyCheck();
+
+      expect(result.birthdaysFound).toHaveLength(0);
+      expect(service.smsService.sendBirthdayNotification).toHaveBeenCalledWith([], [], result.anniversariesFound);
+      expect(result.notificationSent).toBe(true);
+    });
+
+    it('should not report work anniversaries when turned off', async () => {
+      process.env.WORK_ANNIVERSARIES = 'off';
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => roster());
+      service.smsService.sendBirthdayNotification = vi.fn(sent);
+
+      const result = await service.performDailyCheck();
+
+      expect(result.anniversariesFound).toEqual([]);
+      expect(service.smsService.sendBirthdayNotification).toHaveBeenCalledWith(result.birthdaysFound, [], []);
+    });
+  });
+
+  describe('custom event types', () => {
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(2024, 9, 14, 9, 0));
+      process.env.EXCEL_FILE_PATH = path.join(__dirname, 'fixtures', 'custom-events.xlsx');
+      process.env.EVENT_TYPES_FILE = path.join(__dirname, 'fixtures', 'event-types.json');
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+      delete process.env.EVENT_TYPES_FILE;
+    });
+
+    it('should send one SMS per event type found today', async () => {
+      await service.initialize();
+      service.smsService.sendEventNotification = vi.fn(async () => ({ success: true, timestamp: new Date() }));
+
+      const result = await service.performDailyCheck();
+
+      expect(result.eventsFound.map(event => event.eventType.id)).toEqual(['weddingAnniversary', 'certificationRenewal']);
+      expect(result.eventsFound[0].occurrences[0].years).toBe(10);
+      expect(result.eventsFound.every(event => event.notificationSent)).toBe(true);
+      expect(service.smsService.sendEventNotification).toHaveBeenCalledTimes(2);
+    });
+
+    it('should find birthdays like every other event type', async () => {
+      await service.initialize();
+      const findEventsOnDate = vi.spyOn(service.dateMatcher, 'findEventsOnDate');
+      service.smsService.sendEventNotification = vi.fn(async () => ({ success: true, timestamp: new Date() }));
+
+      await service.performDailyCheck();
+
+      expect(findEventsOnDate.mock.calls.map(call => call[1].id))
+        .toEqual(['birthday', 'workAnniversary', 'weddingAnniversary', 'certificationRenewal']);
+    });
+
+    it('should group rolled-over occurrences by day with their associates sorted by name', () => {
+      const saturday = new Date(2024, 9, 12);
+      const sunday = new Date(2024, 9, 13);
+      const ravi = new Associate('Ravi Kumar', new Date(1985, 9, 12), 1);
+      const anita = new Associate('Anita Rao', new Date(1992, 9, 12), 2);
+      const priya = new Associate('Priya', new Date(1990, 9, 13), 3);
+
+      expect(service.groupByDate([
+        { associate: ravi, date: saturday },
+        { associate: anita, date: saturday },
+        { associate: priya, date: sunday }
+      ])).toEqual([
+        { date: saturday, associates: [anita, ravi] },
+        { date: sunday, associates: [priya] }
+      ]);
+    });
+
+    it('should report event SMS failures', async () => {
+      await service.initialize();
+      service.smsService.sendEventNotification = vi.fn(async () => ({ success: false, error: 'Network error', timestamp: new Date() }));
+
+      const result = await service.performDailyCheck();
+
+      expect(result.errors).toContain('Wedding anniversaries SMS failed: Network error');
+    });
+
+    it('should fail initialization when the event types file is invalid', async () => {
+      process.env.EVENT_TYPES_FILE = path.join(__dirname, 'fixtures', 'valid-associates.xlsx');
+
+      await expect(service.initialize()).rejects.toThrow('Failed to read event types file');
+    });
+  });
+
+  describe('SMS provider failover', () => {
+    afterEach(() => {
+      delete process.env.SMS_PROVIDERS;
+      delete process.env.SMS_MESSAGEBIRD_API_URL;
+      delete process.env.SMS_MESSAGEBIRD_API_KEY;
+    });
+
+    it('should configure fallback providers from SMS_PROVIDERS', async () => {
+      process.env.SMS_PROVIDERS = 'generic,messagebird';
+      process.env.SMS_MESSAGEBIRD_API_URL = 'https://rest.messagebird.com/messages';
+      process.env.SMS_MESSAGEBIRD_API_KEY = 'live_abc';
+
+      await service.initialize();
+
+      expect(service.smsService.providers.map(entry => entry.name)).toEqual(['generic', 'messagebird']);
+      expect(service.smsService.providers[1].config.smsSenderId).toBe(process.env.SMS_SENDER_ID);
+    });
+
+    it('should require settings for each fallback provider', async () => {
+      process.env.SMS_PROVIDERS = 'generic,messagebird';
+
+      await expect(service.initialize()).rejects.toThrow('SMS API URL is required for fallback provider messagebird (SMS_MESSAGEBIRD_API_URL)');
+    });
+
+    it('should log providers that failed before a fallback delivered', async () => {
+      await service.initialize();
+      const today = new Date();
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('John Doe', new Date(1990, today.getMonth(), today.getDate()), 2)
+      ]);
+      service.smsService.sendBirthdayNotification = vi.fn(async () => ({
+        success: true,
+        messageId: 'mb-1',
+        timestamp: new Date(),
+        attempts: 4,
+        provider: 'messagebird',
+        failedProviders: [{ provider: 'generic', error: 'Network error: Unable to reach SMS API' }]
+      }));
+
+      const result = await service.performDailyCheck();
+
+      expect(result.notificationSent).toBe(true);
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'SMS provider generic failed: Network error: Unable to reach SMS API');
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'SMS delivered via fallback provider messagebird');
+    });
+  });
+
+  describe('message templates', () => {
+    afterEach(() => {
+      delete process.env.MESSAGE_TEMPLATES_FILE;
+      delete process.env.EVENT_TYPES_FILE;
+    });
+
+    it('should pass the configured templates to the SMS service', async () => {
+      process.env.MESSAGE_TEMPLATES_FILE = path.join(__dirname, 'fixtures', 'message-templates.json');
+      process.env.EVENT_TYPES_FILE = path.join(__dirname, 'fixtures', 'event-types.json');
+
+      await service.initialize();
+
+      expect(service.smsService.templates).toBe(service.config.messageTemplates);
+      expect(service.smsService.templates.get('birthday', { recipient: '+447700900123' }).source).toContain('{{count}}');
+    });
+
+    it('should reject template syntax errors at startup', async () => {
+      process.env.MESSAGE_TEMPLATES_FILE = path.join(__dirname, 'fixtures', 'message-templates-invalid.json');
+
+      await expect(service.initialize()).rejects.toThrow('Template "digest" has a syntax error at line 2: {{#each}} is not closed');
+    });
+
+    it('should reject templates for unknown event types at startup', async () => {
+      process.env.MESSAGE_TEMPLATES_FILE = path.join(__dirname, 'fixtures', 'message-templates.json');
+
+      await expect(service.initialize()).rejects.toThrow('Message templates refer to unknown event type(s): weddingAnniversary (MESSAGE_TEMPLATES_FILE)');
+    });
+  });
+
+  describe('languages', () => {
+    afterEach(() => {
+      delete process.env.MESSAGE_LOCALE;
+      delete process.env.RECIPIENT_LOCALES;
+    });
+
+    it('should pass the message and recipient locales to the SMS service', async () => {
+      process.env.MESSAGE_LOCALE = 'en-IN';
+      process.env.RECIPIENT_LOCALES = '+49 151 12345678=de-DE';
+
+      await service.initialize();
+
+      expect(service.smsService.defaultLocale).toBe('en-IN');
+      expect(service.smsService.getRecipientLocale('+4915112345678')).toBe('de-DE');
+    });
+
+    it('should reject recipient locales without a valid locale', async () => {
+      process.env.RECIPIENT_LOCALES = '+4915112345678';
+
+      await expect(service.initialize()).rejects.toThrow('Recipient locale is invalid or not supported for +4915112345678: (missing). Expected number=locale (RECIPIENT_LOCALES)');
+    });
+  });
+
+  describe('multiple recipients', () => {
+    beforeEach(() => {
+      process.env.RECIPIENT_MOBILE_NUMBER = '+1234567890, +447700900123';
+    });
+
+    it('should send notifications to every configured recipient', async () => {
+      await service.initialize();
+
+      expect(service.config.recipientMobileNumbers).toEqual(['+1234567890', '+447700900123']);
+      expect(service.smsService.recipients).toEqual(['+1234567890', '+447700900123']);
+    });
+
+    it('should reject an invalid number in the recipient list', async () => {
+      process.env.RECIPIENT_MOBILE_NUMBER = '+1234567890,07700900123';
+
+      await expect(service.initialize()).rejects.toThrow('Recipient mobile number format is invalid: 07700900123');
+    });
+
+    it('should report partial delivery per recipient', async () => {
+      await service.initialize();
+      const today = new Date();
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('John Doe', new Date(1990, today.getMonth(), today.getDate()), 2)
+      ]);
+      vi.spyOn(service.smsService, 'delay').mockResolvedValue();
+      vi.spyOn(service.smsService, 'sendSMS').mockImplementation(async (message, recipient) => {
+        if (recipient === '+447700900123') {
+          throw new Error('Invalid request: Unknown number');
+        }
+        return { messageId: 'msg-1', status: 'sent' };
+      });
+
+      const result = await service.performDailyCheck();
+
+      expect(result.notificationSent).toBe(true);
+      expect(result.deliveryStatus).toBe('partial');
+      expect(result.deliveries.map(delivery => [delivery.recipient, delivery.success])).toEqual([
+        ['+1234567890', true],
+        ['+447700900123', false]
+      ]);
+      expect(result.errors).toEqual(['SMS notification failed for +44****23: Invalid request: Unknown number']);
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'SMS notification delivered to 1 of 2 recipients');
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Notification sent: Partial (1 of 2 recipients)');
+    });
+  });
+
+  describe('message segments', () => {
+    afterEach(() => {
+      delete process.env.SMS_MAX_SEGMENTS;
+      delete process.env.SMS_SEGMENT_OVERFLOW;
+    });
+
+    it('should pass the segment limit to the SMS service', async () => {
+      process.env.SMS_MAX_SEGMENTS = '2';
+      process.env.SMS_SEGMENT_OVERFLOW = 'Abbreviate';
+
+      await service.initialize();
+
+      expect(service.smsService.maxSegments).toBe(2);
+      expect(service.smsService.segmentOverflow).toBe('abbreviate');
+    });
+
+    it('should reject an invalid segment limit', async () => {
+      process.env.SMS_MAX_SEGMENTS = '1.5';
+
+      await expect(service.initialize()).rejects.toThrow('SMS maximum segments must be a whole number, or 0 for no limit');
+    });
+
+    it('should reject an unknown overflow setting', async () => {
+      process.env.SMS_SEGMENT_OVERFLOW = 'truncate';
+
+      await expect(service.initialize()).rejects.toThrow('SMS segment overflow setting is invalid: truncate');
+    });
+
+    it('should log the segments used by each notification', async () => {
+      process.env.SMS_MAX_SEGMENTS = '1';
+      await service.initialize();
+      const today = new Date();
+      service.excelParser.parseFile = vi.fn(async () => Array.from({ length: 10 }, (_, index) =>
+        new Associate(`Associate Number ${index + 1}`, new Date(1990, today.getMonth(), today.getDate()), index + 2)
+      ));
+      vi.spyOn(service.smsService, 'sendSMS').mockResolvedValue({ messageId: 'msg-1', status: 'sent' });
+
+      const result = await service.performDailyCheck();
+
+      expect(result.notificationSent).toBe(true);
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Message size: 2 segment(s), GSM-7 in 2 SMS');
+    });
+  });
+
+  describe('birthday wishes', () => {
+    let today;
+
+    beforeEach(async () => {
+      process.env.BIRTHDAY_WISHES = 'additional';
+      await service.initialize();
+      today = new Date();
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('Ravi Kumar', new Date(1985, today.getMonth(), today.getDate()), 2, { mobile: '+91 98765 43210' }),
+        new Associate('Anita Rao', new Date(1992, today.getMonth(), today.getDate()), 3),
+        new Associate('Zara Khan', new Date(1990, today.getMonth(), today.getDate()), 4, { mobile: '12345' })
+      ]);
+      service.smsService.sendBirthdayNotification = vi.fn(async () => ({
+        success: true,
+        messageId: 'msg-1',
+        timestamp: new Date(),
+        attempts: 1
+      }));
+      service.smsService.sendBirthdayWish = vi.fn(async () => ({
+        success: true,
+        messageId: 'wish-1',
+        timestamp: new Date(),
+        attempts: 1
+      }));
+    });
+
+    afterEach(() => {
+      delete process.env.BIRTHDAY_WISHES;
+    });
+
+    it('should wish associates with a valid mobile number in addition to the birthday SMS', async () => {
+      const result = await service.performDailyCheck();
+
+      expect(result.notificationSent).toBe(true);
+      expect(service.smsService.sendBirthdayNotification).toHaveBeenCalledWith(result.birthdaysFound, [], []);
+      expect(service.smsService.sendBirthdayWish).toHaveBeenCalledTimes(1);
+      expect(service.smsService.sendBirthdayWish).toHaveBeenCalledWith(result.birthdaysFound[0], '+919876543210');
+      expect(result.birthdayWishes.map(wish => [wish.associate.name, wish.status])).toEqual([
+        ['Ravi Kumar', 'sent'],
+        ['Anita Rao', 'skipped'],
+        ['Zara Khan', 'skipped']
+      ]);
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Birthday wishes sent: 1 of 3');
+    });
+
+    it('should report missing and invalid mobile numbers without failing the run', async () => {
+      const result = await service.performDailyCheck();
+
+      expect(result.errors).toEqual([]);
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'No mobile number for "Anita Rao", birthday wish not sent');
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'Invalid mobile number "123****45" for "Zara Khan", birthday wish not sent');
+    });
+
+    it('should record wishes that could not be delivered', async () => {
+      service.smsService.sendBirthdayWish = vi.fn(async () => ({
+        success: false,
+        error: 'Invalid request: Unknown number',
+        timestamp: new Date(),
+        attempts: 3
+      }));
+
+      const result = await service.performDailyCheck();
+
+      expect(result.birthdayWishes[0].status).toBe('failed');
+      expect(result.errors).toEqual(['Birthday wish to Ravi Kumar failed: Invalid request: Unknown number']);
+    });
+
+    it('should leave birthdays out of the recipients SMS when wishes replace it', async () => {
+      service.config.birthdayWishes = 'only';
+
+      const result = await service.performDailyCheck();
+
+      expect(service.smsService.sendBirthdayNotification).not.toHaveBeenCalled();
+      expect(service.smsService.sendBirthdayWish).toHaveBeenCalledTimes(1);
+      expect(result.notificationSent).toBe(false);
+    });
+
+    it('should wish associates whose roster number is a national number', async () => {
+      service.config.defaultCountryCode = '91';
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('Ravi Kumar', new Date(1985, today.getMonth(), today.getDate()), 2, { mobile: '098765 43210' })
+      ]);
+
+      const result = await service.performDailyCheck();
+
+      expect(service.smsService.sendBirthdayWish).toHaveBeenCalledWith(result.birthdaysFound[0], '+919876543210');
+    });
+
+    it('should reject an unknown setting', async () => {
+      process.env.BIRTHDAY_WISHES = 'sometimes';
+      const freshService = new BirthdayCheckService(mockLogger);
+
+      await expect(freshService.initialize()).rejects.toThrow('Birthday wishes setting is invalid: sometimes');
+    });
+  });
+
+  describe('retry policy', () => {
+    afterEach(() => {
+      delete process.env.SMS_RETRY_MAX_ATTEMPTS;
+      delete process.env.SMS_RETRY_BASE_DELAY_MS;
+      delete process.env.SMS_RETRY_MAX_DELAY_MS;
+      delete process.env.SMS_RETRY_JITTER;
+    });
+
+    it('should pass the retry policy to the SMS service', async () => {
+      process.env.SMS_RETRY_MAX_ATTEMPTS = '5';
+      process.env.SMS_RETRY_BASE_DELAY_MS = '1000';
+      process.env.SMS_RETRY_MAX_DELAY_MS = '60000';
+      process.env.SMS_RETRY_JITTER = '0.2';
+
+      await service.initialize();
+
+      expect(service.smsService.retryPolicy).toEqual({ maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 60000, jitter: 0.2 });
+    });
+
+    it('should keep the standard policy by default', async () => {
+      await service.initialize();
+
+      expect(service.smsService.retryPolicy).toEqual({ maxAttempts: 3, baseDelayMs: 2000, maxDelayMs: 30000, jitter: 0 });
+    });
+
+    it('should reject an invalid retry policy', async () => {
+      process.env.SMS_RETRY_MAX_ATTEMPTS = '0';
+      process.env.SMS_RETRY_BASE_DELAY_MS = '5000';
+      process.env.SMS_RETRY_MAX_DELAY_MS = '1000';
+      process.env.SMS_RETRY_JITTER = '2';
+
+      const error = await service.initialize().catch(err => err);
+
+      expect(error.message).toContain('SMS retry attempts must be a whole number from 1 to 10 (SMS_RETRY_MAX_ATTEMPTS)');
+      expect(error.message).toContain('SMS retry maximum delay must not be less than the base delay (SMS_RETRY_MAX_DELAY_MS)');
+      expect(error.message).toContain('SMS retry jitter must be a number from 0 to 1 (SMS_RETRY_JITTER)');
+    });
+
+    it('should log when a failure is not retriable', async () => {
+      await service.initialize();
+      const today = new Date();
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('John Doe', new Date(1990, today.getMonth(), today.getDate()), 2)
+      ]);
+      vi.spyOn(service.smsService, 'sendSMS').mockRejectedValue(new Error('Authentication failed: Invalid API key'));
+
+      const result = await service.performDailyCheck();
+
+      expect(result.notificationSent).toBe(false);
+      expect(mockLogger.log).toHaveBeenCalledWith('ERROR', 'Failed after 1 attempt(s) (the error is not retriable)');
+    });
+  });
+
+  describe('mobile number normalisation', () => {
+    afterEach(() => {
+      delete process.env.DEFAULT_COUNTRY_CODE;
+      delete process.env.RECIPIENT_LOCALES;
+    });
+
+    it('should normalise recipient numbers to E.164', async () => {
+      process.env.RECIPIENT_MOBILE_NUMBER = '+44 (0)7700 900123, 0091 98765-43210';
+
+      await service.initialize();
+
+      expect(service.smsService.recipients).toEqual(['+447700900123', '+919876543210']);
+    });
+
+    it('should add the default country code to national numbers', async () => {
+      process.env.DEFAULT_COUNTRY_CODE = '+91';
+      process.env.RECIPIENT_MOBILE_NUMBER = '09702661630, 097026 61630';
+      process.env.RECIPIENT_LOCALES = '09702661630=hi-IN';
+
+      await service.initialize();
+
+      expect(service.config.recipientMobileNumbers).toEqual(['+919702661630']);
+      expect(service.smsService.getRecipientLocale('+919702661630')).toBe('hi-IN');
+    });
+
+    it('should reject national numbers without a default country code', async () => {
+      process.env.RECIPIENT_MOBILE_NUMBER = '09702661630';
+
+      await expect(service.initialize()).rejects.toThrow('Recipient mobile number format is invalid');
+    });
+
+    it('should reject numbers with the wrong length for their country', async () => {
+      process.env.RECIPIENT_MOBILE_NUMBER = '+1234567890, +91 97026 6163';
+
+      await expect(service.initialize()).rejects.toThrow('Recipient mobile number format is invalid: +91 97026 6163');
+    });
+
+    it('should reject an invalid default country code', async () => {
+      process.env.DEFAULT_COUNTRY_CODE = 'IN';
+
+      await expect(service.initialize()).rejects.toThrow('Default country code is invalid: IN');
+    });
+  });
+
+  describe('target date', () => {
+    const associates = () => [
+      new Associate('Ravi Kumar', new Date(1985, 9, 14), 2),
+      new Associate('Anita Rao', new Date(1992, 9, 15), 3)
+    ];
+
+    it('should check the day given by the injected clock', async () => {
+      const clockedService = new BirthdayCheckService(mockLogger, { clock: () => new Date(2024, 9, 15, 9, 0) });
+      await clockedService.initialize();
+      clockedService.excelParser.parseFile = vi.fn(async () => associates());
+      const sendSMS = vi.spyOn(clockedService.smsService, 'sendSMS').mockResolvedValue({ messageId: 'msg-1', status: 'sent' });
+
+      const result = await clockedService.performDailyCheck();
+
+      expect(result.birthdaysFound.map(associate => associate.name)).toEqual(['Anita Rao']);
+      expect(sendSMS).toHaveBeenCalledTimes(1);
+    });
+
+    it('should date messages with the injected clock', async () => {
+      const clockedService = new BirthdayCheckService(mockLogger, { clock: () => new Date(2024, 9, 15, 9, 0) });
+      await clockedService.initialize();
+
+      expect(clockedService.smsService.formatMessage([new Associate('Anita Rao', new Date(1992, 9, 15), 3)], [], [], null, { belated: true }))
+        .toBe('Belated Birthday Alert! Birthdays on Tue 15 Oct:\n- Anita Rao');
+    });
+
+    it('should check a given date and date its notification that day', async () => {
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => associates());
+      service.smsService.sendBirthdayNotification = vi.fn(async () => ({ success: true, timestamp: new Date(), attempts: 1 }));
+      const date = new Date(2024, 9, 14);
+
+      const result = await service.performDailyCheck({ date });
+
+      expect(result.birthdaysFound.map(associate => associate.name)).toEqual(['Ravi Kumar']);
+      expect(service.smsService.sendBirthdayNotification).toHaveBeenCalledWith(result.birthdaysFound, [], [], { date });
+    });
+  });
+
+  describe('catch-up checks', () => {
+    const missedDay = new Date(2024, 9, 14);
+
+    afterEach(() => {
+      delete process.env.CATCH_UP_MAX_DAYS;
+      delete process.env.BIRTHDAY_WISHES;
+    });
+
+    it('should check the missed day and send belated notifications', async () => {
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('Ravi Kumar', new Date(1985, 9, 14), 2),
+        new Associate('Anita Rao', new Date(1992, 9, 15), 3)
+      ]);
+      service.smsService.sendBirthdayNotification = vi.fn(async () => ({ success: true, timestamp: new Date(), attempts: 1 }));
+
+      const result = await service.performDailyCheck({ date: missedDay, belated: true });
+
+      expect(result.birthdaysFound.map(associate => associate.name)).toEqual(['Ravi Kumar']);
+      expect(service.smsService.sendBirthdayNotification)
+        .toHaveBeenCalledWith(result.birthdaysFound, [], [], { date: missedDay, belated: true });
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO',
+        'Catch-up check for missed day Mon Oct 14 2024: notifications are sent as belated');
+    });
+
+    it('should send belated birthday wishes', async () => {
+      process.env.BIRTHDAY_WISHES = 'only';
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('Ravi Kumar', new Date(1985, 9, 14), 2, { mobile: '+919876543210' })
+      ]);
+      service.smsService.sendBirthdayWish = vi.fn(async () => ({ success: true, timestamp: new Date(), attempts: 1 }));
+
+      const result = await service.performDailyCheck({ date: missedDay, belated: true });
+
+      expect(service.smsService.sendBirthdayWish)
+        .toHaveBeenCalledWith(result.birthdaysFound[0], '+919876543210', { date: missedDay, belated: true });
+    });
+
+    it('should reject an invalid maximum lookback', async () => {
+      process.env.CATCH_UP_MAX_DAYS = '-1';
+
+      await expect(service.initialize()).rejects.toThrow('Catch-up maximum days must be a whole number from 0 to 366');
+    });
+  });
+
+  describe('notification ledger', () => {
+    const testLedgerDir = './ledger-test-service';
+    let today;
+    let sendSMS;
+
+    const startService = async () => {
+      const freshService = new BirthdayCheckService(mockLogger);
+      await freshService.initialize();
+      freshService.excelParser.parseFile = vi.fn(async () => [
+        new Associate('Ravi Kumar', new Date(1985, today.getMonth(), today.getDate()), 2,
+          { employeeId: 'E042', mobile: '+91 98765 43210' })
+      ]);
+      vi.spyOn(freshService.smsService, 'delay').mockResolvedValue();
+      vi.spyOn(freshService.smsService, 'sendSMS').mockImplementation(sendSMS);
+      return freshService;
+    };
+
+    beforeEach(() => {
+      process.env.NOTIFICATION_LEDGER_FILE = path.join(testLedgerDir, 'ledger.json');
+      today = new Date();
+      sendSMS = vi.fn(async () => ({ messageId: 'msg-1', status: 'sent' }));
+    });
+
+    afterEach(() => {
+      delete process.env.NOTIFICATION_LEDGER_FILE;
+      delete process.env.BIRTHDAY_WISHES;
+      fs.rmSync(testLedgerDir, { recursive: true, force: true });
+    });
+
+    it('should not send the same notification again after a restart', async () => {
+      await (await startService()).performDailyCheck();
+      const result = await (await startService()).performDailyCheck();
+
+      expect(sendSMS).toHaveBeenCalledTimes(1);
+      expect(result.notificationSent).toBe(false);
+      expect(result.deliveryStatus).toBe('already-sent');
+      expect(result.errors).toEqual([]);
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO',
+        'SMS notification already sent to +12****90, not sent again (use --force to re-send)');
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Notification sent: No (already sent)');
+    });
+
+    it('should not send what another process sent after the service started', async () => {
+      const running = await startService();
+      await (await startService()).performDailyCheck();
+      const result = await running.performDailyCheck();
+
+      expect(sendSMS).toHaveBeenCalledTimes(1);
+      expect(result.deliveryStatus).toBe('already-sent');
+    });
+
+    it('should send again when forced', async () => {
+      await (await startService()).performDailyCheck();
+      const result = await (await startService()).performDailyCheck({ force: true });
+
+      expect(sendSMS).toHaveBeenCalledTimes(2);
+      expect(result.deliveryStatus).toBe('delivered');
+    });
+
+    it('should only send to recipients who have not been notified', async () => {
+      await (await startService()).performDailyCheck();
+      process.env.RECIPIENT_MOBILE_NUMBER = '+1234567890, +447700900123';
+      const result = await (await startService()).performDailyCheck();
+
+      expect(sendSMS.mock.calls.map(call => call[1])).toEqual(['+1234567890', '+447700900123']);
+      expect(result.deliveries.map(delivery => delivery.recipient)).toEqual(['+447700900123']);
+    });
+
+    it('should send again to recipients whose delivery failed', async () => {
+      sendSMS.mockRejectedValueOnce(new Error('Invalid request: Unknown number'));
+
+      const first = await (await startService()).performDailyCheck();
+      const second = await (await startService()).performDailyCheck();
+
+      expect(first.deliveryStatus).toBe('failed');
+      expect(second.deliveryStatus).toBe('delivered');
+      expect(sendSMS).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not send the same birthday wish again', async () => {
+      process.env.BIRTHDAY_WISHES = 'only';
+
+      await (await startService()).performDailyCheck();
+      const result = await (await startService()).performDailyCheck();
+
+      expect(sendSMS).toHaveBeenCalledTimes(1);
+      expect(sendSMS).toHaveBeenCalledWith(expect.any(String), '+919876543210', expect.anything());
+      expect(result.birthdayWishes[0]).toMatchObject({ status: 'skipped', error: 'Already sent' });
+    });
+
+    it('should fail to initialize with a corrupt ledger file', async () => {
+      fs.mkdirSync(testLedgerDir, { recursive: true });
+      fs.writeFileSync(process.env.NOTIFICATION_LEDGER_FILE, '{ not json');
+
+      await expect(service.initialize()).rejects.toThrow('Failed to read notification ledger');
+    });
+  });
+
+  describe('SMS outbox', () => {
+    const testOutboxDir = './outbox-test-service';
+    let today;
+    let sendSMS;
+
+    const startService = async () => {
+      const freshService = new BirthdayCheckService(mockLogger);
+      await freshService.initialize();
+      freshService.excelParser.parseFile = vi.fn(async () => [
+        new Associate('Ravi Kumar', new Date(1985, today.getMonth(), today.getDate()), 2, { employeeId: 'E042' })
+      ]);
+      vi.spyOn(freshService.smsService, 'delay').mockResolvedValue();
+      vi.spyOn(freshService.smsService, 'sendSMS').mockImplementation(sendSMS);
+      return freshService;
+    };
+
+    beforeEach(() => {
+      process.env.SMS_OUTBOX_FILE = path.join(testOutboxDir, 'outbox.json');
+      today = new Date();
+      sendSMS = vi.fn(async () => ({ messageId: 'msg-1', status: 'sent' }));
+    });
+
+    afterEach(() => {
+      delete process.env.SMS_OUTBOX_FILE;
+      delete process.env.SMS_OUTBOX_MAX_ATTEMPTS;
+      delete process.env.NOTIFICATION_LEDGER_FILE;
+      fs.rmSync(testOutboxDir, { recursive: true, force: true });
+    });
+
+    it('should queue a notification that could not be delivered instead of reporting an error', async () => {
+      sendSMS.mockRejectedValue(new Error('Network error'));
+
+      const result = await (await startService()).performDailyCheck();
+
+      expect(result.deliveryStatus).toBe('queued');
+      expect(result.notificationSent).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', expect.stringMatching(/^SMS notification not delivered yet: Network error; queued in the SMS outbox, next attempt at /));
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Notification sent: Not yet (queued for another attempt)');
+    });
+
+    it('should not send a queued notification again on the next check', async () => {
+      process.env.NOTIFICATION_LEDGER_FILE = path.join(testOutboxDir, 'ledger.json');
+      sendSMS.mockRejectedValue(new Error('Network error'));
+
+      await (await startService()).performDailyCheck();
+      const attempts = sendSMS.mock.calls.length;
+      const result = await (await startService()).performDailyCheck();
+
+      expect(result.deliveryStatus).toBe('already-sent');
+      expect(sendSMS).toHaveBeenCalledTimes(attempts);
+    });
+
+    it('should record a queued notification in the ledger only once the outbox delivers it', async () => {
+      process.env.NOTIFICATION_LEDGER_FILE = path.join(testOutboxDir, 'ledger.json');
+      sendSMS.mockRejectedValue(new Error('Network error'));
+      const freshService = await startService();
+
+      await freshService.performDailyCheck();
+      expect(freshService.ledger.entries.size).toBe(0);
+
+      sendSMS.mockResolvedValue({ messageId: 'msg-2', status: 'sent' });
+      vi.useFakeTimers({ toFake: ['Date'] });
+      try {
+        vi.setSystemTime(new Date(Date.now() + 60 * 60 * 1000));
+        await freshService.drainOutbox();
+      } finally {
+        vi.useRealTimers();
+      }
+
+      const entry = { date: today, event: 'birthday', associate: { employeeId: 'E042' } };
+      expect(freshService.ledger.has(entry, '+1234567890')).toBe(true);
+      const result = await (await startService()).performDailyCheck();
+      expect(result.deliveryStatus).toBe('already-sent');
+    });
+
+    it('should send a notification again once its queued SMS is dead', async () => {
+      process.env.NOTIFICATION_LEDGER_FILE = path.join(testOutboxDir, 'ledger.json');
+      sendSMS.mockRejectedValue(new Error('Network error'));
+      const freshService = await startService();
+      await freshService.performDailyCheck();
+
+      sendSMS.mockRejectedValue(new Error('Invalid request: Unknown number'));
+      vi.useFakeTimers({ toFake: ['Date'] });
+      try {
+        vi.setSystemTime(new Date(Date.now() + 60 * 60 * 1000));
+        await freshService.drainOutbox();
+      } finally {
+        vi.useRealTimers();
+      }
+      expect(await freshService.outbox.list('dead')).toHaveLength(1);
+
+      sendSMS.mockResolvedValue({ messageId: 'msg-3', status: 'sent' });
+      const result = await freshService.performDailyCheck();
+
+      expect(result.deliveryStatus).toBe('delivered');
+    });
+
+    it('should report a notification that failed for good as an error', async () => {
+      sendSMS.mockRejectedValue(new Error('Authentication failed: Invalid API key'));
+
+      const result = await (await startService()).performDailyCheck();
+
+      expect(result.deliveryStatus).toBe('failed');
+      expect(result.errors).toEqual(['SMS notification failed: Authentication failed: Invalid API key']);
+    });
+
+    it('should log the outcome of each message sent from the outbox', async () => {
+      const freshService = await startService();
+      const delivered = await freshService.outbox.add('+1234567890', ['Hello'], today);
+      const dead = await freshService.outbox.add('+447700900123', ['Hello'], today);
+      await freshService.outbox.recover();
+      sendSMS.mockImplementation(async (message, recipient) => {
+        if (recipient === '+447700900123') {
+          throw new Error('Invalid request: Unknown number');
+        }
+        return { messageId: 'msg-2', status: 'sent' };
+      });
+
+      const results = await freshService.drainOutbox();
+
+      expect(results).toHaveLength(2);
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', `Queued SMS ${delivered.id} sent to +12****90`);
+      expect(mockLogger.log).toHaveBeenCalledWith('ERROR',
+        `Queued SMS ${dead.id} to +44****23 failed and will not be retried: Invalid request: Unknown number (requeue it with --requeue-dead ${dead.id})`);
+    });
+
+    it('should log the messages waiting in the outbox on initialization', async () => {
+      await (await startService()).outbox.add('+1234567890', ['Hello'], today);
+      await startService();
+
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', expect.stringMatching(/SMS outbox at .* has 1 message\(s\) waiting$/));
+    });
+
+    it('should reject an invalid maximum number of attempts', async () => {
+      process.env.SMS_OUTBOX_MAX_ATTEMPTS = '0';
+
+      await expect(service.initialize()).rejects.toThrow('SMS outbox maximum attempts must be a whole number from 1 to 20 (SMS_OUTBOX_MAX_ATTEMPTS)');
+    });
+  });
+
+  describe('dry run', () => {
+    const testLedgerDir = './ledger-test-dry-run';
+    const day = new Date(new Date().getFullYear(), new Date().getMonth(), new Date().getDate());
+    let sendSMS;
+
+    beforeEach(async () => {
+      process.env.NOTIFICATION_LEDGER_FILE = path.join(testLedgerDir, 'ledger.json');
+      process.env.BIRTHDAY_WISHES = 'additional';
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('Ravi Kumar', new Date(1985, day.getMonth(), day.getDate()), 2, { employeeId: 'E042', mobile: '+91 98765 43210' }),
+        new Associate('Anita Rao', new Date(1992, day.getMonth(), day.getDate() + 1), 3)
+      ]);
+      sendSMS = vi.spyOn(service.smsService, 'sendSMS');
+    });
+
+    afterEach(() => {
+      delete process.env.NOTIFICATION_LEDGER_FILE;
+      delete process.env.BIRTHDAY_WISHES;
+      fs.rmSync(testLedgerDir, { recursive: true, force: true });
+    });
+
+    it('should return every message with its recipient and size without sending it', async () => {
+      const result = await service.performDailyCheck({ date: day, dryRun: true });
+
+      expect(sendSMS).not.toHaveBeenCalled();
+      expect(result.birthdaysFound.map(associate => associate.name)).toEqual(['Ravi Kumar']);
+      expect(result.notificationSent).toBe(false);
+      expect(result.deliveryStatus).toBe('dry-run');
+      expect(result.errors).toEqual([]);
+      expect(result.preview).toEqual([
+        {
+          label: 'SMS notification',
+          recipient: '+1234567890',
+          texts: ['Birthday Alert! Today\'s birthdays:\n- Ravi Kumar'],
+          parts: 1,
+          segments: 1,
+          encoding: 'GSM-7'
+        },
+        expect.objectContaining({ label: 'Birthday wish to Ravi Kumar', recipient: '+919876543210' })
+      ]);
+      expect(result.birthdayWishes[0].status).toBe('dry-run');
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', '[Dry run] SMS notification to +12****90: 1 segment(s), GSM-7');
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Notification sent: No (dry run)');
+    });
+
+    it('should not record dry runs in the notification ledger', async () => {
+      await service.performDailyCheck({ date: day, dryRun: true });
+
+      expect(fs.existsSync(process.env.NOTIFICATION_LEDGER_FILE)).toBe(false);
+      expect(service.ledger.entries.size).toBe(0);
+    });
+
+    it('should leave out what the ledger shows as already sent', async () => {
+      sendSMS.mockResolvedValue({ messageId: 'msg-1', status: 'sent' });
+      await service.performDailyCheck({ date: day });
+
+      const result = await service.performDailyCheck({ date: day, dryRun: true });
+
+      expect(result.deliveryStatus).toBe('already-sent');
+      expect(result.preview).toEqual([]);
+    });
+  });
+
+  describe('performDigestCheck', () => {
+    it('should send a digest of upcoming birthdays', async () => {
+      await service.initialize();
+      service.config.digestDays = 7;
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('Ravi Kumar', new Date(1985, 9, 14), 2),
+        new Associate('Anita Rao', new Date(1992, 9, 16), 3),
+        new Associate('Outside Range', new Date(1990, 10, 1), 4)
+      ]);
+      service.smsService.sendDigestNotification = vi.fn(async () => ({
+        success: true,
+        messageId: 'digest-1',
+        timestamp: new Date(),
+        attempts: 1
+      }));
+
+      const result = await service.performDigestCheck(new Date(2024, 9, 14));
+
+      expect(result.notificationSent).toBe(true);
+      expect(result.totalAssociatesChecked).toBe(3);
+      expect(result.upcomingBirthdays).toHaveLength(2);
+      expect(service.smsService.sendDigestNotification).toHaveBeenCalledWith(result.upcomingBirthdays, 7);
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Found 2 upcoming birthday(s) on 2 day(s)');
+    });
+
+    it('should not send a digest when no birthdays are coming up', async () => {
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('Outside Range', new Date(1990, 10, 1), 1)
+      ]);
+      service.smsService.sendDigestNotification = vi.fn();
+
+      const result = await service.performDigestCheck(new Date(2024, 9, 14));
+
+      expect(result.notificationSent).toBe(false);
+      expect(result.errors).toHaveLength(0);
+      expect(service.smsService.sendDigestNotification).not.toHaveBeenCalled();
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'No birthdays found in the next 7 days');
+    });
+
+    it('should report digest SMS failures', async () => {
+      await service.initialize();
+      service.excelParser.parseFile = vi.fn(async () => [
+        new Associate('Ravi Kumar', new Date(1985, 9, 14), 1)
+      ]);
+      service.smsService.sendDigestNotification = vi.fn(async () => ({
+        success: false,
+        error: 'Network error',
+        timestamp: new Date(),
+        attempts: 3
+      }));
+
+      const result = await service.performDigestCheck(new Date(2024, 9, 14));
+
+      expect(result.notificationSent).toBe(false);
+      expect(result.errors).toContain('Digest SMS failed: Network error');
+    });
+  });
+
   describe('logging', () => {
     it('should log workflow steps', async () => {
       await service.performDailyCheck();
@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest';
+import DateFormat from '../src/utils/DateFormat.js';
+
+describe('DateFormat', () => {
+  describe('parse - Numeric formats', () => {
+    it('should parse DD/MM/YYYY strictly', () => {
+      const format = new DateFormat('DD/MM/YYYY');
+
+      expect(format.parse('03/04/1990')).toEqual({ year: 1990, month: 3, day: 3 });
+      expect(format.parse('3/4/1990')).toBeNull();
+      expect(format.parse('1990-04-03')).toBeNull();
+    });
+
+    it('should parse single-digit D and M tokens', () => {
+      const format = new DateFormat('D.M.YYYY');
+
+      expect(format.parse('3.4.1990')).toEqual({ year: 1990, month: 3, day: 3 });
+      expect(format.parse('03.04.1990')).toEqual({ year: 1990, month: 3, day: 3 });
+    });
+
+    it('should reject days that do not exist in the month', () => {
+      const format = new DateFormat('DD/MM/YYYY');
+
+      expect(format.parse('31/04/1990')).toBeNull();
+      expect(format.parse('29/02/1990')).toBeNull();
+      expect(format.parse('29/02/1992')).toEqual({ year: 1992, month: 1, day: 29 });
+      expect(format.parse('01/13/1990')).toBeNull();
+    });
+
+    it('should expand two-digit years into the past', () => {
+      const format = new DateFormat('DD/MM/YY');
+      const parsed = format.parse('15/01/90');
+
+      expect(parsed.year).toBe(1990);
+    });
+  });
+
+  describe('parse - Month names', () => {
+    it('should parse short and long English month names', () => {
+      expect(new DateFormat('DD-MMM-YYYY').parse('14-Mar-1990')).toEqual({ year: 1990, month: 2, day: 14 });
+      expect(new DateFormat('DD-MMM-YYYY').parse('14-sept-1990')).toEqual({ year: 1990, month: 8, day: 14 });
+      expect(new DateFormat('D MMMM YYYY').parse('4 July 1985')).toEqual({ year: 1985, month: 6, day: 4 });
+    });
+
+    it('should accept month names of the configured locale', () => {
+      const format = new DateFormat('D. MMMM YYYY', 'de-DE');
+
+      expect(format.parse('3. März 1990')).toEqual({ year: 1990, month: 2, day: 3 });
+      expect(format.parse('3. March 1990')).toEqual({ year: 1990, month: 2, day: 3 });
+    });
+
+    it('should return a null year for formats without a year', () => {
+      const format = new DateFormat('D MMMM');
+
+      expect(format.hasYear).toBe(false);
+      expect(format.parse('29 February')).toEqual({ year: null, month: 1, day: 29 });
+    });
+
+    it('should reject unknown month names', () => {
+      expect(new DateFormat('DD-MMM-YYYY').parse('14-Foo-1990')).toBeNull();
+    });
+  });
+
+  describe('constructor - Invalid patterns', () => {
+    it('should require day and month tokens', () => {
+      expect(() => new DateFormat('MM/YYYY')).toThrow('has no day token');
+      expect(() => new DateFormat('DD/YYYY')).toThrow('has no month token');
+    });
+  });
+
+  describe('isAmbiguous', () => {
+    it('should flag numeric day/month values that could be swapped', () => {
+      const format = new DateFormat('DD/MM/YYYY');
+
+      expect(format.isAmbiguous(format.parse('03/04/1990'))).toBe(true);
+      expect(format.isAmbiguous(format.parse('13/04/1990'))).toBe(false);
+      expect(format.isAmbiguous(format.parse('04/04/1990'))).toBe(false);
+    });
+
+    it('should never flag formats with month names', () => {
+      const format = new DateFormat('DD-MMM-YYYY');
+
+      expect(format.isAmbiguous(format.parse('03-Apr-1990'))).toBe(false);
+    });
+  });
+
+  describe('getDateOrder', () => {
+    it('should derive the numeric date order from the locale', () => {
+      expect(DateFormat.getDateOrder('en-US')).toBe('MDY');
+      expect(DateFormat.getDateOrder('en-IN')).toBe('DMY');
+      expect(DateFormat.getDateOrder('en-GB')).toBe('DMY');
+      expect(DateFormat.getDateOrder('de-DE')).toBe('DMY');
+    });
+  });
+
+  describe('isSupportedLocale', () => {
+    it('should reject invalid locale tags', () => {
+      expect(DateFormat.isSupportedLocale('en-IN')).toBe(true);
+      expect(DateFormat.isSupportedLocale('not a locale')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import DateKey from '../src/utils/DateKey.js';
+
+describe('DateKey', () => {
+  describe('format', () => {
+    it('should format a local date as YYYY-MM-DD', () => {
+      expect(DateKey.format(new Date(2024, 9, 14, 23, 59))).toBe('2024-10-14');
+      expect(DateKey.format(new Date(2024, 0, 5))).toBe('2024-01-05');
+    });
+  });
+
+  describe('parse', () => {
+    it('should parse YYYY-MM-DD as a local date', () => {
+      expect(DateKey.parse('2024-10-14')).toEqual(new Date(2024, 9, 14));
+    });
+
+    it('should reject invalid dates', () => {
+      expect(DateKey.parse('2024-02-30')).toBeNull();
+      expect(DateKey.parse('14/10/2024')).toBeNull();
+      expect(DateKey.parse(undefined)).toBeNull();
+    });
+  });
+});
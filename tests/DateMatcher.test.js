@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import DateMatcher from '../src/services/DateMatcher.js';
 import Associate from '../src/models/Associate.js';
+import EventType from '../src/models/EventType.js';
 
 describe('DateMatcher', () => {
   let dateMatcher;
@@ -48,6 +49,16 @@ describe('DateMatcher', () => {
       expect(dateMatcher.findBirthdaysToday(null)).toHaveLength(0);
       expect(dateMatcher.findBirthdaysToday(undefined)).toHaveLength(0);
     });
+
+    it('should use the injected clock for today', () => {
+      const matcher = new DateMatcher({ clock: () => new Date(2024, 11, 25, 9, 0) });
+      const associates = [
+        new Associate('Christmas Baby', new Date(1990, 11, 25), 1),
+        new Associate('New Year Baby', new Date(1990, 0, 1), 2)
+      ];
+
+      expect(matcher.findBirthdaysToday(associates).map(associate => associate.name)).toEqual(['Christmas Baby']);
+    });
   });
 
   describe('findBirthdaysOnDate - Non-birthday filtering', () => {
@@ -147,6 +158,197 @@ describe('DateMatcher', () => {
     });
   });
 
+  describe('findBirthdaysOnDate - Leap day policy', () => {
+    const associates = [
+      new Associate('Leap Year Baby', new Date(2000, 1, 29), 1),
+      new Associate('Feb 28 Birthday', new Date(1990, 1, 28), 2),
+      new Associate('Mar 1 Birthday', new Date(1991, 2, 1), 3)
+    ];
+
+    it('should celebrate Feb 29 birthdays on Feb 28 in non-leap years with the feb28 policy', () => {
+      const matcher = new DateMatcher({ leapDayPolicy: 'feb28' });
+
+      expect(matcher.findBirthdaysOnDate(associates, new Date(2023, 1, 28)).map(a => a.name))
+        .toEqual(['Leap Year Baby', 'Feb 28 Birthday']);
+      expect(matcher.findBirthdaysOnDate(associates, new Date(2023, 2, 1)).map(a => a.name))
+        .toEqual(['Mar 1 Birthday']);
+    });
+
+    it('should celebrate Feb 29 birthdays on Mar 1 in non-leap years with the mar1 policy', () => {
+      const matcher = new DateMatcher({ leapDayPolicy: 'mar1' });
+
+      expect(matcher.findBirthdaysOnDate(associates, new Date(2023, 1, 28)).map(a => a.name))
+        .toEqual(['Feb 28 Birthday']);
+      expect(matcher.findBirthdaysOnDate(associates, new Date(2023, 2, 1)).map(a => a.name))
+        .toEqual(['Leap Year Baby', 'Mar 1 Birthday']);
+    });
+
+    it('should skip Feb 29 birthdays in non-leap years with the skip policy', () => {
+      const matcher = new DateMatcher({ leapDayPolicy: 'skip' });
+
+      expect(matcher.findBirthdaysOnDate(associates, new Date(2023, 1, 28)).map(a => a.name))
+        .toEqual(['Feb 28 Birthday']);
+      expect(matcher.findBirthdaysOnDate(associates, new Date(2023, 2, 1)).map(a => a.name))
+        .toEqual(['Mar 1 Birthday']);
+    });
+
+    it('should celebrate Feb 29 birthdays only on Feb 29 in leap years under every policy', () => {
+      ['feb28', 'mar1', 'skip'].forEach(leapDayPolicy => {
+        const matcher = new DateMatcher({ leapDayPolicy });
+
+        expect(matcher.findBirthdaysOnDate(associates, new Date(2024, 1, 28)).map(a => a.name))
+          .toEqual(['Feb 28 Birthday']);
+        expect(matcher.findBirthdaysOnDate(associates, new Date(2024, 1, 29)).map(a => a.name))
+          .toEqual(['Leap Year Baby']);
+        expect(matcher.findBirthdaysOnDate(associates, new Date(2024, 2, 1)).map(a => a.name))
+          .toEqual(['Mar 1 Birthday']);
+      });
+    });
+
+    it('should treat century years that are not leap years as non-leap years', () => {
+      const matcher = new DateMatcher({ leapDayPolicy: 'feb28' });
+
+      expect(matcher.findBirthdaysOnDate(associates, new Date(2100, 1, 28)).map(a => a.name))
+        .toEqual(['Leap Year Baby', 'Feb 28 Birthday']);
+    });
+
+    it('should default to the skip policy', () => {
+      expect(dateMatcher.leapDayPolicy).toBe('skip');
+    });
+  });
+
+  describe('findBirthdaysOnDate - Birthdays without a year', () => {
+    it('should match associates whose birth year is unknown', () => {
+      const targetDate = new Date(2025, 2, 14);
+      const associates = [
+        new Associate('Private Year', Associate.createYearlessDate(2, 14), 1, { birthYearKnown: false }),
+        new Associate('Known Year', new Date(1990, 2, 14), 2),
+        new Associate('Other Day', Associate.createYearlessDate(2, 15), 3, { birthYearKnown: false })
+      ];
+
+      const birthdays = dateMatcher.findBirthdaysOnDate(associates, targetDate);
+
+      expect(birthdays.map(a => a.name)).toEqual(['Private Year', 'Known Year']);
+    });
+  });
+
+  describe('findWorkAnniversariesOnDate - Work anniversaries', () => {
+    it('should find associates who joined on the same month and day in an earlier year', () => {
+      const associates = [
+        new Associate('Ravi Kumar', new Date(1985, 10, 3), 1, { dateOfJoining: new Date(2019, 9, 14) }),
+        new Associate('Joined Today', new Date(1990, 1, 1), 2, { dateOfJoining: new Date(2024, 9, 14) }),
+        new Associate('Other Day', new Date(1991, 2, 2), 3, { dateOfJoining: new Date(2018, 9, 15) }),
+        new Associate('No Joining Date', new Date(1992, 9, 14), 4)
+      ];
+
+      const anniversaries = dateMatcher.findWorkAnniversariesOnDate(associates, new Date(2024, 9, 14));
+
+      expect(anniversaries.map(a => a.name)).toEqual(['Ravi Kumar']);
+    });
+
+    it('should apply the leap day policy to joining dates', () => {
+      const associates = [new Associate('Leap Joiner', new Date(1990, 0, 1), 1, { dateOfJoining: new Date(2020, 1, 29) })];
+
+      expect(new DateMatcher({ leapDayPolicy: 'feb28' }).findWorkAnniversariesOnDate(associates, new Date(2023, 1, 28)))
+        .toHaveLength(1);
+      expect(dateMatcher.findWorkAnniversariesOnDate(associates, new Date(2023, 1, 28))).toHaveLength(0);
+    });
+  });
+
+  describe('findEventsOnDate - Custom event types', () => {
+    const wedding = new EventType({ id: 'weddingAnniversary', recurrence: 'yearly' });
+    const renewal = new EventType({ id: 'certificationRenewal', recurrence: 'once' });
+    const associates = [
+      new Associate('Ravi Kumar', new Date(1985, 10, 3), 1, {
+        events: { weddingAnniversary: new Date(2014, 9, 14), certificationRenewal: new Date(2024, 9, 14) }
+      }),
+      new Associate('Anita Rao', new Date(1992, 6, 21), 2, {
+        events: { certificationRenewal: new Date(2025, 9, 14) }
+      })
+    ];
+
+    it('should match yearly events on month and day', () => {
+      expect(dateMatcher.findEventsOnDate(associates, wedding, new Date(2026, 9, 14)).map(a => a.name))
+        .toEqual(['Ravi Kumar']);
+    });
+
+    it('should match one-off events on the exact date', () => {
+      expect(dateMatcher.findEventsOnDate(associates, renewal, new Date(2024, 9, 14)).map(a => a.name))
+        .toEqual(['Ravi Kumar']);
+      expect(dateMatcher.findEventsOnDate(associates, renewal, new Date(2025, 9, 14)).map(a => a.name))
+        .toEqual(['Anita Rao']);
+    });
+
+    it('should match birthdays as a built-in event type', () => {
+      expect(dateMatcher.findEventsOnDate(associates, EventType.BIRTHDAY, new Date(2024, 6, 21)).map(a => a.name))
+        .toEqual(['Anita Rao']);
+    });
+  });
+
+  describe('findBirthdaysInRange - Upcoming birthdays', () => {
+    it('should group birthdays by day in date order with names sorted', () => {
+      const associates = [
+        new Associate('Zara Khan', new Date(1991, 9, 16), 1),
+        new Associate('Ravi Kumar', new Date(1985, 9, 14), 2),
+        new Associate('Anita Rao', new Date(1992, 9, 16), 3),
+        new Associate('Outside Range', new Date(1990, 9, 21), 4)
+      ];
+
+      const upcoming = dateMatcher.findBirthdaysInRange(associates, new Date(2024, 9, 14), 7);
+
+      expect(upcoming).toHaveLength(2);
+      expect(upcoming[0].date).toEqual(new Date(2024, 9, 14));
+      expect(upcoming[0].associates.map(a => a.name)).toEqual(['Ravi Kumar']);
+      expect(upcoming[1].date).toEqual(new Date(2024, 9, 16));
+      expect(upcoming[1].associates.map(a => a.name)).toEqual(['Anita Rao', 'Zara Khan']);
+    });
+
+    it('should include the start date and end on the last day of the range', () => {
+      const associates = [
+        new Associate('First Day', new Date(1990, 9, 14), 1),
+        new Associate('Last Day', new Date(1990, 9, 20), 2),
+        new Associate('Day After', new Date(1990, 9, 21), 3)
+      ];
+
+      const upcoming = dateMatcher.findBirthdaysInRange(associates, new Date(2024, 9, 14), 7);
+
+      expect(upcoming.map(day => day.associates[0].name)).toEqual(['First Day', 'Last Day']);
+    });
+
+    it('should wrap over the year end', () => {
+      const associates = [
+        new Associate('New Year Baby', new Date(1990, 0, 2), 1),
+        new Associate('Year End Baby', new Date(1988, 11, 30), 2)
+      ];
+
+      const upcoming = dateMatcher.findBirthdaysInRange(associates, new Date(2024, 11, 28), 7);
+
+      expect(upcoming.map(day => day.associates[0].name)).toEqual(['Year End Baby', 'New Year Baby']);
+      expect(upcoming[1].date).toEqual(new Date(2025, 0, 2));
+    });
+
+    it('should apply the leap day policy to the range', () => {
+      const associates = [new Associate('Leap Year Baby', new Date(2000, 1, 29), 1)];
+
+      const skipped = new DateMatcher({ leapDayPolicy: 'skip' })
+        .findBirthdaysInRange(associates, new Date(2025, 1, 25), 7);
+      const moved = new DateMatcher({ leapDayPolicy: 'mar1' })
+        .findBirthdaysInRange(associates, new Date(2025, 1, 25), 7);
+
+      expect(skipped).toHaveLength(0);
+      expect(moved).toHaveLength(1);
+      expect(moved[0].date).toEqual(new Date(2025, 2, 1));
+    });
+
+    it('should return empty array for invalid input', () => {
+      const associates = [new Associate('John Doe', new Date(1990, 9, 14), 1)];
+
+      expect(dateMatcher.findBirthdaysInRange(null, new Date(2024, 9, 14), 7)).toEqual([]);
+      expect(dateMatcher.findBirthdaysInRange(associates, new Date('invalid'), 7)).toEqual([]);
+      expect(dateMatcher.findBirthdaysInRange(associates, new Date(2024, 9, 14), 0)).toEqual([]);
+    });
+  });
+
   describe('Edge cases', () => {
     it('should handle associates born on January 1', () => {
       const newYearDate = new Date(2024, 0, 1);
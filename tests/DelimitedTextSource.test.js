@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import DelimitedTextSource from '../src/services/sources/DelimitedTextSource.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('DelimitedTextSource', () => {
+  let source;
+
+  beforeEach(() => {
+    source = new DelimitedTextSource();
+  });
+
+  describe('supports', () => {
+    it('should support CSV and TSV extensions only', () => {
+      expect(source.supports('.csv')).toBe(true);
+      expect(source.supports('.tsv')).toBe(true);
+      expect(source.supports('.xlsx')).toBe(false);
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('should detect comma, semicolon, tab and pipe delimiters', () => {
+      expect(source.detectDelimiter('Name,DOB\nJohn,1990-01-15')).toBe(',');
+      expect(source.detectDelimiter('Name;DOB\nJohn;1990-01-15')).toBe(';');
+      expect(source.detectDelimiter('Name\tDOB\nJohn\t1990-01-15')).toBe('\t');
+      expect(source.detectDelimiter('Name|DOB\nJohn|1990-01-15')).toBe('|');
+    });
+
+    it('should ignore delimiters inside quoted fields', () => {
+      const text = 'Name;DOB\n"Smith, Jane";1985-03-22\n"Doe, John";1990-01-15';
+      expect(source.detectDelimiter(text)).toBe(';');
+    });
+
+    it('should default to comma for single-column text', () => {
+      expect(source.detectDelimiter('Name\nJohn')).toBe(',');
+    });
+  });
+
+  describe('detectEncoding', () => {
+    it('should detect byte order marks', () => {
+      expect(source.detectEncoding(Buffer.from([0xEF, 0xBB, 0xBF, 0x41]))).toBe('utf-8');
+      expect(source.detectEncoding(Buffer.from([0xFF, 0xFE, 0x41, 0x00]))).toBe('utf-16le');
+      expect(source.detectEncoding(Buffer.from([0xFE, 0xFF, 0x00, 0x41]))).toBe('utf-16be');
+    });
+
+    it('should detect UTF-16 without byte order mark', () => {
+      expect(source.detectEncoding(Buffer.from('Name,DOB\n', 'utf16le'))).toBe('utf-16le');
+    });
+
+    it('should fall back to Windows-1252 for invalid UTF-8', () => {
+      expect(source.detectEncoding(Buffer.from('José', 'utf8'))).toBe('utf-8');
+      expect(source.detectEncoding(Buffer.from('José', 'latin1'))).toBe('windows-1252');
+    });
+  });
+
+  describe('parse', () => {
+    it('should handle quoted fields, escaped quotes and CRLF line endings', () => {
+      const rows = source.parse('a,"b,c","say ""hi"""\r\n1,2,3\r\n', ',');
+
+      expect(rows).toEqual([
+        ['a', 'b,c', 'say "hi"'],
+        ['1', '2', '3']
+      ]);
+    });
+
+    it('should keep line breaks inside quoted fields', () => {
+      const rows = source.parse('name,note\nJohn,"line 1\nline 2"', ',');
+
+      expect(rows).toEqual([
+        ['name', 'note'],
+        ['John', 'line 1\nline 2']
+      ]);
+    });
+  });
+
+  describe('read', () => {
+    it('should honour a configured delimiter and encoding', async () => {
+      const configured = new DelimitedTextSource({ delimiter: ';', encoding: 'windows-1252' });
+      const sheets = await configured.read(path.join(__dirname, 'fixtures', 'associates-semicolon.csv'));
+
+      expect(sheets).toHaveLength(1);
+      expect(sheets[0].name).toBe('associates-semicolon');
+      expect(sheets[0].rows[1]).toEqual(['José Álvarez', '1990-01-15', 'Sales; EMEA']);
+    });
+
+    it('should reject unsupported encodings', async () => {
+      const configured = new DelimitedTextSource({ encoding: 'not-an-encoding' });
+
+      await expect(configured.read(path.join(__dirname, 'fixtures', 'associates.tsv')))
+        .rejects.toThrow('Unsupported text encoding: not-an-encoding');
+    });
+  });
+});
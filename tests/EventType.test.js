@@ -0,0 +1,128 @@
+import { describe, it, expect } from 'vitest';
+import EventType from '../src/models/EventType.js';
+import Associate from '../src/models/Associate.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('EventType', () => {
+  const formatDay = date => date.toDateString();
+
+  describe('built-in event types', () => {
+    it('should read birthdays from the date of birth', () => {
+      const associate = new Associate('John Doe', new Date(1990, 9, 14), 1);
+
+      expect(EventType.BIRTHDAY.getDate(associate)).toEqual(new Date(1990, 9, 14));
+      expect(EventType.BIRTHDAY.occursOn(associate, new Date(2024, 9, 14))).toBe(true);
+    });
+
+    it('should skip the joining date itself for work anniversaries', () => {
+      const associate = new Associate('Ravi Kumar', new Date(1985, 10, 3), 1, { dateOfJoining: new Date(2024, 9, 14) });
+
+      expect(EventType.WORK_ANNIVERSARY.occursOn(associate, new Date(2024, 9, 14))).toBe(false);
+      expect(EventType.WORK_ANNIVERSARY.occursOn(associate, new Date(2025, 9, 14))).toBe(true);
+    });
+  });
+
+  describe('custom event types', () => {
+    const wedding = new EventType({ id: 'weddingAnniversary', label: 'Wedding anniversaries', recurrence: 'yearly' });
+    const renewal = new EventType({ id: 'certificationRenewal', label: 'Certification renewals due', recurrence: 'once' });
+    const associate = new Associate('Ravi Kumar', new Date(1985, 10, 3), 1, {
+      events: {
+        weddingAnniversary: new Date(2014, 9, 14),
+        certificationRenewal: new Date(2024, 9, 14)
+      }
+    });
+
+    it('should repeat yearly events every year', () => {
+      expect(wedding.occursOn(associate, new Date(2024, 9, 14))).toBe(true);
+      expect(wedding.occursOn(associate, new Date(2030, 9, 14))).toBe(true);
+      expect(wedding.getYears(associate, new Date(2024, 9, 14))).toBe(10);
+    });
+
+    it('should match one-off events on the exact date only', () => {
+      expect(renewal.occursOn(associate, new Date(2024, 9, 14))).toBe(true);
+      expect(renewal.occursOn(associate, new Date(2025, 9, 14))).toBe(false);
+      expect(renewal.getYears(associate, new Date(2024, 9, 14))).toBeNull();
+    });
+
+    it('should not match associates without the event date', () => {
+      const other = new Associate('Anita Rao', new Date(1992, 6, 21), 2);
+
+      expect(wedding.occursOn(other, new Date(2024, 9, 14))).toBe(false);
+    });
+
+    it('should render message lines from the template', () => {
+      const line = wedding.formatLine(
+        { associate, date: new Date(2024, 9, 14), years: 10, rolledOver: false },
+        formatDay
+      );
+      const rolledOver = renewal.formatLine(
+        { associate, date: new Date(2024, 9, 12), years: null, rolledOver: true },
+        formatDay
+      );
+
+      expect(line).toBe('Ravi Kumar – 10 years today');
+      expect(rolledOver).toBe(`Ravi Kumar (on ${new Date(2024, 9, 12).toDateString()})`);
+    });
+
+    it('should support conditionals in line templates', () => {
+      const custom = new EventType({
+        id: 'weddingAnniversary',
+        template: '{{name}} – {{years}} {{#if years == 1}}year{{else}}years{{/if}} married {{when}}'
+      });
+
+      expect(custom.formatLine({ associate, date: new Date(2024, 9, 14), years: 1, rolledOver: false }, formatDay, 'heute'))
+        .toBe('Ravi Kumar – 1 year married heute');
+    });
+  });
+
+  describe('fromDefinition', () => {
+    it('should create an event type from a valid definition', () => {
+      const eventType = EventType.fromDefinition({
+        id: 'probationEnd',
+        label: 'Probation ending',
+        headers: ['Probation End Date'],
+        recurrence: 'once',
+        recipients: ['+919876543210']
+      });
+
+      expect(eventType.id).toBe('probationEnd');
+      expect(eventType.recurrence).toBe('once');
+      expect(eventType.recipients).toEqual(['+919876543210']);
+      expect(eventType.template.source).toBe('{{name}} ({{when}})');
+    });
+
+    it('should report every problem in an invalid definition', () => {
+      expect(() => EventType.fromDefinition({
+        id: 'birthday',
+        headers: [],
+        recurrence: 'monthly',
+        template: '{{name}} {{nickname}}'
+      })).toThrow(/reserved for a built-in event type[\s\S]*headers must be[\s\S]*recurrence must be one of: yearly, once[\s\S]*unknown placeholder\(s\): nickname/);
+    });
+
+    it('should report template syntax errors and single-brace placeholders', () => {
+      expect(() => EventType.fromDefinition({ id: 'probationEnd', headers: ['Probation End Date'], template: '{{#if years}}{{name}}' }))
+        .toThrow('Template "probationEnd line" has a syntax error at line 1: {{#if}} is not closed');
+      expect(() => EventType.fromDefinition({ id: 'probationEnd', headers: ['Probation End Date'], template: '{name} ({when})' }))
+        .toThrow('template placeholders are written in double braces: {{name}}, {{when}}');
+    });
+  });
+
+  describe('loadFromFile', () => {
+    it('should load event types from a JSON file', () => {
+      const eventTypes = EventType.loadFromFile(path.join(__dirname, 'fixtures', 'event-types.json'));
+
+      expect(eventTypes.map(type => type.id)).toEqual(['weddingAnniversary', 'certificationRenewal']);
+      expect(eventTypes[1].recipients).toHaveLength(2);
+    });
+
+    it('should throw error when the file cannot be read', () => {
+      expect(() => EventType.loadFromFile(path.join(__dirname, 'fixtures', 'missing.json')))
+        .toThrow('Failed to read event types file');
+    });
+  });
+});
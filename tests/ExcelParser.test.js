@@ -1,6 +1,7 @@
-import { describe, it, expect, beforeAll } from 'vitest';
+import { describe, it, expect, beforeAll, vi } from 'vitest';
 import ExcelParser from '../src/services/ExcelParser.js';
 import Associate from '../src/models/Associate.js';
+import EventType from '../src/models/EventType.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -143,6 +144,371 @@ describe('ExcelParser', () => {
     });
   });
 
+  describe('parseFile - Header-driven column mapping', () => {
+    it('should locate the header row below title rows and map columns by header', async () => {
+      const filePath = path.join(__dirname, 'fixtures', 'hr-export.xlsx');
+      const associates = await parser.parseFile(filePath);
+
+      expect(associates).toHaveLength(3);
+
+      const priya = associates.find(a => a.name === 'Priya Sharma');
+      expect(priya).toBeDefined();
+      expect(priya.firstName).toBe('Priya');
+      expect(priya.lastName).toBe('Sharma');
+      expect(priya.employeeId).toBe('E001');
+      expect(priya.department).toBe('Engineering');
+      expect(priya.mobile).toBe('+919876543210');
+      expect(priya.dateOfBirth.getMonth()).toBe(3); // April
+      expect(priya.dateOfBirth.getDate()).toBe(12);
+      expect(priya.rowNumber).toBe(4);
+    });
+
+    it('should keep every digit of mobile numbers stored as numbers', async () => {
+      const filePath = path.join(__dirname, 'fixtures', 'numeric-mobile.xlsx');
+      const associates = await parser.parseFile(filePath);
+
+      expect(associates.map(a => a.mobile)).toEqual(['919876543210', '+44 7700 900123']);
+    });
+
+    it('should build the name from first name alone when last name is empty', async () => {
+      const filePath = path.join(__dirname, 'fixtures', 'hr-export.xlsx');
+      const associates = await parser.parseFile(filePath);
+
+      const anita = associates.find(a => a.employeeId === 'E003');
+      expect(anita.name).toBe('Anita');
+      expect(anita.lastName).toBeNull();
+    });
+
+    it('should report missing required columns with accepted headers', async () => {
+      const filePath = path.join(__dirname, 'fixtures', 'missing-dob-column.xlsx');
+
+      await expect(parser.parseFile(filePath)).rejects.toThrow('Missing required column(s) in header row 1');
+      await expect(parser.parseFile(filePath)).rejects.toThrow('Date of Birth (accepted headers: Date of Birth, DOB, Birthday, Birth Date)');
+      await expect(parser.parseFile(filePath)).rejects.toThrow('Headers found: Employee ID, Name, Department');
+    });
+
+    it('should match configured header aliases', () => {
+      const customParser = new ExcelParser(null, {
+        columnAliases: { dateOfBirth: ['Geburtsdatum'] }
+      });
+      const data = [
+        ['Name', 'Geburtsdatum'],
+        ['Max Mustermann', '1990-01-15']
+      ];
+
+      const { headerRowIndex, columns } = customParser.resolveColumns(data);
+
+      expect(headerRowIndex).toBe(0);
+      expect(columns).toEqual({ name: 0, dateOfBirth: 1 });
+    });
+
+    it('should match headers ignoring case, spacing and punctuation', () => {
+      expect(parser.matchHeader('date of birth')).toBe('dateOfBirth');
+      expect(parser.matchHeader(' D.O.B ')).toBe('dateOfBirth');
+      expect(parser.matchHeader('EMPLOYEE-ID')).toBe('employeeId');
+      expect(parser.matchHeader('Salary')).toBeNull();
+    });
+
+    it('should fall back to columns A and B when no header row is present', () => {
+      const data = [
+        ['John Doe', '01/15/1990'],
+        ['Jane Smith', '03/22/1985']
+      ];
+
+      const { headerRowIndex, columns } = parser.resolveColumns(data);
+
+      expect(headerRowIndex).toBe(-1);
+      expect(columns).toEqual({ name: 0, dateOfBirth: 1 });
+    });
+  });
+
+  describe('parseFile - CSV, TSV and ODS sources', () => {
+    it('should parse a semicolon-delimited Windows-1252 CSV file', async () => {
+      const filePath = path.join(__dirname, 'fixtures', 'associates-semicolon.csv');
+      const associates = await parser.parseFile(filePath);
+
+      expect(associates).toHaveLength(2);
+      expect(associates[0]).toBeInstanceOf(Associate);
+      expect(associates[0].name).toBe('José Álvarez');
+      expect(associates[0].department).toBe('Sales; EMEA');
+      expect(associates[1].name).toBe('Smith, Jane');
+      expect(associates[1].dateOfBirth.getMonth()).toBe(2); // March
+      expect(associates[1].dateOfBirth.getDate()).toBe(22);
+    });
+
+    it('should skip CSV rows with missing date of birth with a warning', async () => {
+      const mockLogger = { log: vi.fn() };
+      const loggingParser = new ExcelParser(mockLogger);
+      const filePath = path.join(__dirname, 'fixtures', 'associates-semicolon.csv');
+
+      await loggingParser.parseFile(filePath);
+
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'Row 4: Invalid or missing date of birth for "No DOB Person", skipping row');
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Parsing complete: 2 valid associates, 1 rows skipped');
+    });
+
+    it('should parse a UTF-8 CSV file with byte order mark and quoted fields', async () => {
+      const filePath = path.join(__dirname, 'fixtures', 'associates-utf8-bom.csv');
+      const associates = await parser.parseFile(filePath);
+
+      expect(associates).toHaveLength(2);
+      expect(associates[0].employeeId).toBe('E001');
+      expect(associates[0].name).toBe('Zoë Brien "Zee"');
+      expect(associates[1].lastName).toBe('Line\nBreak');
+      expect(associates[1].dateOfBirth.getFullYear()).toBe(1988);
+    });
+
+    it('should parse a TSV file', async () => {
+      const filePath = path.join(__dirname, 'fixtures', 'associates.tsv');
+      const associates = await parser.parseFile(filePath);
+
+      expect(associates.map(a => a.name)).toEqual(['John Doe', 'Jane Smith']);
+    });
+
+    it('should parse an ODS file', async () => {
+      const filePath = path.join(__dirname, 'fixtures', 'valid-associates.ods');
+      const associates = await parser.parseFile(filePath);
+
+      expect(associates).toHaveLength(2);
+      expect(associates[0].name).toBe('John Doe');
+      expect(associates[0].dateOfBirth.getDate()).toBe(15);
+    });
+
+    it('should list supported extensions when the format is unknown', async () => {
+      const filePath = path.join(__dirname, 'fixtures', 'create-test-files.js');
+
+      await expect(parser.parseFile(filePath)).rejects.toThrow('Expected one of: .xlsx, .xls, .ods, .csv, .tsv');
+    });
+
+    it('should use a registered source for its extensions', async () => {
+      const customParser = new ExcelParser();
+      customParser.registerSource({
+        formatName: 'JavaScript',
+        supports: ext => ext === '.js',
+        read: async () => [{ name: 'Custom', rows: [['Name', 'DOB'], ['Custom Person', '1990-01-15']] }]
+      });
+
+      const filePath = path.join(__dirname, 'fixtures', 'create-test-files.js');
+      const associates = await customParser.parseFile(filePath);
+
+      expect(associates).toHaveLength(1);
+      expect(associates[0].name).toBe('Custom Person');
+    });
+  });
+
+  describe('parseFile - Date of joining', () => {
+    it('should read the optional Date of Joining column', async () => {
+      const mockLogger = { log: vi.fn() };
+      const joiningParser = new ExcelParser(mockLogger);
+      const associates = await joiningParser.parseFile(path.join(__dirname, 'fixtures', 'work-anniversaries.xlsx'));
+
+      expect(associates.map(a => a.name)).toEqual(['Ravi Kumar', 'Anita Rao', 'New Joiner', 'Priya Sharma']);
+      expect(associates[0].dateOfJoining).toEqual(new Date(2019, 9, 14));
+      expect(associates[1].dateOfJoining).toBeNull();
+      expect(associates[3].dateOfJoining).toEqual(new Date(2015, 5, 1));
+    });
+
+    it('should keep associates with an invalid date of joining', async () => {
+      const mockLogger = { log: vi.fn() };
+      const joiningParser = new ExcelParser(mockLogger);
+      const associates = await joiningParser.parseFile(path.join(__dirname, 'fixtures', 'work-anniversaries.xlsx'));
+
+      expect(associates[2].dateOfJoining).toBeNull();
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN',
+        'Sheet "Associates" row 4: Invalid date of joining "not-a-date" for "New Joiner", ignoring work anniversary');
+    });
+
+    it('should leave the date of joining empty when the column is absent', async () => {
+      const associates = await parser.parseFile(path.join(__dirname, 'fixtures', 'valid-associates.xlsx'));
+
+      expect(associates.every(a => a.dateOfJoining === null)).toBe(true);
+    });
+  });
+
+  describe('parseFile - Custom event columns', () => {
+    it('should read dates for configured event types', async () => {
+      const mockLogger = { log: vi.fn() };
+      const eventTypes = EventType.loadFromFile(path.join(__dirname, 'fixtures', 'event-types.json'));
+      const eventParser = new ExcelParser(mockLogger, { eventTypes });
+
+      const associates = await eventParser.parseFile(path.join(__dirname, 'fixtures', 'custom-events.xlsx'));
+
+      expect(associates).toHaveLength(3);
+      expect(associates[0].events).toEqual({
+        weddingAnniversary: new Date(2014, 9, 14),
+        certificationRenewal: new Date(2024, 9, 14)
+      });
+      expect(associates[1].events).toEqual({ certificationRenewal: new Date(2025, 2, 1) });
+      expect(associates[2].events).toEqual({});
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN',
+        'Sheet "Associates" row 4: Invalid Wedding anniversaries date "soon" for "Priya Sharma", ignoring event');
+    });
+
+    it('should ignore event columns when no event types are configured', async () => {
+      const associates = await parser.parseFile(path.join(__dirname, 'fixtures', 'custom-events.xlsx'));
+
+      expect(associates.every(a => Object.keys(a.events).length === 0)).toBe(true);
+    });
+  });
+
+  describe('parseRows - Birthdays without a year', () => {
+    it('should mark associates whose birth year is unknown', () => {
+      const data = [
+        ['Name', 'Birthday'],
+        ['Known Year', '1990-03-14'],
+        ['Private Year', '14 Mar']
+      ];
+
+      const associates = parser.parseRows(data, 'Roster');
+
+      expect(associates).toHaveLength(2);
+      expect(associates[0].birthYearKnown).toBe(true);
+      expect(associates[1].birthYearKnown).toBe(false);
+      expect(associates[1].getAge(new Date(2024, 2, 14))).toBeNull();
+    });
+  });
+
+  describe('parseRows - Preferred language', () => {
+    it('should read the locale column and warn about invalid values', () => {
+      const mockLogger = { log: vi.fn() };
+      const loggingParser = new ExcelParser(mockLogger);
+      const data = [
+        ['Name', 'Birthday', 'Language'],
+        ['Anna Schmidt', '1990-03-14', 'de_DE'],
+        ['Ravi Kumar', '1985-03-14', 'hi-in'],
+        ['Tom Brown', '1988-03-14', ''],
+        ['Unknown Tongue', '1988-03-14', 'not a locale']
+      ];
+
+      const associates = loggingParser.parseRows(data, 'Roster');
+
+      expect(associates.map(associate => associate.locale)).toEqual(['de-DE', 'hi-IN', null, null]);
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'Sheet "Roster" row 5: Invalid locale "not a locale" for "Unknown Tongue", using the default language');
+    });
+  });
+
+  describe('parseFile - Ambiguous date report', () => {
+    it('should list every row whose date was ambiguous', async () => {
+      const mockLogger = { log: vi.fn() };
+      const indianParser = new ExcelParser(mockLogger, { dateLocale: 'en-IN' });
+      const filePath = path.join(__dirname, 'fixtures', 'valid-associates.xlsx');
+
+      const associates = await indianParser.parseFile(filePath);
+
+      // 12/05/1988 is read day-first; 01/15/1990 and 03/22/1985 are unambiguous
+      const alice = associates.find(a => a.name === 'Alice Williams');
+      expect(alice.dateOfBirth.getMonth()).toBe(4); // May
+      expect(alice.dateOfBirth.getDate()).toBe(12);
+
+      expect(indianParser.lastReport.ambiguousDates).toHaveLength(1);
+      expect(indianParser.lastReport.ambiguousDates[0]).toMatchObject({
+        sheetName: 'Associates',
+        rowNumber: 5,
+        name: 'Alice Williams',
+        value: '12/05/1988'
+      });
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN',
+        '1 ambiguous date(s) of birth under locale en-IN:\n' +
+        '  - Sheet "Associates" row 5: "Alice Williams" 12/05/1988 read as 1988-05-12 (could also be 1988-12-05)');
+    });
+
+    it('should read date-formatted cells as dates regardless of configured formats', async () => {
+      const strictParser = new ExcelParser(null, { dateFormats: ['DD/MM/YYYY'] });
+      const filePath = path.join(__dirname, 'fixtures', 'valid-associates.xlsx');
+
+      const associates = await strictParser.parseFile(filePath);
+
+      const bob = associates.find(a => a.name === 'Bob Johnson');
+      expect(bob.dateOfBirth.getFullYear()).toBe(1992);
+      expect(bob.dateOfBirth.getMonth()).toBe(6); // July
+      expect(bob.dateOfBirth.getDate()).toBe(10);
+      // 01/15/1990 and 03/22/1985 do not match DD/MM/YYYY and are skipped
+      expect(associates.find(a => a.name === 'John Doe')).toBeUndefined();
+    });
+  });
+
+  describe('parseFile - Worksheet selection', () => {
+    const filePath = path.join(__dirname, 'fixtures', 'multi-sheet.xlsx');
+
+    it('should read only the first worksheet by default', async () => {
+      const associates = await parser.parseFile(filePath);
+
+      expect(associates.map(a => a.name)).toEqual(['Priya Sharma', 'Karthik Raman']);
+      expect(associates[0].sheetName).toBe('Chennai');
+      expect(associates[0].rowNumber).toBe(2);
+    });
+
+    it('should read a worksheet selected by name, ignoring case', async () => {
+      const sheetParser = new ExcelParser(null, { sheets: ['london'] });
+      const associates = await sheetParser.parseFile(filePath);
+
+      expect(associates).toHaveLength(1);
+      expect(associates[0].name).toBe('Emma Clarke');
+      expect(associates[0].sheetName).toBe('London');
+    });
+
+    it('should read a list of worksheets in the configured order', async () => {
+      const sheetParser = new ExcelParser(null, { sheets: ['London', 'Pune'] });
+      const associates = await sheetParser.parseFile(filePath);
+
+      expect(associates.map(a => `${a.sheetName}:${a.rowNumber}`)).toEqual(['London:2', 'Pune:2']);
+    });
+
+    it('should read each worksheet once when several selectors match it', async () => {
+      const sheetParser = new ExcelParser(null, { sheets: ['London', '*'], excludeSheets: ['Notes'] });
+      const associates = await sheetParser.parseFile(filePath);
+
+      expect(associates.map(a => a.sheetName)).toEqual(['London', 'Chennai', 'Chennai', 'Pune']);
+    });
+
+    it('should ignore worksheet selectors for CSV files', async () => {
+      const mockLogger = { log: vi.fn() };
+      const csvParser = new ExcelParser(mockLogger, { sheets: ['Chennai'], excludeSheets: ['Notes'] });
+      const associates = await csvParser.parseFile(path.join(__dirname, 'fixtures', 'associates-semicolon.csv'));
+
+      expect(associates).toHaveLength(2);
+      expect(associates[0].sheetName).toBeNull();
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Worksheet selection does not apply to delimited text files; reading the whole file');
+    });
+
+    it('should read all worksheets matching a pattern except excluded ones', async () => {
+      const sheetParser = new ExcelParser(null, { sheets: ['*'], excludeSheets: ['Notes'] });
+      const associates = await sheetParser.parseFile(filePath);
+
+      expect(associates).toHaveLength(4);
+      expect(new Set(associates.map(a => a.sheetName))).toEqual(new Set(['Chennai', 'Pune', 'London']));
+    });
+
+    it('should support regular expression selectors', async () => {
+      const sheetParser = new ExcelParser(null, { sheets: ['/^(chennai|pune)$/'] });
+      const associates = await sheetParser.parseFile(filePath);
+
+      expect(associates.map(a => a.sheetName)).toEqual(['Chennai', 'Chennai', 'Pune']);
+    });
+
+    it('should include the worksheet name in skipped-row warnings', async () => {
+      const mockLogger = { log: vi.fn() };
+      const sheetParser = new ExcelParser(mockLogger, { sheets: ['Pune'] });
+
+      await sheetParser.parseFile(filePath);
+
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'Sheet "Pune" row 3: Invalid or missing date of birth for "No DOB", skipping row');
+    });
+
+    it('should throw when a named worksheet does not exist', async () => {
+      const sheetParser = new ExcelParser(null, { sheets: ['Mumbai'] });
+
+      await expect(sheetParser.parseFile(filePath))
+        .rejects.toThrow('Worksheet not found: Mumbai. Available worksheets: Chennai, Pune, London, Notes');
+    });
+
+    it('should throw when no worksheet is selected', async () => {
+      const sheetParser = new ExcelParser(null, { sheets: ['Office*'] });
+
+      await expect(sheetParser.parseFile(filePath)).rejects.toThrow('No worksheets selected');
+    });
+  });
+
   describe('parseDate - Date parsing utility', () => {
     it('should return null for null or undefined values', () => {
       expect(parser.parseDate(null)).toBeNull();
@@ -184,6 +550,66 @@ describe('ExcelParser', () => {
       });
     });
 
+    it('should read ambiguous numeric dates in the configured locale order', () => {
+      const indianParser = new ExcelParser(null, { dateLocale: 'en-IN' });
+
+      const result = indianParser.parseDateDetails('03/04/1990');
+
+      expect(result.date.getMonth()).toBe(3); // April
+      expect(result.date.getDate()).toBe(3);
+      expect(result.ambiguous).toBe(true);
+      expect(result.alternative.getMonth()).toBe(2); // March
+      expect(result.alternative.getDate()).toBe(4);
+    });
+
+    it('should not flag dates where one value is greater than 12', () => {
+      const indianParser = new ExcelParser(null, { dateLocale: 'en-IN' });
+
+      const result = indianParser.parseDateDetails('01/15/1990');
+
+      expect(result.date.getMonth()).toBe(0);
+      expect(result.date.getDate()).toBe(15);
+      expect(result.ambiguous).toBe(false);
+    });
+
+    it('should apply configured date formats strictly and in order', () => {
+      const strictParser = new ExcelParser(null, { dateFormats: ['DD/MM/YYYY', 'DD-MMM-YYYY'] });
+
+      expect(strictParser.parseDate('03/04/1990').getMonth()).toBe(3);
+      expect(strictParser.parseDate('14-Mar-1990').getMonth()).toBe(2);
+      expect(strictParser.parseDate('1990-03-14')).toBeNull();
+      expect(strictParser.parseDate('March 14, 1990')).toBeNull();
+    });
+
+    it('should parse birthdays recorded without a year', () => {
+      const values = [
+        { input: '14 Mar', month: 2, day: 14 },
+        { input: 'Mar 14', month: 2, day: 14 },
+        { input: '14 March', month: 2, day: 14 },
+        { input: '14-Mar', month: 2, day: 14 },
+        { input: '03-14', month: 2, day: 14 },
+        { input: '29 Feb', month: 1, day: 29 }
+      ];
+
+      values.forEach(({ input, month, day }) => {
+        const result = parser.parseDateDetails(input);
+        expect(result.yearKnown).toBe(false);
+        expect(result.date.getFullYear()).toBe(Associate.UNKNOWN_BIRTH_YEAR);
+        expect(result.date.getMonth()).toBe(month);
+        expect(result.date.getDate()).toBe(day);
+      });
+    });
+
+    it('should accept configured formats without a year', () => {
+      const strictParser = new ExcelParser(null, { dateFormats: ['DD/MM/YYYY', 'D MMMM'] });
+
+      const result = strictParser.parseDateDetails('4 July');
+
+      expect(result.yearKnown).toBe(false);
+      expect(result.date.getMonth()).toBe(6);
+      expect(result.date.getDate()).toBe(4);
+    });
+
     it('should return null for invalid date strings', () => {
       expect(parser.parseDate('not-a-date')).toBeNull();
       expect(parser.parseDate('invalid')).toBeNull();
@@ -0,0 +1,64 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import JsonFile from '../src/utils/JsonFile.js';
+import fs from 'fs';
+import path from 'path';
+
+describe('JsonFile', () => {
+  const testDir = './json-file-test';
+  const filePath = path.join(testDir, 'nested', 'state.json');
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('write', () => {
+    it('should create the directory and leave only the file behind', async () => {
+      await JsonFile.write(filePath, { version: 1 });
+
+      expect(JSON.parse(fs.readFileSync(filePath, 'utf8'))).toEqual({ version: 1 });
+      expect(fs.readdirSync(path.dirname(filePath))).toEqual(['state.json']);
+    });
+
+    it('should let concurrent writers finish without sharing a temporary file', async () => {
+      await Promise.all([1, 2, 3].map(version => JsonFile.write(filePath, { version })));
+
+      expect([1, 2, 3]).toContain(JSON.parse(fs.readFileSync(filePath, 'utf8')).version);
+      expect(fs.readdirSync(path.dirname(filePath))).toEqual(['state.json']);
+    });
+  });
+
+  describe('withLock', () => {
+    it('should run tasks on the same file one at a time', async () => {
+      const events = [];
+      const task = name => async () => {
+        events.push(`${name} start`);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        events.push(`${name} end`);
+        return name;
+      };
+
+      const results = await Promise.all([JsonFile.withLock(filePath, task('a')), JsonFile.withLock(filePath, task('b'))]);
+
+      expect(results).toEqual(['a', 'b']);
+      expect(events).toEqual(['a start', 'a end', 'b start', 'b end']);
+      expect(fs.existsSync(`${filePath}.lock`)).toBe(false);
+    });
+
+    it('should release the lock when the task fails', async () => {
+      await expect(JsonFile.withLock(filePath, async () => {
+        throw new Error('boom');
+      })).rejects.toThrow('boom');
+
+      expect(fs.existsSync(`${filePath}.lock`)).toBe(false);
+    });
+
+    it('should take over a lock left behind by a process that stopped', async () => {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(`${filePath}.lock`, '');
+      const stale = new Date(Date.now() - JsonFile.STALE_LOCK_MS - 1000);
+      fs.utimesSync(`${filePath}.lock`, stale, stale);
+
+      expect(await JsonFile.withLock(filePath, async () => 'done')).toBe('done');
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import MessageTemplate from '../src/utils/MessageTemplate.js';
+
+describe('MessageTemplate', () => {
+  describe('placeholders', () => {
+    it('should replace placeholders with values', () => {
+      const template = new MessageTemplate('Happy Birthday, {{firstName}}! You are {{ age }} today.');
+
+      expect(template.render({ firstName: 'Ravi', age: 39 })).toBe('Happy Birthday, Ravi! You are 39 today.');
+    });
+
+    it('should render missing and null values as empty text', () => {
+      const template = new MessageTemplate('{{name}}|{{department}}|{{age}}');
+
+      expect(template.render({ name: 'Ravi', age: null })).toBe('Ravi||');
+    });
+
+    it('should read nested values', () => {
+      const template = new MessageTemplate('{{associate.name}}');
+
+      expect(template.render({ associate: { name: 'Anita Rao' } })).toBe('Anita Rao');
+    });
+
+    it('should trim the rendered message', () => {
+      expect(new MessageTemplate('\n  Hello {{name}}  \n').render({ name: 'Ravi' })).toBe('Hello Ravi');
+    });
+  });
+
+  describe('conditionals', () => {
+    const plural = new MessageTemplate('{{count}} {{#if count == 1}}birthday{{else}}birthdays{{/if}}');
+
+    it('should choose singular or plural wording', () => {
+      expect(plural.render({ count: 1 })).toBe('1 birthday');
+      expect(plural.render({ count: 3 })).toBe('3 birthdays');
+    });
+
+    it('should treat empty lists, empty text and zero as false', () => {
+      const template = new MessageTemplate('{{#if items}}items{{/if}}{{#if text}}text{{/if}}{{#if zero}}zero{{/if}}{{#unless items}}none{{/unless}}');
+
+      expect(template.render({ items: [], text: '', zero: 0 })).toBe('none');
+    });
+
+    it('should compare with numbers and quoted strings', () => {
+      const template = new MessageTemplate('{{#if age >= 50}}milestone{{/if}}{{#if department != "HR"}} team{{/if}}');
+
+      expect(template.render({ age: 50, department: 'IT' })).toBe('milestone team');
+      expect(template.render({ age: 49, department: 'HR' })).toBe('');
+    });
+  });
+
+  describe('loops', () => {
+    it('should render a block for each item with access to outer values', () => {
+      const template = new MessageTemplate('{{#each associates}}{{name}} ({{label}}){{#unless @last}}, {{/unless}}{{/each}}');
+
+      expect(template.render({ label: 'IT', associates: [{ name: 'Ravi' }, { name: 'Anita' }] })).toBe('Ravi (IT), Anita (IT)');
+    });
+
+    it('should render the else block for an empty list', () => {
+      const template = new MessageTemplate('{{#each associates}}{{name}}{{else}}Nobody{{/each}}');
+
+      expect(template.render({ associates: [] })).toBe('Nobody');
+    });
+
+    it('should drop block tags that stand on their own line', () => {
+      const template = new MessageTemplate([
+        'Birthdays:',
+        '{{#each associates}}',
+        '  - {{name}}',
+        '{{/each}}',
+        'Have a great day!'
+      ].join('\n'));
+
+      expect(template.render({ associates: [{ name: 'Ravi' }, { name: 'Anita' }] }))
+        .toBe('Birthdays:\n  - Ravi\n  - Anita\nHave a great day!');
+    });
+  });
+
+  describe('syntax errors', () => {
+    it('should report unclosed blocks with their line', () => {
+      expect(() => new MessageTemplate('Hello\n{{#if count}}\nmany', 'birthday'))
+        .toThrow('Template "birthday" has a syntax error at line 2: {{#if}} is not closed');
+    });
+
+    it('should report mismatched closing tags', () => {
+      expect(() => new MessageTemplate('{{#each associates}}{{name}}{{/if}}'))
+        .toThrow('{{/if}} does not close {{#each}} opened at line 1');
+    });
+
+    it('should report unknown blocks', () => {
+      expect(() => new MessageTemplate('{{#with associate}}{{/with}}')).toThrow('unknown block {{#with}}');
+    });
+
+    it('should report unclosed tags', () => {
+      expect(() => new MessageTemplate('Hello {{name')).toThrow('tag is not closed with }}');
+    });
+
+    it('should report invalid placeholders and conditions', () => {
+      expect(() => new MessageTemplate('{{first name}}')).toThrow('invalid placeholder {{first name}}');
+      expect(() => new MessageTemplate('{{#if count is 1}}x{{/if}}')).toThrow('invalid condition in {{#if count is 1}}');
+    });
+
+    it('should report a stray else', () => {
+      expect(() => new MessageTemplate('{{else}}')).toThrow('{{else}} is outside of a block');
+    });
+  });
+
+  describe('getVariables', () => {
+    it('should list the values a template uses', () => {
+      const template = new MessageTemplate('{{#each associates}}{{name}}{{#unless @last}}, {{/unless}}{{/each}}{{#if count > 1}}!{{/if}}');
+
+      expect(template.getVariables().sort()).toEqual(['associates', 'count', 'name']);
+    });
+  });
+});
@@ -0,0 +1,119 @@
+import { describe, it, expect } from 'vitest';
+import MessageTemplates from '../src/models/MessageTemplates.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('MessageTemplates', () => {
+  describe('get', () => {
+    it('should use the built-in templates by default', () => {
+      const templates = new MessageTemplates();
+
+      expect(templates.get('birthday')).toBe(MessageTemplates.DEFAULT_TEMPLATES.birthday);
+      expect(templates.get('event', { eventTypeId: 'weddingAnniversary' })).toBe(MessageTemplates.DEFAULT_TEMPLATES.event);
+    });
+
+    it('should prefer recipient and event type templates', () => {
+      const templates = MessageTemplates.fromDefinition({
+        birthday: 'shared',
+        event: 'all events',
+        events: { weddingAnniversary: 'wedding' },
+        recipients: {
+          '+44 7700 900123': { birthday: 'personal', events: { weddingAnniversary: 'personal wedding' } }
+        }
+      });
+
+      expect(templates.get('birthday').source).toBe('shared');
+      expect(templates.get('birthday', { recipient: '+447700900123' }).source).toBe('personal');
+      expect(templates.get('birthday', { recipient: '+919876543210' }).source).toBe('shared');
+      expect(templates.get('event', { eventTypeId: 'weddingAnniversary' }).source).toBe('wedding');
+      expect(templates.get('event', { eventTypeId: 'certificationRenewal' }).source).toBe('all events');
+      expect(templates.get('event', { recipient: '+447700900123', eventTypeId: 'weddingAnniversary' }).source).toBe('personal wedding');
+      expect(templates.get('digest')).toBe(MessageTemplates.DEFAULT_TEMPLATES.digest);
+    });
+  });
+
+  describe('select', () => {
+    const templates = MessageTemplates.fromDefinition({
+      wish: 'Happy Birthday, {{name}}!',
+      locales: {
+        de: { wish: 'Alles Gute zum Geburtstag, {{name}}!' },
+        'en-IN': { digest: 'Upcoming birthdays: {{count}}' }
+      },
+      recipients: { '+447700900123': { wish: 'Hi {{name}}' } }
+    });
+
+    it('should pick the translation for the locale or its language', () => {
+      expect(templates.select('wish', { locale: 'de-DE', defaultLocale: 'en-GB' }))
+        .toEqual({ template: templates.locales.de.templates.wish, locale: 'de-DE' });
+      expect(templates.select('wish', { locale: 'de', defaultLocale: 'en-GB' }).locale).toBe('de');
+    });
+
+    it('should fall back to the default language when a translation is missing', () => {
+      const selection = templates.select('wish', { locale: 'hi-IN', defaultLocale: 'en-GB' });
+
+      expect(selection.template.source).toBe('Happy Birthday, {{name}}!');
+      expect(selection.locale).toBe('en-GB');
+      expect(templates.select('digest', { locale: 'de-DE', defaultLocale: 'en-IN' }).template.source).toBe('Upcoming birthdays: {{count}}');
+      expect(templates.select('digest', { locale: 'de-DE', defaultLocale: 'en-GB' }).template).toBe(MessageTemplates.DEFAULT_TEMPLATES.digest);
+    });
+
+    it('should prefer a recipient\'s own template over translations', () => {
+      expect(templates.select('wish', { recipient: '+447700900123', locale: 'de-DE', defaultLocale: 'en-GB' }).template.source).toBe('Hi {{name}}');
+    });
+
+    it('should match recipients written as national numbers using the default country', () => {
+      const national = MessageTemplates.fromDefinition({
+        recipients: { '07700 900123': { wish: 'Hi {{name}}' } }
+      }, process.cwd(), '+44');
+
+      expect(Object.keys(national.recipients)).toEqual(['+447700900123']);
+      expect(national.select('wish', { recipient: '07700900123', defaultLocale: 'en-GB' }).template.source).toBe('Hi {{name}}');
+      expect(national.select('wish', { recipient: '+447700900123', defaultLocale: 'en-GB' }).template.source).toBe('Hi {{name}}');
+    });
+
+    it('should render the when phrase', () => {
+      const when = MessageTemplates.DEFAULT_TEMPLATES.when;
+
+      expect(when.render({ today: true, date: 'Sat 12 Oct' })).toBe('today');
+      expect(when.render({ today: false, date: 'Sat 12 Oct' })).toBe('on Sat 12 Oct');
+    });
+
+    it('should reject invalid locales', () => {
+      expect(() => MessageTemplates.fromDefinition({ locales: { 'not a locale': { wish: 'Hi' } } }))
+        .toThrow('locales.not a locale: invalid locale');
+    });
+  });
+
+  describe('fromDefinition', () => {
+    it('should collect every problem in the definition', () => {
+      expect(() => MessageTemplates.fromDefinition({
+        birthday: 'Hello {{nmae}}',
+        digest: '{{#each upcoming}}{{date}}',
+        greeting: 'Hi',
+        events: { weddingAnniversary: '' }
+      })).toThrow(/Invalid message templates:\n  - birthday: unknown placeholder\(s\): nmae\. Available: .*\n  - Template "digest" has a syntax error at line 1: \{\{#each\}\} is not closed\n  - greeting: unknown template\. Expected one of: birthday, anniversary, digest, wish, event, when, events\n  - events.weddingAnniversary: template must be non-empty text/);
+    });
+
+    it('should report template files that cannot be read', () => {
+      expect(() => MessageTemplates.fromDefinition({ wish: { file: 'missing.txt' } }, __dirname))
+        .toThrow(`wish: cannot read template file ${path.join(__dirname, 'missing.txt')}`);
+    });
+  });
+
+  describe('loadFromFile', () => {
+    it('should load templates and template files relative to the JSON file', () => {
+      const templates = MessageTemplates.loadFromFile(path.join(__dirname, 'fixtures', 'message-templates.json'));
+
+      expect(templates.get('birthday').source).toContain('{{#each associates}}');
+      expect(templates.getEventTypeIds()).toEqual(['weddingAnniversary']);
+    });
+
+    it('should report unreadable files', () => {
+      expect(() => MessageTemplates.loadFromFile(path.join(__dirname, 'fixtures', 'missing.json')))
+        .toThrow('Failed to read message templates file');
+    });
+  });
+});
@@ -0,0 +1,137 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import NotificationLedger from '../src/services/NotificationLedger.js';
+import Associate from '../src/models/Associate.js';
+import fs from 'fs';
+import path from 'path';
+
+describe('NotificationLedger', () => {
+  const testLedgerDir = './ledger-test';
+  const ledgerFile = path.join(testLedgerDir, 'ledger.json');
+  let ledger;
+  let mockLogger;
+  let entry;
+
+  beforeEach(() => {
+    mockLogger = { log: vi.fn() };
+    ledger = new NotificationLedger(mockLogger, { filePath: ledgerFile });
+    entry = {
+      date: new Date(2024, 9, 14),
+      event: 'birthday',
+      associate: new Associate('Ravi Kumar', new Date(1985, 9, 14), 2, { employeeId: 'E042' })
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(testLedgerDir, { recursive: true, force: true });
+  });
+
+  describe('key', () => {
+    it('should key notifications by date, event, associate and recipient', () => {
+      expect(ledger.key(entry, '+919876543210')).toBe('2024-10-14|birthday|id:E042|+919876543210');
+    });
+
+    it('should identify associates without an employee ID by name', () => {
+      entry.associate = new Associate(' Anita Rao ', new Date(1992, 9, 14), 3);
+
+      expect(ledger.key(entry, '+919876543210')).toBe('2024-10-14|birthday|name:anita rao|+919876543210');
+    });
+  });
+
+  describe('has and record', () => {
+    it('should remember notifications per recipient', () => {
+      ledger.record([entry], '+919876543210');
+
+      expect(ledger.has(entry, '+919876543210')).toBe(true);
+      expect(ledger.has(entry, '+447700900123')).toBe(false);
+    });
+
+    it('should tell events and dates apart', () => {
+      ledger.record([entry], '+919876543210');
+
+      expect(ledger.has({ ...entry, event: 'workAnniversary' }, '+919876543210')).toBe(false);
+      expect(ledger.has({ ...entry, date: new Date(2025, 9, 14) }, '+919876543210')).toBe(false);
+    });
+  });
+
+  describe('load and save', () => {
+    it('should start empty when the file does not exist', async () => {
+      await ledger.load();
+
+      expect(ledger.entries.size).toBe(0);
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', expect.stringContaining('Notification ledger not found'));
+    });
+
+    it('should keep notifications across instances', async () => {
+      ledger.record([entry], '+919876543210', new Date(2024, 9, 14, 9, 0));
+      await ledger.save(new Date(2024, 9, 14));
+
+      const reloaded = new NotificationLedger(mockLogger, { filePath: ledgerFile });
+      await reloaded.load();
+
+      expect(reloaded.has(entry, '+919876543210')).toBe(true);
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Loaded 1 notification(s) from the ledger');
+    });
+
+    it('should write the file in one step without leaving a temporary file', async () => {
+      ledger.record([entry], '+919876543210');
+      await ledger.save(new Date(2024, 9, 14));
+
+      const content = JSON.parse(fs.readFileSync(ledgerFile, 'utf8'));
+      expect(content.version).toBe(NotificationLedger.VERSION);
+      expect(Object.keys(content.entries)).toEqual(['2024-10-14|birthday|id:E042|+919876543210']);
+      expect(fs.readdirSync(testLedgerDir)).toEqual(['ledger.json']);
+    });
+
+    it('should drop notifications older than the retention period', async () => {
+      ledger.record([entry], '+919876543210');
+      ledger.record([{ ...entry, date: new Date(2023, 0, 1) }], '+919876543210');
+      await ledger.save(new Date(2024, 9, 14));
+
+      expect(ledger.entries.size).toBe(1);
+      expect(ledger.has(entry, '+919876543210')).toBe(true);
+    });
+
+    it('should keep notifications another instance saved since the ledger was loaded', async () => {
+      await ledger.load();
+      const other = new NotificationLedger(mockLogger, { filePath: ledgerFile });
+      await other.load();
+      const otherEntry = { ...entry, event: 'workAnniversary' };
+
+      other.record([otherEntry], '+919876543210');
+      await other.save(new Date(2024, 9, 14));
+      ledger.record([entry], '+919876543210');
+      await ledger.save(new Date(2024, 9, 14));
+
+      const reloaded = new NotificationLedger(mockLogger, { filePath: ledgerFile });
+      await reloaded.load();
+      expect(reloaded.has(entry, '+919876543210')).toBe(true);
+      expect(reloaded.has(otherEntry, '+919876543210')).toBe(true);
+    });
+
+    it('should pick up notifications another instance saved on reload', async () => {
+      await ledger.load();
+      const other = new NotificationLedger(mockLogger, { filePath: ledgerFile });
+      other.record([entry], '+919876543210');
+      await other.save(new Date(2024, 9, 14));
+
+      expect(ledger.has(entry, '+919876543210')).toBe(false);
+      await ledger.reload();
+
+      expect(ledger.has(entry, '+919876543210')).toBe(true);
+    });
+
+    it('should throw a descriptive error for a corrupt file', async () => {
+      fs.mkdirSync(testLedgerDir, { recursive: true });
+      fs.writeFileSync(ledgerFile, '{ not json');
+
+      await expect(ledger.load()).rejects.toThrow(`Failed to read notification ledger ${path.resolve(ledgerFile)}`);
+    });
+
+    it('should reject a file that is not a ledger', async () => {
+      fs.mkdirSync(testLedgerDir, { recursive: true });
+      fs.writeFileSync(ledgerFile, '[]');
+
+      await expect(ledger.load()).rejects.toThrow('expected an object with "entries"');
+    });
+  });
+});
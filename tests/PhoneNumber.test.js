@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import PhoneNumber from '../src/utils/PhoneNumber.js';
+
+describe('PhoneNumber', () => {
+  describe('normalise - international numbers', () => {
+    it('should keep numbers already in E.164 format', () => {
+      expect(PhoneNumber.normalise('+919702661630')).toBe('+919702661630');
+    });
+
+    it('should strip spaces, dashes, dots and parentheses', () => {
+      expect(PhoneNumber.normalise('+91 97026 61630')).toBe('+919702661630');
+      expect(PhoneNumber.normalise('+49-151-1234-5678')).toBe('+4915112345678');
+      expect(PhoneNumber.normalise('+44 (7700) 900.123')).toBe('+447700900123');
+    });
+
+    it('should drop a trunk prefix written as (0)', () => {
+      expect(PhoneNumber.normalise('+44 (0)7700 900123')).toBe('+447700900123');
+    });
+
+    it('should accept 00 as the international prefix', () => {
+      expect(PhoneNumber.normalise('0091 97026 61630')).toBe('+919702661630');
+    });
+
+    it('should reject numbers with the wrong length for their country', () => {
+      expect(PhoneNumber.normalise('+91 97026 6163')).toBeNull();
+      expect(PhoneNumber.normalise('+44 7700 9001234')).toBeNull();
+    });
+
+    it('should check numbers of other countries against the general length', () => {
+      expect(PhoneNumber.normalise('+1234567890')).toBe('+1234567890');
+      expect(PhoneNumber.normalise('+123')).toBeNull();
+      expect(PhoneNumber.normalise('+1234567890123456')).toBeNull();
+    });
+
+    it('should reject text that is not a phone number', () => {
+      expect(PhoneNumber.normalise('call reception')).toBeNull();
+      expect(PhoneNumber.normalise('+91 97026 61630 ext 2')).toBeNull();
+      expect(PhoneNumber.normalise('')).toBeNull();
+      expect(PhoneNumber.normalise(null)).toBeNull();
+    });
+  });
+
+  describe('normalise - national numbers', () => {
+    it('should reject national numbers without a default country', () => {
+      expect(PhoneNumber.normalise('09702661630')).toBeNull();
+    });
+
+    it('should remove the trunk prefix and add the default country code', () => {
+      expect(PhoneNumber.normalise('09702661630', '91')).toBe('+919702661630');
+      expect(PhoneNumber.normalise('07700 900123', '+44')).toBe('+447700900123');
+      expect(PhoneNumber.normalise('(0151) 1234 5678', '49')).toBe('+4915112345678');
+    });
+
+    it('should add the default country code to numbers without a trunk prefix', () => {
+      expect(PhoneNumber.normalise('97026 61630', '91')).toBe('+919702661630');
+      expect(PhoneNumber.normalise(9702661630, '91')).toBe('+919702661630');
+    });
+
+    it('should accept numbers that include the country code without +', () => {
+      expect(PhoneNumber.normalise('919702661630', '91')).toBe('+919702661630');
+    });
+
+    it('should reject national numbers with the wrong length', () => {
+      expect(PhoneNumber.normalise('0970266163', '91')).toBeNull();
+    });
+
+    it('should reject an invalid default country code', () => {
+      expect(PhoneNumber.normalise('09702661630', 'IN')).toBeNull();
+    });
+  });
+
+  describe('normaliseCountryCode', () => {
+    it('should accept country codes with or without +', () => {
+      expect(PhoneNumber.normaliseCountryCode('91')).toBe('91');
+      expect(PhoneNumber.normaliseCountryCode(' +44 ')).toBe('44');
+    });
+
+    it('should reject values that are not country calling codes', () => {
+      expect(PhoneNumber.normaliseCountryCode('IN')).toBeNull();
+      expect(PhoneNumber.normaliseCountryCode('0')).toBeNull();
+      expect(PhoneNumber.normaliseCountryCode('+1234')).toBeNull();
+    });
+  });
+});
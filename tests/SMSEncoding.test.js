@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import SMSEncoding from '../src/utils/SMSEncoding.js';
+
+describe('SMSEncoding', () => {
+  describe('getEncoding', () => {
+    it('should use GSM-7 for plain text', () => {
+      expect(SMSEncoding.getEncoding('Birthday Alert! Today\'s birthdays:\n- John Doe')).toBe('GSM-7');
+    });
+
+    it('should use GSM-7 for accented letters in the GSM alphabet', () => {
+      expect(SMSEncoding.getEncoding('Søren Ærø, José Müller, €5')).toBe('GSM-7');
+    });
+
+    it('should use UCS-2 for characters outside the GSM alphabet', () => {
+      expect(SMSEncoding.getEncoding('- Anna – 5 years today')).toBe('UCS-2');
+      expect(SMSEncoding.getEncoding('Łukasz')).toBe('UCS-2');
+      expect(SMSEncoding.getEncoding('Happy Birthday 🎂')).toBe('UCS-2');
+    });
+  });
+
+  describe('measure', () => {
+    it('should fit 160 GSM-7 characters in one segment', () => {
+      expect(SMSEncoding.measure('a'.repeat(160))).toEqual({ encoding: 'GSM-7', length: 160, segments: 1 });
+    });
+
+    it('should use 153 characters per segment for longer GSM-7 messages', () => {
+      expect(SMSEncoding.measure('a'.repeat(161)).segments).toBe(2);
+      expect(SMSEncoding.measure('a'.repeat(306)).segments).toBe(2);
+      expect(SMSEncoding.measure('a'.repeat(307)).segments).toBe(3);
+    });
+
+    it('should count GSM-7 extension characters twice', () => {
+      expect(SMSEncoding.measure('[€]').length).toBe(6);
+      expect(SMSEncoding.measure('{'.repeat(80)).segments).toBe(1);
+      expect(SMSEncoding.measure('{'.repeat(81)).segments).toBe(2);
+    });
+
+    it('should fit 70 UCS-2 characters in one segment and 67 per segment beyond', () => {
+      expect(SMSEncoding.measure('–'.repeat(70))).toEqual({ encoding: 'UCS-2', length: 70, segments: 1 });
+      expect(SMSEncoding.measure('–'.repeat(71)).segments).toBe(2);
+      expect(SMSEncoding.measure('–'.repeat(135)).segments).toBe(3);
+    });
+
+    it('should count emoji twice in UCS-2', () => {
+      expect(SMSEncoding.measure('🎂').length).toBe(2);
+    });
+  });
+});
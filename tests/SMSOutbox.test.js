@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SMSOutbox from '../src/services/SMSOutbox.js';
+import fs from 'fs';
+import path from 'path';
+
+describe('SMSOutbox', () => {
+  const testOutboxDir = './outbox-test';
+  const outboxFile = path.join(testOutboxDir, 'outbox.json');
+  const now = new Date('2024-10-14T09:00:00Z');
+  let outbox;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = { log: vi.fn() };
+    outbox = new SMSOutbox(mockLogger, { filePath: outboxFile });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testOutboxDir, { recursive: true, force: true });
+  });
+
+  const minutesAfter = (date, minutes) => new Date(date.getTime() + minutes * 60 * 1000);
+
+  describe('add', () => {
+    it('should write a new message claimed for sending', async () => {
+      const message = await outbox.add('+919876543210', ['Part 1', 'Part 2'], now);
+
+      expect(message).toMatchObject({
+        recipient: '+919876543210',
+        parts: ['Part 1', 'Part 2'],
+        partsSent: 0,
+        state: 'sending',
+        attempts: 0,
+        createdAt: now.toISOString()
+      });
+      expect(message.id).toMatch(/^[0-9a-f]{8}$/);
+      expect(await outbox.list()).toEqual([message]);
+    });
+
+    it('should keep the notifications the message is for', async () => {
+      const message = await outbox.add('+919876543210', ['Hello'], now, ['2024-10-14|birthday|id:E042']);
+
+      expect(message.notifications).toEqual(['2024-10-14|birthday|id:E042']);
+    });
+
+    it('should not lose messages added at the same time', async () => {
+      await Promise.all([1, 2, 3, 4].map(number => outbox.add(`+9198765432${number}0`, ['Hello'], now)));
+
+      expect(await outbox.list()).toHaveLength(4);
+    });
+
+    it('should not lose messages added by another instance at the same time', async () => {
+      const other = new SMSOutbox(mockLogger, { filePath: outboxFile });
+
+      await Promise.all([outbox.add('+919876543210', ['Hello'], now), other.add('+447700900123', ['Hello'], now)]);
+
+      expect(await outbox.list()).toHaveLength(2);
+    });
+
+    it('should write the file in one step without leaving a temporary file', async () => {
+      await outbox.add('+919876543210', ['Hello'], now);
+
+      const content = JSON.parse(fs.readFileSync(outboxFile, 'utf8'));
+      expect(content.version).toBe(SMSOutbox.VERSION);
+      expect(content.messages).toHaveLength(1);
+      expect(fs.readdirSync(testOutboxDir)).toEqual(['outbox.json']);
+    });
+  });
+
+  describe('complete', () => {
+    it('should mark a delivered message as sent', async () => {
+      const message = await outbox.add('+919876543210', ['Hello'], now);
+
+      const updated = await outbox.complete(message.id, { success: true, messageId: 'msg-1', partsSent: 1 }, now);
+
+      expect(updated).toMatchObject({ state: 'sent', attempts: 1, partsSent: 1, messageId: 'msg-1', lastError: null });
+    });
+
+    it('should schedule a retry after a retriable failure, doubling the delay each attempt', async () => {
+      const message = await outbox.add('+919876543210', ['Hello'], now);
+      const failure = { success: false, error: 'HTTP 503', retriable: true, partsSent: 0 };
+
+      const first = await outbox.complete(message.id, failure, now);
+      expect(first).toMatchObject({ state: 'failed', attempts: 1, lastError: 'HTTP 503' });
+      expect(first.nextAttemptAt).toBe(minutesAfter(now, 10).toISOString());
+
+      const second = await outbox.complete(message.id, failure, now);
+      expect(second.nextAttemptAt).toBe(minutesAfter(now, 20).toISOString());
+    });
+
+    it('should give up on a message after an error that is not retriable', async () => {
+      const message = await outbox.add('+919876543210', ['Hello'], now);
+
+      const updated = await outbox.complete(message.id, { success: false, error: 'HTTP 400', retriable: false }, now);
+
+      expect(updated).toMatchObject({ state: 'dead', attempts: 1, nextAttemptAt: null, lastError: 'HTTP 400' });
+    });
+
+    it('should give up on a message after the maximum attempts', async () => {
+      outbox = new SMSOutbox(mockLogger, { filePath: outboxFile, maxAttempts: 2 });
+      const message = await outbox.add('+919876543210', ['Hello'], now);
+      const failure = { success: false, error: 'timeout', retriable: true };
+
+      await outbox.complete(message.id, failure, now);
+      const updated = await outbox.complete(message.id, failure, now);
+
+      expect(updated.state).toBe('dead');
+    });
+
+    it('should count the parts sent before a failure', async () => {
+      const message = await outbox.add('+919876543210', ['Part 1', 'Part 2'], now);
+
+      const updated = await outbox.complete(message.id, { success: false, error: 'timeout', retriable: true, partsSent: 1 }, now);
+
+      expect(updated.partsSent).toBe(1);
+    });
+
+    it('should throw for an unknown message', async () => {
+      await expect(outbox.complete('missing', { success: true }, now)).rejects.toThrow('No message with ID missing in the SMS outbox');
+    });
+  });
+
+  describe('claimDue', () => {
+    it('should claim pending messages and failed messages whose retry is due', async () => {
+      const failed = await outbox.add('+919876543210', ['Retry me'], now);
+      await outbox.complete(failed.id, { success: false, error: 'timeout', retriable: true }, now);
+      const sending = await outbox.add('+447700900123', ['In progress'], now);
+
+      expect(await outbox.claimDue(minutesAfter(now, 5))).toEqual([]);
+
+      const claimed = await outbox.claimDue(minutesAfter(now, 10));
+      expect(claimed.map(message => message.id)).toEqual([failed.id]);
+      expect(claimed[0].state).toBe('sending');
+      expect((await outbox.list('sending')).map(message => message.id)).toEqual([failed.id, sending.id]);
+    });
+  });
+
+  describe('recover', () => {
+    it('should return messages interrupted while sending to pending', async () => {
+      const message = await outbox.add('+919876543210', ['Hello'], now);
+
+      expect(await outbox.recover(now)).toBe(1);
+
+      expect((await outbox.list('pending')).map(pending => pending.id)).toEqual([message.id]);
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', expect.stringContaining('1 SMS outbox message(s) were being sent'));
+    });
+
+    it('should not log when nothing was interrupted', async () => {
+      expect(await outbox.recover(now)).toBe(0);
+      expect(mockLogger.log).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('requeue', () => {
+    let dead;
+
+    beforeEach(async () => {
+      dead = await outbox.add('+919876543210', ['Hello'], now);
+      await outbox.complete(dead.id, { success: false, error: 'HTTP 400', retriable: false }, now);
+    });
+
+    it('should return dead messages to pending with their attempts reset', async () => {
+      const requeued = await outbox.requeue([], now);
+
+      expect(requeued).toHaveLength(1);
+      expect(requeued[0]).toMatchObject({ id: dead.id, state: 'pending', attempts: 0 });
+      expect(await outbox.list('dead')).toEqual([]);
+    });
+
+    it('should requeue only the given messages', async () => {
+      const other = await outbox.add('+447700900123', ['Other'], now);
+      await outbox.complete(other.id, { success: false, error: 'HTTP 400', retriable: false }, now);
+
+      await outbox.requeue([other.id], now);
+
+      expect((await outbox.list('dead')).map(message => message.id)).toEqual([dead.id]);
+    });
+
+    it('should reject IDs that are not dead messages', async () => {
+      await expect(outbox.requeue(['missing'], now)).rejects.toThrow('No dead message with ID missing in the SMS outbox');
+      expect(await outbox.list('dead')).toHaveLength(1);
+    });
+  });
+
+  describe('read and write', () => {
+    it('should treat a missing file as an empty outbox', async () => {
+      expect(await outbox.list()).toEqual([]);
+    });
+
+    it('should drop sent messages older than the retention period', async () => {
+      const message = await outbox.add('+919876543210', ['Hello'], now);
+      await outbox.complete(message.id, { success: true, partsSent: 1 }, now);
+
+      await outbox.add('+447700900123', ['Later'], new Date(now.getTime() + (SMSOutbox.SENT_RETENTION_DAYS + 1) * 24 * 60 * 60 * 1000));
+
+      expect((await outbox.list()).map(remaining => remaining.recipient)).toEqual(['+447700900123']);
+    });
+
+    it('should throw a descriptive error for a corrupt file', async () => {
+      fs.mkdirSync(testOutboxDir, { recursive: true });
+      fs.writeFileSync(outboxFile, '{ not json');
+
+      await expect(outbox.list()).rejects.toThrow(`Failed to read SMS outbox ${path.resolve(outboxFile)}`);
+    });
+
+    it('should reject a file that is not an outbox', async () => {
+      fs.mkdirSync(testOutboxDir, { recursive: true });
+      fs.writeFileSync(outboxFile, '{}');
+
+      await expect(outbox.list()).rejects.toThrow('expected an object with "messages"');
+    });
+  });
+});
@@ -0,0 +1,490 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import SMSService from '../src/services/SMSService.js';
+import SMSProvider from '../src/services/providers/SMSProvider.js';
+import GenericProvider from '../src/services/providers/GenericProvider.js';
+import TwilioProvider from '../src/services/providers/TwilioProvider.js';
+import VonageProvider from '../src/services/providers/VonageProvider.js';
+import MessageBirdProvider from '../src/services/providers/MessageBirdProvider.js';
+import PlivoProvider from '../src/services/providers/PlivoProvider.js';
+import SnsProvider from '../src/services/providers/SnsProvider.js';
+import HttpTemplateProvider from '../src/services/providers/HttpTemplateProvider.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Local HTTP server standing in for an SMS gateway
+ * Records each request and answers with the configured reply
+ */
+function createStubServer() {
+  const stub = {
+    requests: [],
+    reply: { status: 200, body: {} },
+    baseUrl: ''
+  };
+
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      stub.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const { status, body: replyBody, headers = {} } = stub.reply;
+      const isText = typeof replyBody === 'string';
+      res.writeHead(status, { 'Content-Type': isText ? 'text/xml' : 'application/json', ...headers });
+      res.end(isText ? replyBody : JSON.stringify(replyBody));
+    });
+  });
+
+  return stub;
+}
+
+describe('SMS Providers', () => {
+  const stub = createStubServer();
+
+  beforeAll(async () => {
+    await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+    stub.baseUrl = `http://127.0.0.1:${stub.server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => stub.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    stub.requests = [];
+    stub.reply = { status: 200, body: {} };
+  });
+
+  const lastRequest = () => stub.requests[stub.requests.length - 1];
+  const decodeBasic = header => Buffer.from(header.replace('Basic ', ''), 'base64').toString();
+
+  describe('GenericProvider', () => {
+    it('should post JSON with a Bearer token', async () => {
+      stub.reply = { status: 200, body: { messageId: 'msg-123', status: 'delivered' } };
+      const provider = new GenericProvider({ smsApiUrl: `${stub.baseUrl}/send`, smsApiKey: 'key-1', smsSenderId: 'BirthdayApp' });
+
+      const result = await provider.send('Hello', '+1234567890');
+
+      expect(result).toEqual({ messageId: 'msg-123', status: 'delivered' });
+      expect(lastRequest().headers.authorization).toBe('Bearer key-1');
+      expect(JSON.parse(lastRequest().body)).toEqual({ to: '+1234567890', from: 'BirthdayApp', message: 'Hello' });
+    });
+
+    it('should describe authentication failures', async () => {
+      stub.reply = { status: 401, body: { message: 'Invalid API key' } };
+      const provider = new GenericProvider({ smsApiUrl: `${stub.baseUrl}/send`, smsApiKey: 'bad', smsSenderId: 'BirthdayApp' });
+
+      await expect(provider.send('Hello', '+1234567890')).rejects.toThrow('Authentication failed: Invalid API key');
+    });
+
+    it('should pass on the status and Retry-After of rate limited requests', async () => {
+      stub.reply = { status: 429, body: { message: 'Too many requests' }, headers: { 'Retry-After': '12' } };
+      const provider = new GenericProvider({ smsApiUrl: `${stub.baseUrl}/send`, smsApiKey: 'key-1', smsSenderId: 'BirthdayApp' });
+
+      await expect(provider.send('Hello', '+1234567890')).rejects.toMatchObject({
+        message: 'API error (429): Too many requests',
+        status: 429,
+        retryAfterMs: 12000
+      });
+    });
+
+    it('should report a network error when the gateway cannot be reached', async () => {
+      const provider = new GenericProvider({ smsApiUrl: 'http://127.0.0.1:1/send', smsApiKey: 'key-1', smsSenderId: 'BirthdayApp' });
+
+      await expect(provider.send('Hello', '+1234567890')).rejects.toThrow('Network error: Unable to reach SMS API');
+    });
+  });
+
+  describe('TwilioProvider', () => {
+    const url = () => `${stub.baseUrl}/2010-04-01/Accounts/AC123/Messages.json`;
+
+    it('should post a form with Basic auth using the Account SID from the URL', async () => {
+      stub.reply = { status: 201, body: { sid: 'SM987', status: 'queued' } };
+      const provider = new TwilioProvider({ smsApiUrl: url(), smsApiKey: 'token-1', smsSenderId: '+15551234567' });
+
+      const result = await provider.send('Happy birthday!', '+15559876543');
+
+      expect(result).toEqual({ messageId: 'SM987', status: 'queued' });
+      expect(lastRequest().url).toBe('/2010-04-01/Accounts/AC123/Messages.json');
+      expect(lastRequest().headers['content-type']).toBe('application/x-www-form-urlencoded');
+      expect(decodeBasic(lastRequest().headers.authorization)).toBe('AC123:token-1');
+      expect(Object.fromEntries(new URLSearchParams(lastRequest().body))).toEqual({
+        To: '+15559876543',
+        From: '+15551234567',
+        Body: 'Happy birthday!'
+      });
+    });
+
+    it('should accept ACCOUNT_SID:AUTH_TOKEN credentials', () => {
+      const provider = new TwilioProvider({ smsApiUrl: 'https://api.example.com/send', smsApiKey: 'AC999:token-2' });
+
+      expect(provider.accountSid).toBe('AC999');
+      expect(provider.authToken).toBe('token-2');
+      expect(provider.getConfigurationErrors()).toEqual([]);
+    });
+
+    it('should require an Account SID', () => {
+      const provider = new TwilioProvider({ smsApiUrl: 'https://api.example.com/send', smsApiKey: 'token-1' });
+
+      expect(provider.getConfigurationErrors()[0]).toContain('Twilio Account SID is required');
+    });
+
+    it('should describe Twilio error responses', async () => {
+      stub.reply = { status: 400, body: { code: 21211, message: "The 'To' number is not a valid phone number." } };
+      const provider = new TwilioProvider({ smsApiUrl: url(), smsApiKey: 'token-1', smsSenderId: '+15551234567' });
+
+      await expect(provider.send('Hello', '+1')).rejects.toThrow("Invalid request: The 'To' number is not a valid phone number.");
+    });
+  });
+
+  describe('VonageProvider', () => {
+    it('should send the credentials as query parameters and the message as a form', async () => {
+      stub.reply = { status: 200, body: { 'message-count': '1', messages: [{ status: '0', 'message-id': 'V-1' }] } };
+      const provider = new VonageProvider({ smsApiUrl: `${stub.baseUrl}/sms/json`, smsApiKey: 'abc:def', smsSenderId: 'BirthdayBot' });
+
+      const result = await provider.send('Ravi – 5 years today', '+15559876543');
+      const query = new URL(lastRequest().url, stub.baseUrl).searchParams;
+
+      expect(result).toEqual({ messageId: 'V-1', status: 'sent' });
+      expect(query.get('api_key')).toBe('abc');
+      expect(query.get('api_secret')).toBe('def');
+      expect(Object.fromEntries(new URLSearchParams(lastRequest().body))).toEqual({
+        to: '15559876543',
+        from: 'BirthdayBot',
+        text: 'Ravi – 5 years today',
+        type: 'unicode'
+      });
+    });
+
+    it('should fail when Vonage rejects the message with a 200 response', async () => {
+      stub.reply = { status: 200, body: { messages: [{ status: '4', 'error-text': 'Bad Credentials' }] } };
+      const provider = new VonageProvider({ smsApiUrl: `${stub.baseUrl}/sms/json`, smsApiKey: 'abc:bad', smsSenderId: 'BirthdayBot' });
+
+      await expect(provider.send('Hello', '+15559876543')).rejects.toThrow('Authentication failed: Bad Credentials');
+    });
+
+    it('should report other rejected message statuses', async () => {
+      stub.reply = { status: 200, body: { messages: [{ status: '9', 'error-text': 'Partner quota exceeded' }] } };
+      const provider = new VonageProvider({ smsApiUrl: `${stub.baseUrl}/sms/json`, smsApiKey: 'abc:def', smsSenderId: 'BirthdayBot' });
+
+      await expect(provider.send('Hello', '+15559876543')).rejects.toThrow('Message rejected (status 9): Partner quota exceeded');
+    });
+
+    it('should mark only throttled and internal error statuses as retriable', () => {
+      const provider = new VonageProvider({ smsApiUrl: 'https://rest.nexmo.com/sms/json', smsApiKey: 'abc:def' });
+      const retriable = status => {
+        try {
+          provider.parseResponse({ messages: [{ status, 'error-text': 'Rejected' }] });
+        } catch (error) {
+          return error.retriable;
+        }
+        return null;
+      };
+
+      expect(['1', '5'].map(retriable)).toEqual([true, true]);
+      expect(['2', '3', '6', '7', '8'].map(retriable)).toEqual([false, false, false, false, false]);
+    });
+
+    it('should require the key and secret', () => {
+      const provider = new VonageProvider({ smsApiUrl: 'https://rest.nexmo.com/sms/json', smsApiKey: 'abc' });
+
+      expect(provider.getConfigurationErrors()).toEqual(['Vonage credentials must be given as SMS_API_KEY=API_KEY:API_SECRET']);
+    });
+  });
+
+  describe('MessageBirdProvider', () => {
+    it('should post JSON with an AccessKey header', async () => {
+      stub.reply = { status: 201, body: { id: 'mb-1', recipients: { items: [{ recipient: 15559876543, status: 'sent' }] } } };
+      const provider = new MessageBirdProvider({ smsApiUrl: `${stub.baseUrl}/messages`, smsApiKey: 'live_abc', smsSenderId: 'BirthdayBot' });
+
+      const result = await provider.send('Hello', '+15559876543');
+
+      expect(result).toEqual({ messageId: 'mb-1', status: 'sent' });
+      expect(lastRequest().headers.authorization).toBe('AccessKey live_abc');
+      expect(JSON.parse(lastRequest().body)).toEqual({ originator: 'BirthdayBot', recipients: ['15559876543'], body: 'Hello' });
+    });
+
+    it('should describe MessageBird error lists', async () => {
+      stub.reply = { status: 401, body: { errors: [{ code: 2, description: 'Request not allowed (incorrect access_key)' }] } };
+      const provider = new MessageBirdProvider({ smsApiUrl: `${stub.baseUrl}/messages`, smsApiKey: 'bad', smsSenderId: 'BirthdayBot' });
+
+      await expect(provider.send('Hello', '+15559876543')).rejects.toThrow('Authentication failed: Request not allowed (incorrect access_key)');
+    });
+  });
+
+  describe('PlivoProvider', () => {
+    it('should post JSON with Basic auth using the Auth ID from the URL', async () => {
+      stub.reply = { status: 202, body: { api_id: 'api-1', message: 'message(s) queued', message_uuid: ['uuid-1'] } };
+      const provider = new PlivoProvider({ smsApiUrl: `${stub.baseUrl}/v1/Account/MA123/Message/`, smsApiKey: 'token-1', smsSenderId: '15551234567' });
+
+      const result = await provider.send('Hello', '+15559876543');
+
+      expect(result).toEqual({ messageId: 'uuid-1', status: 'queued' });
+      expect(decodeBasic(lastRequest().headers.authorization)).toBe('MA123:token-1');
+      expect(JSON.parse(lastRequest().body)).toEqual({ src: '15551234567', dst: '+15559876543', text: 'Hello' });
+    });
+
+    it('should require an Auth ID', () => {
+      const provider = new PlivoProvider({ smsApiUrl: 'https://api.example.com/send', smsApiKey: 'token-1' });
+
+      expect(provider.getConfigurationErrors()[0]).toContain('Plivo Auth ID is required');
+    });
+  });
+
+  describe('SnsProvider', () => {
+    it('should sign requests with AWS Signature Version 4', () => {
+      // Example request from the AWS Signature Version 4 documentation
+      const authorization = SnsProvider.signV4({
+        method: 'GET',
+        url: 'https://iam.amazonaws.com/?Action=ListUsers&Version=2010-05-08',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded; charset=utf-8',
+          'X-Amz-Date': '20150830T123600Z'
+        },
+        body: '',
+        accessKeyId: 'AKIDEXAMPLE',
+        secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+        region: 'us-east-1',
+        service: 'iam'
+      });
+
+      expect(authorization).toBe('AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/20150830/us-east-1/iam/aws4_request, ' +
+        'SignedHeaders=content-type;host;x-amz-date, ' +
+        'Signature=5d672d79c15b13162d9279b0855cfba6789a8edb4c82c400e06b5924a6f2b5d7');
+    });
+
+    it('should publish a signed form and read the message ID from the XML response', async () => {
+      stub.reply = {
+        status: 200,
+        body: '<PublishResponse><PublishResult><MessageId>sns-1</MessageId></PublishResult></PublishResponse>'
+      };
+      const provider = new SnsProvider({ smsApiUrl: `${stub.baseUrl}/`, smsApiKey: 'AKID:secret', smsSenderId: 'BirthdayBot' });
+
+      const result = await provider.send('Hello', '+15559876543');
+      const form = Object.fromEntries(new URLSearchParams(lastRequest().body));
+
+      expect(result).toEqual({ messageId: 'sns-1', status: 'sent' });
+      expect(form.Action).toBe('Publish');
+      expect(form.PhoneNumber).toBe('+15559876543');
+      expect(form.Message).toBe('Hello');
+      expect(form['MessageAttributes.entry.1.Value.StringValue']).toBe('BirthdayBot');
+      expect(lastRequest().headers.authorization).toMatch(
+        /^AWS4-HMAC-SHA256 Credential=AKID\/\d{8}\/us-east-1\/sns\/aws4_request, SignedHeaders=content-type;host;x-amz-date, Signature=[0-9a-f]{64}$/
+      );
+    });
+
+    it('should take the region from the SNS endpoint', () => {
+      const provider = new SnsProvider({ smsApiUrl: 'https://sns.eu-west-1.amazonaws.com/', smsApiKey: 'AKID:secret' });
+
+      expect(provider.region).toBe('eu-west-1');
+    });
+
+    it('should describe SNS XML errors', async () => {
+      stub.reply = {
+        status: 403,
+        body: '<ErrorResponse><Error><Code>SignatureDoesNotMatch</Code><Message>The request signature does not match</Message></Error></ErrorResponse>'
+      };
+      const provider = new SnsProvider({ smsApiUrl: `${stub.baseUrl}/`, smsApiKey: 'AKID:wrong', smsSenderId: 'BirthdayBot' });
+
+      await expect(provider.send('Hello', '+15559876543')).rejects.toThrow('Authentication failed: The request signature does not match');
+    });
+  });
+
+  describe('HttpTemplateProvider', () => {
+    const gatewayFile = path.join(__dirname, 'fixtures', 'sms-http-gateway.json');
+    const createProvider = (smsHttpConfig, smsApiUrl = `${stub.baseUrl}/api/send`) => new HttpTemplateProvider({
+      smsApiUrl,
+      smsApiKey: 'key 1',
+      smsSenderId: 'BDAYBT',
+      smsHttpConfig,
+      smsHttpConfigFile: gatewayFile
+    });
+
+    it('should build a form request from the definition file', async () => {
+      stub.reply = { status: 200, body: { status: 'success', data: { batch_id: 'B-77' } } };
+      const provider = createProvider();
+
+      const result = await provider.send('Happy birthday & more', '+919876543210');
+
+      expect(result).toEqual({ messageId: 'B-77', status: 'success' });
+      expect(lastRequest().url).toBe('/api/send?apikey=key%201');
+      expect(lastRequest().headers['x-client']).toBe('birthday-notification-system');
+      expect(lastRequest().headers['content-type']).toBe('application/x-www-form-urlencoded');
+      expect(Object.fromEntries(new URLSearchParams(lastRequest().body))).toEqual({
+        sender: 'BDAYBT',
+        numbers: '919876543210',
+        message: 'Happy birthday & more'
+      });
+    });
+
+    it('should treat a 200 response matching the failure rule as an error', async () => {
+      stub.reply = { status: 200, body: { status: 'error', errors: [{ code: 3, message: 'Invalid number format' }] } };
+      const provider = createProvider();
+
+      await expect(provider.send('Hello', '+91123')).rejects.toThrow('Message rejected: Invalid number format');
+      await expect(provider.send('Hello', '+91123')).rejects.toMatchObject({ retriable: false });
+    });
+
+    it('should describe HTTP errors with the error path', async () => {
+      stub.reply = { status: 401, body: { status: 'failure', errors: [{ message: 'Invalid API key' }] } };
+      const provider = createProvider();
+
+      await expect(provider.send('Hello', '+919876543210')).rejects.toThrow('Authentication failed: Invalid API key');
+    });
+
+    it('should render JSON bodies and headers', async () => {
+      stub.reply = { status: 202, body: { result: { messages: [{ id: 'J-1' }] } } };
+      const provider = createProvider({
+        headers: { 'Authorization': 'Token {apiKey}' },
+        body: { sms: { to: ['{to}'], text: '{message}', sender: '{from}' } },
+        response: { messageId: '$.result.messages[0].id' }
+      });
+
+      const result = await provider.send('Say "hi"', '+919876543210');
+
+      expect(result).toEqual({ messageId: 'J-1', status: 'sent' });
+      expect(lastRequest().headers.authorization).toBe('Token key 1');
+      expect(JSON.parse(lastRequest().body)).toEqual({ sms: { to: ['+919876543210'], text: 'Say "hi"', sender: 'BDAYBT' } });
+    });
+
+    it('should escape XML bodies and read text responses with regex rules', async () => {
+      stub.reply = { status: 200, body: '<Response><Code>OK</Code><Id>X-9</Id></Response>' };
+      const provider = createProvider({
+        bodyType: 'xml',
+        body: '<Sms><To>{to}</To><Text>{message}</Text></Sms>',
+        response: {
+          messageId: 'regex:<Id>([^<]+)</Id>',
+          success: { path: 'regex:<Code>([^<]+)</Code>', equals: 'OK' }
+        }
+      });
+
+      const result = await provider.send('Tom & Jerry <3', '+919876543210');
+
+      expect(result.messageId).toBe('X-9');
+      expect(lastRequest().headers['content-type']).toBe('application/xml');
+      expect(lastRequest().body).toBe('<Sms><To>+919876543210</To><Text>Tom &amp; Jerry &lt;3</Text></Sms>');
+    });
+
+    it('should fail when the success rule does not match', async () => {
+      stub.reply = { status: 200, body: 'ERR: insufficient credits' };
+      const provider = createProvider({
+        method: 'GET',
+        url: '{apiUrl}?to={toDigits}&text={message}',
+        response: { success: { matches: '^OK' }, error: 'regex:^ERR: (.*)$' }
+      });
+
+      await expect(provider.send('Hi there', '+919876543210')).rejects.toThrow('Message rejected: insufficient credits');
+      expect(lastRequest().method).toBe('GET');
+      expect(lastRequest().url).toBe('/api/send?to=919876543210&text=Hi%20there');
+    });
+
+    it('should report every problem in an invalid definition', () => {
+      const provider = createProvider({
+        method: 'DELETE',
+        bodyType: 'form',
+        body: '{message}',
+        headers: { 'X-Token': '{secret}' },
+        response: { messageId: 'data.id', failure: { path: '$.status' } }
+      });
+
+      const [error] = provider.getConfigurationErrors();
+      expect(error).toContain('Invalid SMS gateway definition');
+      expect(error).toContain('method must be one of: GET, POST, PUT, PATCH');
+      expect(error).toContain('body must be an object of field names and values for bodyType form');
+      expect(error).toContain('unknown placeholder(s): secret');
+      expect(error).toContain('response.messageId must be a JSON path');
+      expect(error).toContain('response.failure must have "equals" or "matches"');
+    });
+
+    it('should report a missing definition file', () => {
+      const provider = new HttpTemplateProvider({ smsApiUrl: 'https://sms.example.com', smsApiKey: 'key', smsHttpConfigFile: path.join(__dirname, 'fixtures', 'missing.json') });
+
+      expect(provider.getConfigurationErrors()[0]).toContain('Failed to read SMS gateway definition file');
+    });
+
+    it('should read JSON paths with dots, indexes and quoted keys', () => {
+      const data = { data: [{ 'message-id': 'abc' }] };
+
+      expect(HttpTemplateProvider.getPath(data, "$.data[0]['message-id']")).toBe('abc');
+      expect(HttpTemplateProvider.getPath(data, '$.missing.id')).toBeUndefined();
+    });
+  });
+
+  describe('SMSProvider helpers', () => {
+    it('should split credentials on the first colon', () => {
+      expect(SMSProvider.splitCredentials('id:se:cret')).toEqual(['id', 'se:cret']);
+      expect(SMSProvider.splitCredentials('token')).toEqual(['', 'token']);
+    });
+
+    it('should parse Retry-After in seconds or as an HTTP date', () => {
+      const now = Date.parse('Tue, 15 Oct 2024 09:00:00 GMT');
+
+      expect(SMSProvider.parseRetryAfter('30', now)).toBe(30000);
+      expect(SMSProvider.parseRetryAfter('Tue, 15 Oct 2024 09:01:30 GMT', now)).toBe(90000);
+      expect(SMSProvider.parseRetryAfter('Tue, 15 Oct 2024 08:00:00 GMT', now)).toBe(0);
+      expect(SMSProvider.parseRetryAfter('soon', now)).toBeNull();
+      expect(SMSProvider.parseRetryAfter(undefined, now)).toBeNull();
+    });
+
+    it('should require subclasses to build requests', () => {
+      expect(() => new SMSProvider({}).buildRequest('Hello', '+1')).toThrow('SMSProvider must implement buildRequest()');
+    });
+  });
+
+  describe('SMSService provider selection', () => {
+    const baseConfig = {
+      smsApiUrl: 'https://api.twilio.com/2010-04-01/Accounts/AC123/Messages.json',
+      smsApiKey: 'token-1',
+      smsSenderId: '+15551234567',
+      recipientMobileNumber: '+15559876543'
+    };
+
+    it('should use the generic provider by default', () => {
+      expect(new SMSService(baseConfig).provider).toBeInstanceOf(GenericProvider);
+    });
+
+    it('should use the configured provider', () => {
+      expect(new SMSService({ ...baseConfig, smsProvider: 'twilio' }).provider).toBeInstanceOf(TwilioProvider);
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => new SMSService({ ...baseConfig, smsProvider: 'carrier-pigeon' }))
+        .toThrow('Unsupported SMS provider: carrier-pigeon');
+    });
+
+    it('should use the http provider with a gateway definition file', () => {
+      const service = new SMSService({
+        ...baseConfig,
+        smsProvider: 'http',
+        smsHttpConfigFile: path.join(__dirname, 'fixtures', 'sms-http-gateway.json')
+      });
+
+      expect(service.provider).toBeInstanceOf(HttpTemplateProvider);
+    });
+
+    it('should report provider configuration problems', () => {
+      expect(() => new SMSService({ ...baseConfig, smsProvider: 'vonage' }))
+        .toThrow('Vonage credentials must be given as SMS_API_KEY=API_KEY:API_SECRET');
+    });
+
+    it('should send through the provider to the stub gateway', async () => {
+      stub.reply = { status: 201, body: { sid: 'SM1', status: 'queued' } };
+      const service = new SMSService({
+        ...baseConfig,
+        smsProvider: 'twilio',
+        smsApiUrl: `${stub.baseUrl}/2010-04-01/Accounts/AC123/Messages.json`
+      });
+
+      const result = await service.sendWithRetry('Hello', new Date());
+
+      expect(result.success).toBe(true);
+      expect(result.messageId).toBe('SM1');
+      expect(stub.requests).toHaveLength(1);
+    });
+  });
+});
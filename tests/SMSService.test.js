@@ -1,6 +1,11 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import SMSService from '../src/services/SMSService.js';
 import Associate from '../src/models/Associate.js';
+import EventType from '../src/models/EventType.js';
+import MessageTemplates from '../src/models/MessageTemplates.js';
+import SMSOutbox from '../src/services/SMSOutbox.js';
+import fs from 'fs';
+import path from 'path';
 
 describe('SMSService', () => {
   let config;
@@ -93,6 +98,189 @@ describe('SMSService', () => {
     });
   });
 
+  describe('Weekend and Holiday Message Formatting', () => {
+    beforeEach(() => {
+      service = new SMSService(config);
+    });
+
+    it('should list rolled-over birthdays with their actual date', () => {
+      const associates = [new Associate('John Doe', new Date(1990, 9, 14), 1)];
+      const rolledOver = [
+        { date: new Date(2024, 9, 12), associates: [new Associate('Priya', new Date(1990, 9, 12), 2)] },
+        {
+          date: new Date(2024, 9, 13),
+          associates: [new Associate('Anita', new Date(1992, 9, 13), 3), new Associate('Ravi', new Date(1985, 9, 13), 4)]
+        }
+      ];
+
+      const message = service.formatMessage(associates, rolledOver);
+
+      expect(message).toBe('Birthday Alert! Today\'s birthdays:\n- John Doe\nWeekend and holiday birthdays:\n- Sat 12 Oct: Priya\n- Sun 13 Oct: Anita, Ravi');
+    });
+
+    it('should format rolled-over birthdays when there are none today', () => {
+      const rolledOver = [
+        { date: new Date(2024, 9, 12), associates: [new Associate('Priya', new Date(1990, 9, 12), 2)] }
+      ];
+
+      expect(service.formatMessage([], rolledOver)).toBe('Birthday Alert! Weekend and holiday birthdays:\n- Sat 12 Oct: Priya');
+    });
+  });
+
+  describe('Work Anniversary Message Formatting', () => {
+    const ravi = new Associate('Ravi', new Date(1985, 10, 3), 1, { dateOfJoining: new Date(2019, 9, 14) });
+    const anita = new Associate('Anita', new Date(1992, 6, 21), 2, { dateOfJoining: new Date(2023, 9, 12) });
+
+    beforeEach(() => {
+      service = new SMSService(config);
+    });
+
+    it('should append work anniversaries to the birthday message', () => {
+      const associates = [new Associate('John Doe', new Date(1990, 9, 14), 3)];
+      const anniversaries = [{ associate: ravi, date: new Date(2024, 9, 14), years: 5, rolledOver: false }];
+
+      expect(service.formatMessage(associates, [], anniversaries))
+        .toBe('Birthday Alert! Today\'s birthdays:\n- John Doe\nWork anniversaries:\n- Ravi – 5 years today');
+    });
+
+    it('should format a work anniversary message', () => {
+      const anniversaries = [
+        { associate: anita, date: new Date(2024, 9, 12), years: 1, rolledOver: true },
+        { associate: ravi, date: new Date(2024, 9, 14), years: 5, rolledOver: false }
+      ];
+
+      expect(service.formatAnniversaryMessage(anniversaries))
+        .toBe('Work Anniversary Alert!\n- Anita – 1 year on Sat 12 Oct\n- Ravi – 5 years today');
+    });
+
+    it('should use the work anniversary message when there are no birthdays', () => {
+      const anniversaries = [{ associate: ravi, date: new Date(2024, 9, 14), years: 5, rolledOver: false }];
+
+      expect(service.formatMessage([], [], anniversaries)).toBe('Work Anniversary Alert!\n- Ravi – 5 years today');
+    });
+  });
+
+  describe('Custom Event Notifications', () => {
+    const renewal = new EventType({
+      id: 'certificationRenewal',
+      label: 'Certification renewals due',
+      recurrence: 'once',
+      recipients: ['+919876543210', '+447700900123']
+    });
+    const occurrences = [
+      { associate: new Associate('Ravi Kumar', new Date(1985, 10, 3), 1), date: new Date(2024, 9, 14), years: null, rolledOver: false }
+    ];
+
+    beforeEach(() => {
+      service = new SMSService(config);
+    });
+
+    it('should format the event message with its label', () => {
+      expect(service.formatEventMessage(renewal, occurrences))
+        .toBe('Certification renewals due:\n- Ravi Kumar (today)');
+    });
+
+    it('should send the event message to each of its recipients', async () => {
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockResolvedValue({ messageId: 'msg-1', status: 'sent' });
+
+      const result = await service.sendEventNotification(renewal, occurrences);
+
+      expect(result.success).toBe(true);
+      expect(sendSMSSpy).toHaveBeenCalledWith('Certification renewals due:\n- Ravi Kumar (today)', '+919876543210', service.provider);
+      expect(sendSMSSpy).toHaveBeenCalledWith('Certification renewals due:\n- Ravi Kumar (today)', '+447700900123', service.provider);
+      expect(result.results.map(r => r.recipient)).toEqual(['+919876543210', '+447700900123']);
+    });
+
+    it('should send to the default recipient when the event type has none', async () => {
+      const wedding = new EventType({ id: 'weddingAnniversary', label: 'Wedding anniversaries' });
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockResolvedValue({ messageId: 'msg-1', status: 'sent' });
+
+      await service.sendEventNotification(wedding, occurrences);
+
+      expect(sendSMSSpy).toHaveBeenCalledWith(expect.any(String), config.recipientMobileNumber, service.provider);
+    });
+  });
+
+  describe('Belated Message Formatting', () => {
+    const missedDay = new Date(2024, 9, 14);
+    const belated = { date: missedDay, belated: true };
+    const ravi = new Associate('Ravi Kumar', new Date(1985, 9, 14), 1, { firstName: 'Ravi', dateOfJoining: new Date(2019, 9, 14) });
+
+    beforeEach(() => {
+      service = new SMSService(config);
+    });
+
+    it('should name the missed day in a belated birthday message', () => {
+      expect(service.formatMessage([ravi], [], [], null, belated))
+        .toBe('Belated Birthday Alert! Birthdays on Mon 14 Oct:\n- Ravi Kumar');
+    });
+
+    it('should date belated work anniversaries', () => {
+      const anniversaries = [{ associate: ravi, date: missedDay, years: 5, rolledOver: false }];
+
+      expect(service.formatMessage([], [], anniversaries, null, belated))
+        .toBe('Belated Work Anniversary Alert!\n- Ravi Kumar – 5 years on Mon 14 Oct');
+    });
+
+    it('should word a belated birthday wish', () => {
+      expect(service.formatBirthdayWish(ravi, null, belated))
+        .toBe('Belated happy birthday, Ravi! Sorry we missed your day, we hope it was a wonderful one.');
+    });
+
+    it('should mark belated custom event messages', () => {
+      const wedding = new EventType({ id: 'weddingAnniversary', label: 'Wedding anniversaries' });
+      const occurrences = [{ associate: ravi, date: missedDay, years: 10, rolledOver: false }];
+
+      expect(service.formatEventMessage(wedding, occurrences, null, belated))
+        .toBe('Wedding anniversaries (belated):\n- Ravi Kumar – 10 years on Mon 14 Oct');
+    });
+
+    it('should send the belated wording', async () => {
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockResolvedValue({ messageId: 'msg-1', status: 'sent' });
+
+      await service.sendBirthdayNotification([ravi], [], [], belated);
+
+      expect(sendSMSSpy).toHaveBeenCalledWith('Belated Birthday Alert! Birthdays on Mon 14 Oct:\n- Ravi Kumar',
+        config.recipientMobileNumber, service.provider);
+    });
+  });
+
+  describe('Digest Message Formatting', () => {
+    beforeEach(() => {
+      service = new SMSService(config);
+    });
+
+    it('should list upcoming birthdays grouped by day', () => {
+      const upcoming = [
+        { date: new Date(2024, 9, 14), associates: [new Associate('Ravi Kumar', new Date(1985, 9, 14), 2)] },
+        {
+          date: new Date(2024, 9, 16),
+          associates: [
+            new Associate('Anita Rao', new Date(1992, 9, 16), 3),
+            new Associate('Zara Khan', new Date(1991, 9, 16), 1)
+          ]
+        }
+      ];
+
+      const message = service.formatDigestMessage(upcoming, 7);
+
+      expect(message).toBe('Upcoming birthdays (next 7 days):\nMon 14 Oct:\n- Ravi Kumar\nWed 16 Oct:\n- Anita Rao\n- Zara Khan');
+    });
+
+    it('should return empty string when there are no upcoming birthdays', () => {
+      expect(service.formatDigestMessage([], 7)).toBe('');
+    });
+
+    it('should not send a digest without upcoming birthdays', async () => {
+      service.sendSMS = vi.fn();
+
+      const result = await service.sendDigestNotification([], 7);
+
+      expect(result.success).toBe(false);
+      expect(service.sendSMS).not.toHaveBeenCalled();
+    });
+  });
+
   describe('SMS Sending with Valid Credentials', () => {
     beforeEach(() => {
       service = new SMSService(config);
@@ -154,7 +342,8 @@ describe('SMSService', () => {
       expect(result.success).toBe(false);
       expect(result.error).toContain('Authentication failed');
       expect(result.error).toContain('Invalid API key');
-      expect(result.attempts).toBe(3);
+      expect(result.retriable).toBe(false);
+      expect(result.attempts).toBe(1);
     });
 
     it('should handle 403 forbidden error', async () => {
@@ -300,6 +489,623 @@ describe('SMSService', () => {
       expect(service.delay).toHaveBeenNthCalledWith(1, 2000);
       expect(service.delay).toHaveBeenNthCalledWith(2, 4000);
     });
+
+    it('should follow the configured retry policy', async () => {
+      service = new SMSService({ ...config, smsRetryMaxAttempts: 4, smsRetryBaseDelayMs: 500, smsRetryMaxDelayMs: 1500 });
+      vi.spyOn(service, 'delay').mockResolvedValue();
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockRejectedValue(new Error('Network error'));
+
+      const result = await service.sendBirthdayNotification([new Associate('John Doe', new Date('1990-05-15'), 2)]);
+
+      expect(sendSMSSpy).toHaveBeenCalledTimes(4);
+      expect(result.retriable).toBe(true);
+      expect(service.delay.mock.calls.map(([ms]) => ms)).toEqual([500, 1000, 1500]);
+    });
+
+    it('should shorten waits by up to the jitter', () => {
+      service = new SMSService({ ...config, smsRetryJitter: 0.5 });
+      vi.spyOn(Math, 'random').mockReturnValue(1);
+
+      expect(service.getRetryDelay(2, new Error('Network error'))).toBe(2000);
+
+      Math.random.mockRestore();
+    });
+
+    it('should not retry errors that retrying cannot fix', async () => {
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockRejectedValue(
+        Object.assign(new Error('API error (422): Unsupported destination'), { status: 422 })
+      );
+
+      const result = await service.sendBirthdayNotification([new Associate('John Doe', new Date('1990-05-15'), 2)]);
+
+      expect(sendSMSSpy).toHaveBeenCalledTimes(1);
+      expect(service.delay).not.toHaveBeenCalled();
+      expect(result.retriable).toBe(false);
+      expect(result.results[0].retriable).toBe(false);
+    });
+
+    it('should wait as long as Retry-After asks, up to the maximum delay', async () => {
+      vi.spyOn(service, 'sendSMS')
+        .mockRejectedValueOnce(Object.assign(new Error('API error (429): Too many requests'), { status: 429, retryAfterMs: 7000 }))
+        .mockRejectedValueOnce(Object.assign(new Error('API error (503): Unavailable'), { status: 503, retryAfterMs: 120000 }))
+        .mockResolvedValueOnce({ messageId: 'msg-1', status: 'sent' });
+
+      const result = await service.sendBirthdayNotification([new Associate('John Doe', new Date('1990-05-15'), 2)]);
+
+      expect(result.success).toBe(true);
+      expect(service.delay.mock.calls.map(([ms]) => ms)).toEqual([7000, 30000]);
+    });
+
+    it('should classify errors as retriable or not', () => {
+      expect(service.isRetriableError(new Error('Network error: Unable to reach SMS API'))).toBe(true);
+      expect(service.isRetriableError(Object.assign(new Error('API error (500): Oops'), { status: 500 }))).toBe(true);
+      expect(service.isRetriableError(new Error('API error (429): Slow down'))).toBe(true);
+      expect(service.isRetriableError(new Error('API error (404): Not found'))).toBe(false);
+      expect(service.isRetriableError(new Error('Invalid request: Invalid phone number format'))).toBe(false);
+      expect(service.isRetriableError(new Error('Authentication failed: Invalid API key'))).toBe(false);
+      expect(service.isRetriableError(Object.assign(new Error('Message rejected: Invalid number'), { retriable: false }))).toBe(false);
+      expect(service.isRetriableError(Object.assign(new Error('Message rejected (status 1): Throttled'), { retriable: true }))).toBe(true);
+    });
+
+    it('should make a single attempt when the gateway rejects the message in a 200 response', async () => {
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockRejectedValue(
+        Object.assign(new Error('Message rejected (status 7): Number barred'), { retriable: false })
+      );
+
+      const result = await service.sendBirthdayNotification([new Associate('John Doe', new Date('1990-05-15'), 2)]);
+
+      expect(sendSMSSpy).toHaveBeenCalledTimes(1);
+      expect(service.delay).not.toHaveBeenCalled();
+      expect(result.retriable).toBe(false);
+    });
+  });
+
+  describe('Provider Failover', () => {
+    const associates = [new Associate('John Doe', new Date('1990-05-15'), 2)];
+
+    beforeEach(() => {
+      service = new SMSService({
+        ...config,
+        smsFallbackProviders: [
+          { smsProvider: 'messagebird', smsApiUrl: 'https://rest.messagebird.com/messages', smsApiKey: 'live_abc', smsSenderId: 'BirthdayApp' }
+        ]
+      });
+      vi.spyOn(service, 'delay').mockResolvedValue();
+    });
+
+    it('should build the primary and fallback providers in order', () => {
+      expect(service.providers.map(entry => entry.name)).toEqual(['generic', 'messagebird']);
+    });
+
+    it('should fail over after the retry budget of the primary provider is used', async () => {
+      const [primary, fallback] = service.providers;
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockImplementation(async (message, recipient, provider) => {
+        if (provider === primary.provider) {
+          throw new Error('Network error: Unable to reach SMS API');
+        }
+        return { messageId: 'mb-1', status: 'sent' };
+      });
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(result.success).toBe(true);
+      expect(result.results[0].provider).toBe('messagebird');
+      expect(result.messageId).toBe('mb-1');
+      expect(result.attempts).toBe(4);
+      expect(result.results[0].failedProviders).toEqual([{ provider: 'generic', error: 'Network error: Unable to reach SMS API' }]);
+      expect(sendSMSSpy).toHaveBeenLastCalledWith(expect.any(String), config.recipientMobileNumber, fallback.provider);
+      expect(service.delay).toHaveBeenCalledTimes(2);
+    });
+
+    it('should fail over immediately on authentication errors', async () => {
+      const [primary] = service.providers;
+      vi.spyOn(service, 'sendSMS').mockImplementation(async (message, recipient, provider) => {
+        if (provider === primary.provider) {
+          throw new Error('Authentication failed: Invalid API key');
+        }
+        return { messageId: 'mb-2', status: 'sent' };
+      });
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(result.success).toBe(true);
+      expect(result.attempts).toBe(2);
+      expect(service.delay).not.toHaveBeenCalled();
+    });
+
+    it('should stop at the last provider on errors that retrying cannot fix and report every failure', async () => {
+      vi.spyOn(service, 'sendSMS').mockRejectedValue(new Error('Authentication failed: Invalid API key'));
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(result.success).toBe(false);
+      expect(result.results[0].provider).toBe('messagebird');
+      expect(result.attempts).toBe(2);
+      expect(result.results[0].failedProviders.map(failure => failure.provider)).toEqual(['generic', 'messagebird']);
+    });
+
+    it('should record the primary provider when it delivers', async () => {
+      vi.spyOn(service, 'sendSMS').mockResolvedValue({ messageId: 'msg-1', status: 'sent' });
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(result.results[0].provider).toBe('generic');
+      expect(result.results[0].failedProviders).toBeUndefined();
+    });
+
+    it('should validate fallback provider configuration', () => {
+      expect(() => new SMSService({
+        ...config,
+        smsFallbackProviders: [{ smsProvider: 'vonage', smsApiUrl: '', smsApiKey: '', smsSenderId: 'BirthdayApp' }]
+      })).toThrow('Fallback provider vonage: SMS API URL is required');
+    });
+  });
+
+  describe('Multiple Recipients', () => {
+    const associates = [new Associate('John Doe', new Date('1990-05-15'), 2)];
+
+    beforeEach(() => {
+      service = new SMSService({
+        ...config,
+        recipientMobileNumbers: ['+1234567890', '+447700900123']
+      });
+      vi.spyOn(service, 'delay').mockResolvedValue();
+    });
+
+    it('should use the first recipient as the default recipient', () => {
+      expect(service.recipients).toEqual(['+1234567890', '+447700900123']);
+      expect(service.recipientNumber).toBe('+1234567890');
+    });
+
+    it('should send the notification to every recipient', async () => {
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS')
+        .mockResolvedValueOnce({ messageId: 'msg-1', status: 'sent' })
+        .mockResolvedValueOnce({ messageId: 'msg-2', status: 'sent' });
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(result.success).toBe(true);
+      expect(result.deliveryStatus).toBe('delivered');
+      expect(result.messageId).toBe('msg-1');
+      expect(result.attempts).toBe(2);
+      expect(result.results.map(entry => [entry.recipient, entry.messageId])).toEqual([
+        ['+1234567890', 'msg-1'],
+        ['+447700900123', 'msg-2']
+      ]);
+      expect(sendSMSSpy).toHaveBeenCalledWith(expect.any(String), '+447700900123', service.provider);
+    });
+
+    it('should report partial delivery when some recipients fail', async () => {
+      vi.spyOn(service, 'sendSMS').mockImplementation(async (message, recipient) => {
+        if (recipient === '+447700900123') {
+          throw new Error('Invalid request: Unknown number');
+        }
+        return { messageId: 'msg-1', status: 'sent' };
+      });
+
+      const result = await service.sendDigestNotification([{ date: new Date(2024, 9, 15), associates }], 7);
+
+      expect(result.success).toBe(false);
+      expect(result.deliveryStatus).toBe('partial');
+      expect(result.messageId).toBe('msg-1');
+      expect(result.error).toBe('Invalid request: Unknown number');
+      expect(result.results[0].success).toBe(true);
+      expect(result.results[1]).toMatchObject({ recipient: '+447700900123', success: false, attempts: 1 });
+    });
+
+    it('should report failure when no recipient is reached', async () => {
+      vi.spyOn(service, 'sendSMS').mockRejectedValue(new Error('Network error: Unable to reach SMS API'));
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(result.success).toBe(false);
+      expect(result.deliveryStatus).toBe('failed');
+      expect(result.error).toBe('Network error: Unable to reach SMS API');
+      expect(result.attempts).toBe(6);
+    });
+
+    it('should describe delivery across recipients', () => {
+      expect(SMSService.getDeliveryStatus(2, 2)).toBe('delivered');
+      expect(SMSService.getDeliveryStatus(1, 2)).toBe('partial');
+      expect(SMSService.getDeliveryStatus(0, 2)).toBe('failed');
+    });
+  });
+
+  describe('Birthday Wishes', () => {
+    beforeEach(() => {
+      service = new SMSService(config);
+      vi.spyOn(service, 'delay').mockResolvedValue();
+    });
+
+    it('should greet the associate by first name when known', () => {
+      const associate = new Associate('Ravi Kumar', new Date('1985-10-14'), 2, { firstName: 'Ravi' });
+
+      expect(service.formatBirthdayWish(associate)).toBe('Happy Birthday, Ravi! Wishing you a wonderful year ahead.');
+    });
+
+    it('should greet the associate by full name otherwise', () => {
+      const associate = new Associate('Ravi Kumar', new Date('1985-10-14'), 2);
+
+      expect(service.formatBirthdayWish(associate)).toBe('Happy Birthday, Ravi Kumar! Wishing you a wonderful year ahead.');
+    });
+
+    it('should send the wish to the associate instead of the recipients', async () => {
+      const associate = new Associate('Ravi Kumar', new Date('1985-10-14'), 2);
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockResolvedValue({ messageId: 'wish-1', status: 'sent' });
+
+      const result = await service.sendBirthdayWish(associate, '+919876543210');
+
+      expect(result.success).toBe(true);
+      expect(result.results.map(entry => entry.recipient)).toEqual(['+919876543210']);
+      expect(sendSMSSpy).toHaveBeenCalledTimes(1);
+      expect(sendSMSSpy).toHaveBeenCalledWith('Happy Birthday, Ravi Kumar! Wishing you a wonderful year ahead.', '+919876543210', service.provider);
+    });
+  });
+
+  describe('Message Templates', () => {
+    const associates = [
+      new Associate('Ravi Kumar', new Date(1985, 9, 14), 2, { firstName: 'Ravi', department: 'Engineering' }),
+      new Associate('Anita Rao', new Date(1992, 9, 14), 3)
+    ];
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(2024, 9, 14, 9, 0));
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should format notifications with configured templates', () => {
+      service = new SMSService({
+        ...config,
+        messageTemplates: MessageTemplates.fromDefinition({
+          birthday: '{{count}} {{#if count == 1}}birthday{{else}}birthdays{{/if}} on {{date}}:\n{{#each associates}}\n- {{name}} ({{age}}){{#if department}}, {{department}}{{/if}}\n{{/each}}',
+          wish: 'Dear {{firstName}}, happy {{age}}th birthday!'
+        })
+      });
+
+      expect(service.formatMessage(associates)).toBe('2 birthdays on Mon 14 Oct:\n- Ravi Kumar (39), Engineering\n- Anita Rao (32)');
+      expect(service.formatBirthdayWish(associates[0])).toBe('Dear Ravi, happy 39th birthday!');
+    });
+
+    it('should give the age of a 29 February birthday on the day the leap day policy celebrates it', () => {
+      service = new SMSService({
+        ...config,
+        leapDayPolicy: 'feb28',
+        messageTemplates: MessageTemplates.fromDefinition({ wish: 'Dear {{firstName}}, happy {{age}}th birthday!' })
+      });
+      const leapling = new Associate('Leap Day', new Date(1996, 1, 29), 2, { firstName: 'Leap' });
+
+      expect(service.formatBirthdayWish(leapling, null, { date: new Date(2025, 1, 28) })).toBe('Dear Leap, happy 29th birthday!');
+    });
+
+    it('should format each recipient\'s message with their own template', async () => {
+      service = new SMSService({
+        ...config,
+        recipientMobileNumbers: ['+1234567890', '+447700900123'],
+        messageTemplates: MessageTemplates.fromDefinition({
+          recipients: { '+447700900123': { birthday: 'Birthdays: {{#each associates}}{{firstName}}{{/each}}' } }
+        })
+      });
+      vi.spyOn(service, 'delay').mockResolvedValue();
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockResolvedValue({ messageId: 'msg-1', status: 'sent' });
+
+      await service.sendBirthdayNotification([associates[0]]);
+
+      expect(sendSMSSpy).toHaveBeenCalledWith('Birthday Alert! Today\'s birthdays:\n- Ravi Kumar', '+1234567890', service.provider);
+      expect(sendSMSSpy).toHaveBeenCalledWith('Birthdays: Ravi', '+447700900123', service.provider);
+    });
+
+    it('should format custom events with the event type\'s template', () => {
+      const wedding = new EventType({ id: 'weddingAnniversary', label: 'Wedding anniversaries' });
+      service = new SMSService({
+        ...config,
+        messageTemplates: MessageTemplates.fromDefinition({
+          events: { weddingAnniversary: '{{label}}: {{#each occurrences}}{{name}} ({{years}}){{#unless @last}}, {{/unless}}{{/each}}' }
+        })
+      });
+      const occurrences = associates.map(associate => ({ associate, date: new Date(2024, 9, 14), years: 5, rolledOver: false }));
+
+      expect(service.formatEventMessage(wedding, occurrences)).toBe('Wedding anniversaries: Ravi Kumar (5), Anita Rao (5)');
+    });
+  });
+
+  describe('Languages', () => {
+    const templates = MessageTemplates.fromDefinition({
+      locales: {
+        de: {
+          wish: 'Alles Gute zum Geburtstag, {{name}}!',
+          digest: 'Geburtstage (nächste {{days}} Tage):\n{{#each upcoming}}\n{{date}}: {{#each associates}}{{name}}{{/each}}\n{{/each}}',
+          anniversary: 'Dienstjubiläen:\n{{#each anniversaries}}\n- {{name}}: {{years}} Jahre {{when}}\n{{/each}}',
+          event: '{{label}}:\n{{#each occurrences}}\n- {{name}}: {{years}} Jahre {{when}}\n{{/each}}',
+          when: '{{#if today}}heute{{else}}am {{date}}{{/if}}'
+        }
+      }
+    });
+
+    beforeEach(() => {
+      vi.useFakeTimers({ toFake: ['Date'] });
+      vi.setSystemTime(new Date(2024, 9, 14, 9, 0));
+      service = new SMSService({
+        ...config,
+        recipientMobileNumbers: ['+1234567890', '+4915112345678'],
+        recipientLocales: { '+4915112345678': 'de-DE' },
+        messageTemplates: templates
+      });
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should write wishes in the associate\'s language', () => {
+      const anna = new Associate('Anna Schmidt', new Date(1990, 9, 14), 2, { locale: 'de-DE' });
+      const ravi = new Associate('Ravi Kumar', new Date(1985, 9, 14), 3, { locale: 'hi-IN' });
+
+      expect(service.formatBirthdayWish(anna)).toBe('Alles Gute zum Geburtstag, Anna Schmidt!');
+      expect(service.formatBirthdayWish(ravi)).toBe('Happy Birthday, Ravi Kumar! Wishing you a wonderful year ahead.');
+    });
+
+    it('should write notifications in the recipient\'s language with localised dates', () => {
+      const upcoming = [{ date: new Date(2024, 9, 15), associates: [new Associate('Anna Schmidt', new Date(1990, 9, 15), 2)] }];
+
+      expect(service.formatDigestMessage(upcoming, 7, '+4915112345678')).toBe('Geburtstage (nächste 7 Tage):\nDi., 15. Okt.: Anna Schmidt');
+      expect(service.formatDigestMessage(upcoming, 7, '+1234567890')).toBe('Upcoming birthdays (next 7 days):\nTue 15 Oct:\n- Anna Schmidt');
+    });
+
+    it('should format dates in the default language when a translation is missing', () => {
+      const rolledOver = [{ date: new Date(2024, 9, 12), associates: [new Associate('Priya', new Date(1990, 9, 12), 2)] }];
+
+      expect(service.formatMessage([], rolledOver, [], '+4915112345678')).toBe('Birthday Alert! Weekend and holiday birthdays:\n- Sat 12 Oct: Priya');
+    });
+
+    it('should say when anniversaries and events happen in the recipient\'s language', () => {
+      const ravi = new Associate('Ravi Kumar', new Date(1985, 3, 2), 3, { dateOfJoining: new Date(2014, 9, 12) });
+      const anniversaries = [{ associate: ravi, date: new Date(2024, 9, 12), years: 10, rolledOver: true }];
+      const wedding = new EventType({ id: 'weddingAnniversary', label: 'Wedding anniversaries' });
+      const occurrences = [{ associate: ravi, date: new Date(2024, 9, 14), years: 5, rolledOver: false }];
+
+      expect(service.formatAnniversaryMessage(anniversaries, '+4915112345678')).toBe('Dienstjubiläen:\n- Ravi Kumar: 10 Jahre am Sa., 12. Okt.');
+      expect(service.formatAnniversaryMessage(anniversaries, '+1234567890')).toContain('Ravi Kumar – 10 years on Sat 12 Oct');
+      expect(service.formatEventMessage(wedding, occurrences, '+4915112345678')).toBe('Wedding anniversaries:\n- Ravi Kumar: 5 Jahre heute');
+      expect(service.formatEventMessage(wedding, occurrences, '+4915112345678', { belated: true }))
+        .toBe('Wedding anniversaries:\n- Ravi Kumar: 5 Jahre am Mo., 14. Okt.');
+    });
+
+    it('should find the language of recipients written as national numbers', () => {
+      const national = new SMSService({
+        ...config,
+        defaultCountryCode: '+49',
+        recipientLocales: { '+4915112345678': 'de-DE' },
+        messageTemplates: templates
+      });
+
+      expect(national.getRecipientLocale('015112345678')).toBe('de-DE');
+    });
+  });
+
+  describe('Message Segments', () => {
+    const associates = Array.from({ length: 20 }, (_, index) =>
+      new Associate(`Associate Number ${String(index + 1).padStart(2, '0')}`, new Date(1990, 9, 14), index + 2)
+    );
+
+    beforeEach(() => {
+      service = new SMSService({ ...config, smsMaxSegments: 1 });
+      vi.spyOn(service, 'delay').mockResolvedValue();
+    });
+
+    it('should not split messages when there is no segment limit', () => {
+      service = new SMSService(config);
+      const message = service.formatMessage(associates);
+
+      expect(service.splitMessage(message)).toEqual([message]);
+    });
+
+    it('should not split messages that fit the segment limit', () => {
+      expect(service.splitMessage('Birthday Alert! Today\'s birthdays:\n- John Doe')).toEqual(['Birthday Alert! Today\'s birthdays:\n- John Doe']);
+    });
+
+    it('should split long messages into numbered parts that each fit the limit', () => {
+      const parts = service.splitMessage(service.formatMessage(associates));
+
+      expect(parts).toHaveLength(4);
+      expect(parts[0]).toBe([
+        '(1/4) Birthday Alert! Today\'s birthdays:',
+        '- Associate Number 01',
+        '- Associate Number 02',
+        '- Associate Number 03',
+        '- Associate Number 04',
+        '- Associate Number 05'
+      ].join('\n'));
+      expect(parts[3].startsWith('(4/4) Birthday Alert! Today\'s birthdays:\n- Associate Number 16')).toBe(true);
+      parts.forEach(part => expect(part.length).toBeLessThanOrEqual(160));
+    });
+
+    it('should abbreviate long messages when configured to', () => {
+      service = new SMSService({ ...config, smsMaxSegments: 1, smsSegmentOverflow: 'abbreviate' });
+
+      const [message, ...rest] = service.splitMessage(service.formatMessage(associates));
+
+      expect(rest).toHaveLength(0);
+      expect(message.split('\n')).toEqual([
+        'Birthday Alert! Today\'s birthdays:',
+        '- Associate Number 01',
+        '- Associate Number 02',
+        '- Associate Number 03',
+        '- Associate Number 04',
+        '- Associate Number 05',
+        '+15 more'
+      ]);
+    });
+
+    it('should not count headings as omitted entries', () => {
+      service = new SMSService({ ...config, smsMaxSegments: 1, smsSegmentOverflow: 'abbreviate' });
+
+      expect(service.formatMoreLine(['- Anna', 'Work anniversaries:', '- Ravi – 5 years today', ''])).toBe('+2 more');
+    });
+
+    it('should send each part and report the segments used', async () => {
+      let count = 0;
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockImplementation(async () => ({ messageId: `msg-${++count}`, status: 'sent' }));
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(sendSMSSpy).toHaveBeenCalledTimes(4);
+      expect(sendSMSSpy.mock.calls[1][0].startsWith('(2/4)')).toBe(true);
+      expect(result.success).toBe(true);
+      expect(result.messageId).toBe('msg-1');
+      expect(result.attempts).toBe(4);
+      expect(result.results[0]).toMatchObject({ parts: 4, segments: 4, encoding: 'GSM-7' });
+    });
+
+    it('should stop sending parts after one fails', async () => {
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockImplementation(async (message) => {
+        if (message.startsWith('(2/4)')) {
+          throw new Error('Invalid request: Message rejected');
+        }
+        return { messageId: 'msg-1', status: 'sent' };
+      });
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(sendSMSSpy.mock.calls.map(([message]) => message.substring(0, 5))).toEqual(['(1/4)', '(2/4)']);
+      expect(result.attempts).toBe(2);
+      expect(result.success).toBe(false);
+      expect(result.messageId).toBeUndefined();
+      expect(result.error).toContain('Message rejected');
+    });
+
+    it('should report UCS-2 when the message needs it', async () => {
+      service = new SMSService(config);
+      vi.spyOn(service, 'sendSMS').mockResolvedValue({ messageId: 'msg-1', status: 'sent' });
+
+      const result = await service.sendBirthdayNotification([new Associate('Łukasz Nowak', new Date(1990, 9, 14), 2)]);
+
+      expect(result.results[0]).toMatchObject({ parts: 1, segments: 1, encoding: 'UCS-2' });
+    });
+  });
+
+  describe('Dry Run', () => {
+    beforeEach(() => {
+      service = new SMSService({ ...config, recipientMobileNumbers: ['+1234567890', '+447700900123'], smsMaxSegments: 1 });
+    });
+
+    it('should render and measure the message for each recipient without sending it', async () => {
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS');
+
+      const result = await service.sendBirthdayNotification([new Associate('José Müller', new Date(1990, 9, 14), 2)], [], [], { dryRun: true });
+
+      expect(sendSMSSpy).not.toHaveBeenCalled();
+      expect(result.results.map(delivery => delivery.recipient)).toEqual(['+1234567890', '+447700900123']);
+      expect(result.results[0]).toMatchObject({
+        success: true,
+        dryRun: true,
+        texts: ['Birthday Alert! Today\'s birthdays:\n- José Müller'],
+        parts: 1,
+        segments: 1,
+        encoding: 'GSM-7'
+      });
+    });
+
+    it('should timestamp sends by the clock', async () => {
+      service = new SMSService({ ...config, clock: () => new Date(2024, 9, 14, 9, 0) });
+
+      const result = await service.sendBirthdayWish(new Associate('Ravi Kumar', new Date(1985, 9, 14), 2), '+919876543210', { dryRun: true });
+
+      expect(result.timestamp).toEqual(new Date(2024, 9, 14, 9, 0));
+    });
+
+    it('should not write dry runs to the outbox', async () => {
+      service.outbox = { add: vi.fn() };
+
+      await service.sendBirthdayWish(new Associate('Ravi Kumar', new Date(1985, 9, 14), 2), '+919876543210', { dryRun: true });
+
+      expect(service.outbox.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('SMS Outbox', () => {
+    const testOutboxDir = './sms-outbox-test';
+    const associates = [new Associate('John Doe', new Date('1990-05-15'), 2)];
+    let outbox;
+
+    beforeEach(() => {
+      outbox = new SMSOutbox(null, { filePath: path.join(testOutboxDir, 'outbox.json') });
+      service = new SMSService({ ...config, outbox });
+      vi.spyOn(service, 'delay').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      fs.rmSync(testOutboxDir, { recursive: true, force: true });
+    });
+
+    it('should record delivered messages as sent', async () => {
+      vi.spyOn(service, 'sendSMS').mockResolvedValue({ messageId: 'msg-1', status: 'sent' });
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(result.success).toBe(true);
+      expect(result.messageId).toBe('msg-1');
+      expect(await outbox.list()).toEqual([expect.objectContaining({ state: 'sent', recipient: '+1234567890', messageId: 'msg-1' })]);
+    });
+
+    it('should queue messages that fail with a retriable error for another attempt', async () => {
+      vi.spyOn(service, 'sendSMS').mockRejectedValue(new Error('Network error'));
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(result.success).toBe(false);
+      expect(result.results[0].queued).toBe(true);
+      expect(result.results[0].outboxState).toBe('failed');
+      expect(result.results[0].nextAttemptAt).toBeInstanceOf(Date);
+      expect(await outbox.list('failed')).toHaveLength(1);
+    });
+
+    it('should not queue messages that fail with an error that is not retriable', async () => {
+      vi.spyOn(service, 'sendSMS').mockRejectedValue(new Error('Authentication failed: Invalid API key'));
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(result.results[0].queued).toBe(false);
+      expect(result.results[0].outboxState).toBe('dead');
+      expect(await outbox.list('dead')).toHaveLength(1);
+    });
+
+    it('should move messages the gateway rejects straight to dead', async () => {
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockRejectedValue(
+        Object.assign(new Error('Message rejected: Invalid number'), { retriable: false })
+      );
+
+      const result = await service.sendBirthdayNotification(associates);
+
+      expect(sendSMSSpy).toHaveBeenCalledTimes(1);
+      expect(result.results[0].outboxState).toBe('dead');
+      expect(await outbox.list('dead')).toEqual([expect.objectContaining({ attempts: 1, lastError: 'Message rejected: Invalid number' })]);
+    });
+
+    it('should send due messages when draining, resuming after the parts already sent', async () => {
+      const message = await outbox.add('+1234567890', ['Part 1', 'Part 2'], new Date());
+      await outbox.complete(message.id, { success: false, error: 'Network error', retriable: true, partsSent: 1 }, new Date(Date.now() - 60 * 60 * 1000));
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS').mockResolvedValue({ messageId: 'msg-2', status: 'sent' });
+
+      const results = await service.drainOutbox();
+
+      expect(sendSMSSpy).toHaveBeenCalledTimes(1);
+      expect(sendSMSSpy).toHaveBeenCalledWith('Part 2', '+1234567890', expect.anything());
+      expect(results).toEqual([expect.objectContaining({ recipient: '+1234567890', success: true, outboxId: message.id })]);
+      expect((await outbox.list())[0]).toMatchObject({ state: 'sent', partsSent: 2 });
+    });
+
+    it('should not send messages whose next attempt is not due', async () => {
+      const message = await outbox.add('+1234567890', ['Hello'], new Date());
+      await outbox.complete(message.id, { success: false, error: 'Network error', retriable: true }, new Date());
+      const sendSMSSpy = vi.spyOn(service, 'sendSMS');
+
+      expect(await service.drainOutbox()).toEqual([]);
+      expect(sendSMSSpy).not.toHaveBeenCalled();
+    });
   });
 
   describe('Edge Cases', () => {
@@ -1,6 +1,10 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import Scheduler from '../src/services/Scheduler.js';
 import BirthdayCheckService from '../src/services/BirthdayCheckService.js';
+import DateKey from '../src/utils/DateKey.js';
+import cron from 'node-cron';
+import fs from 'fs';
+import path from 'path';
 
 // Mock node-cron
 vi.mock('node-cron', () => ({
@@ -122,6 +126,307 @@ describe('Scheduler', () => {
     });
   });
 
+  describe('Weekly Digest', () => {
+    it('should convert day and time to a weekly cron expression', () => {
+      scheduler = new Scheduler({ scheduledTime: '09:00', logger: mockLogger });
+      expect(scheduler.weeklyCronExpression('monday', '08:30')).toBe('30 08 * * 1');
+      expect(scheduler.weeklyCronExpression('Sunday', '18:00')).toBe('00 18 * * 0');
+    });
+
+    it('should schedule the digest alongside the daily check', async () => {
+      scheduler = new Scheduler({
+        scheduledTime: '09:00',
+        logger: mockLogger,
+        digestEnabled: true,
+        digestDay: 'monday',
+        digestTime: '08:00'
+      });
+
+      BirthdayCheckService.mockImplementation(function() {
+        this.initialize = vi.fn().mockResolvedValue(undefined);
+      });
+
+      await scheduler.start();
+
+      expect(cron.schedule).toHaveBeenCalledTimes(2);
+      expect(cron.schedule).toHaveBeenCalledWith('00 09 * * *', expect.any(Function), expect.any(Object));
+      expect(cron.schedule).toHaveBeenCalledWith('00 08 * * 1', expect.any(Function), expect.any(Object));
+
+      scheduler.stop();
+      expect(scheduler.digestCronJob).toBeNull();
+    });
+
+    it('should not schedule the digest when disabled', async () => {
+      scheduler = new Scheduler({ scheduledTime: '09:00', logger: mockLogger });
+
+      BirthdayCheckService.mockImplementation(function() {
+        this.initialize = vi.fn().mockResolvedValue(undefined);
+      });
+
+      await scheduler.start();
+
+      expect(cron.schedule).toHaveBeenCalledTimes(1);
+    });
+
+    it('should reject an invalid digest day', async () => {
+      scheduler = new Scheduler({ scheduledTime: '09:00', logger: mockLogger, digestEnabled: true, digestDay: 'someday' });
+
+      await expect(scheduler.initialize()).rejects.toThrow('Invalid digest day');
+    });
+
+    it('should run the digest manually', async () => {
+      scheduler = new Scheduler({ scheduledTime: '09:00', logger: mockLogger });
+
+      const mockResult = { totalAssociatesChecked: 5, upcomingBirthdays: [], notificationSent: false, errors: [] };
+      BirthdayCheckService.mockImplementation(function() {
+        this.initialize = vi.fn().mockResolvedValue(undefined);
+        this.performDigestCheck = vi.fn().mockResolvedValue(mockResult);
+      });
+
+      const result = await scheduler.runDigestNow();
+
+      expect(result).toEqual(mockResult);
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Manual birthday digest triggered');
+    });
+  });
+
+  describe('SMS Outbox', () => {
+    let mockDrainOutbox;
+
+    beforeEach(() => {
+      mockDrainOutbox = vi.fn().mockResolvedValue([]);
+      BirthdayCheckService.mockImplementation(function() {
+        this.initialize = vi.fn().mockResolvedValue(undefined);
+        this.outbox = {};
+        this.drainOutbox = mockDrainOutbox;
+      });
+    });
+
+    it('should send messages left in the outbox on start and retry queued messages every 5 minutes', async () => {
+      scheduler = new Scheduler({ scheduledTime: '09:00', logger: mockLogger });
+
+      await scheduler.start();
+
+      expect(mockDrainOutbox).toHaveBeenCalledWith({ recover: true });
+      expect(cron.schedule).toHaveBeenCalledTimes(2);
+      expect(cron.schedule).toHaveBeenCalledWith('*/5 * * * *', expect.any(Function), expect.any(Object));
+
+      await cron.schedule.mock.calls[1][1]();
+      expect(mockDrainOutbox).toHaveBeenLastCalledWith();
+
+      scheduler.stop();
+      expect(scheduler.outboxCronJob).toBeNull();
+    });
+
+    it('should keep running when sending from the outbox fails', async () => {
+      scheduler = new Scheduler({ scheduledTime: '09:00', logger: mockLogger });
+      await scheduler.initialize();
+      mockDrainOutbox.mockRejectedValue(new Error('Failed to read SMS outbox outbox.json: Unexpected token'));
+
+      await expect(scheduler.executeOutboxTask()).resolves.toBeUndefined();
+      expect(mockLogger.log).toHaveBeenCalledWith('ERROR', 'SMS outbox task failed: Failed to read SMS outbox outbox.json: Unexpected token');
+    });
+  });
+
+  describe('Catch-up of Missed Days', () => {
+    const testStateDir = './scheduler-state-test';
+    const stateFile = path.join(testStateDir, 'state.json');
+    let mockPerformDailyCheck;
+
+    const writeState = lastSuccessfulRun => {
+      fs.mkdirSync(testStateDir, { recursive: true });
+      fs.writeFileSync(stateFile, JSON.stringify({ version: 1, lastSuccessfulRun }));
+    };
+
+    const createScheduler = async (options = {}) => {
+      scheduler = new Scheduler({ scheduledTime: '09:00', logger: mockLogger, stateFile, ...options });
+      await scheduler.initialize();
+      return scheduler;
+    };
+
+    beforeEach(() => {
+      mockPerformDailyCheck = vi.fn().mockResolvedValue({ errors: [] });
+      BirthdayCheckService.mockImplementation(function() {
+        this.initialize = vi.fn().mockResolvedValue(undefined);
+        this.performDailyCheck = mockPerformDailyCheck;
+      });
+    });
+
+    afterEach(() => {
+      fs.rmSync(testStateDir, { recursive: true, force: true });
+    });
+
+    it('should list the days missed since the last successful check', async () => {
+      writeState('2024-10-11');
+      await createScheduler();
+
+      const before = scheduler.getMissedDays(new Date(2024, 9, 14, 8, 0));
+      const after = scheduler.getMissedDays(new Date(2024, 9, 14, 10, 0));
+
+      expect(before).toEqual([new Date(2024, 9, 12), new Date(2024, 9, 13)]);
+      expect(after).toEqual([new Date(2024, 9, 12), new Date(2024, 9, 13), new Date(2024, 9, 14)]);
+    });
+
+    it('should run belated checks for missed days and record them', async () => {
+      writeState('2024-10-12');
+      await createScheduler();
+
+      const results = await scheduler.catchUp(new Date(2024, 9, 14, 8, 0));
+
+      expect(results.map(({ date }) => date)).toEqual([new Date(2024, 9, 13)]);
+      expect(mockPerformDailyCheck).toHaveBeenCalledWith({ date: new Date(2024, 9, 13), belated: true });
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).lastSuccessfulRun).toBe('2024-10-13');
+    });
+
+    it('should run a missed check for today as a normal check', async () => {
+      writeState('2024-10-13');
+      await createScheduler();
+
+      await scheduler.catchUp(new Date(2024, 9, 14, 10, 0));
+
+      expect(mockPerformDailyCheck).toHaveBeenCalledTimes(1);
+      expect(mockPerformDailyCheck).toHaveBeenCalledWith();
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).lastSuccessfulRun).toBe('2024-10-14');
+    });
+
+    it('should only catch up the most recent days within the lookback', async () => {
+      writeState('2024-10-01');
+      await createScheduler({ catchUpMaxDays: 2 });
+
+      const results = await scheduler.catchUp(new Date(2024, 9, 14, 8, 0));
+
+      expect(results.map(({ date }) => date)).toEqual([new Date(2024, 9, 12), new Date(2024, 9, 13)]);
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN',
+        'Missed 12 day(s) since Tue Oct 01 2024; only the last 2 are caught up (CATCH_UP_MAX_DAYS)');
+    });
+
+    it('should not record a day whose check had errors', async () => {
+      writeState('2024-10-12');
+      mockPerformDailyCheck.mockResolvedValue({ errors: ['SMS notification failed: Network error'] });
+      await createScheduler();
+
+      await scheduler.catchUp(new Date(2024, 9, 14, 8, 0));
+
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).lastSuccessfulRun).toBe('2024-10-12');
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'Catch-up check for Sun Oct 13 2024 completed with 1 error(s)');
+    });
+
+    it('should take today from the clock', async () => {
+      writeState('2024-10-12');
+      const clock = () => new Date(2024, 9, 14, 10, 0);
+      await createScheduler({ clock });
+
+      await scheduler.catchUp();
+      await scheduler.runNow();
+
+      expect(BirthdayCheckService).toHaveBeenCalledWith(mockLogger, { clock });
+      expect(mockPerformDailyCheck).toHaveBeenCalledWith({ date: new Date(2024, 9, 13), belated: true });
+      expect(mockPerformDailyCheck).toHaveBeenCalledTimes(3);
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).lastSuccessfulRun).toBe('2024-10-14');
+    });
+
+    it('should count today as missed from its scheduled minute', async () => {
+      writeState('2024-10-13');
+      await createScheduler();
+
+      expect(scheduler.getMissedDays(new Date(2024, 9, 14, 9, 0, 30))).toEqual([new Date(2024, 9, 14)]);
+    });
+
+    it('should stop at the first day whose check had errors', async () => {
+      writeState('2024-10-11');
+      mockPerformDailyCheck.mockResolvedValueOnce({ errors: ['SMS notification failed: Network error'] });
+      await createScheduler();
+
+      const results = await scheduler.catchUp(new Date(2024, 9, 14, 10, 0));
+
+      expect(results.map(({ date }) => date)).toEqual([new Date(2024, 9, 12)]);
+      expect(mockPerformDailyCheck).toHaveBeenCalledTimes(1);
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).lastSuccessfulRun).toBe('2024-10-11');
+    });
+
+    it('should retry a failed catch-up at the next scheduled check', async () => {
+      writeState(DateKey.format(new Date(Date.now() - 3 * 24 * 60 * 60 * 1000)));
+      mockPerformDailyCheck.mockResolvedValueOnce({ errors: ['SMS notification failed: Network error'] });
+      await createScheduler({ scheduledTime: '00:00' });
+      await scheduler.catchUp(new Date());
+
+      await scheduler.runNow();
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).lastSuccessfulRun)
+        .toBe(DateKey.format(new Date(Date.now() - 3 * 24 * 60 * 60 * 1000)));
+
+      await scheduler.executeTask();
+
+      expect(mockPerformDailyCheck).toHaveBeenCalledTimes(5);
+      expect(mockPerformDailyCheck).toHaveBeenLastCalledWith();
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).lastSuccessfulRun).toBe(DateKey.format(new Date()));
+      expect(scheduler.failedCatchUpDay).toBeNull();
+    });
+
+    it('should not catch up before a first successful check is recorded', async () => {
+      await createScheduler();
+
+      const results = await scheduler.catchUp(new Date(2024, 9, 14, 10, 0));
+
+      expect(results).toEqual([]);
+      expect(mockPerformDailyCheck).not.toHaveBeenCalled();
+    });
+
+    it('should not catch up when the lookback is 0', async () => {
+      writeState('2024-10-12');
+      await createScheduler({ catchUpMaxDays: 0 });
+
+      expect(await scheduler.catchUp(new Date(2024, 9, 14, 10, 0))).toEqual([]);
+    });
+
+    it('should record successful scheduled checks', async () => {
+      await createScheduler();
+
+      await scheduler.executeTask();
+
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).lastSuccessfulRun).toBe(DateKey.format(new Date()));
+    });
+
+    it('should word manual checks of earlier days as belated', async () => {
+      await createScheduler();
+      const yesterday = new Date(new Date().getFullYear(), new Date().getMonth(), new Date().getDate() - 1);
+      const tomorrow = new Date(new Date().getFullYear(), new Date().getMonth(), new Date().getDate() + 1);
+
+      await scheduler.runNow({ date: yesterday });
+      await scheduler.runNow({ date: tomorrow, dryRun: true });
+      await scheduler.runNow({ date: yesterday, belated: false });
+
+      expect(mockPerformDailyCheck).toHaveBeenNthCalledWith(1, { date: yesterday, belated: true });
+      expect(mockPerformDailyCheck).toHaveBeenNthCalledWith(2, { date: tomorrow, dryRun: true });
+      expect(mockPerformDailyCheck).toHaveBeenNthCalledWith(3, { date: yesterday, belated: false });
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', `Checking ${yesterday.toDateString()} instead of today`);
+    });
+
+    it('should record a manual check of today given as a date', async () => {
+      await createScheduler();
+
+      await scheduler.runNow({ date: new Date() });
+
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).lastSuccessfulRun).toBe(DateKey.format(new Date()));
+    });
+
+    it('should not record dry runs or manual checks of other days', async () => {
+      await createScheduler();
+
+      await scheduler.runNow({ dryRun: true });
+      await scheduler.runNow({ date: new Date(2024, 9, 14) });
+
+      expect(mockPerformDailyCheck).toHaveBeenCalledWith({ dryRun: true });
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Manual birthday check triggered (dry run)');
+      expect(fs.existsSync(stateFile)).toBe(false);
+    });
+
+    it('should reject a state file without a valid date', async () => {
+      writeState('yesterday');
+
+      await expect(createScheduler()).rejects.toThrow('Failed to read scheduler state');
+    });
+  });
+
   describe('Manual Execution', () => {
     it('should run birthday check manually', async () => {
       scheduler = new Scheduler({ scheduledTime: '09:00', logger: mockLogger });
@@ -146,5 +451,20 @@ describe('Scheduler', () => {
       expect(result).toEqual(mockResult);
       expect(mockLogger.log).toHaveBeenCalledWith('INFO', 'Manual birthday check triggered');
     });
+
+    it('should pass the force option to the birthday check', async () => {
+      scheduler = new Scheduler({ scheduledTime: '09:00', logger: mockLogger });
+
+      const mockPerformDailyCheck = vi.fn().mockResolvedValue({ errors: [] });
+
+      BirthdayCheckService.mockImplementation(function() {
+        this.initialize = vi.fn().mockResolvedValue(undefined);
+        this.performDailyCheck = mockPerformDailyCheck;
+      });
+
+      await scheduler.runNow({ force: true });
+
+      expect(mockPerformDailyCheck).toHaveBeenCalledWith({ force: true });
+    });
   });
 });
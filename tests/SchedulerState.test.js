@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import SchedulerState from '../src/services/SchedulerState.js';
+import fs from 'fs';
+import path from 'path';
+
+describe('SchedulerState', () => {
+  const testStateDir = './scheduler-state-unit-test';
+  const stateFile = path.join(testStateDir, 'state.json');
+  let state;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = { log: vi.fn() };
+    state = new SchedulerState(mockLogger, { filePath: stateFile });
+  });
+
+  afterEach(() => {
+    fs.rmSync(testStateDir, { recursive: true, force: true });
+  });
+
+  describe('load and recordSuccessfulRun', () => {
+    it('should start without a last run when the file does not exist', async () => {
+      await state.load();
+
+      expect(state.lastSuccessfulRun).toBeNull();
+      expect(mockLogger.log).toHaveBeenCalledWith('INFO', expect.stringContaining('Scheduler state not found'));
+    });
+
+    it('should keep the last successful run across instances', async () => {
+      await state.recordSuccessfulRun(new Date(2024, 9, 14, 9, 0));
+
+      const reloaded = new SchedulerState(mockLogger, { filePath: stateFile });
+      await reloaded.load();
+
+      expect(reloaded.lastSuccessfulRun).toEqual(new Date(2024, 9, 14));
+      expect(fs.readdirSync(testStateDir)).toEqual(['state.json']);
+    });
+
+    it('should not move the last successful run backwards', async () => {
+      await state.recordSuccessfulRun(new Date(2024, 9, 14));
+      await state.recordSuccessfulRun(new Date(2024, 9, 12));
+
+      expect(JSON.parse(fs.readFileSync(stateFile, 'utf8')).lastSuccessfulRun).toBe('2024-10-14');
+    });
+
+    it('should throw a descriptive error for a corrupt file', async () => {
+      fs.mkdirSync(testStateDir, { recursive: true });
+      fs.writeFileSync(stateFile, '{ not json');
+
+      await expect(state.load()).rejects.toThrow(`Failed to read scheduler state ${path.resolve(stateFile)}`);
+    });
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import WorkingDayCalendar from '../src/services/WorkingDayCalendar.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const fixturesDir = path.join(__dirname, 'fixtures');
+
+describe('WorkingDayCalendar', () => {
+  let calendar;
+  let mockLogger;
+
+  beforeEach(() => {
+    mockLogger = {
+      log: vi.fn()
+    };
+    calendar = new WorkingDayCalendar(mockLogger);
+  });
+
+  describe('isWorkingDay', () => {
+    it('should treat Saturday and Sunday as non-working days by default', () => {
+      expect(calendar.isWorkingDay(new Date(2024, 9, 11))).toBe(true); // Friday
+      expect(calendar.isWorkingDay(new Date(2024, 9, 12))).toBe(false); // Saturday
+      expect(calendar.isWorkingDay(new Date(2024, 9, 13))).toBe(false); // Sunday
+      expect(calendar.isWorkingDay(new Date(2024, 9, 14))).toBe(true); // Monday
+    });
+
+    it('should use configured weekend days', () => {
+      calendar = new WorkingDayCalendar(null, { weekendDays: ['Friday', 'Saturday'] });
+
+      expect(calendar.isWorkingDay(new Date(2024, 9, 11))).toBe(false);
+      expect(calendar.isWorkingDay(new Date(2024, 9, 13))).toBe(true);
+    });
+
+    it('should treat holidays as non-working days', () => {
+      calendar.addHoliday(new Date(2024, 9, 14), 'Office Closure');
+      calendar.addHoliday(new Date(2000, 0, 26), 'Republic Day', true);
+
+      expect(calendar.isWorkingDay(new Date(2024, 9, 14))).toBe(false);
+      expect(calendar.isWorkingDay(new Date(2025, 9, 14))).toBe(true);
+      expect(calendar.isWorkingDay(new Date(2027, 0, 26))).toBe(false);
+      expect(calendar.getHoliday(new Date(2027, 0, 26))).toBe('Republic Day');
+    });
+  });
+
+  describe('getRolledOverDates', () => {
+    it('should announce the following weekend on Friday with the previous rollover', () => {
+      const dates = calendar.getRolledOverDates(new Date(2024, 9, 11), 'previous');
+
+      expect(dates).toEqual([new Date(2024, 9, 12), new Date(2024, 9, 13)]);
+    });
+
+    it('should announce the preceding weekend on Monday with the next rollover', () => {
+      const dates = calendar.getRolledOverDates(new Date(2024, 9, 14), 'next');
+
+      expect(dates).toEqual([new Date(2024, 9, 12), new Date(2024, 9, 13)]);
+    });
+
+    it('should include holidays next to the weekend', () => {
+      calendar.addHoliday(new Date(2024, 9, 14), 'Office Closure');
+
+      expect(calendar.getRolledOverDates(new Date(2024, 9, 11), 'previous'))
+        .toEqual([new Date(2024, 9, 12), new Date(2024, 9, 13), new Date(2024, 9, 14)]);
+      expect(calendar.getRolledOverDates(new Date(2024, 9, 15), 'next'))
+        .toEqual([new Date(2024, 9, 12), new Date(2024, 9, 13), new Date(2024, 9, 14)]);
+    });
+
+    it('should return no dates mid-week or when rollover is off', () => {
+      expect(calendar.getRolledOverDates(new Date(2024, 9, 15), 'previous')).toEqual([]);
+      expect(calendar.getRolledOverDates(new Date(2024, 9, 11), 'off')).toEqual([]);
+    });
+  });
+
+  describe('loadHolidays', () => {
+    it('should load holidays from an ICS file', async () => {
+      const count = await calendar.loadHolidays(path.join(fixturesDir, 'holidays.ics'));
+
+      expect(count).toBe(3);
+      expect(calendar.getHoliday(new Date(2030, 11, 25))).toBe('Christmas Day');
+      expect(calendar.getHoliday(new Date(2024, 9, 31))).toBe('Diwali Holidays');
+      expect(calendar.getHoliday(new Date(2024, 10, 1))).toBe('Diwali Holidays');
+      expect(calendar.getHoliday(new Date(2024, 10, 2))).toBeNull();
+      expect(calendar.getHoliday(new Date(2025, 9, 31))).toBeNull();
+    });
+
+    it('should load holidays from a CSV file and skip invalid rows', async () => {
+      const count = await calendar.loadHolidays(path.join(fixturesDir, 'holidays.csv'));
+
+      expect(count).toBe(2);
+      expect(calendar.getHoliday(new Date(2024, 9, 11))).toBe('Office Closure');
+      expect(calendar.getHoliday(new Date(2031, 0, 26))).toBe('Republic Day');
+      expect(mockLogger.log).toHaveBeenCalledWith('WARN', 'Holidays file row 4: Invalid date "someday", skipping row');
+    });
+
+    it('should throw error when the holidays file does not exist', async () => {
+      await expect(calendar.loadHolidays(path.join(fixturesDir, 'missing.ics')))
+        .rejects.toThrow('Holidays file not found');
+    });
+
+    it('should throw error for unsupported file formats', async () => {
+      await expect(calendar.loadHolidays(path.join(fixturesDir, 'valid-associates.xlsx')))
+        .rejects.toThrow('Invalid holidays file format: .xlsx');
+    });
+  });
+});
@@ -1,5 +1,6 @@
 const xlsx = require('xlsx');
 const path = require('path');
+const fs = require('fs');
 
 // Create valid Excel file with associates
 function createValidExcelFile() {
@@ -99,6 +100,223 @@ function createXlsFile() {
   console.log('✓ Created valid-associates.xls');
 }
 
+// Create HR export with a title row and columns in a non-default order
+function createHrExportFile() {
+  const data = [
+    ['Associate Roster - exported from HRIS'],
+    [],
+    ['Employee ID', 'Department', 'Last Name', 'First Name', 'Mobile', 'DOB'],
+    ['E001', 'Engineering', 'Sharma', 'Priya', '+919876543210', '1990-04-12'],
+    ['E002', 'Finance', 'Kumar', 'Ravi', '', '1985-11-03'],
+    ['E003', 'HR', '', 'Anita', '+447700900123', '1992-07-21'],
+    ['E004', 'Engineering', 'Missing', 'Dob', '', '']
+  ];
+
+  const ws = xlsx.utils.aoa_to_sheet(data);
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, ws, 'Roster');
+  xlsx.writeFile(wb, path.join(__dirname, 'hr-export.xlsx'));
+  console.log('✓ Created hr-export.xlsx');
+}
+
+// Create roster whose mobile numbers were typed as numbers, as Excel stores digits-only cells
+function createNumericMobileFile() {
+  const data = [
+    ['Name', 'Date of Birth', 'Mobile'],
+    ['Priya Sharma', '04/12/1990', 919876543210],
+    ['Ravi Kumar', '11/03/1985', '+44 7700 900123']
+  ];
+
+  const ws = xlsx.utils.aoa_to_sheet(data);
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, ws, 'Associates');
+  xlsx.writeFile(wb, path.join(__dirname, 'numeric-mobile.xlsx'));
+  console.log('✓ Created numeric-mobile.xlsx');
+}
+
+// Create file whose header row has no date of birth column
+function createMissingColumnFile() {
+  const data = [
+    ['Employee ID', 'Name', 'Department'],
+    ['E001', 'John Doe', 'Engineering']
+  ];
+
+  const ws = xlsx.utils.aoa_to_sheet(data);
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, ws, 'Associates');
+  xlsx.writeFile(wb, path.join(__dirname, 'missing-dob-column.xlsx'));
+  console.log('✓ Created missing-dob-column.xlsx');
+}
+
+// Create semicolon-delimited CSV encoded as Windows-1252, as exported by Excel in many locales
+function createSemicolonCsvFile() {
+  const content = [
+    'Name;Date of Birth;Department',
+    'José Álvarez;1990-01-15;"Sales; EMEA"',
+    '"Smith, Jane";1985-03-22;Finance',
+    'No DOB Person;;HR'
+  ].join('\r\n') + '\r\n';
+
+  fs.writeFileSync(path.join(__dirname, 'associates-semicolon.csv'), Buffer.from(content, 'latin1'));
+  console.log('✓ Created associates-semicolon.csv');
+}
+
+// Create UTF-8 CSV with byte order mark and quoted fields
+function createUtf8BomCsvFile() {
+  const content = '\uFEFF' + [
+    'Employee ID,First Name,Last Name,DOB',
+    'E001,Zoë,"Brien ""Zee""",1992-07-10',
+    'E002,Chloé,"Line',
+    'Break",1988-12-05'
+  ].join('\n') + '\n';
+
+  fs.writeFileSync(path.join(__dirname, 'associates-utf8-bom.csv'), content, 'utf8');
+  console.log('✓ Created associates-utf8-bom.csv');
+}
+
+// Create tab-separated file
+function createTsvFile() {
+  const content = [
+    'Name\tDate of Birth',
+    'John Doe\t01/15/1990',
+    'Jane Smith\t03/22/1985'
+  ].join('\n') + '\n';
+
+  fs.writeFileSync(path.join(__dirname, 'associates.tsv'), content, 'utf8');
+  console.log('✓ Created associates.tsv');
+}
+
+// Create OpenDocument spreadsheet
+function createOdsFile() {
+  const data = [
+    ['Name', 'Date of Birth'],
+    ['John Doe', '01/15/1990'],
+    ['Jane Smith', '03/22/1985']
+  ];
+
+  const ws = xlsx.utils.aoa_to_sheet(data);
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, ws, 'Associates');
+  xlsx.writeFile(wb, path.join(__dirname, 'valid-associates.ods'), { bookType: 'ods' });
+  console.log('✓ Created valid-associates.ods');
+}
+
+// Create workbook with one sheet per office and a notes sheet
+function createMultiSheetFile() {
+  const wb = xlsx.utils.book_new();
+
+  const offices = {
+    Chennai: [['Name', 'Date of Birth'], ['Priya Sharma', '1990-04-12'], ['Karthik Raman', '1988-09-30']],
+    Pune: [['Name', 'Date of Birth'], ['Ravi Kumar', '1985-11-03'], ['No DOB', '']],
+    London: [['Name', 'Date of Birth'], ['Emma Clarke', '1992-07-21']]
+  };
+  Object.entries(offices).forEach(([name, data]) => {
+    xlsx.utils.book_append_sheet(wb, xlsx.utils.aoa_to_sheet(data), name);
+  });
+
+  const notes = [['Roster maintained by HR'], ['Update monthly']];
+  xlsx.utils.book_append_sheet(wb, xlsx.utils.aoa_to_sheet(notes), 'Notes');
+
+  xlsx.writeFile(wb, path.join(__dirname, 'multi-sheet.xlsx'));
+  console.log('✓ Created multi-sheet.xlsx');
+}
+
+// Create iCalendar holidays file with a yearly holiday, a multi-day holiday and a folded line
+function createHolidaysIcsFile() {
+  const content = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Birthday Notification System//Test Holidays//EN',
+    'BEGIN:VEVENT',
+    'UID:christmas@test',
+    'DTSTART;VALUE=DATE:20241225',
+    'RRULE:FREQ=YEARLY',
+    'SUMMARY:Christmas Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:diwali@test',
+    'DTSTART;VALUE=DATE:20241031',
+    'DTEND;VALUE=DATE:20241102',
+    'SUMMARY:Diwali',
+    '  Holidays',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n') + '\r\n';
+
+  fs.writeFileSync(path.join(__dirname, 'holidays.ics'), content, 'utf8');
+  console.log('✓ Created holidays.ics');
+}
+
+// Create CSV holidays file with a header row and a yearly holiday
+function createHolidaysCsvFile() {
+  const content = [
+    'Date,Holiday',
+    '2024-10-11,Office Closure',
+    '01-26,Republic Day',
+    'someday,Invalid'
+  ].join('\n') + '\n';
+
+  fs.writeFileSync(path.join(__dirname, 'holidays.csv'), content, 'utf8');
+  console.log('✓ Created holidays.csv');
+}
+
+// Create roster with an optional Date of Joining column
+function createWorkAnniversaryFile() {
+  const data = [
+    ['Name', 'Date of Birth', 'Date of Joining'],
+    ['Ravi Kumar', '1985-11-03', '2019-10-14'],
+    ['Anita Rao', '1992-07-21', ''],
+    ['New Joiner', '1995-02-11', 'not-a-date'],
+    ['Priya Sharma', '1990-04-12', new Date(2015, 5, 1)]
+  ];
+
+  const ws = xlsx.utils.aoa_to_sheet(data);
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, ws, 'Associates');
+  xlsx.writeFile(wb, path.join(__dirname, 'work-anniversaries.xlsx'));
+  console.log('✓ Created work-anniversaries.xlsx');
+}
+
+// Create roster with custom event columns
+function createCustomEventsFile() {
+  const data = [
+    ['Name', 'Date of Birth', 'Wedding Date', 'Certification Expiry'],
+    ['Ravi Kumar', '1985-11-03', '2014-10-14', '2024-10-14'],
+    ['Anita Rao', '1992-07-21', '', '2025-03-01'],
+    ['Priya Sharma', '1990-04-12', 'soon', '']
+  ];
+
+  const ws = xlsx.utils.aoa_to_sheet(data);
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, ws, 'Associates');
+  xlsx.writeFile(wb, path.join(__dirname, 'custom-events.xlsx'));
+  console.log('✓ Created custom-events.xlsx');
+}
+
+// Create event types configuration for the custom event columns
+function createEventTypesFile() {
+  const eventTypes = [
+    {
+      id: 'weddingAnniversary',
+      label: 'Wedding anniversaries',
+      headers: ['Wedding Date', 'Marriage Date'],
+      recurrence: 'yearly',
+      template: '{{name}} – {{years}} {{#if years == 1}}year{{else}}years{{/if}} married {{when}}'
+    },
+    {
+      id: 'certificationRenewal',
+      label: 'Certification renewals due',
+      headers: ['Certification Expiry'],
+      recurrence: 'once',
+      template: '{{name}} ({{when}})',
+      recipients: ['+919876543210', '+447700900123']
+    }
+  ];
+
+  fs.writeFileSync(path.join(__dirname, 'event-types.json'), JSON.stringify(eventTypes, null, 2) + '\n', 'utf8');
+  console.log('✓ Created event-types.json');
+}
+
 // Run all
 console.log('Creating test Excel files...\n');
 createValidExcelFile();
@@ -107,4 +325,17 @@ createInvalidDataFile();
 createDifferentFormatsFile();
 createEmptyFile();
 createXlsFile();
+createHrExportFile();
+createNumericMobileFile();
+createMissingColumnFile();
+createSemicolonCsvFile();
+createUtf8BomCsvFile();
+createTsvFile();
+createOdsFile();
+createMultiSheetFile();
+createHolidaysIcsFile();
+createHolidaysCsvFile();
+createWorkAnniversaryFile();
+createCustomEventsFile();
+createEventTypesFile();
 console.log('\n✓ All test files created successfully!');
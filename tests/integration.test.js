@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import BirthdayCheckService from '../src/services/BirthdayCheckService.js';
+import EventType from '../src/models/EventType.js';
 import Logger from '../src/utils/Logger.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -84,7 +85,7 @@ describe('Integration Tests - Birthday Check System', () => {
         { name: 'Jane Smith', dateOfBirth: new Date(1985, 0, 1), rowNumber: 2 },
         { name: 'Bob Johnson', dateOfBirth: new Date(1992, 0, 1), rowNumber: 3 }
       ];
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => mockBirthdays);
+      service.dateMatcher.findEventsOnDate = vi.fn((associates, eventType) => (eventType === EventType.BIRTHDAY ? mockBirthdays : []));
 
       // Mock SMS service
       service.smsService.sendSMS = vi.fn(async () => ({
@@ -112,7 +113,7 @@ describe('Integration Tests - Birthday Check System', () => {
       await service.initialize();
 
       // Mock date matcher to return no birthdays
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => []);
+      service.dateMatcher.findEventsOnDate = vi.fn(() => []);
 
       // Mock SMS service (should not be called)
       const sendSMSSpy = vi.spyOn(service.smsService, 'sendSMS');
@@ -139,7 +140,7 @@ describe('Integration Tests - Birthday Check System', () => {
       service = new BirthdayCheckService(mockLogger);
 
       await service.initialize();
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => []);
+      service.dateMatcher.findEventsOnDate = vi.fn(() => []);
 
       await service.performDailyCheck();
 
@@ -245,7 +246,7 @@ describe('Integration Tests - Birthday Check System', () => {
       const mockBirthdays = [
         { name: 'John Doe', dateOfBirth: new Date(1990, 0, 1), rowNumber: 1 }
       ];
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => mockBirthdays);
+      service.dateMatcher.findEventsOnDate = vi.fn((associates, eventType) => (eventType === EventType.BIRTHDAY ? mockBirthdays : []));
 
       // Mock delay to speed up test
       service.smsService.delay = vi.fn(async () => {});
@@ -276,7 +277,7 @@ describe('Integration Tests - Birthday Check System', () => {
       const mockBirthdays = [
         { name: 'John Doe', dateOfBirth: new Date(1990, 0, 1), rowNumber: 1 }
       ];
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => mockBirthdays);
+      service.dateMatcher.findEventsOnDate = vi.fn((associates, eventType) => (eventType === EventType.BIRTHDAY ? mockBirthdays : []));
 
       // Mock delay to speed up test
       service.smsService.delay = vi.fn(async () => {});
@@ -305,7 +306,7 @@ describe('Integration Tests - Birthday Check System', () => {
       const mockBirthdays = [
         { name: 'John Doe', dateOfBirth: new Date(1990, 0, 1), rowNumber: 1 }
       ];
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => mockBirthdays);
+      service.dateMatcher.findEventsOnDate = vi.fn((associates, eventType) => (eventType === EventType.BIRTHDAY ? mockBirthdays : []));
 
       // Mock delay to speed up test
       service.smsService.delay = vi.fn(async () => {});
@@ -341,7 +342,7 @@ describe('Integration Tests - Birthday Check System', () => {
       service = new BirthdayCheckService(mockLogger);
 
       await service.initialize();
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => []);
+      service.dateMatcher.findEventsOnDate = vi.fn(() => []);
 
       await service.performDailyCheck();
 
@@ -367,7 +368,7 @@ describe('Integration Tests - Birthday Check System', () => {
         { name: 'John Doe', dateOfBirth: new Date(1990, 0, 1), rowNumber: 1 },
         { name: 'Jane Smith', dateOfBirth: new Date(1985, 0, 1), rowNumber: 2 }
       ];
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => mockBirthdays);
+      service.dateMatcher.findEventsOnDate = vi.fn((associates, eventType) => (eventType === EventType.BIRTHDAY ? mockBirthdays : []));
       service.smsService.sendSMS = vi.fn(async () => ({
         messageId: 'test-123',
         status: 'sent'
@@ -397,7 +398,7 @@ describe('Integration Tests - Birthday Check System', () => {
       const mockBirthdays = [
         { name: 'John Doe', dateOfBirth: new Date(1990, 0, 1), rowNumber: 1 }
       ];
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => mockBirthdays);
+      service.dateMatcher.findEventsOnDate = vi.fn((associates, eventType) => (eventType === EventType.BIRTHDAY ? mockBirthdays : []));
       service.smsService.sendSMS = vi.fn(async () => ({
         messageId: 'test-123',
         status: 'sent'
@@ -426,7 +427,7 @@ describe('Integration Tests - Birthday Check System', () => {
       const mockBirthdays = [
         { name: 'John Doe', dateOfBirth: new Date(1990, 0, 1), rowNumber: 1 }
       ];
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => mockBirthdays);
+      service.dateMatcher.findEventsOnDate = vi.fn((associates, eventType) => (eventType === EventType.BIRTHDAY ? mockBirthdays : []));
       
       // Mock delay to speed up test
       service.smsService.delay = vi.fn(async () => {});
@@ -452,7 +453,7 @@ describe('Integration Tests - Birthday Check System', () => {
       process.env.SCHEDULED_TIME = '09:00';
 
       await service.initialize();
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => []);
+      service.dateMatcher.findEventsOnDate = vi.fn(() => []);
 
       const result = await service.performDailyCheck();
 
@@ -474,7 +475,7 @@ describe('Integration Tests - Birthday Check System', () => {
       const mockBirthdays = [
         { name: 'John Doe', dateOfBirth: new Date(1990, 0, 1), rowNumber: 1 }
       ];
-      service.dateMatcher.findBirthdaysToday = vi.fn(() => mockBirthdays);
+      service.dateMatcher.findEventsOnDate = vi.fn((associates, eventType) => (eventType === EventType.BIRTHDAY ? mockBirthdays : []));
 
       // Mock delay to speed up test
       service.smsService.delay = vi.fn(async () => {});